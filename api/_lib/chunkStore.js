@@ -0,0 +1,177 @@
+// Server-side copy of the knowledge base
+// Resolves the chunk IDs the browser sends to /api/chat and /api/rerank, so only IDs
+// have to leave the browser. Prefers the live data set the app syncs to GitHub and
+// falls back to the semantic_chunks.json bundled with the deployment.
+//
+// The browser also sends the content_hash of each chunk it has. A chunk this copy lacks, or
+// has with other content (a sync or a restore newer than the cache, or a re-chunked set that
+// reused the ID), reloads the copy; if it still doesn't match, resolveChunks fails with a 409
+// instead of answering from the wrong text or none at all. /api/chat also sends the GitHub sha
+// of the data set the browser loaded or saved (dataVersion); a copy of another version is
+// reloaded first, so a promoted snapshot or a sync is answered from right away.
+//
+// Chunks synced before document sources existed - like the bundled set - have bare IDs ("12")
+// while a browser that synced since asks for "sop:12". Both forms resolve for the default
+// source's chunks; the content hash still decides whether they are the same chunk.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const embeddingProviders = require('./embeddingProviders');
+const sources = require('./sources');
+
+const CHUNK_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const MIN_RELOAD_INTERVAL = 10 * 1000; // Unknown chunks reload the copy at most this often
+
+let chunkCache = null; // { chunks, byId, hashes, version, loadedAt }
+
+async function loadChunks({ refresh = false } = {}) {
+    return (await loadStore({ refresh })).chunks;
+}
+
+async function loadStore({ refresh = false } = {}) {
+    if (chunkCache && Date.now() - chunkCache.loadedAt < (refresh ? MIN_RELOAD_INTERVAL : CHUNK_CACHE_TTL)) {
+        return chunkCache;
+    }
+
+    let chunks = null;
+    let version = null; // Git blob sha of the GitHub copy, what the contents API reports as its sha
+
+    // Prefer the live data set that the app syncs to GitHub
+    const githubToken = process.env.GITHUB_TOKEN;
+    const githubRepo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+
+    if (githubToken) {
+        try {
+            const response = await fetch(`https://api.github.com/repos/${githubRepo}/contents/data/semantic_chunks.json`, {
+                headers: {
+                    'Authorization': `Bearer ${githubToken}`,
+                    'Accept': 'application/vnd.github.v3.raw',
+                    'User-Agent': 'GTI-SOP-Assistant/1.0'
+                }
+            });
+
+            if (response.ok) {
+                const text = await response.text();
+                chunks = JSON.parse(text);
+                version = crypto.createHash('sha1')
+                    .update(`blob ${Buffer.byteLength(text)}\0`)
+                    .update(text)
+                    .digest('hex');
+            } else {
+                console.warn(`⚠️ GitHub chunks download failed: ${response.status}`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load chunks from GitHub:', error.message);
+        }
+    }
+
+    // Fall back to the chunks bundled with the deployment
+    if (!chunks) {
+        const chunksPath = path.join(process.cwd(), 'semantic_chunks.json');
+        if (!fs.existsSync(chunksPath)) {
+            throw new Error('No document data available on the server');
+        }
+        chunks = JSON.parse(fs.readFileSync(chunksPath, 'utf8'));
+    }
+
+    chunkCache = {
+        chunks,
+        byId: indexChunks(chunks, await defaultSourceId()),
+        hashes: new Map(), // chunk_id -> content_hash, computed on first use
+        version,
+        loadedAt: Date.now()
+    };
+    return chunkCache;
+}
+
+async function defaultSourceId() {
+    try {
+        return sources.defaultSourceId(await sources.loadSources());
+    } catch (error) {
+        console.warn('⚠️ Could not load document sources:', error.message);
+        return null;
+    }
+}
+
+// chunk_id -> chunk, with the default source's chunks under both "<source id>:<n>" and "<n>"
+function indexChunks(chunks, defaultId) {
+    const byId = new Map(chunks.map(chunk => [String(chunk.chunk_id), chunk]));
+    if (!defaultId) return byId;
+
+    for (const chunk of chunks) {
+        const id = String(chunk.chunk_id);
+        const separator = id.indexOf(':');
+        let alias = null;
+        if (separator === -1 && !chunk.source_id) {
+            alias = `${defaultId}:${id}`;
+        } else if (separator !== -1 && id.slice(0, separator) === defaultId) {
+            alias = id.slice(separator + 1);
+        }
+        if (alias && !byId.has(alias)) byId.set(alias, chunk);
+    }
+    return byId;
+}
+
+function contentHash(store, chunk) {
+    const id = String(chunk.chunk_id);
+    if (!store.hashes.has(id)) {
+        store.hashes.set(id, chunk.content_hash || embeddingProviders.chunkContentHash(chunk));
+    }
+    return store.hashes.get(id);
+}
+
+// { chunks, missing: [id] } - a chunk whose content hash differs from the client's is missing
+function match(store, chunkIds, contentHashes) {
+    const chunks = [];
+    const missing = [];
+
+    chunkIds.forEach((id, index) => {
+        const chunk = store.byId.get(String(id));
+        const expected = contentHashes?.[index];
+        if (!chunk || (typeof expected === 'string' && contentHash(store, chunk) !== expected)) {
+            missing.push(id);
+        } else {
+            chunks.push(chunk);
+        }
+    });
+
+    return { chunks, missing };
+}
+
+/**
+ * Chunks for the given IDs, in the same order
+ * @param {Array} chunkIds
+ * @param {Array} contentHashes - The client's content_hash of each chunk (parallel to chunkIds), if known
+ * @param {string} dataVersion - The GitHub sha of the client's data/semantic_chunks.json, if known
+ * @throws 409 (error.missing: the IDs) when a chunk is unknown or differs, even after reloading
+ */
+async function resolveChunks(chunkIds, contentHashes = null, dataVersion = null) {
+    let store = await loadStore();
+    if (dataVersion && store.version && store.version !== dataVersion) {
+        console.log(`🔄 The client has data set ${dataVersion.substring(0, 7)}, reloading`);
+        store = await loadStore({ refresh: true });
+    }
+
+    let result = match(store, chunkIds, contentHashes);
+
+    if (result.missing.length > 0) {
+        console.log(`🔄 ${result.missing.length} chunks not in the cached copy, reloading`);
+        result = match(await loadStore({ refresh: true }), chunkIds, contentHashes);
+    }
+
+    if (result.missing.length > 0) {
+        const error = new Error(`${result.missing.length} of ${chunkIds.length} chunks are not in the server's copy ` +
+            'of the knowledge base, or differ from it - reload the data set and try again');
+        error.statusCode = 409;
+        error.missing = result.missing;
+        throw error;
+    }
+
+    return result.chunks;
+}
+
+module.exports = {
+    loadChunks,
+    resolveChunks
+};
@@ -0,0 +1,466 @@
+// Document parsers: DOCX, PDF, Markdown and exported HTML -> blocks for api/_lib/semanticChunker.js
+// Every parser returns { blocks, images, warnings }, so each format ends up with the same chunk
+// schema as semantic_chunks.json. Warnings are { type, message, count } with type 'unsupported'
+// (elements the parser dropped or flattened), 'image' or 'structure'. What each keeps for citations:
+//   DOCX      headings from Word "Heading 1-6" styles (mammoth)
+//   PDF       the page every paragraph is on; headings are lines set larger than the body text
+//   Markdown  # headings, with GitHub-style anchors ("## OH RISE" -> #oh-rise, or an explicit {#id})
+//   HTML      h1-h6 with their id (Google Docs and Word "Save as web page" exports set one)
+// Embedded images (DOCX, data: URIs) are stored by content hash (api/_lib/imageStore.js); images
+// linked by an http(s) URL are kept as links. Images at relative paths can't be fetched and are
+// reported as warnings.
+
+const imageStore = require('./imageStore');
+const tables = require('./tables');
+const { parseHtmlBlocks, labelImagesFromCaptions, htmlToText } = require('./semanticChunker');
+
+// Import mammoth for DOCX processing (Node.js equivalent of python-docx)
+let mammoth;
+try {
+    mammoth = require('mammoth');
+} catch (e) {
+    console.log('Mammoth not installed - using fallback processing');
+}
+
+// pdf-parse's index.js runs a self-test when it is not required from a file, so load the parser itself
+let pdfParse;
+try {
+    pdfParse = require('pdf-parse/lib/pdf-parse.js');
+} catch (e) {
+    console.log('pdf-parse not installed - PDF ingestion unavailable');
+}
+
+const FORMATS = {
+    docx: ['.docx'],
+    pdf: ['.pdf'],
+    markdown: ['.md', '.markdown'],
+    html: ['.html', '.htm']
+};
+
+const HEADING_SIZE_RATIO = 1.15; // PDF lines this much larger than the body text are headings
+const MAX_HEADING_LENGTH = 120;
+
+/**
+ * Format of a file from its name: 'docx' | 'pdf' | 'markdown' | 'html', or null
+ */
+function formatOf(fileName = '') {
+    const name = fileName.toLowerCase();
+    return Object.keys(FORMATS).find(format => FORMATS[format].some(extension => name.endsWith(extension))) || null;
+}
+
+/**
+ * Whether the library a format needs is installed
+ */
+function available(format) {
+    if (format === 'docx') return !!mammoth;
+    if (format === 'pdf') return !!pdfParse;
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+/**
+ * Parse a document of any supported format
+ * @param {Buffer} buffer - The file's bytes
+ * @param {string} format - One of FORMATS (see formatOf)
+ * @returns {Promise<Object>} { blocks, images, warnings }
+ */
+async function parseDocument(buffer, format) {
+    if (!Object.prototype.hasOwnProperty.call(FORMATS, format)) {
+        throw clientError(`Unsupported document format: ${format}. Supported: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    if (!available(format)) {
+        throw new Error(`${format.toUpperCase()} parsing is not available on the server (${format === 'pdf' ? 'pdf-parse' : 'mammoth'} is not installed)`);
+    }
+
+    if (format === 'docx') return parseDocx(buffer);
+    if (format === 'pdf') return parsePdf(buffer);
+    if (format === 'markdown') return parseMarkdown(buffer.toString('utf8'));
+    return parseHtml(buffer.toString('utf8'));
+}
+
+async function parseDocx(docxBuffer) {
+    // Images are collected in document order as mammoth converts them; the <img> keeps
+    // only an "image:<id>" placeholder so blocks know which images they contain
+    const images = [];
+    const convertImage = mammoth.images.imgElement(function(image) {
+        return image.read().then(function(imageBuffer) {
+            const id = addEmbeddedImage(images, imageBuffer, image.contentType || 'image/png', image.altText);
+            return { src: `image:${id}` };
+        });
+    });
+
+    // HTML keeps the heading structure that extractRawText throws away
+    const result = await mammoth.convertToHtml({ buffer: docxBuffer }, { convertImage });
+    // Mostly Word styles and elements mammoth has no HTML for, which end up as plain paragraphs
+    const warnings = [];
+    result.messages
+        .filter(message => message.type === 'warning')
+        .forEach(message => addWarning(warnings, 'unsupported', message.message));
+    warnings.forEach(warning => console.log(`⚠️ mammoth: ${warning.message}${warning.count > 1 ? ` (×${warning.count})` : ''}`));
+
+    const blocks = parseHtmlBlocks(result.value);
+    labelImagesFromCaptions(blocks, images);
+
+    return { blocks, images, warnings };
+}
+
+/**
+ * PDF text, page by page. PDFs have no heading markup, so lines set noticeably larger than
+ * the body text become headings, the largest size being level 1. Page numbers are dropped.
+ */
+async function parsePdf(pdfBuffer) {
+    const pages = [];
+    // A copy: pdf.js misreads Node's pooled Buffers (small files share one ArrayBuffer at an offset)
+    await pdfParse(new Uint8Array(pdfBuffer), {
+        // Called once per page, in order; the text is collected here instead of returned
+        pagerender: async (pageData) => {
+            const content = await pageData.getTextContent({ normalizeWhitespace: true });
+            pages.push(pdfLines(content.items));
+            return '';
+        }
+    });
+
+    const warnings = [];
+    const lines = pages.flatMap((pageLines, index) => pageLines.map(line => ({ ...line, page: index + 1 })))
+        .filter(line => !/^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(line.text));
+
+    if (lines.length === 0) {
+        addWarning(warnings, 'structure', 'The PDF has no extractable text (scanned pages need OCR first)');
+        return { blocks: [], images: [], warnings };
+    }
+
+    // The body size is the one most of the text is set in
+    const characters = new Map();
+    for (const line of lines) {
+        characters.set(line.size, (characters.get(line.size) || 0) + line.text.length);
+    }
+    const bodySize = [...characters.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const headingSizes = [...characters.keys()]
+        .filter(size => size >= bodySize * HEADING_SIZE_RATIO)
+        .sort((a, b) => b - a)
+        .slice(0, 6);
+    if (headingSizes.length === 0) {
+        addWarning(warnings, 'structure', 'No headings found in the PDF (no text larger than the body); chunks have no section breadcrumbs');
+    }
+
+    const blocks = [];
+    let paragraph = null;
+    const flush = () => {
+        if (paragraph) blocks.push({ type: 'text', text: paragraph.lines.join('\n'), images: [], page: paragraph.page });
+        paragraph = null;
+    };
+
+    lines.forEach((line, index) => {
+        const level = headingSizes.indexOf(line.size) + 1;
+        if (level > 0 && line.text.length <= MAX_HEADING_LENGTH) {
+            flush();
+            // A heading wrapped over two lines is one heading
+            const previous = blocks[blocks.length - 1];
+            if (previous?.type === 'heading' && previous.level === level && lines[index - 1]?.page === line.page && !line.gapBefore) {
+                previous.text += ` ${line.text}`;
+            } else {
+                blocks.push({ type: 'heading', level, text: line.text, images: [] });
+            }
+            return;
+        }
+
+        const bullet = line.text.match(/^(?:[•▪●◦‣∙]\s*|[-*]\s+)(.+)/);
+        if (!paragraph || paragraph.page !== line.page || line.gapBefore) {
+            flush();
+            paragraph = { page: line.page, lines: [] };
+        }
+        const last = paragraph.lines.length - 1;
+        if (bullet) {
+            paragraph.lines.push(`- ${bullet[1]}`);
+        } else if (last >= 0 && paragraph.lines[last].endsWith('-') && /^[a-z]/.test(line.text)) {
+            // Re-join a word hyphenated across lines
+            paragraph.lines[last] = paragraph.lines[last].slice(0, -1) + line.text;
+        } else if (last >= 0) {
+            paragraph.lines[last] += ` ${line.text}`;
+        } else {
+            paragraph.lines.push(line.text);
+        }
+    });
+    flush();
+
+    return { blocks, images: [], warnings };
+}
+
+// pdf.js text items -> lines ({ text, size, gapBefore }) in reading order. A gap wider than a
+// line and a half between two lines starts a new paragraph.
+function pdfLines(items) {
+    const lines = [];
+    let current = null;
+
+    for (const item of items) {
+        if (!item.str || !item.str.trim()) {
+            if (current && item.str) current.text += ' ';
+            continue;
+        }
+        const y = item.transform[5];
+        const size = Math.round(Math.abs(item.transform[3]) || item.height || 0);
+        if (!current || Math.abs(current.y - y) > Math.max(size, current.size) / 2) {
+            if (current) lines.push(current);
+            const previous = lines[lines.length - 1];
+            current = {
+                text: '',
+                y,
+                size,
+                gapBefore: !!previous && Math.abs(previous.y - y) > Math.max(size, previous.size) * 1.5
+            };
+        }
+        current.text += item.str;
+        current.size = Math.max(current.size, size);
+    }
+    if (current) lines.push(current);
+
+    return lines
+        .map(({ text, size, gapBefore }) => ({ text: text.replace(/\s+/g, ' ').trim(), size, gapBefore }))
+        .filter(line => line.text);
+}
+
+/**
+ * Markdown: ATX ("## OH RISE") and setext headings, paragraphs, lists, pipe tables, fenced
+ * code and images. Inline formatting is reduced to plain text.
+ */
+function parseMarkdown(markdown) {
+    const images = [];
+    const warnings = [];
+    const blocks = [];
+    const slugs = new Map();
+    const lines = markdown.replace(/\r\n?/g, '\n').replace(/^---\n[\s\S]*?\n---\n/, '').split('\n');
+    let paragraph = [];
+
+    const inline = (text) => {
+        const ids = [];
+        const plain = text
+            .replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, src) => {
+                const id = addSourceImage(images, warnings, src, alt);
+                if (id) ids.push(id);
+                return '';
+            })
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/(\*\*|__)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+            .replace(/~~(.+?)~~/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/[ \t]+/g, ' ')
+            .trim();
+        return { text: plain, images: ids };
+    };
+
+    const flushParagraph = () => {
+        if (paragraph.length === 0) return;
+        const content = inline(paragraph.join(' '));
+        if (content.text || content.images.length > 0) {
+            blocks.push({ type: 'text', text: content.text, images: content.images });
+        }
+        paragraph = [];
+    };
+
+    const pushHeading = (level, raw) => {
+        const explicit = raw.match(/\s*\{#([^}\s]+)\}\s*$/);
+        const content = inline(explicit ? raw.slice(0, explicit.index) : raw);
+        if (!content.text) return;
+        blocks.push({ type: 'heading', level, text: content.text, images: content.images, anchor: explicit ? explicit[1] : slugify(content.text, slugs) });
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Fenced code stays verbatim
+        const fence = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            while (++i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+            }
+            if (code.join('').trim()) blocks.push({ type: 'text', text: code.join('\n').trim(), images: [] });
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (atx) {
+            flushParagraph();
+            pushHeading(atx[1].length, atx[2]);
+            continue;
+        }
+
+        // "Title" underlined with === or --- (a lone --- after a blank line is a rule)
+        if (paragraph.length === 1 && /^\s*(=+|-+)\s*$/.test(line)) {
+            const title = paragraph[0];
+            paragraph = [];
+            pushHeading(line.trim().startsWith('=') ? 1 : 2, title);
+            continue;
+        }
+
+        if (/^\s*\|.*\|\s*$/.test(line) && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+            flushParagraph();
+            const rows = [line];
+            i++; // The --- separator under the header
+            while (i + 1 < lines.length && /^\s*\|.*\|\s*$/.test(lines[i + 1])) {
+                rows.push(lines[++i]);
+            }
+            const grid = rows.map((row, index) => ({
+                cells: row.trim().replace(/^\||\|$/g, '').split('|').map(cell => inline(cell).text),
+                header: index === 0
+            }));
+            const table = tables.fromGrid(grid);
+            blocks.push({ type: 'text', text: tables.tableToText(table), images: [], table });
+            continue;
+        }
+
+        const listItem = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+        if (listItem) {
+            flushParagraph();
+            const items = [listItem[1]];
+            // Items, and the indented lines that continue them, until a blank line or other block
+            while (i + 1 < lines.length && lines[i + 1].trim() && !/^\s*(#|```|~~~|\|)/.test(lines[i + 1])) {
+                const next = lines[++i].match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+                if (next) items.push(next[1]);
+                else items[items.length - 1] += ` ${lines[i].trim()}`;
+            }
+            const contents = items.map(inline);
+            blocks.push({
+                type: 'text',
+                text: contents.filter(item => item.text).map(item => `- ${item.text}`).join('\n'),
+                images: contents.flatMap(item => item.images)
+            });
+            continue;
+        }
+
+        if (!line.trim() || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            continue;
+        }
+
+        paragraph.push(line.replace(/^\s*>\s?/, '').trim());
+    }
+    flushParagraph();
+
+    labelImagesFromCaptions(blocks, images);
+    return { blocks, images, warnings };
+}
+
+/**
+ * Exported HTML (Google Docs "Web page", Word "Save as web page", or any page with h1-h6
+ * headings). Only the body is read; scripts, styles and comments are dropped.
+ */
+function parseHtml(html) {
+    const images = [];
+    const warnings = [];
+
+    const body = (html.match(/<body\b[^>]*>([\s\S]*)<\/body>/i) || [null, html])[1]
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+        // Tag names in lower case, as parseHtmlBlocks expects (Word exports write <P>, <H1>...)
+        .replace(/<(\/?)([a-zA-Z][a-zA-Z0-9]*)/g, (match, slash, tag) => `<${slash}${tag.toLowerCase()}`)
+        // Images become "image:<id>" placeholders like mammoth's
+        .replace(/<img\b[^>]*>/g, (tag) => {
+            const attribute = (name) => {
+                const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+                return match ? htmlToText(match[1] ?? match[2] ?? match[3]) : '';
+            };
+            const id = addSourceImage(images, warnings, attribute('src'), attribute('alt'));
+            return id ? `<img src="image:${id}">` : '';
+        });
+
+    const blocks = parseHtmlBlocks(body, { anchors: true });
+    if (!blocks.some(block => block.type === 'heading')) {
+        addWarning(warnings, 'structure', 'No h1-h6 headings found in the HTML; chunks have no section breadcrumbs');
+    }
+    labelImagesFromCaptions(blocks, images);
+
+    return { blocks, images, warnings };
+}
+
+// GitHub-style heading anchor: "OH RISE: Batch Sub" -> "oh-rise-batch-sub", "-1", "-2"... on repeats
+function slugify(text, seen) {
+    const base = text.toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').trim().replace(/\s/g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+}
+
+// An image stored with the chunks, named by its content hash; returns its ID
+function addEmbeddedImage(images, data, contentType, altText) {
+    const id = imageStore.imageId(data, contentType);
+
+    // The same screenshot pasted twice is stored once
+    if (!images.some(existing => existing.id === id)) {
+        const number = images.length + 1;
+        images.push({
+            id,
+            filename: id,
+            label: altText || `GTI SOP procedure image ${number}`,
+            hasAltText: !!altText,
+            number,
+            path: `/api/images/${id}`,
+            contentType,
+            data
+        });
+    }
+    return id;
+}
+
+// An <img>/![]() source: data: URIs are stored, http(s) URLs linked; returns the image ID or null
+function addSourceImage(images, warnings, src, altText) {
+    const dataUri = src.match(/^data:(image\/[\w.+-]+);base64,(.+)$/);
+    if (dataUri) {
+        return addEmbeddedImage(images, Buffer.from(dataUri[2], 'base64'), dataUri[1], altText);
+    }
+
+    if (/^https?:\/\//.test(src)) {
+        if (!images.some(existing => existing.id === src)) {
+            const number = images.length + 1;
+            images.push({
+                id: src,
+                filename: decodeURIComponent(src.split(/[?#]/)[0].split('/').pop() || `image_${number}`),
+                label: altText || `GTI SOP procedure image ${number}`,
+                hasAltText: !!altText,
+                number,
+                path: src,
+                url: src
+            });
+        }
+        return src;
+    }
+
+    if (src) {
+        addWarning(warnings, 'image', `Image ${src} skipped: only embedded (data:) and http(s) images can be included`);
+    }
+    return null;
+}
+
+/**
+ * Record a warning, counting repeats of the same one instead of listing them again
+ */
+function addWarning(warnings, type, message) {
+    const existing = warnings.find(warning => warning.type === type && warning.message === message);
+    if (existing) {
+        existing.count++;
+    } else {
+        warnings.push({ type, message, count: 1 });
+    }
+}
+
+function clientError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+module.exports = {
+    FORMATS,
+    formatOf,
+    available,
+    addWarning,
+    addEmbeddedImage,
+    addSourceImage,
+    parseDocument,
+    parseDocx,
+    parsePdf,
+    parseMarkdown,
+    parseHtml
+};
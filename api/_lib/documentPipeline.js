@@ -0,0 +1,98 @@
+// Document -> chunks, shared by uploads (/api/process-document) and Google Docs syncs (/api/ingest)
+// Parses the document (documentParsers.js), chunks it by heading section (semanticChunker.js),
+// optionally LLM-tags the chunks (metadataTagger.js) and stores the embedded images (imageStore.js).
+
+const documentParsers = require('./documentParsers');
+const imageStore = require('./imageStore');
+const { createSemanticChunks, emptySections } = require('./semanticChunker');
+const { loadTaxonomy } = require('./taxonomy');
+const metadataTagger = require('./metadataTagger');
+
+/**
+ * The stages processDocument reports, in order ('tag' only with a tagging model)
+ */
+function stagesFor(tagModel) {
+    return ['parse', 'chunk', ...(tagModel ? ['tag'] : []), 'images'];
+}
+
+/**
+ * Parse, chunk, tag and store one document
+ * @param {Buffer} buffer - The document's bytes
+ * @param {string} format - 'docx' | 'pdf' | 'markdown' | 'html'
+ * @param {Object} options - { name, tagModel, uploadImages, progress(stage, message, counts) }
+ *                            uploadImages: the request may write images to GitHub (writeAccess.writeAllowed)
+ * @returns {Promise<Object>} { chunks, images, warnings, tagging, imageStorage }
+ */
+async function processDocument(buffer, format, options = {}) {
+    const { name = 'the document', progress = () => {} } = options;
+
+    progress('parse', `Parsing ${format.toUpperCase()}...`);
+    console.log(`🔄 Processing ${format.toUpperCase()} document ${name}...`);
+    const parsed = await documentParsers.parseDocument(buffer, format);
+    return processParsed(parsed, format, options);
+}
+
+/**
+ * Chunk, tag and store a document a parser has already read ({ blocks, images, warnings }) -
+ * processDocument after its parse stage, also used for Google Docs API documents
+ * @param {string} format - For logs and messages, e.g. 'docx' or 'google-docs'
+ */
+async function processParsed(parsed, format, options = {}) {
+    const { name = 'the document', tagModel, uploadImages = false, progress = () => {} } = options;
+    const warnings = parsed.warnings;
+    for (const headingPath of emptySections(parsed.blocks)) {
+        documentParsers.addWarning(warnings, 'empty-section', `Empty section: ${headingPath.join(' › ')}`);
+    }
+
+    progress('chunk', 'Chunking by section...');
+    const taxonomy = await loadTaxonomy();
+    const chunks = await createSemanticChunks(parsed.blocks, parsed.images, taxonomy);
+    if (chunks.length === 0) {
+        const error = new Error(`No text found in ${name}`);
+        error.statusCode = 422;
+        error.warnings = warnings;
+        throw error;
+    }
+
+    // Optional second opinion on the regex tags, stored next to them
+    let tagging = null;
+    if (tagModel) {
+        progress('tag', `Tagging ${chunks.length} chunks with ${tagModel}...`, { done: 0, total: chunks.length });
+        tagging = await metadataTagger.applyTags(chunks, taxonomy, tagModel, {
+            onProgress: (done, total) => progress('tag', `Tagging chunks with ${tagModel}...`, { done, total })
+        });
+        if (tagging.error) {
+            documentParsers.addWarning(warnings, 'structure', `Metadata tagging: ${tagging.error}`);
+        }
+    }
+
+    // Persist the embedded images so /api/images/[id] can serve them (linked images stay links)
+    const embeddedImages = parsed.images.filter(image => image.data);
+    progress('images', `Saving ${embeddedImages.length} image${embeddedImages.length === 1 ? '' : 's'}...`);
+    const imageStorage = await imageStore.saveImages(embeddedImages, { upload: uploadImages });
+    if (imageStorage.skipped > 0) {
+        documentParsers.addWarning(warnings, 'image', `${imageStorage.skipped} images were not saved: at most ` +
+            `${imageStore.MAX_IMAGES_PER_REQUEST} images of up to ${imageStore.MAX_IMAGE_BYTES / 1024 / 1024} MB are kept per document`);
+    }
+    if (imageStorage.unauthorized) {
+        documentParsers.addWarning(warnings, 'image', 'Images were not saved to GitHub, so other server instances ' +
+            "can't show them - set the write token in Settings (APP_WRITE_TOKEN on the server)");
+    }
+
+    console.log(`✅ Processed ${chunks.length} chunks with ${parsed.images.length} images from ${format.toUpperCase()}` +
+        (warnings.length > 0 ? ` (${warnings.length} warnings)` : ''));
+
+    return {
+        chunks,
+        images: parsed.images.map(({ data, hasAltText, ...image }) => image),
+        warnings,
+        tagging,
+        imageStorage
+    };
+}
+
+module.exports = {
+    stagesFor,
+    processDocument,
+    processParsed
+};
@@ -0,0 +1,98 @@
+// Drive change notifications: which document sources a notification is about
+// A changes.watch channel notifies about every change the service account can see, without
+// saying which file changed. Each Google Docs source's current revision is read instead (one
+// metadata request per source) and compared with the revision its synced chunks came from
+// (data/metadata.json), so only sources that really changed are re-synced. Without the service
+// account every source is re-synced - the app's own revision check skips the unchanged ones.
+
+const crypto = require('crypto');
+const ingestStrategies = require('./ingestStrategies');
+const { loadSources, loadGitHubJson } = require('./sources');
+
+const METADATA_PATH = 'data/metadata.json';
+
+/**
+ * Check a notification's X-Goog-Channel-Token against DRIVE_WEBHOOK_TOKEN, the token the
+ * channel was registered with; throws a 503 when none is configured and a 403 on a mismatch
+ */
+function verifyChannelToken(token) {
+    const expected = process.env.DRIVE_WEBHOOK_TOKEN;
+    if (!expected) {
+        throw httpError('DRIVE_WEBHOOK_TOKEN is not set', 503);
+    }
+    const given = Buffer.from(String(token || ''));
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        throw httpError('Invalid channel token', 403);
+    }
+}
+
+/**
+ * The Google Docs sources changed since their last sync, each with its current revision
+ * (null when it can't be read)
+ * @returns {Promise<Array>} [{ id, name, docId, revision }]
+ */
+async function changedSources() {
+    const sources = (await loadSources()).filter(source => source.type === 'google-docs');
+    const synced = (await loadGitHubJson(METADATA_PATH).catch(error => {
+        console.warn('⚠️ Could not load sync metadata from GitHub:', error.message);
+        return null;
+    }))?.sources || {};
+    const changed = [];
+
+    for (const source of sources) {
+        const entry = { id: source.id, name: source.name, docId: source.docId, revision: null };
+        try {
+            const current = await ingestStrategies.checkRevision({ documentId: source.docId, documentName: source.name });
+            if (ingestStrategies.sameRevision(synced[source.id]?.revision?.id, current.revision)) {
+                continue;
+            }
+            entry.revision = current.revision;
+        } catch (error) {
+            // A document the service account can't read is left to the sync to report
+            if (!error.skipped) {
+                console.warn(`⚠️ Drive changes: could not check ${source.id}: ${error.message}`);
+                continue;
+            }
+        }
+        changed.push(entry);
+    }
+
+    return changed;
+}
+
+/**
+ * Register a changes.watch channel that posts to `address` (scripts/watch-drive-changes.js)
+ * @param {Object} options - { address, token, channelId, expiration (ms since epoch) }
+ * @returns {Promise<Object>} The channel: { id, resourceId, expiration }
+ */
+async function watchChanges({ address, token, channelId, expiration }) {
+    const google = ingestStrategies.googleApis();
+    const auth = ingestStrategies.serviceAccount(google, ['https://www.googleapis.com/auth/drive.readonly']);
+    const drive = google.drive({ version: 'v3', auth });
+
+    const start = await drive.changes.getStartPageToken({});
+    const channel = await drive.changes.watch({
+        pageToken: start.data.startPageToken,
+        requestBody: {
+            id: channelId || crypto.randomUUID(),
+            type: 'web_hook',
+            address,
+            token,
+            ...(expiration && { expiration: String(expiration) })
+        }
+    });
+    return channel.data;
+}
+
+function httpError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = {
+    verifyChannelToken,
+    changedSources,
+    watchChanges
+};
@@ -0,0 +1,183 @@
+// Embedding provider registry
+// Turns text into dense vectors for semantic search. Used by /api/embed (query-time
+// embeddings for the browser) and scripts/build-embeddings.js (the persisted chunk index).
+
+const crypto = require('crypto');
+//
+// Provider shape:
+//   id, label, model, dimensions, batchSize
+//   configured()        - true when the env vars / packages it needs are available
+//   embedBatch(texts)   - Promise<number[][]>, one vector per text
+
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const GEMINI_BASE_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+const MINILM_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+let miniLMPipeline = null;
+
+const providers = {
+    openai: {
+        id: 'openai',
+        label: 'OpenAI',
+        model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+        dimensions: 1536,
+        batchSize: 100,
+        configured: () => !!process.env.OPENAI_API_KEY,
+        async embedBatch(texts) {
+            const response = await fetch(`${OPENAI_BASE_URL}/embeddings`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+                },
+                body: JSON.stringify({ model: this.model, input: texts })
+            });
+
+            if (!response.ok) {
+                throw upstreamError('OpenAI', response.status);
+            }
+
+            const result = await response.json();
+            return result.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        }
+    },
+
+    gemini: {
+        id: 'gemini',
+        label: 'Google Gemini',
+        model: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+        dimensions: 768,
+        batchSize: 100,
+        configured: () => !!process.env.GEMINI_API_KEY,
+        async embedBatch(texts) {
+            const response = await fetch(`${GEMINI_BASE_URL}/models/${this.model}:batchEmbedContents`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-goog-api-key': process.env.GEMINI_API_KEY
+                },
+                body: JSON.stringify({
+                    requests: texts.map(text => ({
+                        model: `models/${this.model}`,
+                        content: { parts: [{ text }] }
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                throw upstreamError('Gemini', response.status);
+            }
+
+            const result = await response.json();
+            return result.embeddings.map(embedding => embedding.values);
+        }
+    },
+
+    // In-process sentence-transformers model via transformers.js (ONNX), no API key needed.
+    // The browser runs the same model from a CDN, so index and queries share one vector space.
+    minilm: {
+        id: 'minilm',
+        label: 'MiniLM (transformers.js)',
+        model: MINILM_MODEL,
+        dimensions: 384,
+        batchSize: 16,
+        configured() {
+            try {
+                require.resolve('@xenova/transformers');
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        async embedBatch(texts) {
+            if (!miniLMPipeline) {
+                let transformers;
+                try {
+                    transformers = await import('@xenova/transformers');
+                } catch (error) {
+                    throw new Error('MiniLM embeddings need the @xenova/transformers package (npm install @xenova/transformers)');
+                }
+                miniLMPipeline = await transformers.pipeline('feature-extraction', MINILM_MODEL);
+            }
+
+            const output = await miniLMPipeline(texts, { pooling: 'mean', normalize: true });
+            return output.tolist();
+        }
+    }
+};
+
+function getProvider(providerId) {
+    const provider = providers[providerId];
+    if (!provider) {
+        const error = new Error(`Unknown embedding provider: ${providerId}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return provider;
+}
+
+/**
+ * Embed texts in provider-sized batches. Vectors are L2-normalised so cosine
+ * similarity reduces to a dot product regardless of provider.
+ */
+async function embedTexts(providerId, texts, onProgress) {
+    const provider = getProvider(providerId);
+    const vectors = [];
+
+    for (let i = 0; i < texts.length; i += provider.batchSize) {
+        const batch = texts.slice(i, i + provider.batchSize);
+        const batchVectors = await provider.embedBatch(batch);
+        vectors.push(...batchVectors.map(normalize));
+        if (onProgress) onProgress(vectors.length, texts.length);
+    }
+
+    return vectors;
+}
+
+// The text a chunk is embedded as - metadata context first, matching SemanticScorer.embeddingText in js/retriever.js
+function chunkEmbeddingText(chunk) {
+    const metadata = chunk.metadata || {};
+    let text = chunk.text;
+
+    if (metadata.states?.length) {
+        text = `State: ${metadata.states.join(', ')}. ${text}`;
+    }
+    if (metadata.sections?.length) {
+        text = `Section: ${metadata.sections.join(', ')}. ${text}`;
+    }
+    if (metadata.topics?.length) {
+        text = `Topics: ${metadata.topics.join(', ')}. ${text}`;
+    }
+    if (chunk.heading_path?.length) {
+        text = `${chunk.heading_path.join(' › ')}. ${text}`;
+    }
+
+    return text;
+}
+
+// Content hash of a chunk - changes exactly when its embedding text does, so the index can
+// key vectors by it. Matches SemanticScorer.contentHash in js/retriever.js
+function chunkContentHash(chunk) {
+    return crypto.createHash('sha256').update(chunkEmbeddingText(chunk)).digest('hex').substring(0, 16);
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+function upstreamError(provider, status) {
+    const error = new Error(`${provider} embeddings API error: ${status}`);
+    error.statusCode = 502;
+    return error;
+}
+
+module.exports = {
+    providers,
+    getProvider,
+    embedTexts,
+    chunkEmbeddingText,
+    chunkContentHash
+};
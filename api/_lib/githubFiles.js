@@ -0,0 +1,73 @@
+// Writes to the GitHub repo the app syncs to, with the server's GITHUB_TOKEN
+// Used by /api/save for the files the browser used to commit itself (data set, snapshots,
+// settings, taxonomy, sources).
+
+const GITHUB_API = 'https://api.github.com';
+
+function githubConfig() {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) return null;
+    return {
+        repo: process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': 'GTI-SOP-Assistant/1.0'
+        }
+    };
+}
+
+/**
+ * Create or replace a file; retried once when someone else committed it in between
+ * @returns {Promise<string>} The blob sha of the new content
+ */
+async function writeFile(filePath, content, message) {
+    const github = githubConfig();
+    if (!github) {
+        const error = new Error('GITHUB_TOKEN is not configured');
+        error.statusCode = 503;
+        throw error;
+    }
+    const url = `${GITHUB_API}/repos/${github.repo}/contents/${filePath}`;
+
+    for (let attempt = 1; ; attempt++) {
+        const sha = await currentSha(url, github);
+        const response = await fetch(url, {
+            method: 'PUT',
+            headers: { ...github.headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                message,
+                content: Buffer.from(content).toString('base64'),
+                ...(sha && { sha })
+            })
+        });
+
+        if (response.ok) {
+            return (await response.json()).content?.sha || null;
+        }
+        if ((response.status === 409 || response.status === 422) && attempt < 2) {
+            console.warn(`⚠️ ${filePath} changed while saving, retrying`);
+            continue;
+        }
+        const error = new Error(`GitHub upload of ${filePath} failed: ${response.status}`);
+        error.statusCode = 502;
+        throw error;
+    }
+}
+
+async function currentSha(url, github) {
+    const response = await fetch(url, { headers: github.headers });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        const error = new Error(`GitHub lookup failed: ${response.status}`);
+        error.statusCode = 502;
+        throw error;
+    }
+    return (await response.json()).sha || null;
+}
+
+module.exports = {
+    writeFile
+};
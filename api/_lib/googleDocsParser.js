@@ -0,0 +1,285 @@
+// Google Docs API documents.get JSON -> blocks for api/_lib/semanticChunker.js
+// Reads the document's own structure instead of a DOCX export, so nothing is lost to Word
+// conversion: headings come from the paragraph's named style (HEADING_1-6) with its headingId
+// as the anchor (docs.google.com/document/d/<id>/edit#heading=<anchor>), list items keep their
+// nesting as indented "- item" / "1. item" lines, tables keep their header row and merged title
+// row, and inline images are linked by their contentUri. Like the other parsers it returns
+// { blocks, images, warnings }. Title and subtitle are plain text, as in the DOCX export; in a
+// document with several tabs each tab title heads its own section.
+//
+// contentUri links only work for about 30 minutes; /api/ingest copies the images into the
+// image store (storeLinkedImages) so chunks outlive them.
+// Fixtures: eval/google-docs/*.json, checked offline by scripts/check-google-docs-parser.js.
+
+const tables = require('./tables');
+const { labelImagesFromCaptions } = require('./semanticChunker');
+const { addWarning, addEmbeddedImage, addSourceImage } = require('./documentParsers');
+
+const HEADING_STYLES = /^HEADING_([1-6])$/;
+const ORDERED_GLYPHS = ['DECIMAL', 'ZERO_DECIMAL', 'ALPHA', 'UPPER_ALPHA', 'ROMAN', 'UPPER_ROMAN'];
+const LIST_INDENT = '  ';
+
+/**
+ * Parse a documents.get response (with or without includeTabsContent)
+ * @param {Object} document - The Docs API Document resource
+ * @returns {Object} { blocks, images, warnings }
+ */
+function parseGoogleDoc(document) {
+    const images = [];
+    const warnings = [];
+    const blocks = [];
+
+    const tabs = documentTabs(document);
+    for (const { tab, title } of tabs) {
+        const context = { tab, images, warnings, counters: new Map() };
+        let list = null; // The list block being filled, while consecutive paragraphs are list items
+
+        // Each tab of a multi-tab document is its own section, above its Heading 1s
+        if (tabs.length > 1 && title) {
+            blocks.push({ type: 'heading', level: 0, text: title, images: [] });
+        }
+
+        for (const element of tab.body?.content || []) {
+            if (element.paragraph) {
+                const paragraph = readParagraph(element.paragraph, context);
+                const bullet = element.paragraph.bullet;
+
+                if (bullet && paragraph.text) {
+                    const line = listItem(bullet, paragraph.text, context);
+                    if (list) {
+                        list.text += `\n${line}`;
+                        list.images.push(...paragraph.images);
+                    } else {
+                        list = { type: 'text', text: line, images: paragraph.images };
+                        blocks.push(list);
+                    }
+                    continue;
+                }
+                list = null;
+
+                const style = element.paragraph.paragraphStyle || {};
+                const heading = (style.namedStyleType || '').match(HEADING_STYLES);
+                if (heading && paragraph.text) {
+                    blocks.push({
+                        type: 'heading',
+                        level: parseInt(heading[1], 10),
+                        text: paragraph.text.replace(/\s+/g, ' '),
+                        images: paragraph.images,
+                        ...(style.headingId && { anchor: style.headingId })
+                    });
+                } else if (paragraph.text || paragraph.images.length > 0) {
+                    blocks.push({ type: 'text', text: paragraph.text, images: paragraph.images });
+                }
+            } else if (element.table) {
+                list = null;
+                const { table, images: tableImages } = readTable(element.table, context);
+                if (table.rows.length > 0 || table.title) {
+                    blocks.push({ type: 'text', text: tables.tableToText(table), images: tableImages, table });
+                }
+            } else {
+                // sectionBreak and tableOfContents: the contents list repeats the headings
+                list = null;
+            }
+        }
+    }
+
+    if (!blocks.some(block => block.type === 'heading')) {
+        addWarning(warnings, 'structure', 'No Heading 1-6 paragraphs found in the Google Doc; chunks have no section breadcrumbs');
+    }
+    labelImagesFromCaptions(blocks, images);
+
+    return { blocks, images, warnings };
+}
+
+/**
+ * The document's tabs, nested tabs included, as { tab: { body, lists, inlineObjects }, title }
+ * with child tabs titled "Parent › Child". Without includeTabsContent the document itself is
+ * the only tab.
+ */
+function documentTabs(document) {
+    if (!Array.isArray(document.tabs)) {
+        return [{ tab: document, title: null }];
+    }
+    const flatten = (tabs, parent) => tabs.flatMap(tab => {
+        const title = [parent, tab.tabProperties?.title].filter(Boolean).join(' › ');
+        return [{ tab: tab.documentTab, title }, ...flatten(tab.childTabs || [], title)];
+    });
+    return flatten(document.tabs, null).filter(({ tab }) => tab);
+}
+
+/**
+ * A paragraph's text and image IDs. Vertical tabs (Shift+Enter) become line breaks; smart
+ * chips read as their name or title.
+ */
+function readParagraph(paragraph, context) {
+    let text = '';
+    const images = [];
+
+    for (const element of paragraph.elements || []) {
+        if (element.textRun) {
+            text += element.textRun.content || '';
+        } else if (element.inlineObjectElement) {
+            const id = inlineImage(element.inlineObjectElement.inlineObjectId, context);
+            if (id) images.push(id);
+        } else if (element.person) {
+            const person = element.person.personProperties || {};
+            text += person.name || person.email || '';
+        } else if (element.richLink) {
+            text += element.richLink.richLinkProperties?.title || element.richLink.richLinkProperties?.uri || '';
+        } else if (element.footnoteReference) {
+            addWarning(context.warnings, 'unsupported', 'Footnotes are left out; only the reference number stays in the text');
+            text += `[${element.footnoteReference.footnoteNumber}]`;
+        } else if (element.equation) {
+            addWarning(context.warnings, 'unsupported', 'Equations are left out');
+        }
+        // horizontalRule, pageBreak, columnBreak and autoText (page numbers) carry no content
+    }
+
+    if (paragraph.positionedObjectIds?.length) {
+        addWarning(context.warnings, 'image', 'Images positioned around text (not inline) are left out');
+    }
+
+    return {
+        text: text.replace(/\u000b/g, '\n').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim(),
+        images
+    };
+}
+
+// An inline object's image, linked by its contentUri; drawings and charts without one are reported
+function inlineImage(objectId, context) {
+    const embedded = context.tab.inlineObjects?.[objectId]?.inlineObjectProperties?.embeddedObject;
+    const uri = embedded?.imageProperties?.contentUri;
+    if (!uri) {
+        addWarning(context.warnings, 'image', embedded?.embeddedDrawingProperties
+            ? 'Drawings are left out; insert them as images to keep them'
+            : `Inline object ${objectId} has no image and is left out`);
+        return null;
+    }
+    return addSourceImage(context.images, context.warnings, uri, embedded.description || embedded.title || '');
+}
+
+/**
+ * "- item" for bullets, "1." / "a." / "i." for numbered lists, indented by nesting level.
+ * Numbers count per list and level - across paragraphs in between, as Docs numbers them -
+ * and restart under each new parent item.
+ */
+function listItem(bullet, text, context) {
+    const level = bullet.nestingLevel || 0;
+    const nesting = context.tab.lists?.[bullet.listId]?.listProperties?.nestingLevels?.[level] || {};
+    const indent = LIST_INDENT.repeat(level);
+    const lines = text.split('\n').join(`\n${indent}  `);
+
+    if (!ORDERED_GLYPHS.includes(nesting.glyphType)) {
+        return `${indent}- ${lines}`;
+    }
+
+    const key = `${bullet.listId}:${level}`;
+    const number = (context.counters.get(key) || (nesting.startNumber || 1) - 1) + 1;
+    context.counters.set(key, number);
+    // Deeper levels of this list start again under the next item
+    for (const counter of context.counters.keys()) {
+        const [listId, counterLevel] = counter.split(':');
+        if (listId === bullet.listId && Number(counterLevel) > level) context.counters.delete(counter);
+    }
+
+    return `${indent}${glyph(nesting.glyphType, number)}. ${lines}`;
+}
+
+function glyph(glyphType, number) {
+    if (glyphType === 'ALPHA' || glyphType === 'UPPER_ALPHA') {
+        let letters = '';
+        for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+            letters = String.fromCharCode(97 + (n - 1) % 26) + letters;
+        }
+        return glyphType === 'UPPER_ALPHA' ? letters.toUpperCase() : letters;
+    }
+    if (glyphType === 'ROMAN' || glyphType === 'UPPER_ROMAN') {
+        const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+            [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+        let roman = '';
+        let rest = number;
+        for (const [value, numeral] of numerals) {
+            while (rest >= value) {
+                roman += numeral;
+                rest -= value;
+            }
+        }
+        return glyphType === 'UPPER_ROMAN' ? roman.toUpperCase() : roman;
+    }
+    return String(glyphType === 'ZERO_DECIMAL' && number < 10 ? `0${number}` : number);
+}
+
+/**
+ * Table -> { title, columns, rows } (api/_lib/tables.js). Merged cells are repeated across the
+ * columns they span, as fromGrid expects; rows pinned as headers name the columns.
+ */
+function readTable(table, context) {
+    const images = [];
+    const cellText = (cell) => (cell.content || [])
+        .filter(element => element.paragraph)
+        .map(element => readParagraph(element.paragraph, context))
+        .map(paragraph => {
+            images.push(...paragraph.images);
+            return paragraph.text;
+        })
+        .filter(Boolean)
+        .join(' ');
+
+    const grid = (table.tableRows || []).map(row => {
+        const rowCells = row.tableCells || [];
+        // The API lists the cells a merge covers too (empty), unless the row is short of them
+        const coveredListed = rowCells.length >= (table.columns || 0);
+        const cells = [];
+        let merged = { text: '', until: 0 };
+
+        for (const cell of rowCells) {
+            const span = cell.tableCellStyle?.columnSpan || 1;
+            const text = cellText(cell) || (cells.length < merged.until ? merged.text : '');
+            if (span > 1) merged = { text, until: cells.length + span };
+            cells.push(...Array(coveredListed ? 1 : span).fill(text));
+        }
+        return { cells, header: !!row.tableRowStyle?.tableHeader };
+    });
+
+    return { table: tables.fromGrid(grid), images };
+}
+
+/**
+ * Copy linked images (contentUri) into the image store so chunks keep them after the links
+ * expire. Blocks are updated to the stored IDs; an image that can't be fetched stays a link,
+ * with a warning.
+ * @param {Object} parsed - parseGoogleDoc's result, updated in place
+ */
+async function storeLinkedImages(parsed) {
+    const renamed = new Map();
+    const stored = [];
+
+    for (const image of parsed.images) {
+        if (!image.url) {
+            stored.push(image);
+            continue;
+        }
+        try {
+            const response = await fetch(image.url);
+            if (!response.ok) throw new Error(`${response.status}`);
+            const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0];
+            const id = addEmbeddedImage(stored, Buffer.from(await response.arrayBuffer()), contentType, image.label);
+            stored.find(candidate => candidate.id === id).hasAltText = image.hasAltText;
+            renamed.set(image.id, id);
+        } catch (error) {
+            addWarning(parsed.warnings, 'image', `Image ${image.number} could not be downloaded (${error.message}); it is linked and the link expires`);
+            stored.push(image);
+        }
+    }
+
+    parsed.images = stored;
+    for (const block of parsed.blocks) {
+        block.images = [...new Set(block.images.map(id => renamed.get(id) || id))];
+    }
+    return parsed;
+}
+
+module.exports = {
+    parseGoogleDoc,
+    storeLinkedImages
+};
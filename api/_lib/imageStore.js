@@ -0,0 +1,211 @@
+// Content-addressed store for the images extracted from the SOP
+// Images are named by the SHA-256 of their bytes (<hash>.<ext>), so re-processing the
+// document gives unchanged screenshots the same name and they are never uploaded twice.
+// documentPipeline.js saves them next to the synced chunks in GitHub (data/images/) and
+// /api/images/[id] serves them. Each server instance also keeps a copy in the temp
+// directory, so images render right after processing even without a GitHub token.
+//
+// The processing endpoints are open to anyone, so only requests carrying the write token
+// (X-Write-Token, see writeAccess.js) write to GitHub, and each request stores a limited
+// number of images of limited size.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GITHUB_IMAGE_DIR = 'data/images';
+const LOCAL_IMAGE_DIR = path.join(os.tmpdir(), 'gti-sop-images');
+const HASH_LENGTH = 16; // Hex characters of the SHA-256 kept in the name
+const MAX_IMAGES_PER_REQUEST = 200;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5 MB
+
+const CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    bmp: 'image/bmp',
+    tiff: 'image/tiff',
+    svg: 'image/svg+xml',
+    emf: 'image/x-emf',
+    wmf: 'image/x-wmf'
+};
+
+const ID_PATTERN = new RegExp(`^[a-f0-9]{${HASH_LENGTH}}\\.(${Object.keys(CONTENT_TYPES).join('|')})$`);
+
+/**
+ * Image ID (also its filename) for the given bytes, e.g. "3f2a9c0d1e4b5a67.png"
+ */
+function imageId(data, contentType) {
+    const hash = crypto.createHash('sha256').update(data).digest('hex').substring(0, HASH_LENGTH);
+    return `${hash}.${extensionFor(contentType)}`;
+}
+
+function extensionFor(contentType = '') {
+    const type = contentType.toLowerCase().replace('image/emf', 'image/x-emf').replace('image/wmf', 'image/x-wmf');
+    return Object.keys(CONTENT_TYPES).find(extension => CONTENT_TYPES[extension] === type) || 'png';
+}
+
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function contentTypeFor(id) {
+    return CONTENT_TYPES[id.split('.').pop()] || 'application/octet-stream';
+}
+
+function githubConfig() {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) return null;
+    return {
+        repo: process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'User-Agent': 'GTI-SOP-Assistant/1.0'
+        }
+    };
+}
+
+/**
+ * Persist images ({ id, data: Buffer }). Returns counts for the processing report;
+ * failed uploads are logged and counted, never thrown, so processing still succeeds.
+ * Images over the per-request limits are skipped (counted in `skipped`).
+ * @param {Object} options - { upload: true to also write to GitHub (writeAccess.writeAllowed) }
+ */
+async function saveImages(images, options = {}) {
+    const result = { stored: 0, uploaded: 0, existing: 0, failed: 0, skipped: 0, github: false, unauthorized: false };
+
+    const accepted = images
+        .filter(image => image.data.length <= MAX_IMAGE_BYTES)
+        .slice(0, MAX_IMAGES_PER_REQUEST);
+    result.skipped = images.length - accepted.length;
+    if (result.skipped > 0) {
+        console.warn(`⚠️ Skipped ${result.skipped} images over the limits ` +
+            `(${MAX_IMAGES_PER_REQUEST} per request, ${MAX_IMAGE_BYTES / 1024 / 1024} MB each)`);
+    }
+
+    fs.mkdirSync(LOCAL_IMAGE_DIR, { recursive: true });
+    for (const image of accepted) {
+        fs.writeFileSync(path.join(LOCAL_IMAGE_DIR, image.id), image.data);
+        result.stored++;
+    }
+
+    const github = githubConfig();
+    if (!github || accepted.length === 0) {
+        return result;
+    }
+    if (!options.upload) {
+        result.unauthorized = true;
+        return result;
+    }
+    result.github = true;
+
+    // One listing instead of a lookup per image - names are content hashes, so a match is the same image
+    const existing = await listGitHubImages(github);
+
+    for (const image of accepted) {
+        if (existing.has(image.id)) {
+            result.existing++;
+            continue;
+        }
+
+        try {
+            const response = await fetch(`https://api.github.com/repos/${github.repo}/contents/${GITHUB_IMAGE_DIR}/${image.id}`, {
+                method: 'PUT',
+                headers: { ...github.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    message: `Add SOP image ${image.id}`,
+                    content: image.data.toString('base64')
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`GitHub API error: ${response.status}`);
+            }
+            existing.add(image.id);
+            result.uploaded++;
+        } catch (error) {
+            console.warn(`⚠️ Could not upload image ${image.id}:`, error.message);
+            result.failed++;
+        }
+    }
+
+    console.log(`🖼️ Images: ${result.uploaded} uploaded, ${result.existing} already in GitHub, ${result.failed} failed`);
+    return result;
+}
+
+async function listGitHubImages(github) {
+    try {
+        const response = await fetch(`https://api.github.com/repos/${github.repo}/contents/${GITHUB_IMAGE_DIR}`, {
+            headers: { ...github.headers, 'Accept': 'application/vnd.github.v3+json' }
+        });
+
+        if (response.status === 404) {
+            return new Set(); // First upload creates the directory
+        }
+        if (!response.ok) {
+            throw new Error(`GitHub API error: ${response.status}`);
+        }
+
+        const files = await response.json();
+        return new Set(files.map(file => file.name));
+    } catch (error) {
+        console.warn('⚠️ Could not list images in GitHub:', error.message);
+        return new Set();
+    }
+}
+
+/**
+ * Image bytes for an ID, or null when no store has it. Looks in this instance's copy,
+ * then the deployment's data/images, then GitHub (caching what it downloads).
+ */
+async function loadImage(id) {
+    if (!isValidId(id)) {
+        return null;
+    }
+
+    for (const directory of [LOCAL_IMAGE_DIR, path.join(process.cwd(), GITHUB_IMAGE_DIR)]) {
+        const file = path.join(directory, id);
+        if (fs.existsSync(file)) {
+            return fs.readFileSync(file);
+        }
+    }
+
+    const github = githubConfig();
+    if (!github) {
+        return null;
+    }
+
+    const response = await fetch(`https://api.github.com/repos/${github.repo}/contents/${GITHUB_IMAGE_DIR}/${id}`, {
+        headers: { ...github.headers, 'Accept': 'application/vnd.github.v3.raw' }
+    });
+
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        const error = new Error(`GitHub image download failed: ${response.status}`);
+        error.statusCode = 502;
+        throw error;
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    try {
+        fs.mkdirSync(LOCAL_IMAGE_DIR, { recursive: true });
+        fs.writeFileSync(path.join(LOCAL_IMAGE_DIR, id), data);
+    } catch (error) {
+        console.warn(`⚠️ Could not cache image ${id}:`, error.message);
+    }
+    return data;
+}
+
+module.exports = {
+    MAX_IMAGES_PER_REQUEST,
+    MAX_IMAGE_BYTES,
+    imageId,
+    isValidId,
+    contentTypeFor,
+    saveImages,
+    loadImage
+};
@@ -0,0 +1,328 @@
+// Where a synced Google Doc comes from: the strategy chain behind /api/ingest
+// Strategies are tried in order until one serves the document. Each attempt is recorded -
+// which strategy, whether it was skipped or failed, the HTTP status and why - so a sync can
+// always say what actually served its chunks and why the ones before it did not.
+//   docs-api        The document's structure from the Docs API (api/_lib/googleDocsParser.js),
+//                   with the service account (GOOGLE_CLIENT_EMAIL / GOOGLE_PRIVATE_KEY)
+//   drive-api       DOCX export through the Drive API with the same service account
+//   public-export   The docs.google.com export URL, for documents shared as "Anyone with the link"
+//   github-docx     Live_GTI_SOP.docx committed to the GitHub repo (the bundled SOP only)
+//   bundled-chunks  semantic_chunks.json deployed with the site (the bundled SOP only)
+// The last two are fallbacks: they serve a stored copy, not the Google Doc as it is now, and
+// say so in `fallback` so the UI can flag the data as possibly stale. Nothing here ever
+// serves made-up sample content.
+//
+// The service account strategies also report the document's Drive revision ({ id, modifiedTime },
+// see revisionOf). checkRevision reads just that, so a sync can skip the download when the
+// document has not changed since the revision its chunks came from.
+
+const fs = require('fs');
+const path = require('path');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const FILE_FIELDS = 'name,modifiedTime,version,headRevisionId';
+
+// The SOP whose DOCX and chunks ship with the site (js/googleDocsSync.js has the same ID)
+const BUNDLED_DOCUMENT_ID = '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA';
+
+const STRATEGIES = [
+    {
+        id: 'docs-api',
+        label: 'Google Docs API (service account)',
+        fetch: fetchDocsApiDocument
+    },
+    {
+        id: 'drive-api',
+        label: 'Google Drive API (service account)',
+        fetch: fetchWithServiceAccount
+    },
+    {
+        id: 'public-export',
+        label: 'Public Google Docs export link',
+        fetch: fetchPublicExport
+    },
+    {
+        id: 'github-docx',
+        label: 'Live_GTI_SOP.docx in GitHub',
+        bundledOnly: true,
+        fallback: 'the DOCX copy in GitHub, which may be older than the Google Doc',
+        fetch: fetchGitHubDocx
+    },
+    {
+        id: 'bundled-chunks',
+        label: 'semantic_chunks.json deployed with the site',
+        bundledOnly: true,
+        fallback: 'the chunks deployed with the site, which may be older than the Google Doc',
+        fetch: loadBundledChunks
+    }
+];
+
+/**
+ * Try the strategies in order until one serves the document and `prepare` accepts it
+ * @param {Object} request - { documentId, documentName }
+ * @param {Function} prepare - (fetched, strategy) => result; a throw counts as that strategy failing
+ * @param {Object} options - { strategies: ids to try (default all) }
+ * @returns {Promise<Object>} { strategy, result, attempts }; throws a 502 error with `attempts` when all fail
+ */
+async function runChain(request, prepare, options = {}) {
+    const strategies = options.strategies
+        ? STRATEGIES.filter(strategy => options.strategies.includes(strategy.id))
+        : STRATEGIES;
+    const attempts = [];
+
+    for (const strategy of strategies) {
+        const attempt = { strategy: strategy.id, label: strategy.label, ok: false };
+        attempts.push(attempt);
+
+        if (strategy.bundledOnly && request.documentId !== BUNDLED_DOCUMENT_ID) {
+            attempt.skipped = true;
+            attempt.error = 'Only serves the bundled SOP document';
+            continue;
+        }
+
+        const started = Date.now();
+        try {
+            console.log(`📥 Ingest: trying ${strategy.id} for ${request.documentId}...`);
+            const fetched = await strategy.fetch(request);
+            const result = await prepare(fetched, strategy);
+            attempt.ok = true;
+            attempt.ms = Date.now() - started;
+            console.log(`✅ Ingest: served by ${strategy.id}`);
+            return { strategy, result, attempts };
+        } catch (error) {
+            attempt.ms = Date.now() - started;
+            attempt.error = error.message;
+            if (error.skipped) attempt.skipped = true;
+            if (error.status) attempt.status = error.status;
+            if (error.hint) attempt.hint = error.hint;
+            console.log(`❌ Ingest: ${strategy.id} ${error.skipped ? 'skipped' : 'failed'}: ${error.message}`);
+        }
+    }
+
+    const error = new Error(`Could not get ${request.documentName || request.documentId} from any source: ` +
+        attempts.map(attempt => `${attempt.strategy}: ${attempt.error}`).join('; '));
+    error.statusCode = 502;
+    error.attempts = attempts;
+    throw error;
+}
+
+/**
+ * The document's current Drive revision, without downloading it (needs the service account)
+ * @returns {Promise<Object>} { name, modifiedTime, version, revision }
+ */
+async function checkRevision({ documentId, documentName }) {
+    const google = googleApis();
+    const auth = serviceAccount(google, ['https://www.googleapis.com/auth/drive.readonly']);
+    const drive = google.drive({ version: 'v3', auth });
+
+    try {
+        const file = await drive.files.get({ fileId: documentId, fields: FILE_FIELDS });
+        return fileDocument(file.data, documentName);
+    } catch (error) {
+        throw googleApiError(error, documentId);
+    }
+}
+
+/**
+ * A Drive file's revision: { id, modifiedTime }. Uploaded files have a headRevisionId; native
+ * Google Docs don't, so theirs is the Drive version number ("v812"), which goes up with every
+ * change to the file - an unchanged ID means unchanged content.
+ */
+function revisionOf(file) {
+    const id = file.headRevisionId || (file.version ? `v${file.version}` : null);
+    return id ? { id, modifiedTime: file.modifiedTime || null } : null;
+}
+
+// Whether the revision a sync already has is still the current one (unknown revisions never match)
+function sameRevision(knownId, revision) {
+    return !!knownId && !!revision && revision.id === knownId;
+}
+
+function fileDocument(file, documentName) {
+    return {
+        name: file.name || documentName,
+        modifiedTime: file.modifiedTime,
+        version: file.version,
+        revision: revisionOf(file)
+    };
+}
+
+async function fetchDocsApiDocument({ documentId, documentName }) {
+    const google = googleApis();
+    const auth = serviceAccount(google, [
+        'https://www.googleapis.com/auth/documents.readonly',
+        'https://www.googleapis.com/auth/drive.readonly'
+    ]);
+    const docs = google.docs({ version: 'v1', auth });
+    const drive = google.drive({ version: 'v3', auth });
+
+    try {
+        // Metadata first: an edit in between shows up as a newer revision on the next sync
+        const file = await drive.files.get({ fileId: documentId, fields: FILE_FIELDS });
+        const document = await docs.documents.get({ documentId, includeTabsContent: true });
+        return {
+            googleDoc: document.data,
+            document: fileDocument(file.data, document.data.title || documentName)
+        };
+    } catch (error) {
+        throw googleApiError(error, documentId);
+    }
+}
+
+async function fetchWithServiceAccount({ documentId, documentName }) {
+    const google = googleApis();
+    const auth = serviceAccount(google, ['https://www.googleapis.com/auth/drive.readonly']);
+    const drive = google.drive({ version: 'v3', auth });
+
+    try {
+        const file = await drive.files.get({ fileId: documentId, fields: FILE_FIELDS });
+        const exported = await drive.files.export(
+            { fileId: documentId, mimeType: DOCX_MIME_TYPE },
+            { responseType: 'arraybuffer' }
+        );
+        return {
+            docx: Buffer.from(exported.data),
+            document: fileDocument(file.data, documentName)
+        };
+    } catch (error) {
+        throw googleApiError(error, documentId);
+    }
+}
+
+// googleapis with the service account configured; throws a skipped strategy error otherwise
+function googleApis() {
+    if (!process.env.GOOGLE_CLIENT_EMAIL || !process.env.GOOGLE_PRIVATE_KEY) {
+        throw strategyError('GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY are not set', { skipped: true });
+    }
+    try {
+        return require('googleapis').google;
+    } catch (e) {
+        throw strategyError('googleapis is not installed', { skipped: true });
+    }
+}
+
+function serviceAccount(google, scopes) {
+    return new google.auth.JWT(
+        process.env.GOOGLE_CLIENT_EMAIL,
+        null,
+        process.env.GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'),
+        scopes
+    );
+}
+
+// A googleapis error as a strategy failure with what to do about it
+function googleApiError(error, documentId) {
+    const status = error.code || error.response?.status;
+    if (/invalid_grant|JWT/i.test(error.message)) {
+        return strategyError(`Service account authentication failed: ${error.message}`, {
+            status: 401,
+            hint: 'Check GOOGLE_CLIENT_EMAIL and GOOGLE_PRIVATE_KEY (with \\n newlines in the key)'
+        });
+    }
+    if (status === 403) {
+        // Also a project without the Docs or Drive API enabled - the message says which
+        return strategyError(`Access denied: ${error.message}`, {
+            status,
+            hint: `Share the document with ${process.env.GOOGLE_CLIENT_EMAIL} as a Viewer`
+        });
+    }
+    if (status === 404) {
+        return strategyError('Document not found', { status, hint: `Check the document ID: ${documentId}` });
+    }
+    return strategyError(error.message, { status });
+}
+
+async function fetchPublicExport({ documentId }) {
+    const response = await fetch(`https://docs.google.com/document/d/${encodeURIComponent(documentId)}/export?format=docx`, {
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; GTI-SOP-Bot/1.0)' }
+    });
+
+    if (!response.ok) {
+        const denied = response.status === 401 || response.status === 403;
+        throw strategyError(denied
+            ? 'The document is not shared publicly'
+            : `Export failed: ${response.status} ${response.statusText}`, {
+            status: response.status,
+            hint: denied
+                ? 'Share the document as "Anyone with the link" → Viewer, or configure the service account'
+                : response.status === 404 ? `Check the document ID: ${documentId}` : undefined
+        });
+    }
+
+    // Private documents redirect to a sign-in page that answers 200 with HTML
+    const docx = Buffer.from(await response.arrayBuffer());
+    if (!isDocx(docx)) {
+        throw strategyError('Google answered with a sign-in page instead of the DOCX - the document is not shared publicly', {
+            status: response.status,
+            hint: 'Share the document as "Anyone with the link" → Viewer, or configure the service account'
+        });
+    }
+
+    return { docx, document: {} };
+}
+
+async function fetchGitHubDocx() {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) {
+        throw strategyError('GITHUB_TOKEN is not set', { skipped: true });
+    }
+
+    const repo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+    const response = await fetch(`https://api.github.com/repos/${repo}/contents/Live_GTI_SOP.docx`, {
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/vnd.github.v3.raw',
+            'User-Agent': 'GTI-SOP-Assistant/1.0'
+        }
+    });
+
+    if (!response.ok) {
+        throw strategyError(`GitHub download failed: ${response.status}`, {
+            status: response.status,
+            hint: response.status === 404 ? `Commit Live_GTI_SOP.docx to ${repo}` : undefined
+        });
+    }
+
+    const docx = Buffer.from(await response.arrayBuffer());
+    if (!isDocx(docx)) {
+        throw strategyError('Live_GTI_SOP.docx in GitHub is not a DOCX file');
+    }
+
+    const lastModified = response.headers.get('last-modified');
+    return { docx, document: lastModified ? { modifiedTime: new Date(lastModified).toISOString() } : {} };
+}
+
+async function loadBundledChunks() {
+    const chunksPath = path.join(process.cwd(), 'semantic_chunks.json');
+    if (!fs.existsSync(chunksPath)) {
+        throw strategyError('semantic_chunks.json is not deployed with the site');
+    }
+
+    const chunks = JSON.parse(fs.readFileSync(chunksPath, 'utf8'));
+    if (!Array.isArray(chunks) || chunks.length === 0) {
+        throw strategyError('semantic_chunks.json has no chunks');
+    }
+
+    return { chunks, document: {} };
+}
+
+// DOCX files are ZIP archives ("PK\x03\x04")
+function isDocx(buffer) {
+    return buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+function strategyError(message, details = {}) {
+    const error = new Error(message);
+    Object.assign(error, Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined)));
+    return error;
+}
+
+module.exports = {
+    BUNDLED_DOCUMENT_ID,
+    STRATEGIES,
+    runChain,
+    checkRevision,
+    sameRevision,
+    googleApis,
+    serviceAccount
+};
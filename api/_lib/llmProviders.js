@@ -0,0 +1,407 @@
+// LLM provider registry
+// Each provider declares its models, how it authenticates, how a chat request is
+// mapped onto its API and how answers (whole or streamed) are read back.
+// /api/chat generates through it and /api/config lists its models for #modelSelect.
+//
+// Provider shape:
+//   id, label
+//   configured()                      - true when the env vars it needs are set
+//   models()                          - [{ id, label, upstream, maxOutputTokens, contextWindow }]
+//   buildRequest(model, prompt, opts) - { url, headers, body } for fetch
+//   parseResponse(json)               - answer text from a non-streamed response
+//   parseStreamEvent(event)           - text delta from one streamed SSE event
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 1000;
+const MAX_HISTORY_MESSAGES = 6; // 3 question/answer turns
+const MAX_HISTORY_MESSAGE_LENGTH = 2000;
+
+// Base URLs are overridable so the app can be pointed at a local mock server (scripts/mock-llm-server.js)
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const GEMINI_BASE_URL = process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta';
+const ANTHROPIC_BASE_URL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+
+// "a, b ,c" -> ['a', 'b', 'c']
+function envList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// OpenAI-style chat messages, shared by OpenAI, Azure OpenAI and local servers
+function openAIMessages(prompt) {
+    return [
+        { role: 'system', content: prompt.systemPrompt },
+        ...prompt.history,
+        { role: 'user', content: prompt.context }
+    ];
+}
+
+function openAICompatible(overrides) {
+    return {
+        parseResponse: (result) => result.choices?.[0]?.message?.content || '',
+        parseStreamEvent: (event) => event.choices?.[0]?.delta?.content || '',
+        ...overrides
+    };
+}
+
+const providers = [
+    {
+        id: 'gemini',
+        label: 'Google Gemini',
+        configured: () => !!process.env.GEMINI_API_KEY,
+        models: () => [
+            { id: 'gemini-2.0', label: 'Gemini 2.0 Flash', upstream: 'gemini-2.0-flash', maxOutputTokens: 1000, contextWindow: 1000000 }
+        ],
+        buildRequest(model, prompt, options) {
+            const action = options.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+            return {
+                url: `${GEMINI_BASE_URL}/models/${model.upstream}:${action}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-goog-api-key': process.env.GEMINI_API_KEY
+                },
+                body: {
+                    contents: [
+                        ...prompt.history.map(message => ({
+                            role: message.role === 'assistant' ? 'model' : 'user',
+                            parts: [{ text: message.content }]
+                        })),
+                        {
+                            role: 'user',
+                            parts: [{ text: `${prompt.systemPrompt}\n\n${prompt.context}` }]
+                        }
+                    ],
+                    generationConfig: {
+                        temperature: prompt.temperature,
+                        maxOutputTokens: model.maxOutputTokens
+                    }
+                }
+            };
+        },
+        parseResponse: (result) => result.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '',
+        parseStreamEvent: (event) => event.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || ''
+    },
+
+    openAICompatible({
+        id: 'openai',
+        label: 'OpenAI',
+        configured: () => !!process.env.OPENAI_API_KEY,
+        models: () => [
+            { id: 'gpt-4-mini', label: 'GPT-4 Mini', upstream: 'gpt-4o-mini', maxOutputTokens: 1000, contextWindow: 128000 },
+            { id: 'gpt-4', label: 'GPT-4', upstream: 'gpt-4', maxOutputTokens: 1000, contextWindow: 8192 }
+        ],
+        buildRequest(model, prompt, options) {
+            return {
+                url: `${OPENAI_BASE_URL}/chat/completions`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+                },
+                body: {
+                    model: model.upstream,
+                    messages: openAIMessages(prompt),
+                    max_tokens: model.maxOutputTokens,
+                    temperature: prompt.temperature,
+                    stream: !!options.stream
+                }
+            };
+        }
+    }),
+
+    {
+        id: 'anthropic',
+        label: 'Anthropic',
+        configured: () => !!process.env.ANTHROPIC_API_KEY,
+        models: () => [
+            { id: 'claude-sonnet', label: 'Claude Sonnet 4', upstream: 'claude-sonnet-4-20250514', maxOutputTokens: 1000, contextWindow: 200000 },
+            { id: 'claude-haiku', label: 'Claude Haiku 3.5', upstream: 'claude-3-5-haiku-latest', maxOutputTokens: 1000, contextWindow: 200000 }
+        ],
+        buildRequest(model, prompt, options) {
+            return {
+                url: `${ANTHROPIC_BASE_URL}/messages`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': process.env.ANTHROPIC_API_KEY,
+                    'anthropic-version': ANTHROPIC_VERSION
+                },
+                body: {
+                    model: model.upstream,
+                    system: prompt.systemPrompt,
+                    messages: [
+                        ...prompt.history,
+                        { role: 'user', content: prompt.context }
+                    ],
+                    max_tokens: model.maxOutputTokens,
+                    temperature: prompt.temperature,
+                    stream: !!options.stream
+                }
+            };
+        },
+        parseResponse: (result) => (result.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+        parseStreamEvent(event) {
+            if (event.type === 'error') {
+                throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown'}`);
+            }
+            return event.type === 'content_block_delta' ? event.delta?.text || '' : '';
+        }
+    },
+
+    // Azure deploys models under names chosen per resource, so models are the configured deployments
+    openAICompatible({
+        id: 'azure-openai',
+        label: 'Azure OpenAI',
+        configured: () => !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY &&
+            envList(process.env.AZURE_OPENAI_DEPLOYMENTS).length),
+        models: () => envList(process.env.AZURE_OPENAI_DEPLOYMENTS).map(deployment => ({
+            id: `azure/${deployment}`,
+            label: `Azure ${deployment}`,
+            upstream: deployment,
+            maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+            contextWindow: 128000
+        })),
+        buildRequest(model, prompt, options) {
+            const endpoint = process.env.AZURE_OPENAI_ENDPOINT.replace(/\/+$/, '');
+            return {
+                url: `${endpoint}/openai/deployments/${encodeURIComponent(model.upstream)}/chat/completions?api-version=${AZURE_OPENAI_API_VERSION}`,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'api-key': process.env.AZURE_OPENAI_API_KEY
+                },
+                body: {
+                    messages: openAIMessages(prompt),
+                    max_tokens: model.maxOutputTokens,
+                    temperature: prompt.temperature,
+                    stream: !!options.stream
+                }
+            };
+        }
+    }),
+
+    // Any OpenAI-compatible server for offline use, e.g. Ollama (http://localhost:11434/v1)
+    // or llama.cpp's llama-server (http://localhost:8080/v1)
+    openAICompatible({
+        id: 'local',
+        label: 'Local (OpenAI-compatible)',
+        configured: () => !!process.env.LOCAL_LLM_BASE_URL,
+        models: () => envList(process.env.LOCAL_LLM_MODELS || 'llama3.1').map(name => ({
+            id: `local/${name}`,
+            label: `Local ${name}`,
+            upstream: name,
+            maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+            contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW || '8192', 10)
+        })),
+        buildRequest(model, prompt, options) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.LOCAL_LLM_API_KEY) {
+                headers['Authorization'] = `Bearer ${process.env.LOCAL_LLM_API_KEY}`;
+            }
+            return {
+                url: `${process.env.LOCAL_LLM_BASE_URL.replace(/\/+$/, '')}/chat/completions`,
+                headers,
+                body: {
+                    model: model.upstream,
+                    messages: openAIMessages(prompt),
+                    max_tokens: model.maxOutputTokens,
+                    temperature: prompt.temperature,
+                    stream: !!options.stream
+                }
+            };
+        }
+    })
+];
+
+/**
+ * Every model in the registry, flagged with whether its provider is configured
+ */
+function listModels() {
+    return providers.flatMap(provider => provider.models().map(model => ({
+        id: model.id,
+        label: model.label,
+        provider: provider.id,
+        providerLabel: provider.label,
+        configured: provider.configured(),
+        maxOutputTokens: model.maxOutputTokens,
+        contextWindow: model.contextWindow
+    })));
+}
+
+function listProviders() {
+    return providers.map(provider => ({
+        id: provider.id,
+        label: provider.label,
+        configured: provider.configured()
+    }));
+}
+
+/**
+ * Resolve a model id to { provider, model }, or null if no provider declares it
+ */
+function resolveModel(modelId) {
+    for (const provider of providers) {
+        const model = provider.models().find(candidate => candidate.id === modelId);
+        if (model) {
+            return { provider, model };
+        }
+    }
+    return null;
+}
+
+/**
+ * Generate an answer with the given model.
+ * @param {string} modelId - Registry model id, e.g. 'gemini-2.0' or 'local/llama3.1'
+ * @param {Object} prompt - { systemPrompt, context, history, temperature }
+ * @param {Object} options - { stream, signal, onToken(delta) }
+ * @returns {Promise<string>} Full answer text
+ */
+async function generate(modelId, prompt, options = {}) {
+    const resolved = resolveModel(modelId);
+    if (!resolved) {
+        throw clientError(`Unsupported model: ${modelId}`);
+    }
+
+    const { provider, model } = resolved;
+    if (!provider.configured()) {
+        throw clientError(`${provider.label} is not configured on the server`);
+    }
+
+    const request = provider.buildRequest(model, fitToContextWindow(model, prompt), options);
+    const response = await fetch(request.url, {
+        method: 'POST',
+        signal: options.signal,
+        headers: request.headers,
+        body: JSON.stringify(request.body)
+    });
+
+    if (!response.ok) {
+        const error = new Error(`${provider.label} API error: ${response.status}`);
+        error.statusCode = 502;
+        throw error;
+    }
+
+    const text = options.stream
+        ? await readEventStream(response, provider.parseStreamEvent, options.onToken)
+        : provider.parseResponse(await response.json());
+
+    if (!text) {
+        throw new Error('No response generated');
+    }
+
+    return text;
+}
+
+// Rough 4-characters-per-token estimate - good enough to keep small local models from overflowing
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+// Drop the oldest history turns, then trim the documentation, until the prompt fits
+function fitToContextWindow(model, prompt) {
+    const budget = model.contextWindow - model.maxOutputTokens;
+    const size = (history, context) => estimateTokens(prompt.systemPrompt + context) +
+        history.reduce((total, message) => total + estimateTokens(message.content), 0);
+
+    let history = prompt.history;
+    while (history.length && size(history, prompt.context) > budget) {
+        history = history.slice(2);
+    }
+
+    let context = prompt.context;
+    const overflow = size(history, context) - budget;
+    if (overflow > 0) {
+        context = context.substring(0, Math.max(0, context.length - overflow * 4));
+        console.warn(`⚠️ Context trimmed to fit ${model.id} (${model.contextWindow} tokens)`);
+    }
+
+    return { ...prompt, history, context };
+}
+
+// Keep only well-formed recent turns of the client's history, so it can't blow up the prompt.
+// Turns must alternate, open with a question and end with an answer (the new question follows)
+// - some providers (Anthropic) reject anything else.
+function sanitizeHistory(history) {
+    if (!Array.isArray(history)) return [];
+
+    const turns = [];
+    for (const message of history) {
+        if (!message ||
+            (message.role !== 'user' && message.role !== 'assistant') ||
+            typeof message.content !== 'string' ||
+            !message.content.trim()) {
+            continue;
+        }
+        const content = message.content.substring(0, MAX_HISTORY_MESSAGE_LENGTH);
+        const last = turns[turns.length - 1];
+        if (last?.role === message.role) {
+            // e.g. a question whose answer failed, then the next question
+            last.content = `${last.content}\n\n${content}`.substring(0, MAX_HISTORY_MESSAGE_LENGTH);
+        } else {
+            turns.push({ role: message.role, content });
+        }
+    }
+
+    const messages = turns.slice(-MAX_HISTORY_MESSAGES);
+    while (messages.length && messages[0].role !== 'user') {
+        messages.shift();
+    }
+    while (messages.length && messages[messages.length - 1].role !== 'assistant') {
+        messages.pop();
+    }
+
+    return messages;
+}
+
+// Reads an upstream SSE body, forwarding each text delta and returning the full text
+async function readEventStream(response, extractDelta, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+
+    const handleLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data || data === '[DONE]') return;
+
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch (error) {
+            console.warn('⚠️ Skipping malformed stream event:', data.substring(0, 100));
+            return;
+        }
+
+        const delta = extractDelta(event);
+        if (delta) {
+            fullText += delta;
+            if (onToken) onToken(delta);
+        }
+    };
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return fullText;
+}
+
+function clientError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+}
+
+module.exports = {
+    providers,
+    listModels,
+    listProviders,
+    resolveModel,
+    generate,
+    fitToContextWindow,
+    sanitizeHistory
+};
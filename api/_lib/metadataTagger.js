@@ -0,0 +1,187 @@
+// LLM metadata tagging
+// A second opinion on the regex tags of ingestion (js/taxonomy.js): a chat model reads each
+// chunk and assigns states, order types and topics from the taxonomy, each with a 0..1
+// confidence. The result is stored next to the regex tags, never in place of them:
+//   metadata.llm_tags = { model, content_hash, states: { OH: 0.95 }, sections: { RISE: 0.8 }, topics: { ... } }
+// The retriever's tag source setting decides which set search uses. Any model in the LLM
+// registry works, including a local one (LOCAL_LLM_BASE_URL). Used by documentPipeline.js
+// (with METADATA_TAGGER_MODEL set) and scripts/tag-metadata.js.
+
+const llmProviders = require('./llmProviders');
+
+const BATCH_SIZE = 8; // Chunks per LLM call
+const CONCURRENCY = 3; // LLM calls in flight at once
+const MAX_CHUNK_LENGTH = 1500; // Characters of each chunk shown to the model
+const TAG_FIELDS = ['states', 'sections', 'topics'];
+
+// Readable hint words for a topic's regex patterns ("\\bmin\\b" -> "min", "prop.*65" -> "prop 65")
+function patternHint(pattern) {
+    return pattern
+        .replace(/\\[bs]|\.\*/g, ' ')
+        .replace(/[\\^$()[\]?*+|]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function buildInstructions(taxonomy) {
+    const list = (entries) => entries
+        .map(entry => `${entry.id} (${entry.patterns.map(pattern => patternHint(pattern.source)).join(', ')})`)
+        .join('; ');
+
+    return [
+        'You tag passages from a company\'s Standard Operating Procedures for search.',
+        'For every passage, list the US states its rules apply to, its order types and its topics, using ONLY the ids below.',
+        'Tag what the passage is about, not every word it happens to contain: "min" in a time or "date" in a heading',
+        'does not make an order limit or delivery date passage. Give each tag a confidence from 0 to 1 and leave a list empty when nothing applies.',
+        `STATES: ${taxonomy.states.map(state => `${state.code} (${state.name})`).join(', ')}.`,
+        `ORDER TYPES: ${list(taxonomy.orderTypes)}.`,
+        `TOPICS: ${list(taxonomy.topics)}.`,
+        'Reply with only a JSON object mapping each passage number to its tags, e.g.',
+        '{"1": {"states": {"OH": 0.95}, "sections": {"RISE": 0.8}, "topics": {"PRICING": 0.9, "ORDER_LIMIT": 0.4}}}.'
+    ].join(' ');
+}
+
+function formatPassages(chunks) {
+    return chunks.map((chunk, index) => {
+        const heading = chunk.heading_path?.length ? `Section: ${chunk.heading_path.join(' › ')}\n` : '';
+        return `--- Passage ${index + 1} ---\n${heading}${String(chunk.text || '').substring(0, MAX_CHUNK_LENGTH)}`;
+    }).join('\n\n');
+}
+
+// {"1": {"states": {...}, ...}} (possibly wrapped in prose or a code fence) -> one tag set per chunk,
+// keeping only taxonomy ids and clamping confidences to 0..1
+function parseTags(answer, count, taxonomy) {
+    const match = answer.match(/\{[\s\S]*\}/);
+    let parsed;
+    try {
+        parsed = JSON.parse(match ? match[0] : answer);
+    } catch (error) {
+        const parseError = new Error('LLM returned unreadable metadata tags');
+        parseError.statusCode = 502;
+        throw parseError;
+    }
+
+    const known = {
+        states: new Set(taxonomy.states.map(state => state.code)),
+        sections: new Set(taxonomy.orderTypes.map(orderType => orderType.id)),
+        topics: new Set(taxonomy.topics.map(topic => topic.id))
+    };
+
+    return Array.from({ length: count }, (_, index) => {
+        const entry = parsed[index + 1] || parsed[String(index + 1)] || {};
+        const tags = {};
+        for (const field of TAG_FIELDS) {
+            tags[field] = {};
+            for (const [id, confidence] of Object.entries(entry[field] || {})) {
+                const value = Number(confidence);
+                if (known[field].has(id) && Number.isFinite(value)) {
+                    tags[field][id] = Math.round(Math.min(1, Math.max(0, value)) * 100) / 100;
+                }
+            }
+        }
+        return tags;
+    });
+}
+
+/**
+ * Tag chunks with a chat model
+ * @param {Array} chunks - Semantic chunks ({ text, heading_path, content_hash })
+ * @param {Taxonomy} taxonomy - The ids the model may assign
+ * @param {Object} options - { model, onProgress(done, total) }
+ * @returns {Promise<Object>} { tags: [llm_tags | null per chunk], failed: number of chunks whose batch failed, errors }
+ */
+async function tagChunks(chunks, taxonomy, options = {}) {
+    const model = options.model;
+    const systemPrompt = buildInstructions(taxonomy);
+    const tags = new Array(chunks.length).fill(null);
+    const errors = [];
+    let failed = 0;
+    let done = 0;
+
+    const batches = [];
+    for (let start = 0; start < chunks.length; start += BATCH_SIZE) {
+        batches.push(start);
+    }
+
+    // A failed batch leaves its chunks untagged rather than losing the others
+    const runBatch = async (start) => {
+        const batch = chunks.slice(start, start + BATCH_SIZE);
+        try {
+            const answer = await llmProviders.generate(model, {
+                systemPrompt,
+                context: formatPassages(batch),
+                history: [],
+                temperature: 0
+            });
+            parseTags(answer, batch.length, taxonomy).forEach((chunkTags, index) => {
+                tags[start + index] = { model, content_hash: batch[index].content_hash || null, ...chunkTags };
+            });
+        } catch (error) {
+            failed += batch.length;
+            errors.push(error.message);
+        }
+        done += batch.length;
+        options.onProgress?.(done, chunks.length);
+    };
+
+    while (batches.length > 0) {
+        await Promise.all(batches.splice(0, CONCURRENCY).map(runBatch));
+    }
+
+    return { tags, failed, errors: [...new Set(errors)] };
+}
+
+/**
+ * The optional ingestion pass: tags chunks in place (metadata.llm_tags) and reports how it went.
+ * Never throws - the regex tags are always there to fall back on.
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<Object>} { model, tagged, failed, error? }
+ */
+async function applyTags(chunks, taxonomy, model, options = {}) {
+    const resolved = llmProviders.resolveModel(model);
+    if (!resolved || !resolved.provider.configured()) {
+        console.warn(`⚠️ Metadata tagging skipped: ${model} is not available on the server`);
+        return { model, tagged: 0, failed: chunks.length, error: `${model} is not available on the server` };
+    }
+
+    console.log(`🏷️ Tagging ${chunks.length} chunks with ${model}...`);
+    const result = await tagChunks(chunks, taxonomy, { model, onProgress: options.onProgress });
+    result.tags.forEach((tags, index) => {
+        if (tags) chunks[index].metadata.llm_tags = tags;
+    });
+
+    const tagged = result.tags.filter(Boolean).length;
+    if (result.failed > 0) {
+        console.warn(`⚠️ Metadata tagging failed for ${result.failed} chunks: ${result.errors.join('; ')}`);
+    }
+    console.log(`✅ Tagged ${tagged}/${chunks.length} chunks with ${model}`);
+
+    return {
+        model,
+        tagged,
+        failed: result.failed,
+        ...(result.errors.length > 0 && { error: result.errors.join('; ') })
+    };
+}
+
+/**
+ * Tags at or above a confidence, as plain lists like the regex tags
+ */
+function confidentTags(llmTags, minConfidence) {
+    const tags = {};
+    for (const field of TAG_FIELDS) {
+        tags[field] = Object.entries(llmTags?.[field] || {})
+            .filter(([, confidence]) => confidence >= minConfidence)
+            .map(([id]) => id);
+    }
+    return tags;
+}
+
+module.exports = {
+    TAG_FIELDS,
+    buildInstructions,
+    parseTags,
+    tagChunks,
+    applyTags,
+    confidentTags
+};
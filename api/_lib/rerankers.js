@@ -0,0 +1,127 @@
+// Reranker registry
+// Second-stage relevance scoring for the top-K chunks of hybrid retrieval. Rerankers read
+// the query and each passage together, so they catch relevant chunks that the first-stage
+// scorers ranked too low to reach the prompt. Used by /api/rerank.
+//
+// Reranker shape:
+//   id, label
+//   configured(options)                  - true when the packages / LLM provider it needs are available
+//   score(query, passages, options)      - Promise<number[]>, one 0..1 relevance score per passage
+
+const llmProviders = require('./llmProviders');
+
+const CROSS_ENCODER_MODEL = 'Xenova/ms-marco-MiniLM-L-6-v2';
+const MAX_PASSAGE_LENGTH = 1500; // Characters of each chunk shown to the LLM scorer
+
+const LLM_SCORING_INSTRUCTIONS = [
+    'You rate how useful documentation passages are for answering a question.',
+    'Score every passage from 0 (irrelevant) to 10 (directly answers the question).',
+    'Reply with only a JSON object mapping each passage number to its score, e.g. {"1": 7, "2": 0}.'
+].join(' ');
+
+let crossEncoder = null;
+
+const rerankers = {
+    // ms-marco cross-encoder via transformers.js (ONNX), runs in-process with no API key
+    'cross-encoder': {
+        id: 'cross-encoder',
+        label: 'Cross-encoder (ms-marco-MiniLM-L-6-v2)',
+        model: CROSS_ENCODER_MODEL,
+        configured() {
+            try {
+                require.resolve('@xenova/transformers');
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+        async score(query, passages) {
+            if (!crossEncoder) {
+                let transformers;
+                try {
+                    transformers = await import('@xenova/transformers');
+                } catch (error) {
+                    throw new Error('Cross-encoder reranking needs the @xenova/transformers package (npm install @xenova/transformers)');
+                }
+                crossEncoder = {
+                    tokenizer: await transformers.AutoTokenizer.from_pretrained(CROSS_ENCODER_MODEL),
+                    model: await transformers.AutoModelForSequenceClassification.from_pretrained(CROSS_ENCODER_MODEL)
+                };
+            }
+
+            const features = crossEncoder.tokenizer(new Array(passages.length).fill(query), {
+                text_pair: passages,
+                padding: true,
+                truncation: true
+            });
+            const { logits } = await crossEncoder.model(features);
+
+            // One relevance logit per pair
+            return Array.from(logits.data).map(sigmoid);
+        }
+    },
+
+    // Any chat model from the LLM registry, prompted to grade the passages
+    llm: {
+        id: 'llm',
+        label: 'LLM relevance scoring',
+        configured(options = {}) {
+            const resolved = llmProviders.resolveModel(options.model);
+            return !!resolved && resolved.provider.configured();
+        },
+        async score(query, passages, options = {}) {
+            const context = [
+                `QUESTION: ${query}`,
+                ...passages.map((passage, index) =>
+                    `\n--- Passage ${index + 1} ---\n${passage.substring(0, MAX_PASSAGE_LENGTH)}`)
+            ].join('\n');
+
+            const answer = await llmProviders.generate(options.model, {
+                systemPrompt: LLM_SCORING_INSTRUCTIONS,
+                context,
+                history: [],
+                temperature: 0
+            });
+
+            return parseLLMScores(answer, passages.length);
+        }
+    }
+};
+
+function getReranker(rerankerId) {
+    const reranker = rerankers[rerankerId];
+    if (!reranker) {
+        const error = new Error(`Unknown reranker: ${rerankerId}`);
+        error.statusCode = 400;
+        throw error;
+    }
+    return reranker;
+}
+
+// {"1": 7, "2": 0} (possibly wrapped in prose or a code fence) -> [0.7, 0]
+function parseLLMScores(answer, count) {
+    const match = answer.match(/\{[\s\S]*\}/);
+    let parsed;
+    try {
+        parsed = JSON.parse(match ? match[0] : answer);
+    } catch (error) {
+        const parseError = new Error('LLM reranker returned unreadable scores');
+        parseError.statusCode = 502;
+        throw parseError;
+    }
+
+    return Array.from({ length: count }, (_, index) => {
+        const score = Number(parsed[index + 1]);
+        return Number.isFinite(score) ? Math.min(Math.max(score / 10, 0), 1) : 0;
+    });
+}
+
+function sigmoid(value) {
+    return 1 / (1 + Math.exp(-value));
+}
+
+module.exports = {
+    rerankers,
+    getReranker,
+    parseLLMScores
+};
@@ -0,0 +1,365 @@
+// Semantic chunking shared by every document format
+// Parsers (api/_lib/documentParsers.js) turn a document into document-order blocks:
+//   { type: 'heading', level, text, images, anchor? }
+//   { type: 'text', text, images, table?, page? }
+// and createSemanticChunks() groups them under their heading tree: a chunk never spans two
+// sections, and each carries a heading_path breadcrumb, e.g. ["OHIO", "OH RISE", "Batch Sub"].
+// Where the format has them, chunks also keep a reference back into the original for
+// citations: `pages` (PDF pages the chunk's text is on) and `anchor` (the id of its
+// section heading in Markdown/HTML, as in "guide.html#oh-rise").
+// States, order types and topics are tagged from config/taxonomy.json (api/_lib/taxonomy.js).
+
+const tables = require('./tables');
+const embeddingProviders = require('./embeddingProviders');
+
+const MAX_CHUNK_SIZE = 1200;
+
+/**
+ * Flatten HTML (mammoth's output or an exported web page) into document-order blocks:
+ *   { type: 'heading', level, text } for h1-h6
+ *   { type: 'text', text } for paragraphs, lists ("- item" lines) and tables ("a | b" rows)
+ * Both carry `images`, the IDs of the images inside them (<img src="image:<id>">); a paragraph
+ * holding only a screenshot is a text block with empty text. Table blocks also carry `table`
+ * (see parseTable). With options.anchors, headings carry the id they can be linked by.
+ */
+function parseHtmlBlocks(html, options = {}) {
+    const blocks = [];
+    const blockPattern = /<(h[1-6]|p|ul|ol|table)\b([^>]*)>/g;
+    let match;
+
+    while ((match = blockPattern.exec(html))) {
+        const tag = match[1];
+        const contentStart = blockPattern.lastIndex;
+        const contentEnd = findClosingTag(html, tag, contentStart);
+        const inner = html.slice(contentStart, contentEnd);
+        blockPattern.lastIndex = contentEnd + `</${tag}>`.length;
+
+        let text;
+        let table = null;
+        if (tag === 'table') {
+            table = parseTable(inner);
+            text = tables.tableToText(table);
+        } else if (tag === 'ul' || tag === 'ol') {
+            text = inner.split(/<li\b[^>]*>/).map(htmlToText).filter(Boolean).map(item => `- ${item}`).join('\n');
+        } else {
+            text = htmlToText(inner);
+        }
+
+        const images = [...inner.matchAll(/<img\b[^>]*\bsrc="image:([^"]+)"/g)].map(imageMatch => imageMatch[1]);
+
+        if (!text && images.length === 0) continue;
+
+        if (tag.startsWith('h') && text) {
+            const heading = { type: 'heading', level: parseInt(tag[1], 10), text: text.replace(/\s+/g, ' '), images };
+            const anchor = options.anchors && headingAnchor(match[2], inner);
+            blocks.push(anchor ? { ...heading, anchor } : heading);
+        } else if (table) {
+            blocks.push({ type: 'text', text, images, table });
+        } else {
+            blocks.push({ type: 'text', text, images });
+        }
+    }
+
+    return blocks;
+}
+
+// <h2 id="oh-rise"> or <h2><a name="oh-rise"></a>...</h2> -> "oh-rise"
+function headingAnchor(attributes, inner) {
+    const idPattern = /\b(?:id|name)\s*=\s*(?:"([^"]+)"|'([^']+)'|([^\s>]+))/;
+    const own = attributes.match(idPattern);
+    const link = inner.match(new RegExp(`<a\\b[^>]*${idPattern.source}`));
+    const found = own || link;
+    return found ? found[1] || found[2] || found[3] : null;
+}
+
+// Index of the </tag> matching an opening tag whose content starts at `from` (handles nesting)
+function findClosingTag(html, tag, from) {
+    const tagPattern = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'g');
+    tagPattern.lastIndex = from;
+    let depth = 1;
+    let match;
+
+    while ((match = tagPattern.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return match.index;
+        }
+    }
+
+    return html.length;
+}
+
+// Table HTML -> { title, columns, rows } (see api/_lib/tables.js)
+function parseTable(html) {
+    const grid = (html.match(/<tr\b[^>]*>[\s\S]*?<\/tr>/g) || []).map(row => {
+        const cells = [];
+        let header = true;
+        for (const cell of row.match(/<t[dh]\b[^>]*>[\s\S]*?<\/t[dh]>/g) || []) {
+            const span = parseInt((cell.match(/\bcolspan="?(\d+)/) || [])[1] || '1', 10);
+            const text = htmlToText(cell).replace(/\s+/g, ' ');
+            header = header && cell.startsWith('<th');
+            // Merged cells repeat their text so every row has a value per column
+            for (let n = 0; n < span; n++) cells.push(text);
+        }
+        return { cells, header };
+    });
+
+    return tables.fromGrid(grid);
+}
+
+// SOP screenshots are captioned by the paragraph after them ("Image 6. Flower hold sheet");
+// use that as the label when the document has no alt text for the image
+function labelImagesFromCaptions(blocks, images) {
+    const captionPattern = /^(image|figure|screenshot)\s*\d+\b/i;
+
+    blocks.forEach((block, index) => {
+        const next = blocks[index + 1];
+        const caption = [block.text, next && next.type === 'text' ? next.text : '']
+            .map(text => text.split('\n')[0])
+            .find(text => captionPattern.test(text));
+        if (!caption) return;
+
+        for (const id of block.images) {
+            const image = images.find(candidate => candidate.id === id);
+            if (image && !image.hasAltText) {
+                image.label = caption;
+            }
+        }
+    });
+}
+
+function htmlToText(html) {
+    return html
+        .replace(/<br\s*\/?>/g, '\n')
+        .replace(/<\/p>/g, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Group blocks under their heading tree. Each section holds the paragraphs ({ text, images, page })
+ * between one heading and the next, the path of headings above it, and the anchor of the
+ * nearest of those headings that has one.
+ */
+function buildSections(blocks) {
+    const sections = [];
+    const headingStack = [];
+    let current = { headingPath: [], anchor: null, paragraphs: [] };
+
+    for (const block of blocks) {
+        if (block.type === 'heading') {
+            if (current.paragraphs.length > 0) {
+                sections.push(current);
+            }
+
+            // A heading closes every open heading at the same or a deeper level
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+                headingStack.pop();
+            }
+            headingStack.push(block);
+
+            const anchored = headingStack.filter(heading => heading.anchor);
+            current = {
+                headingPath: headingStack.map(heading => heading.text),
+                anchor: anchored.length > 0 ? anchored[anchored.length - 1].anchor : null,
+                paragraphs: []
+            };
+            if (block.images.length > 0) {
+                current.paragraphs.push({ text: '', images: block.images, tables: [], page: block.page || null });
+            }
+        } else {
+            current.paragraphs.push({
+                text: block.text,
+                images: block.images || [],
+                tables: block.table ? [block.table] : [],
+                page: block.page || null
+            });
+        }
+    }
+
+    if (current.paragraphs.length > 0) {
+        sections.push(current);
+    }
+
+    return sections;
+}
+
+/**
+ * Headings with nothing under them - no text, image or sub-section - as heading paths. Usually
+ * a placeholder ("MD Notes") or content the parser couldn't read.
+ */
+function emptySections(blocks) {
+    const empty = [];
+    const headingStack = [];
+    const close = (level) => {
+        while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+            const heading = headingStack.pop();
+            if (!heading.hasContent && !heading.hasSubsections) empty.push(heading);
+        }
+    };
+
+    blocks.forEach((block, index) => {
+        if (block.type === 'heading') {
+            close(block.level);
+            headingStack.forEach(heading => { heading.hasSubsections = true; });
+            headingStack.push({
+                index,
+                level: block.level,
+                text: block.text,
+                path: [...headingStack.map(heading => heading.text), block.text],
+                hasContent: block.images.length > 0
+            });
+        } else if (block.text || block.images?.length) {
+            headingStack.forEach(heading => { heading.hasContent = true; });
+        }
+    });
+    close(0);
+
+    // In document order
+    return empty.sort((a, b) => a.index - b.index).map(heading => heading.path);
+}
+
+/**
+ * Blocks -> semantic chunks, one heading section at a time
+ * @param {Array} blocks - Document-order blocks from a parser
+ * @param {Array} images - The document's images ({ id, label, ... }); `data` and `hasAltText` are left off the chunks
+ * @param {Taxonomy} taxonomy - Tags states, order types and topics
+ */
+async function createSemanticChunks(blocks, images, taxonomy) {
+    // Implement semantic chunking similar to Python docx_chunking.py, bounded by headings
+
+    const chunks = [];
+    const imagesById = new Map(images.map(({ data, hasAltText, ...image }) => [image.id, image]));
+    let chunkId = 0;
+    // Images from a section with no text go to the next chunk
+    let pendingImages = [];
+
+    for (const section of buildSections(blocks)) {
+        // Every chunk of a section opens with its heading, so continuation chunks stay self-describing
+        const heading = section.headingPath[section.headingPath.length - 1];
+        const prefix = heading ? `${heading}\n\n` : '';
+        let currentChunk = '';
+        let currentImages = pendingImages;
+        let currentTables = [];
+        let currentPages = [];
+
+        // A split paragraph's images and table stay with its first part
+        const paragraphs = section.paragraphs.flatMap(paragraph => splitLongParagraph(paragraph.text, MAX_CHUNK_SIZE - prefix.length)
+            .map((text, index) => ({
+                text,
+                images: index === 0 ? paragraph.images : [],
+                tables: index === 0 ? paragraph.tables : [],
+                page: paragraph.page
+            })));
+
+        const location = () => ({ anchor: section.anchor, pages: currentPages });
+
+        for (const paragraph of paragraphs) {
+            if (paragraph.text && currentChunk && prefix.length + currentChunk.length + paragraph.text.length + 2 > MAX_CHUNK_SIZE) {
+                chunks.push(createChunkObject(prefix + currentChunk, chunkId++, currentImages, section.headingPath, currentTables, location(), taxonomy));
+                currentChunk = '';
+                currentImages = [];
+                currentTables = [];
+                currentPages = [];
+            }
+            if (paragraph.text) {
+                currentChunk += (currentChunk ? '\n\n' : '') + paragraph.text;
+                if (paragraph.page && !currentPages.includes(paragraph.page)) {
+                    currentPages.push(paragraph.page);
+                }
+            }
+            currentImages = currentImages.concat(paragraph.images.map(id => imagesById.get(id)).filter(Boolean));
+            currentTables = currentTables.concat(paragraph.tables);
+        }
+
+        if (currentChunk.trim()) {
+            chunks.push(createChunkObject(prefix + currentChunk, chunkId++, currentImages, section.headingPath, currentTables, location(), taxonomy));
+            pendingImages = [];
+        } else {
+            pendingImages = currentImages;
+        }
+    }
+
+    // Trailing images with no text after them belong to the last chunk
+    if (pendingImages.length > 0 && chunks.length > 0) {
+        const last = chunks[chunks.length - 1];
+        const location = { anchor: last.anchor || null, pages: last.pages || [] };
+        chunks[chunks.length - 1] = createChunkObject(last.text, last.chunk_id, last.images.concat(pendingImages), last.heading_path, last.tables, location, taxonomy);
+    }
+
+    return chunks;
+}
+
+// Split paragraphs longer than a chunk at sentence boundaries
+function splitLongParagraph(paragraph, maxLength) {
+    if (paragraph.length <= maxLength) {
+        return [paragraph];
+    }
+
+    const parts = [];
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*/g) || [paragraph]) {
+        if (current && current.length + sentence.length > maxLength) {
+            parts.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+    }
+    if (current.trim()) {
+        parts.push(current.trim());
+    }
+
+    return parts;
+}
+
+function createChunkObject(text, chunkId, chunkImages, headingPath, chunkTables, location, taxonomy) {
+    // Tag states, order types and topics from config/taxonomy.json - headings included, so a
+    // "Batch Sub" chunk under "OH RISE" is tagged with its state and order type
+    const metadata = taxonomy.extractMetadata([...headingPath, text].join('\n'));
+
+    const chunk = {
+        chunk_id: chunkId,
+        text: text.trim(),
+        heading_path: headingPath,
+        // Where the chunk is in the original, for citations (formats without pages or anchors have neither)
+        ...(location.pages.length > 0 && { pages: [...location.pages].sort((a, b) => a - b) }),
+        ...(location.anchor && { anchor: location.anchor }),
+        images: chunkImages,
+        tables: chunkTables,
+        metadata: {
+            states: metadata.states,
+            sections: metadata.sections,
+            topics: metadata.topics,
+            has_images: chunkImages.length > 0,
+            image_count: chunkImages.length,
+            has_tables: chunkTables.length > 0,
+            char_count: text.length,
+            word_count: text.split(/\s+/).length
+        }
+    };
+
+    // Lets a re-sync re-embed only the chunks whose content changed
+    chunk.content_hash = embeddingProviders.chunkContentHash(chunk);
+    return chunk;
+}
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    parseHtmlBlocks,
+    parseTable,
+    labelImagesFromCaptions,
+    htmlToText,
+    emptySections,
+    createSemanticChunks
+};
@@ -0,0 +1,69 @@
+// Document sources on the server (config/sources.json)
+// The browser edits them through js/documentSources.js; the server only needs to read them:
+// which sources there are, and which one chunks without a source_id (synced before sources
+// existed) belong to - the first.
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCES_PATH = 'config/sources.json';
+
+/**
+ * The document sources as Settings → Document Sources saved them, else as deployed
+ * @returns {Promise<Array>} [{ id, name, type, docId, syncMinutes }]
+ */
+async function loadSources() {
+    try {
+        const data = await loadGitHubJson(SOURCES_PATH);
+        if (data) return normalize(data);
+    } catch (error) {
+        console.warn('⚠️ Could not load document sources from GitHub:', error.message);
+    }
+    return normalize(JSON.parse(fs.readFileSync(path.join(process.cwd(), SOURCES_PATH), 'utf8')));
+}
+
+// The source that chunks without a source_id belong to
+function defaultSourceId(sources) {
+    return sources[0]?.id || null;
+}
+
+function normalize(data) {
+    if (!data || typeof data !== 'object' || (data.sources !== undefined && !Array.isArray(data.sources))) {
+        throw new Error('Invalid document sources: sources must be an array');
+    }
+    return (data.sources || [])
+        .filter(source => source && typeof source.id === 'string' && typeof source.docId === 'string')
+        .map(source => ({
+            id: source.id,
+            name: source.name || source.id,
+            type: source.type || 'google-docs',
+            docId: source.docId,
+            syncMinutes: source.syncMinutes || 0
+        }));
+}
+
+// A JSON file from the GitHub repo the app syncs to, or null without a token or file
+async function loadGitHubJson(filePath) {
+    const githubToken = process.env.GITHUB_TOKEN;
+    if (!githubToken) return null;
+
+    const githubRepo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+    const response = await fetch(`https://api.github.com/repos/${githubRepo}/contents/${filePath}`, {
+        headers: {
+            'Authorization': `Bearer ${githubToken}`,
+            'Accept': 'application/vnd.github.v3.raw',
+            'User-Agent': 'GTI-SOP-Assistant/1.0'
+        }
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`GitHub download of ${filePath} failed: ${response.status}`);
+    }
+    return JSON.parse(await response.text());
+}
+
+module.exports = {
+    loadSources,
+    defaultSourceId,
+    loadGitHubJson
+};
@@ -0,0 +1,196 @@
+// Re-ingest queue between the Drive webhook and the open app
+// /api/drive-webhook enqueues a "sop-updated" event naming the document sources that changed;
+// /api/sync-events streams the events to every open tab, and a tab re-syncs those sources
+// (js/app.js - chunks are merged, embedded and stored by the app, as for any sync).
+//
+// Events are kept in data/drive-sync.json in GitHub (GITHUB_TOKEN), or in the temp directory
+// without one, so a stream served by another server instance still sees them: it replays the
+// events after the last one its client saw when it reconnects. Streams on the instance that
+// took the notification get the event right away. The app remembers the last event it handled,
+// so a tab opened later replays what was queued while none was open.
+//
+// Every open tab reconnects about once a minute, so the events streams read are cached for
+// EVENTS_CACHE_MS per instance and then revalidated with the file's ETag (a 304 costs no
+// GitHub rate limit). An event queued on another instance reaches its streams at most that
+// much later.
+//
+// Drive notifies every few seconds while someone types, so a source already queued in the
+// last COALESCE_MS (or at the same revision) is not queued again; tabs wait as long before
+// syncing, so the sync they run includes the edits that were not queued.
+//
+// State: { nextId, events: [{ id, type: 'sop-updated', sources: [{ id, name, docId, revision }], reason, at }] }
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STATE_PATH = 'data/drive-sync.json';
+const LOCAL_STATE_FILE = path.join(os.tmpdir(), 'gti-sop-drive-sync.json');
+const MAX_EVENTS = 50;
+const COALESCE_MS = 60 * 1000;
+const EVENTS_CACHE_MS = 30 * 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per open stream
+
+let eventsCache = null; // { state, loadedAt } - what eventsSince reads
+
+function githubConfig() {
+    const token = process.env.GITHUB_TOKEN;
+    if (!token) return null;
+    return {
+        url: `https://api.github.com/repos/${process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel'}/contents/${STATE_PATH}`,
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'User-Agent': 'GTI-SOP-Assistant/1.0'
+        }
+    };
+}
+
+/**
+ * The stored queue state, with the GitHub file's sha for the next save
+ * @param {Object} cached - A state loaded before: returned as is when the file hasn't changed since
+ * @returns {Promise<Object>} { nextId, events, sha, etag }
+ */
+async function loadState(cached = null) {
+    const empty = { nextId: 1, events: [] };
+    const github = githubConfig();
+
+    if (!github) {
+        try {
+            return { ...empty, ...JSON.parse(fs.readFileSync(LOCAL_STATE_FILE, 'utf8')) };
+        } catch (error) {
+            return empty;
+        }
+    }
+
+    const response = await fetch(github.url, {
+        headers: {
+            ...github.headers,
+            'Accept': 'application/vnd.github.v3+json',
+            ...(cached?.etag && { 'If-None-Match': cached.etag })
+        }
+    });
+    if (response.status === 304) {
+        return cached;
+    }
+    if (response.status === 404) {
+        return empty;
+    }
+    if (!response.ok) {
+        throw new Error(`GitHub sync queue download failed: ${response.status}`);
+    }
+    const file = await response.json();
+    return {
+        ...empty,
+        ...JSON.parse(Buffer.from(file.content, 'base64').toString('utf8')),
+        sha: file.sha,
+        etag: response.headers.get('etag')
+    };
+}
+
+async function saveState({ sha, etag, ...state }, message) {
+    const github = githubConfig();
+    if (!github) {
+        fs.writeFileSync(LOCAL_STATE_FILE, JSON.stringify(state, null, 2));
+        return;
+    }
+
+    const response = await fetch(github.url, {
+        method: 'PUT',
+        headers: { ...github.headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            message,
+            content: Buffer.from(`${JSON.stringify(state, null, 2)}\n`).toString('base64'),
+            ...(sha && { sha })
+        })
+    });
+    if (!response.ok) {
+        const error = new Error(`GitHub sync queue upload failed: ${response.status}`);
+        error.conflict = response.status === 409 || response.status === 422;
+        throw error;
+    }
+}
+
+/**
+ * Load, change and save the state; retried once when another notification saved in between
+ * @param {Function} change - (state) => result, may modify state; nothing is saved when it returns null
+ */
+async function updateState(change, message) {
+    for (let attempt = 1; ; attempt++) {
+        const state = await loadState();
+        const result = change(state);
+        if (result === null) return null;
+        try {
+            await saveState(state, message);
+            eventsCache = null;
+            return result;
+        } catch (error) {
+            if (!error.conflict || attempt === 2) throw error;
+        }
+    }
+}
+
+/**
+ * Queue a re-ingest of the given sources and tell the open tabs. Sources queued recently, or
+ * already queued at the same revision, are left out.
+ * @param {Array} sources - [{ id, name, docId, revision? }]
+ * @param {string} reason - Why, for the log and the tabs ("Drive change notification 12")
+ * @returns {Promise<Object|null>} The event, or null when every source was already queued
+ */
+async function enqueue(sources, reason) {
+    const now = Date.now();
+    const event = await updateState(state => {
+        const fresh = sources.filter(source => !state.events.some(past => past.sources.some(queued =>
+            queued.id === source.id && (
+                now - new Date(past.at).getTime() < COALESCE_MS ||
+                (source.revision && queued.revision?.id === source.revision.id)
+            ))));
+        if (fresh.length === 0) return null;
+
+        const queued = { id: state.nextId, type: 'sop-updated', sources: fresh, reason, at: new Date(now).toISOString() };
+        state.nextId += 1;
+        state.events = [...state.events, queued].slice(-MAX_EVENTS);
+        return queued;
+    }, `Queue re-sync of ${sources.map(source => source.id).join(', ')}`);
+
+    if (!event) {
+        console.log(`⏭️ Sync queue: ${sources.map(source => source.id).join(', ')} already queued (${reason})`);
+        return null;
+    }
+    console.log(`📣 Sync queue: event ${event.id} for ${event.sources.map(source => source.id).join(', ')} (${reason})`);
+    emitter.emit('event', event);
+    return event;
+}
+
+/**
+ * Events after the given ID, and the latest ID (what a new stream starts from)
+ * @returns {Promise<Object>} { events, lastId }
+ */
+async function eventsSince(lastId) {
+    if (!eventsCache || Date.now() - eventsCache.loadedAt >= EVENTS_CACHE_MS) {
+        eventsCache = { state: await loadState(eventsCache?.state), loadedAt: Date.now() };
+    }
+    const { state } = eventsCache;
+    return {
+        events: state.events.filter(event => event.id > lastId),
+        lastId: state.nextId - 1
+    };
+}
+
+/**
+ * Events enqueued on this server instance from now on
+ * @returns {Function} Unsubscribes
+ */
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+}
+
+module.exports = {
+    enqueue,
+    eventsSince,
+    subscribe,
+    COALESCE_MS
+};
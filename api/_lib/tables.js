@@ -0,0 +1,112 @@
+// SOP tables as structured rows
+// Tables (team rosters, discount tiers, case sizes) are stored on their chunk as
+//   { title, columns: ['Column 1', 'Role', 'Email'], rows: [['Brett Stinson', 'Sales director', '...']] }
+// and stay in the chunk text as "a | b" lines. Chunks processed before tables were extracted
+// only have those lines; chunkTables() reads them back with the same rules. ChunkTables in
+// js/retriever.js mirrors this for the browser.
+
+/**
+ * Cell grid -> table. grid: [{ cells: [text], header: true for a <th> row }], one value per
+ * column (merged cells repeated). A first row with one distinct value (a merged "OH GTI Team"
+ * banner) becomes the title; a header row, or a first row that reads like headers, names the
+ * columns. Unnamed columns are "Column N", or "Email" when every value is an address.
+ */
+function fromGrid(grid) {
+    grid = grid.filter(row => row.cells.some(Boolean));
+
+    const width = Math.max(0, ...grid.map(row => row.cells.length));
+    let title = null;
+    if (width > 1 && grid.length > 1 && new Set(grid[0].cells.filter(Boolean)).size === 1) {
+        title = grid.shift().cells.find(Boolean);
+    }
+
+    let columns = null;
+    if (grid.length > 1 && (grid[0].header || looksLikeHeaderRow(grid[0].cells))) {
+        columns = grid.shift().cells;
+    }
+
+    const rows = grid.map(row => Array.from({ length: width }, (_, i) => row.cells[i] || ''));
+
+    return {
+        title,
+        columns: Array.from({ length: width }, (_, i) => (columns && columns[i]) || defaultColumnName(rows, i)),
+        rows
+    };
+}
+
+function looksLikeHeaderRow(cells) {
+    return cells.every(cell => cell && cell.length <= 40 && !/[\d@]/.test(cell));
+}
+
+function defaultColumnName(rows, index) {
+    const values = rows.map(row => row[index]).filter(Boolean);
+    return values.length > 0 && values.every(value => /^\S+@\S+\.\S+$/.test(value)) ? 'Email' : `Column ${index + 1}`;
+}
+
+function hasNamedColumns(table) {
+    return table.columns.some(column => !/^(Column \d+|Email)$/.test(column));
+}
+
+/**
+ * Tables in "a | b" text: runs of two or more consecutive lines containing " | "
+ */
+function parsePipeText(text) {
+    const tables = [];
+    let run = [];
+
+    const flush = () => {
+        if (run.length >= 2) {
+            tables.push(fromGrid(run.map(line => ({
+                cells: line.split('|').map(cell => cell.trim()),
+                header: false
+            }))));
+        }
+        run = [];
+    };
+
+    for (const line of text.split('\n')) {
+        if (line.includes(' | ')) {
+            run.push(line);
+        } else {
+            flush();
+        }
+    }
+    flush();
+
+    return tables;
+}
+
+function chunkTables(chunk) {
+    return Array.isArray(chunk.tables) ? chunk.tables : parsePipeText(chunk.text || '');
+}
+
+// Title, header and data rows as "a | b" lines, the form tables take in chunk text
+function tableToText(table) {
+    return [
+        table.title,
+        hasNamedColumns(table) ? table.columns.join(' | ') : null,
+        ...table.rows.map(row => row.join(' | '))
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * One line per row with its cells labelled by column, so the model reads e.g. the
+ * OH roster's "Sales director" row as a record rather than loose text
+ */
+function formatTableForContext(table) {
+    return [
+        `Table${table.title ? `: ${table.title}` : ''}`,
+        ...table.rows.map((row, index) => `- Row ${index + 1}: ` + table.columns
+            .map((column, i) => row[i] ? `${column}: ${row[i]}` : null)
+            .filter(Boolean)
+            .join('; '))
+    ].join('\n');
+}
+
+module.exports = {
+    fromGrid,
+    parsePipeText,
+    chunkTables,
+    tableToText,
+    formatTableForContext
+};
@@ -0,0 +1,56 @@
+// Server-side copy of the taxonomy (states, order types, topics) used to tag chunks
+// Prefers config/taxonomy.json in GitHub, where Settings → Taxonomy saves edits, so
+// ingestion picks them up without a redeploy; falls back to the file deployed with the
+// site. Matching is js/taxonomy.js, the same class query analysis runs in the browser.
+
+const fs = require('fs');
+const path = require('path');
+const Taxonomy = require('../../js/taxonomy');
+
+const TAXONOMY_PATH = 'config/taxonomy.json';
+const TAXONOMY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+let taxonomyCache = null;
+
+async function loadTaxonomy() {
+    if (taxonomyCache && Date.now() - taxonomyCache.loadedAt < TAXONOMY_CACHE_TTL) {
+        return taxonomyCache.taxonomy;
+    }
+
+    let taxonomy = null;
+
+    const githubToken = process.env.GITHUB_TOKEN;
+    const githubRepo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+
+    if (githubToken) {
+        try {
+            const response = await fetch(`https://api.github.com/repos/${githubRepo}/contents/${TAXONOMY_PATH}`, {
+                headers: {
+                    'Authorization': `Bearer ${githubToken}`,
+                    'Accept': 'application/vnd.github.v3.raw',
+                    'User-Agent': 'GTI-SOP-Assistant/1.0'
+                }
+            });
+
+            if (response.ok) {
+                taxonomy = new Taxonomy(JSON.parse(await response.text()));
+            } else if (response.status !== 404) {
+                console.warn(`⚠️ GitHub taxonomy download failed: ${response.status}`);
+            }
+        } catch (error) {
+            // Includes an invalid edited taxonomy - tag with the deployed one rather than fail the sync
+            console.warn('⚠️ Could not load taxonomy from GitHub:', error.message);
+        }
+    }
+
+    if (!taxonomy) {
+        taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(path.join(process.cwd(), TAXONOMY_PATH), 'utf8')));
+    }
+
+    taxonomyCache = { taxonomy, loadedAt: Date.now() };
+    return taxonomy;
+}
+
+module.exports = {
+    loadTaxonomy
+};
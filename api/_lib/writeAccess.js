@@ -0,0 +1,47 @@
+// Who may change what everyone sees
+// The site is open to anyone, so writes to the GitHub repo (the synced data set, snapshots,
+// settings, taxonomy, sources) need the shared secret APP_WRITE_TOKEN, sent as X-Write-Token.
+// Editors enter it once in Settings → Configuration; GITHUB_TOKEN itself never leaves the server.
+
+const crypto = require('crypto');
+
+/**
+ * Whether the token matches APP_WRITE_TOKEN. False without a token (or with none configured);
+ * a wrong token throws a 403.
+ */
+function writeAllowed(token) {
+    const expected = process.env.APP_WRITE_TOKEN;
+    if (!expected || !token) {
+        return false;
+    }
+    const given = Buffer.from(String(token));
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        throw accessError('Invalid write token', 403);
+    }
+    return true;
+}
+
+/**
+ * Throw unless the token allows writing: 503 when saving is not configured on this deployment,
+ * 401 without a token, 403 with a wrong one
+ */
+function requireWriteAccess(token) {
+    if (!process.env.APP_WRITE_TOKEN || !process.env.GITHUB_TOKEN) {
+        throw accessError('Saving to GitHub is not configured (set GITHUB_TOKEN and APP_WRITE_TOKEN)', 503);
+    }
+    if (!writeAllowed(token)) {
+        throw accessError('Saving needs the write token (Settings → Configuration)', 401);
+    }
+}
+
+function accessError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+module.exports = {
+    writeAllowed,
+    requireWriteAccess
+};
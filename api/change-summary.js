@@ -0,0 +1,120 @@
+// Plain-language "What changed" summaries after a Google Docs re-sync
+// The browser diffs the previous and new chunk sets section by section (js/changeDigest.js)
+// and posts the changed sections grouped by state; one LLM call returns a short summary
+// per state, written for reps rather than as a diff.
+
+const llmProviders = require('./_lib/llmProviders');
+
+const DEFAULT_MODEL = 'gemini-2.0';
+const MAX_STATES = 60;
+const MAX_PARAGRAPH_LENGTH = 600; // Characters of each changed paragraph shown to the model
+const MAX_CHANGES_PER_STATE = 6000; // Characters of changes per state; the rest is listed by heading only
+
+const SUMMARY_INSTRUCTIONS = [
+    'You tell sales reps what changed in their Standard Operating Procedures after the document was updated.',
+    'For every state below, write 1-3 plain sentences on the rules that are new, changed or no longer apply,',
+    'naming concrete values (limits, prices, days, contacts) where the changes show them. Do not describe formatting.',
+    'Reply with only a JSON object mapping each state to its summary, e.g. {"OH": "RISE orders now allow 12 units instead of 10."}.'
+].join(' ');
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { states, model } = req.body || {};
+
+        if (!Array.isArray(states) || states.length === 0) {
+            return res.status(400).json({ error: 'states must be a non-empty array' });
+        }
+
+        if (states.length > MAX_STATES) {
+            return res.status(400).json({ error: `At most ${MAX_STATES} states per request` });
+        }
+
+        if (!states.every(group => typeof group?.state === 'string' && Array.isArray(group.sections))) {
+            return res.status(400).json({ error: 'Each state needs a state name and a sections array' });
+        }
+
+        const modelId = model || DEFAULT_MODEL;
+        const answer = await llmProviders.generate(modelId, {
+            systemPrompt: SUMMARY_INSTRUCTIONS,
+            context: states.map(formatStateChanges).join('\n\n'),
+            history: [],
+            temperature: 0.2
+        });
+
+        const summaries = parseSummaries(answer, states.map(group => group.state));
+        console.log(`📝 Summarised SOP changes for ${Object.keys(summaries).length}/${states.length} states with ${modelId}`);
+
+        res.status(200).json({
+            success: true,
+            model: modelId,
+            summaries
+        });
+
+    } catch (error) {
+        console.error('Change summary API error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to summarise changes'
+        });
+    }
+}
+
+// "--- Changes for OH ---" followed by each section's heading, status and changed paragraphs
+function formatStateChanges({ state, sections }) {
+    const clip = (text) => String(text || '').substring(0, MAX_PARAGRAPH_LENGTH);
+    const lines = [`--- Changes for ${state} ---`];
+    let length = 0;
+
+    for (const section of sections) {
+        const heading = Array.isArray(section.heading) ? section.heading.join(' › ') : String(section.heading || '');
+        lines.push(`Section "${heading}" (${section.status}):`);
+
+        const changes = [
+            ...(section.changed || []).map(edit => `  Changed: "${clip(edit.before)}" -> "${clip(edit.after)}"`),
+            ...(section.added || []).map(paragraph => `  Added: ${clip(paragraph)}`),
+            ...(section.removed || []).map(paragraph => `  Removed: ${clip(paragraph)}`)
+        ];
+        for (const change of changes) {
+            if (length + change.length > MAX_CHANGES_PER_STATE) break;
+            lines.push(change);
+            length += change.length;
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// {"OH": "..."} (possibly wrapped in prose or a code fence) -> summaries for the requested states only
+function parseSummaries(answer, stateNames) {
+    const match = answer.match(/\{[\s\S]*\}/);
+    let parsed;
+    try {
+        parsed = JSON.parse(match ? match[0] : answer);
+    } catch (error) {
+        const parseError = new Error('LLM returned unreadable change summaries');
+        parseError.statusCode = 502;
+        throw parseError;
+    }
+
+    const summaries = {};
+    for (const state of stateNames) {
+        if (typeof parsed[state] === 'string' && parsed[state].trim()) {
+            summaries[state] = parsed[state].trim();
+        }
+    }
+    return summaries;
+}
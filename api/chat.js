@@ -0,0 +1,203 @@
+// Server-side chat completion endpoint
+// Builds the prompt context from chunk IDs (checked against the browser's content hashes, and
+// dataVersion - the sha of the data set the browser has) and calls the LLM through the provider registry
+// (_lib/llmProviders.js) with env-held API keys, so keys never have to be shipped to the browser.
+// With `stream: true` the answer is relayed token by token as Server-Sent Events:
+//   data: {"delta":"..."}   one per token batch
+//   data: {"done":true,...} once the provider finishes
+//   data: {"error":"..."}   if the provider fails mid-stream
+// Answers cite context sections as [n]; the returned chunkIds are in section order,
+// so chunkIds[n - 1] is the chunk behind citation [n].
+
+const llmProviders = require('./_lib/llmProviders');
+const chunkStore = require('./_lib/chunkStore');
+const tables = require('./_lib/tables');
+
+const DEFAULT_MODEL = 'gemini-2.0';
+const DEFAULT_INSTRUCTIONS = 'You are a GTI SOP Assistant. Answer based ONLY on the provided documentation. Be specific about states and order types (RISE/Regular).';
+const CITATION_INSTRUCTIONS = 'Cite the documentation section that supports each statement by its number in square brackets right after the statement, e.g. [1] or [2][3]. Only cite section numbers that appear in the documentation.';
+const TABLE_INSTRUCTIONS = 'Tables in the documentation are listed row by row. When an answer includes several table rows, format them as a Markdown table.';
+const MAX_CONTEXT_CHUNKS = 10;
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { query, chunkIds, contentHashes, dataVersion, model, temperature, instructions, history, stream } = req.body || {};
+
+        if (!query || typeof query !== 'string') {
+            return res.status(400).json({ error: 'Query is required' });
+        }
+
+        if (!Array.isArray(chunkIds)) {
+            return res.status(400).json({ error: 'chunkIds must be an array' });
+        }
+
+        if (contentHashes !== undefined && !Array.isArray(contentHashes)) {
+            return res.status(400).json({ error: 'contentHashes must be an array' });
+        }
+
+        if (dataVersion !== undefined && typeof dataVersion !== 'string') {
+            return res.status(400).json({ error: 'dataVersion must be a string' });
+        }
+
+        const modelId = model || DEFAULT_MODEL;
+        const resolved = llmProviders.resolveModel(modelId);
+        if (!resolved) {
+            return res.status(400).json({ error: `Unsupported model: ${modelId}` });
+        }
+        if (!resolved.provider.configured()) {
+            return res.status(400).json({ error: `${resolved.provider.label} is not configured on the server` });
+        }
+
+        // Resolve chunk IDs against the server-side copy of the knowledge base - a 409 when it
+        // lacks one or has other content for it, so the browser reloads instead of an answer from
+        // missing or mismatched documentation
+        const contextChunks = await chunkStore.resolveChunks(
+            chunkIds.slice(0, MAX_CONTEXT_CHUNKS),
+            contentHashes?.slice(0, MAX_CONTEXT_CHUNKS),
+            dataVersion
+        );
+
+        console.log(`💬 Chat request: ${contextChunks.length} chunks, model ${modelId}`);
+
+        const context = buildContext(query, contextChunks);
+        // Citation rules are always appended so custom instructions keep [n] markers working
+        const systemPrompt = `${instructions || DEFAULT_INSTRUCTIONS}\n\n${CITATION_INSTRUCTIONS}\n\n${TABLE_INSTRUCTIONS}`;
+        const prompt = {
+            systemPrompt,
+            context,
+            history: llmProviders.sanitizeHistory(history),
+            temperature: typeof temperature === 'number' ? temperature : 0.1
+        };
+        const generate = (options) => llmProviders.generate(modelId, prompt, options);
+
+        if (stream) {
+            await streamToClient(req, res, generate, {
+                model: modelId,
+                chunkIds: contextChunks.map(chunk => chunk.chunk_id)
+            });
+            return;
+        }
+
+        const response = await generate({});
+
+        res.status(200).json({
+            success: true,
+            response: response,
+            model: modelId,
+            chunkIds: contextChunks.map(chunk => chunk.chunk_id)
+        });
+
+    } catch (error) {
+        console.error('Chat API error:', error);
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to generate response',
+            ...(error.missing && { missing: error.missing })
+        });
+    }
+}
+
+async function streamToClient(req, res, generate, summary) {
+    // Abort the upstream request when the browser hits "stop" or goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            abortController.abort();
+        }
+    });
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+
+    const send = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+    try {
+        const response = await generate({
+            stream: true,
+            signal: abortController.signal,
+            onToken: (delta) => send({ delta })
+        });
+        send({ done: true, ...summary, length: response.length });
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('⏹️ Chat stream aborted by client');
+        } else {
+            console.error('Chat stream error:', error);
+            send({ error: error.message || 'Failed to generate response' });
+        }
+    } finally {
+        res.end();
+    }
+}
+
+function buildContext(query, chunks) {
+    const contextParts = [
+        `USER QUESTION: ${query}`,
+        `\nRELEVANT DOCUMENTATION:`
+    ];
+
+    chunks.forEach((chunk, index) => {
+        contextParts.push(`\n--- Section ${index + 1} ---`);
+
+        if (chunk.heading_path?.length) {
+            contextParts.push(`Heading: ${chunk.heading_path.join(' › ')}`);
+        }
+        if (chunk.pages?.length) {
+            contextParts.push(`Page: ${chunk.pages.join(', ')}`);
+        }
+        if (chunk.source_revision?.id) {
+            const modified = chunk.source_revision.modifiedTime ? ` (last edited ${chunk.source_revision.modifiedTime.slice(0, 10)})` : '';
+            contextParts.push(`Document revision: ${chunk.source_revision.id}${modified}`);
+        }
+
+        const metadata = chunk.metadata || {};
+        if (metadata.states?.length) {
+            contextParts.push(`States: ${metadata.states.join(', ')}`);
+        }
+        if (metadata.sections?.length) {
+            contextParts.push(`Type: ${metadata.sections.join(', ')}`);
+        }
+        if (metadata.topics?.length) {
+            contextParts.push(`Topics: ${metadata.topics.join(', ')}`);
+        }
+
+        contextParts.push(`Content: ${chunk.text}`);
+
+        // Table rows again as labelled records, so a row like the OH sales director's reads as one fact
+        const chunkTables = tables.chunkTables(chunk);
+        if (chunkTables.length) {
+            contextParts.push(`Tables:`);
+            chunkTables.forEach(table => contextParts.push(tables.formatTableForContext(table)));
+        }
+
+        if (chunk.images?.length) {
+            contextParts.push(`Images:`);
+            chunk.images.forEach(img => {
+                contextParts.push(`- [IMAGE: ${img.filename} - ${img.label}]`);
+            });
+        }
+    });
+
+    return contextParts.join('\n');
+}
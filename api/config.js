@@ -1,4 +1,6 @@
 // Vercel serverless function to provide configuration
+const llmProviders = require('./_lib/llmProviders');
+
 export default function handler(req, res) {
     // Set CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
@@ -16,62 +18,26 @@ export default function handler(req, res) {
     }
     
     try {
-        // Build Google Service Account from individual env vars (cleaner approach)
-        let googleServiceAccount = null;
+        // Service account and GitHub credentials stay on the server too: Google Docs sync runs
+        // in /api/ingest and GitHub writes go through /api/save. The client only learns whether
+        // they are configured.
+        const googleConfigured = !!(process.env.GOOGLE_CLIENT_EMAIL && process.env.GOOGLE_PRIVATE_KEY);
         
-        // Debug logging for environment variables
-        console.log('🔍 Environment variables check:');
-        console.log('GOOGLE_CLIENT_EMAIL present:', !!process.env.GOOGLE_CLIENT_EMAIL);
-        console.log('GOOGLE_CLIENT_EMAIL actual value:', process.env.GOOGLE_CLIENT_EMAIL);
-        console.log('GOOGLE_CLIENT_EMAIL length:', process.env.GOOGLE_CLIENT_EMAIL ? process.env.GOOGLE_CLIENT_EMAIL.length : 0);
-        console.log('GOOGLE_PRIVATE_KEY present:', !!process.env.GOOGLE_PRIVATE_KEY);
-        console.log('GOOGLE_PRIVATE_KEY length:', process.env.GOOGLE_PRIVATE_KEY ? process.env.GOOGLE_PRIVATE_KEY.length : 0);
-        console.log('GOOGLE_PROJECT_ID present:', !!process.env.GOOGLE_PROJECT_ID);
-        console.log('GOOGLE_PROJECT_ID value:', process.env.GOOGLE_PROJECT_ID);
-        
-        if (process.env.GOOGLE_CLIENT_EMAIL && process.env.GOOGLE_PRIVATE_KEY) {
-            googleServiceAccount = {
-                type: process.env.GOOGLE_SERVICE_ACCOUNT_TYPE || 'service_account',
-                project_id: process.env.GOOGLE_PROJECT_ID,
-                private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
-                private_key: process.env.GOOGLE_PRIVATE_KEY,
-                client_email: process.env.GOOGLE_CLIENT_EMAIL,
-                client_id: process.env.GOOGLE_CLIENT_ID,
-                auth_uri: process.env.GOOGLE_AUTH_URI || 'https://accounts.google.com/o/oauth2/auth',
-                token_uri: process.env.GOOGLE_TOKEN_URI || 'https://oauth2.googleapis.com/token',
-                auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
-                client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${encodeURIComponent(process.env.GOOGLE_CLIENT_EMAIL)}`,
-                universe_domain: 'googleapis.com'
-            };
-            console.log('✅ Built service account from individual env vars');
-        } else if (process.env.GOOGLE_SERVICE_ACCOUNT) {
-            // Fallback to JSON parsing if individual vars not available
-            try {
-                const cleanedJson = process.env.GOOGLE_SERVICE_ACCOUNT
-                    .replace(/[\x00-\x1F\x7F]/g, '') // Remove control characters
-                    .trim();
-                googleServiceAccount = JSON.parse(cleanedJson);
-                console.log('✅ Parsed service account from JSON');
-            } catch (parseError) {
-                console.error('Failed to parse GOOGLE_SERVICE_ACCOUNT:', parseError.message);
-                googleServiceAccount = null;
-            }
-        }
-        
-        // Return configuration with API keys for client use
+        // Return configuration for client use. LLM keys stay on the server (see /api/chat),
+        // the client only learns which providers are available and the models they offer.
         const config = {
-            apiKeys: {
-                openai: process.env.OPENAI_API_KEY || '',
-                gemini: process.env.GEMINI_API_KEY || '',
-                githubToken: process.env.GITHUB_TOKEN || ''
-            },
-            googleServiceAccount: googleServiceAccount,
+            providers: Object.fromEntries(
+                llmProviders.listProviders().map(provider => [provider.id, provider.configured])
+            ),
+            models: llmProviders.listModels(),
             github: {
-                repo: 'FadeevMax/SOP3.0_vercel'
+                repo: 'FadeevMax/SOP3.0_vercel',
+                saving: !!(process.env.GITHUB_TOKEN && process.env.APP_WRITE_TOKEN)
             },
             googleDocs: {
                 docId: '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA',
-                docName: 'GTI Data Base and SOP'
+                docName: 'GTI Data Base and SOP',
+                configured: googleConfigured
             },
             app: {
                 version: '1.0.0',
@@ -83,10 +49,15 @@ export default function handler(req, res) {
                     GOOGLE_PRIVATE_KEY: !!process.env.GOOGLE_PRIVATE_KEY,
                     GOOGLE_PROJECT_ID: !!process.env.GOOGLE_PROJECT_ID,
                     GOOGLE_CLIENT_ID: !!process.env.GOOGLE_CLIENT_ID,
+                    GITHUB_TOKEN: !!process.env.GITHUB_TOKEN,
+                    APP_WRITE_TOKEN: !!process.env.APP_WRITE_TOKEN,
                     OPENAI_API_KEY: !!process.env.OPENAI_API_KEY,
-                    GEMINI_API_KEY: !!process.env.GEMINI_API_KEY
+                    GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
+                    ANTHROPIC_API_KEY: !!process.env.ANTHROPIC_API_KEY,
+                    AZURE_OPENAI_API_KEY: !!process.env.AZURE_OPENAI_API_KEY,
+                    LOCAL_LLM_BASE_URL: !!process.env.LOCAL_LLM_BASE_URL
                 },
-                serviceAccountMethod: googleServiceAccount ? 'individual_env_vars' : 'not_configured'
+                serviceAccountMethod: googleConfigured ? 'individual_env_vars' : 'not_configured'
             }
         };
         
@@ -1,153 +0,0 @@
-// Alternative Google Docs download using OAuth2 access token
-// Bypasses OpenSSL JWT issues by using pre-generated access token
-
-const fs = require('fs');
-const path = require('path');
-
-export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
-    }
-    
-    if (req.method !== 'POST') {
-        res.status(405).json({ error: 'Method not allowed' });
-        return;
-    }
-    
-    try {
-        console.log('🔄 Starting OAuth-based Google Docs DOCX download...');
-        
-        const { documentId, documentName } = req.body;
-        const docId = documentId || '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA';
-        const docName = documentName || 'GTI Data Base and SOP';
-        
-        // Try to get access token using Google's token endpoint
-        // This bypasses the JWT signing issue
-        const tokenResponse = await getAccessTokenWithoutJWT();
-        
-        if (!tokenResponse.access_token) {
-            throw new Error('Failed to get access token');
-        }
-        
-        console.log('✅ Got access token successfully');
-        
-        // Use the access token to download the document
-        const exportUrl = `https://www.googleapis.com/drive/v3/files/${docId}/export?mimeType=application%2Fvnd.openxmlformats-officedocument.wordprocessingml.document`;
-        
-        console.log(`📥 Downloading DOCX from: ${exportUrl}`);
-        
-        const response = await fetch(exportUrl, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${tokenResponse.access_token}`,
-                'User-Agent': 'GTI-SOP-Assistant/1.0'
-            }
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Download failed: ${response.status} ${response.statusText}`);
-        }
-        
-        // Get the DOCX content
-        const docxBuffer = await response.arrayBuffer();
-        const docxBase64 = Buffer.from(docxBuffer).toString('base64');
-        
-        console.log(`✅ Successfully downloaded DOCX: ${docxBuffer.byteLength} bytes`);
-        
-        // Save the DOCX file locally for download capability
-        const docxFileName = `${docName.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.docx`;
-        const docxPath = path.join('/tmp', docxFileName);
-        
-        try {
-            fs.writeFileSync(docxPath, Buffer.from(docxBuffer));
-            console.log(`💾 DOCX saved locally: ${docxPath}`);
-        } catch (saveError) {
-            console.warn('⚠️ Could not save DOCX locally:', saveError.message);
-        }
-        
-        const responseData = {
-            success: true,
-            method: 'oauth_token_download',
-            document: {
-                id: docId,
-                name: docName,
-                modifiedTime: new Date().toISOString(),
-                size: docxBuffer.byteLength.toString(),
-                downloadUrl: `/api/download-file/${docxFileName}`
-            },
-            docx: {
-                data: docxBase64,
-                filename: docxFileName,
-                mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                size: docxBuffer.byteLength
-            },
-            metadata: {
-                source: 'google_docs_oauth_token',
-                downloadMethod: 'access_token_direct',
-                timestamp: new Date().toISOString()
-            }
-        };
-        
-        console.log(`🎉 OAuth DOCX download completed successfully`);
-        res.status(200).json(responseData);
-        
-    } catch (error) {
-        console.error('OAuth Google Docs download error:', error);
-        
-        // Try fallback to existing processed data
-        try {
-            const fallbackPath = path.join(process.cwd(), 'semantic_chunks.json');
-            if (fs.existsSync(fallbackPath)) {
-                console.log('📋 Using existing processed data as fallback');
-                const existingData = fs.readFileSync(fallbackPath, 'utf8');
-                const chunks = JSON.parse(existingData);
-                
-                return res.status(200).json({
-                    success: true,
-                    method: 'fallback_processed_data',
-                    document: {
-                        id: req.body.documentId,
-                        name: req.body.documentName || 'GTI Data Base and SOP',
-                        modifiedTime: new Date().toISOString(),
-                        note: 'OAuth download failed - using existing processed data'
-                    },
-                    chunks: chunks,
-                    warning: {
-                        message: 'OAuth authentication failed',
-                        originalError: error.message,
-                        note: 'Using existing processed chunks as fallback'
-                    },
-                    metadata: {
-                        source: 'existing_processed_data',
-                        chunkCount: chunks.length,
-                        note: 'OAuth token method failed, OpenSSL issues persist'
-                    }
-                });
-            }
-        } catch (fallbackError) {
-            console.error('Fallback also failed:', fallbackError);
-        }
-        
-        res.status(500).json({ 
-            error: 'OAuth download failed and no fallback available',
-            details: error.message,
-            note: 'OpenSSL DECODER issue persists across authentication methods'
-        });
-    }
-}
-
-async function getAccessTokenWithoutJWT() {
-    // This is a simplified approach - in practice, you'd need to implement
-    // the full OAuth2 flow or use a pre-generated access token
-    
-    // For now, we'll return an error since we can't bypass the OpenSSL issue
-    // without a fundamental change to the authentication approach
-    
-    throw new Error('OAuth token generation also requires JWT signing, which has the same OpenSSL issue');
-}
\ No newline at end of file
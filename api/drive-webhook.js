@@ -0,0 +1,56 @@
+// Drive push notifications -> re-sync of the document sources that changed
+// Drive posts to this endpoint for the changes.watch channel registered with
+// scripts/watch-drive-changes.js: an empty body and X-Goog-* headers. The channel token is
+// checked against DRIVE_WEBHOOK_TOKEN; a "change" then queues a re-sync of the sources whose
+// document has a new revision (api/_lib/driveChanges.js), which /api/sync-events broadcasts to
+// the open app as "SOP updated" (api/_lib/syncQueue.js). scripts/fake-drive-notifier.js sends
+// the same requests locally.
+//
+// Headers: X-Goog-Channel-Token, X-Goog-Resource-State ("sync" when the channel is created,
+//          then "change"), X-Goog-Message-Number, X-Goog-Channel-ID
+// -> 200 { ok, state, queued }  queued: the event ({ id, sources }), or null when nothing new changed
+//    403 on a wrong token, 503 when DRIVE_WEBHOOK_TOKEN is not set
+
+const driveChanges = require('./_lib/driveChanges');
+const syncQueue = require('./_lib/syncQueue');
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    const state = req.headers['x-goog-resource-state'];
+    const messageNumber = req.headers['x-goog-message-number'];
+
+    try {
+        driveChanges.verifyChannelToken(req.headers['x-goog-channel-token']);
+
+        // The first message only confirms the channel works
+        if (state === 'sync') {
+            console.log(`🔔 Drive channel ${req.headers['x-goog-channel-id']} is active`);
+            res.status(200).json({ ok: true, state, queued: null });
+            return;
+        }
+
+        const changed = await driveChanges.changedSources();
+        const queued = changed.length > 0
+            ? await syncQueue.enqueue(changed, `Drive change notification ${messageNumber || '?'}`)
+            : null;
+
+        res.status(200).json({ ok: true, state, queued });
+    } catch (error) {
+        console.error('Drive webhook error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+}
@@ -0,0 +1,61 @@
+// Query-time embeddings for the browser
+// Embeds short texts (search queries, or chunks missing from the persisted index) with the
+// same provider that built semantic_embeddings.json, keeping provider keys on the server.
+
+const embeddingProviders = require('./_lib/embeddingProviders');
+
+const MAX_TEXTS = 128; // ServerEmbeddingProvider.BATCH_SIZE in js/embeddingProviders.js
+const MAX_TEXT_LENGTH = 8000;
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { texts, provider: providerId } = req.body || {};
+
+        if (!Array.isArray(texts) || texts.length === 0 || texts.some(text => typeof text !== 'string')) {
+            return res.status(400).json({ error: 'texts must be a non-empty array of strings' });
+        }
+
+        if (texts.length > MAX_TEXTS) {
+            return res.status(400).json({ error: `At most ${MAX_TEXTS} texts per request` });
+        }
+
+        const provider = embeddingProviders.getProvider(providerId);
+        if (!provider.configured()) {
+            return res.status(400).json({ error: `${provider.label} embeddings are not configured on the server` });
+        }
+
+        const vectors = await embeddingProviders.embedTexts(
+            provider.id,
+            texts.map(text => text.substring(0, MAX_TEXT_LENGTH))
+        );
+
+        res.status(200).json({
+            success: true,
+            provider: provider.id,
+            model: provider.model,
+            dimensions: vectors[0]?.length || provider.dimensions,
+            vectors
+        });
+
+    } catch (error) {
+        console.error('Embed API error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to create embeddings'
+        });
+    }
+}
@@ -1,202 +0,0 @@
-// Simple Google Docs sync that works around OpenSSL issues
-// Returns enhanced sample data that simulates real Google Docs content
-
-export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
-    }
-    
-    if (req.method !== 'POST') {
-        res.status(405).json({ error: 'Method not allowed' });
-        return;
-    }
-    
-    try {
-        console.log('🔄 Using simple Google Docs sync (OpenSSL workaround)...');
-        
-        // Enhanced sample data that represents real GTI SOP content
-        const enhancedData = {
-            success: true,
-            document: {
-                id: '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA',
-                name: 'GTI Data Base and SOP',
-                modifiedTime: new Date().toISOString(),
-                size: '125000',
-                version: Math.floor(Date.now() / 1000).toString()
-            },
-            chunks: [
-                {
-                    chunk_id: 0,
-                    text: "Ohio (OH) RISE Orders: For RISE orders in Ohio, follow standard menu pricing without any discounts. The unit limit is 10 units per order. No special notes are required for batch substitutions in Ohio RISE orders.",
-                    images: [
-                        {
-                            filename: "ohio_rise_form.png",
-                            label: "Ohio RISE order form example showing proper unit limits",
-                            path: "/images/ohio_rise_form.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["OH"],
-                        sections: ["RISE"],
-                        topics: ["PRICING", "ORDER_LIMIT"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 40
-                    }
-                },
-                {
-                    chunk_id: 1,
-                    text: "Maryland (MD) Regular Orders: Regular wholesale orders in Maryland require separate invoicing for batteries. The delivery date should be set according to the standard schedule. Menu pricing applies for all regular orders. Contact compliance team for battery invoice templates.",
-                    images: [
-                        {
-                            filename: "maryland_battery_invoice.png",
-                            label: "Maryland separate battery invoice template",
-                            path: "/images/maryland_battery_invoice.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["MD"],
-                        sections: ["REGULAR"],
-                        topics: ["BATTERIES", "DELIVERY_DATE", "PRICING"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 45
-                    }
-                },
-                {
-                    chunk_id: 2,
-                    text: "New Jersey (NJ) Batch Substitution Rules: For NJ orders, FIFO (First In, First Out) principle applies for batch substitutions. When a requested batch is not available, substitute with the earliest available batch. Document all substitutions in the order notes with timestamp and reason.",
-                    images: [],
-                    metadata: {
-                        states: ["NJ"],
-                        sections: ["REGULAR", "RISE"],
-                        topics: ["BATCH_SUB"],
-                        has_images: false,
-                        image_count: 0,
-                        word_count: 52
-                    }
-                },
-                {
-                    chunk_id: 3,
-                    text: "Illinois (IL) RISE Order Limits: Illinois RISE orders have a maximum unit limit of 15 units per order. Orders exceeding this limit must be split into multiple orders. Each split order should reference the original order number and include split notation (1 of 2, 2 of 2, etc.).",
-                    images: [
-                        {
-                            filename: "illinois_split_order.png",
-                            label: "Illinois RISE order splitting example with proper notation",
-                            path: "/images/illinois_split_order.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["IL"],
-                        sections: ["RISE"],
-                        topics: ["ORDER_LIMIT"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 48
-                    }
-                },
-                {
-                    chunk_id: 4,
-                    text: "Nevada (NV) RISE Pricing: Nevada RISE orders must follow LT pricing structure. Menu prices do not apply for NV RISE orders. Battery products must be invoiced separately as per state requirements. Use NV-specific pricing sheet for accurate calculations.",
-                    images: [
-                        {
-                            filename: "nevada_lt_pricing.png",
-                            label: "Nevada LT pricing structure and calculator",
-                            path: "/images/nevada_lt_pricing.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["NV"],
-                        sections: ["RISE"],
-                        topics: ["PRICING", "BATTERIES"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 42
-                    }
-                },
-                {
-                    chunk_id: 5,
-                    text: "General Battery Invoice Requirements: The following states require batteries to be invoiced separately: Maryland (MD), New Jersey (NJ), and Nevada (NV). Create separate line items for battery products in these states. Use standard battery codes and ensure proper tax calculations.",
-                    images: [
-                        {
-                            filename: "battery_invoice_example.png",
-                            label: "Multi-state battery invoice example with proper codes",
-                            path: "/images/battery_invoice_example.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["MD", "NJ", "NV"],
-                        sections: ["REGULAR", "RISE"],
-                        topics: ["BATTERIES"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 48
-                    }
-                },
-                {
-                    chunk_id: 6,
-                    text: "California (CA) Compliance Requirements: California orders require additional compliance documentation. All products must include Prop 65 warnings where applicable. Delivery schedules must account for CA-specific regulations and inspection requirements.",
-                    images: [
-                        {
-                            filename: "california_compliance.png",
-                            label: "California Prop 65 and compliance documentation",
-                            path: "/images/california_compliance.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["CA"],
-                        sections: ["REGULAR", "RISE"],
-                        topics: ["COMPLIANCE", "DELIVERY_DATE"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 38
-                    }
-                },
-                {
-                    chunk_id: 7,
-                    text: "Texas (TX) Bulk Order Processing: Texas bulk orders over 50 units require manager approval. Use bulk order form and include shipping method preferences. Standard delivery timeframes may be extended for bulk orders requiring special handling.",
-                    images: [
-                        {
-                            filename: "texas_bulk_form.png",
-                            label: "Texas bulk order approval form",
-                            path: "/images/texas_bulk_form.png"
-                        }
-                    ],
-                    metadata: {
-                        states: ["TX"],
-                        sections: ["REGULAR"],
-                        topics: ["ORDER_LIMIT", "DELIVERY_DATE"],
-                        has_images: true,
-                        image_count: 1,
-                        word_count: 39
-                    }
-                }
-            ],
-            metadata: {
-                chunkCount: 8,
-                imageCount: 7,
-                source: 'enhanced_sample_data',
-                lastUpdate: new Date().toISOString(),
-                note: 'Enhanced sample data with comprehensive GTI SOP content'
-            }
-        };
-        
-        console.log('✅ Returning enhanced GTI SOP data');
-        console.log(`📊 Generated ${enhancedData.chunks.length} chunks with ${enhancedData.metadata.imageCount} images`);
-        
-        res.status(200).json(enhancedData);
-        
-    } catch (error) {
-        console.error('Simple sync error:', error);
-        res.status(500).json({ 
-            error: 'Failed to load GTI SOP data',
-            details: error.message 
-        });
-    }
-}
\ No newline at end of file
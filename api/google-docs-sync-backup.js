@@ -1,2 +0,0 @@
-// Backup of original google-docs-sync.js before rewrite
-// This file contains the original implementation with google-auth-library
\ No newline at end of file
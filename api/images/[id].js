@@ -0,0 +1,48 @@
+// SOP images by content-hash ID, e.g. /api/images/3f2a9c0d1e4b5a67.png
+// Chunks reference their screenshots by these IDs (see api/_lib/imageStore.js). An ID
+// always names the same bytes, so responses can be cached forever.
+// SVGs can carry scripts, so no image may run or load anything when opened directly.
+
+const imageStore = require('../_lib/imageStore');
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { id } = req.query;
+
+        if (!imageStore.isValidId(id)) {
+            return res.status(400).json({ error: 'Invalid image id' });
+        }
+
+        const data = await imageStore.loadImage(id);
+        if (!data) {
+            return res.status(404).json({ error: `Image ${id} not found` });
+        }
+
+        res.setHeader('Content-Type', imageStore.contentTypeFor(id));
+        res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'");
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+        res.status(200).send(data);
+
+    } catch (error) {
+        console.error('Image API error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to load image'
+        });
+    }
+}
@@ -0,0 +1,186 @@
+// Google Docs sync: download a document by whatever route works and chunk it
+// The strategy chain (api/_lib/ingestStrategies.js) tries the Docs API, the Drive API, the
+// public export link and, for the bundled SOP only, the stored copies in GitHub and the
+// deployment. Docs API documents are parsed from their structure (api/_lib/googleDocsParser.js);
+// DOCX downloads are parsed like uploads. Both are chunked by api/_lib/documentPipeline.js.
+//
+// POST { documentId, documentName?, tagModel?, strategies?, knownRevision? }
+//   Header X-Write-Token: APP_WRITE_TOKEN, to also save the document's images to GitHub
+//   strategies: strategy IDs to try, e.g. ["public-export"] (default: all, in order)
+//   knownRevision: the revision ID the caller's chunks came from; when the document is still at
+//                  that revision nothing is downloaded -> { success, unchanged: true, document }
+// -> { success, document, chunks, images, warnings, servedBy, fallback, attempts, metadata }
+//   document  { id, name, modifiedTime, version, revision, downloadUrl } - revision is { id, modifiedTime },
+//             or null when the strategy that served the chunks can't tell (public export, stored copies)
+//   servedBy  the strategy that served the chunks
+//   fallback  null, or { strategy, message } when they came from a stored copy instead of the Google Doc
+//   attempts  [{ strategy, label, ok, skipped?, status?, error?, hint?, ms? }] - every strategy tried, in order
+// When every strategy fails: 502 { error, attempts }
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ingestStrategies = require('./_lib/ingestStrategies');
+const documentPipeline = require('./_lib/documentPipeline');
+const googleDocsParser = require('./_lib/googleDocsParser');
+const writeAccess = require('./_lib/writeAccess');
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Write-Token');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    const { documentId, documentName, tagModel, strategies, knownRevision } = req.body || {};
+
+    if (!documentId || typeof documentId !== 'string') {
+        res.status(400).json({ error: 'documentId is required' });
+        return;
+    }
+    if (strategies !== undefined && (!Array.isArray(strategies) ||
+        strategies.some(id => !ingestStrategies.STRATEGIES.some(strategy => strategy.id === id)))) {
+        res.status(400).json({
+            error: `strategies must be a list of: ${ingestStrategies.STRATEGIES.map(strategy => strategy.id).join(', ')}`
+        });
+        return;
+    }
+    if (knownRevision !== undefined && knownRevision !== null && typeof knownRevision !== 'string') {
+        res.status(400).json({ error: 'knownRevision must be a revision ID string' });
+        return;
+    }
+
+    let uploadImages;
+    try {
+        uploadImages = writeAccess.writeAllowed(req.headers['x-write-token']);
+    } catch (error) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+    }
+
+    const request = { documentId, documentName: documentName || documentId, uploadImages };
+    const taggerModel = tagModel || process.env.METADATA_TAGGER_MODEL;
+
+    try {
+        if (knownRevision) {
+            const current = await currentRevision(request);
+            if (current && ingestStrategies.sameRevision(knownRevision, current.revision)) {
+                console.log(`⏭️ Ingest: ${request.documentName} is unchanged at revision ${knownRevision}`);
+                res.status(200).json({
+                    success: true,
+                    unchanged: true,
+                    document: {
+                        id: documentId,
+                        name: current.name,
+                        modifiedTime: current.modifiedTime || null,
+                        version: current.version || null,
+                        revision: current.revision
+                    }
+                });
+                return;
+            }
+        }
+
+        const { strategy, result, attempts } = await ingestStrategies.runChain(request, (fetched) => {
+            if (fetched.googleDoc) return processGoogleDoc(fetched, request, taggerModel);
+            if (fetched.docx) return processDocx(fetched, request, taggerModel);
+            return { ...fetched, images: [], warnings: [], processingMethod: 'stored_chunks' };
+        }, { strategies });
+
+        const fallback = strategy.fallback
+            ? { strategy: strategy.id, message: `Google Docs could not be reached; served from ${strategy.fallback}` }
+            : null;
+        if (fallback) {
+            console.warn(`⚠️ Ingest fallback for ${request.documentName}: ${strategy.id}`);
+        }
+
+        res.status(200).json({
+            success: true,
+            document: {
+                id: documentId,
+                name: result.document.name || request.documentName,
+                modifiedTime: result.document.modifiedTime || null,
+                version: result.document.version || null,
+                revision: result.document.revision || null,
+                downloadUrl: result.downloadUrl
+            },
+            chunks: result.chunks,
+            images: result.images,
+            warnings: result.warnings,
+            servedBy: strategy.id,
+            fallback,
+            attempts,
+            metadata: {
+                chunkCount: result.chunks.length,
+                imageCount: result.images.length,
+                source: strategy.id,
+                lastUpdate: new Date().toISOString(),
+                processingMethod: result.processingMethod,
+                imageStorage: result.imageStorage,
+                tagging: result.tagging
+            }
+        });
+    } catch (error) {
+        console.error('Ingest error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message,
+            ...(error.attempts && { attempts: error.attempts })
+        });
+    }
+}
+
+// The document's Drive revision, or null when it can't be checked - then it is downloaded as usual
+async function currentRevision(request) {
+    try {
+        return await ingestStrategies.checkRevision(request);
+    } catch (error) {
+        console.log(`⚠️ Ingest: could not check the revision of ${request.documentName}: ${error.message}`);
+        return null;
+    }
+}
+
+// Docs API structure straight to blocks; its images are copied before their links expire
+async function processGoogleDoc(fetched, request, taggerModel) {
+    const parsed = await googleDocsParser.storeLinkedImages(googleDocsParser.parseGoogleDoc(fetched.googleDoc));
+    const processed = await documentPipeline.processParsed(parsed, 'google-docs', {
+        name: request.documentName,
+        tagModel: taggerModel,
+        uploadImages: request.uploadImages
+    });
+    return { ...fetched, ...processed, processingMethod: 'docs_api_parser' };
+}
+
+async function processDocx(fetched, request, taggerModel) {
+    const processed = await documentPipeline.processDocument(fetched.docx, 'docx', {
+        name: request.documentName,
+        tagModel: taggerModel,
+        uploadImages: request.uploadImages
+    });
+    return {
+        ...fetched,
+        ...processed,
+        processingMethod: 'nodejs_docx_chunker',
+        downloadUrl: saveDocx(fetched.docx, fetched.document.name || request.documentName)
+    };
+}
+
+// Keep the downloaded DOCX for /api/download-file/<name> (per server instance, cleaned up after a download)
+function saveDocx(docx, name) {
+    const fileName = `${name.replace(/[^a-zA-Z0-9]/g, '_')}_${Date.now()}.docx`;
+    try {
+        fs.writeFileSync(path.join(os.tmpdir(), fileName), docx);
+        return `/api/download-file/${fileName}`;
+    } catch (error) {
+        console.warn('⚠️ Could not save DOCX for download:', error.message);
+        return undefined;
+    }
+}
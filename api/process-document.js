@@ -0,0 +1,154 @@
+// Document ingestion for every supported format: DOCX, PDF, Markdown and exported HTML
+// Parses the file (api/_lib/documentParsers.js) and chunks it exactly like a synced SOP
+// (api/_lib/documentPipeline.js, shared with /api/ingest), so chunks have the
+// semantic_chunks.json schema plus, where the format has them, `pages` (PDF) or `anchor`
+// (Markdown/HTML heading id) for citations.
+// Anything the parser had to leave out or flatten is reported in `warnings`, as
+// { type, message, count } with type 'unsupported' (Word elements and styles mammoth has no
+// HTML for), 'empty-section' (headings with nothing under them), 'image' or 'structure'.
+//
+// POST { fileData: base64, fileName, format?, documentId?, documentName?, tagModel?, stream? }
+//   Header X-Write-Token: APP_WRITE_TOKEN, to also save the document's images to GitHub
+//   format defaults to the one fileName's extension implies ('docx' | 'pdf' | 'markdown' | 'html')
+//   stream: true answers with Server-Sent Events, like /api/chat:
+//     data: {"progress": {"stage": "parse", "step": 2, "steps": 5, "message": "Parsing DOCX..."}}
+//     data: {"progress": {"stage": "tag", "step": 4, "steps": 5, "done": 16, "total": 40, ...}}
+//     data: {"done": true, ...the JSON response}   or   data: {"error": "...", "warnings": [...]}
+
+const documentParsers = require('./_lib/documentParsers');
+const documentPipeline = require('./_lib/documentPipeline');
+const writeAccess = require('./_lib/writeAccess');
+
+// Base64 grows a file by a third and Vercel rejects request bodies over 4.5 MB, so larger
+// files never get here - DocumentProcessor.MAX_FILE_BYTES checks before uploading
+const MAX_FILE_BYTES = 3 * 1024 * 1024;
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Write-Token');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    let uploadImages;
+    try {
+        uploadImages = writeAccess.writeAllowed(req.headers['x-write-token']);
+    } catch (error) {
+        res.status(error.statusCode).json({ error: error.message });
+        return;
+    }
+    const body = { ...req.body, uploadImages };
+
+    if (body.stream) {
+        await streamToClient(res, body);
+        return;
+    }
+
+    try {
+        res.status(200).json(await processDocument(body));
+    } catch (error) {
+        console.error('Document processing error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? error.message : 'Failed to process document',
+            details: error.message,
+            ...(error.warnings && { warnings: error.warnings })
+        });
+    }
+}
+
+async function streamToClient(res, body) {
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+
+    const send = (payload) => res.write(`data: ${JSON.stringify(payload)}\n\n`);
+
+    try {
+        const result = await processDocument(body, (progress) => send({ progress }));
+        send({ done: true, ...result });
+    } catch (error) {
+        console.error('Document processing error:', error);
+        send({ error: error.message || 'Failed to process document', ...(error.warnings && { warnings: error.warnings }) });
+    } finally {
+        res.end();
+    }
+}
+
+/**
+ * Parse, chunk, tag and store one uploaded document
+ * @param {Object} body - The request body (see the top of this file)
+ * @param {Function} onProgress - Called with { stage, step, steps, message, done?, total? }
+ * @returns {Promise<Object>} { success, document, chunks, images, warnings, metadata }
+ */
+async function processDocument(body, onProgress = () => {}) {
+    const { fileData, fileName, documentId, documentName, tagModel, uploadImages } = body;
+
+    if (!fileData) {
+        throw clientError('fileData is required');
+    }
+
+    const format = body.format || documentParsers.formatOf(fileName);
+    if (!format) {
+        throw clientError(`Unsupported file type: ${fileName || 'unnamed file'}. Upload ${Object.values(documentParsers.FORMATS).flat().join(', ')}`);
+    }
+
+    const taggerModel = tagModel || process.env.METADATA_TAGGER_MODEL;
+    const stages = ['read', ...documentPipeline.stagesFor(taggerModel)];
+    const progress = (stage, message, counts = {}) => {
+        onProgress({ stage, step: stages.indexOf(stage) + 1, steps: stages.length, message, ...counts });
+    };
+
+    progress('read', `Reading ${fileName || 'document'}...`);
+    const buffer = Buffer.from(fileData, 'base64');
+    if (buffer.length > MAX_FILE_BYTES) {
+        throw clientError(`${fileName || 'The document'} is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; uploads are limited to ${MAX_FILE_BYTES / 1024 / 1024} MB`, 413);
+    }
+
+    const processed = await documentPipeline.processDocument(buffer, format, {
+        name: fileName || 'the document',
+        tagModel: taggerModel,
+        uploadImages,
+        progress
+    });
+
+    return {
+        success: true,
+        document: {
+            id: documentId || `uploaded-${format}`,
+            name: documentName || fileName || 'Uploaded document',
+            format,
+            modifiedTime: new Date().toISOString(),
+            size: processed.chunks.length.toString(),
+            version: 'full-processed'
+        },
+        chunks: processed.chunks,
+        images: processed.images,
+        warnings: processed.warnings,
+        metadata: {
+            chunkCount: processed.chunks.length,
+            imageCount: processed.images.length,
+            source: `${format}_upload`,
+            lastUpdate: new Date().toISOString(),
+            processingMethod: `nodejs_${format}_chunker`,
+            imageStorage: processed.imageStorage,
+            tagging: processed.tagging
+        }
+    };
+}
+
+function clientError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
@@ -1,325 +0,0 @@
-// Full DOCX processing implementation based on Python docx_chunking.py
-// This implements the complete workflow: DOCX → Chunks + Images → Vector DB
-
-const fs = require('fs');
-const path = require('path');
-
-// Import mammoth for DOCX processing (Node.js equivalent of python-docx)
-let mammoth;
-try {
-    mammoth = require('mammoth');
-} catch (e) {
-    console.log('Mammoth not installed - using fallback processing');
-}
-
-export default async function handler(req, res) {
-    // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.status(200).end();
-        return;
-    }
-    
-    if (req.method !== 'POST') {
-        res.status(405).json({ error: 'Method not allowed' });
-        return;
-    }
-    
-    try {
-        console.log('🔄 Processing DOCX with full semantic chunking...');
-        
-        const { docxData, documentId, documentName } = req.body;
-        
-        if (!docxData) {
-            return res.status(400).json({ error: 'DOCX data is required' });
-        }
-        
-        // Convert base64 DOCX to buffer
-        const docxBuffer = Buffer.from(docxData, 'base64');
-        
-        // Process DOCX content using mammoth (similar to python-docx)
-        let processedData;
-        if (mammoth) {
-            processedData = await processDocxWithMammoth(docxBuffer, documentName);
-        } else {
-            // Fallback: Use the existing processed chunks if mammoth is not available
-            processedData = await loadExistingProcessedData();
-        }
-        
-        // Create semantic chunks with metadata
-        const chunks = await createSemanticChunks(processedData.content, processedData.images);
-        
-        // Create vector database indices
-        const vectorData = await createVectorDatabase(chunks);
-        
-        console.log(`✅ Processed ${chunks.length} chunks with ${processedData.images.length} images`);
-        
-        const response = {
-            success: true,
-            document: {
-                id: documentId || 'processed-docx',
-                name: documentName || 'GTI Data Base and SOP',
-                modifiedTime: new Date().toISOString(),
-                size: chunks.length.toString(),
-                version: 'full-processed'
-            },
-            chunks: chunks,
-            images: processedData.images,
-            vectorDatabase: {
-                semantic: vectorData.semantic,
-                keyword: vectorData.keyword,
-                metadata: vectorData.metadata
-            },
-            metadata: {
-                chunkCount: chunks.length,
-                imageCount: processedData.images.length,
-                source: 'full_docx_processing',
-                lastUpdate: new Date().toISOString(),
-                note: `Complete GTI SOP data with semantic chunking and vector database`,
-                processingMethod: 'nodejs_mammoth_chunker'
-            }
-        };
-        
-        res.status(200).json(response);
-        
-    } catch (error) {
-        console.error('Full DOCX processing error:', error);
-        res.status(500).json({ 
-            error: 'Failed to process DOCX fully',
-            details: error.message
-        });
-    }
-}
-
-async function processDocxWithMammoth(docxBuffer, documentName) {
-    try {
-        // Extract text and images using mammoth
-        const result = await mammoth.extractRawText(docxBuffer);
-        const text = result.value;
-        
-        // Extract images
-        const imageResult = await mammoth.images.imgElement(function(image) {
-            return image.read("base64").then(function(imageBuffer) {
-                const imageId = `image_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-                return {
-                    src: `data:${image.contentType};base64,${imageBuffer}`,
-                    alt: `GTI SOP Image ${imageId}`,
-                    imageId: imageId,
-                    contentType: image.contentType
-                };
-            });
-        });
-        
-        const images = imageResult.messages || [];
-        
-        return {
-            content: text,
-            images: images.map((img, index) => ({
-                filename: `image_${index + 1}.png`,
-                label: img.alt || `GTI SOP procedure image ${index + 1}`,
-                path: `/images/image_${index + 1}.png`,
-                base64: img.src,
-                contentType: img.contentType || 'image/png'
-            }))
-        };
-        
-    } catch (error) {
-        console.error('Mammoth processing error:', error);
-        throw error;
-    }
-}
-
-async function loadExistingProcessedData() {
-    // Fallback: Load the existing processed data from Python app
-    const chunksPath = path.join(process.cwd(), 'semantic_chunks.json');
-    
-    if (fs.existsSync(chunksPath)) {
-        const chunksData = fs.readFileSync(chunksPath, 'utf8');
-        const existingChunks = JSON.parse(chunksData);
-        
-        // Extract content and images from existing chunks
-        const content = existingChunks.map(chunk => chunk.text).join('\n\n');
-        const images = [];
-        
-        existingChunks.forEach(chunk => {
-            if (chunk.images && chunk.images.length > 0) {
-                images.push(...chunk.images);
-            }
-        });
-        
-        return { content, images };
-    }
-    
-    throw new Error('No processed data available and mammoth not installed');
-}
-
-async function createSemanticChunks(content, images) {
-    // Implement semantic chunking similar to Python docx_chunking.py
-    
-    const chunks = [];
-    const paragraphs = content.split('\n\n').filter(p => p.trim().length > 0);
-    
-    let currentChunk = '';
-    let chunkId = 0;
-    const targetChunkSize = 800;
-    const maxChunkSize = 1200;
-    
-    for (let i = 0; i < paragraphs.length; i++) {
-        const paragraph = paragraphs[i].trim();
-        
-        if (currentChunk.length + paragraph.length > maxChunkSize && currentChunk.length > 0) {
-            // Finalize current chunk
-            const chunk = createChunkObject(currentChunk, chunkId, images);
-            chunks.push(chunk);
-            chunkId++;
-            currentChunk = paragraph;
-        } else {
-            currentChunk += (currentChunk ? '\n\n' : '') + paragraph;
-        }
-        
-        // Check if we should create a chunk at natural breaking points
-        if (isNaturalBreakPoint(paragraph) && currentChunk.length > targetChunkSize) {
-            const chunk = createChunkObject(currentChunk, chunkId, images);
-            chunks.push(chunk);
-            chunkId++;
-            currentChunk = '';
-        }
-    }
-    
-    // Add final chunk
-    if (currentChunk.trim()) {
-        const chunk = createChunkObject(currentChunk, chunkId, images);
-        chunks.push(chunk);
-    }
-    
-    return chunks;
-}
-
-function createChunkObject(text, chunkId, images) {
-    // Extract metadata from text (similar to Python logic)
-    const metadata = extractMetadata(text);
-    
-    // Find relevant images for this chunk
-    const chunkImages = findRelevantImages(text, images, chunkId);
-    
-    return {
-        chunk_id: chunkId,
-        text: text.trim(),
-        images: chunkImages,
-        metadata: {
-            states: metadata.states,
-            sections: metadata.sections,
-            topics: metadata.topics,
-            has_images: chunkImages.length > 0,
-            image_count: chunkImages.length,
-            char_count: text.length,
-            word_count: text.split(/\s+/).length
-        }
-    };
-}
-
-function extractMetadata(text) {
-    const textLower = text.toLowerCase();
-    
-    // Extract states
-    const statePattern = /\b(OH|MD|NJ|IL|NY|NV|MA|CA|TX|FL|PA|MI|WA|OR|CO|AZ|VA|NC|GA|TN|IN|WI|MO|AL|SC|KY|LA|CT|OK|AR|MS|KS|UT|NE|WV|ID|HI|ME|NH|VT|DE|RI|MT|ND|SD|AK|WY)\b/gi;
-    const states = [...new Set((text.match(statePattern) || []).map(s => s.toUpperCase()))];
-    
-    // Extract sections
-    const sections = [];
-    if (/rise/i.test(text)) sections.push('RISE');
-    if (/regular|wholesale/i.test(text)) sections.push('REGULAR');
-    if (/general|info|team/i.test(text)) sections.push('GENERAL');
-    
-    // Extract topics
-    const topics = [];
-    if (/price|pricing|discount|menu/i.test(text)) topics.push('PRICING');
-    if (/battery|batteries|separate.*invoice/i.test(text)) topics.push('BATTERIES');
-    if (/limit|unit|max|split/i.test(text)) topics.push('ORDER_LIMIT');
-    if (/batch|sub|fifo|substitut/i.test(text)) topics.push('BATCH_SUB');
-    if (/delivery|date|schedule/i.test(text)) topics.push('DELIVERY_DATE');
-    if (/compliance|prop.*65|regulation/i.test(text)) topics.push('COMPLIANCE');
-    
-    return { states, sections, topics };
-}
-
-function findRelevantImages(text, images, chunkId) {
-    // Logic to determine which images are relevant to this chunk
-    // This would be more sophisticated in a full implementation
-    
-    const relevantImages = [];
-    const chunkImages = images.filter((img, index) => {
-        // Simple heuristic: distribute images evenly across chunks
-        const imageChunkId = Math.floor(index * 10 / images.length);
-        return imageChunkId === (chunkId % 10);
-    });
-    
-    return chunkImages.slice(0, 2); // Max 2 images per chunk
-}
-
-function isNaturalBreakPoint(paragraph) {
-    // Detect natural breaking points (similar to Python logic)
-    return /^(GENERAL|RISE|REGULAR|[A-Z]{2}\s|Image\s\d+|Table\s\d+)/i.test(paragraph.trim());
-}
-
-async function createVectorDatabase(chunks) {
-    // Create simple vector database indices (simplified version)
-    // In a full implementation, you'd use a vector similarity library
-    
-    const semantic = chunks.map(chunk => ({
-        id: chunk.chunk_id,
-        text: chunk.text,
-        vector: createSimpleVector(chunk.text) // Simplified vector
-    }));
-    
-    const keyword = chunks.map(chunk => ({
-        id: chunk.chunk_id,
-        keywords: extractKeywords(chunk.text)
-    }));
-    
-    const metadata = chunks.map(chunk => ({
-        id: chunk.chunk_id,
-        states: chunk.metadata.states,
-        sections: chunk.metadata.sections,
-        topics: chunk.metadata.topics,
-        has_images: chunk.metadata.has_images
-    }));
-    
-    return { semantic, keyword, metadata };
-}
-
-function createSimpleVector(text) {
-    // Create a simple hash-based vector (simplified)
-    const words = text.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-    const vector = new Array(100).fill(0);
-    
-    words.forEach(word => {
-        const hash = simpleHash(word) % 100;
-        vector[hash] += 1;
-    });
-    
-    return vector;
-}
-
-function extractKeywords(text) {
-    // Extract important keywords from text
-    const stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
-    
-    return text.toLowerCase()
-        .split(/\s+/)
-        .filter(word => word.length > 2 && !stopWords.has(word))
-        .slice(0, 10); // Top 10 keywords
-}
-
-function simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash);
-}
\ No newline at end of file
@@ -0,0 +1,71 @@
+// Second-stage reranking for the browser's retriever
+// Rescores the top-K chunk IDs of a hybrid search with a cross-encoder or an LLM
+// (_lib/rerankers.js). Chunks are resolved server-side, like /api/chat.
+
+const rerankers = require('./_lib/rerankers');
+const chunkStore = require('./_lib/chunkStore');
+
+const DEFAULT_MODEL = 'gemini-2.0';
+const MAX_CANDIDATES = 50;
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        const { query, chunkIds, contentHashes, method, model } = req.body || {};
+
+        if (!query || typeof query !== 'string') {
+            return res.status(400).json({ error: 'Query is required' });
+        }
+
+        if (!Array.isArray(chunkIds) || chunkIds.length === 0) {
+            return res.status(400).json({ error: 'chunkIds must be a non-empty array' });
+        }
+
+        if (contentHashes !== undefined && !Array.isArray(contentHashes)) {
+            return res.status(400).json({ error: 'contentHashes must be an array' });
+        }
+
+        if (chunkIds.length > MAX_CANDIDATES) {
+            return res.status(400).json({ error: `At most ${MAX_CANDIDATES} chunks per request` });
+        }
+
+        const reranker = rerankers.getReranker(method);
+        const options = { model: model || DEFAULT_MODEL };
+        if (!reranker.configured(options)) {
+            return res.status(400).json({ error: `${reranker.label} is not available on the server` });
+        }
+
+        const chunks = await chunkStore.resolveChunks(chunkIds, contentHashes);
+        const scores = await reranker.score(query, chunks.map(chunk => chunk.text), options);
+
+        console.log(`🎯 Reranked ${chunks.length} chunks with ${reranker.id}`);
+
+        res.status(200).json({
+            success: true,
+            method: reranker.id,
+            model: reranker.id === 'llm' ? options.model : reranker.model,
+            scores: chunks.map((chunk, index) => ({ chunk_id: chunk.chunk_id, score: scores[index] }))
+        });
+
+    } catch (error) {
+        console.error('Rerank API error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to rerank results',
+            ...(error.missing && { missing: error.missing })
+        });
+    }
+}
@@ -0,0 +1,80 @@
+// Save a shared file to the GitHub repo
+// The browser never holds GITHUB_TOKEN: it posts the new content here with the write token
+// (X-Write-Token, see _lib/writeAccess.js) and the server commits it. Only the files the app
+// itself maintains can be written. Large files (embeddings, snapshots) arrive gzipped and
+// base64-encoded in `gzip`, which keeps them under the request body limit.
+//
+// POST { path, message, content } or { path, message, gzip } → { success, path, sha }
+
+const zlib = require('zlib');
+const githubFiles = require('./_lib/githubFiles');
+const writeAccess = require('./_lib/writeAccess');
+
+const WRITABLE_PATHS = [
+    /^config\/(global-settings|taxonomy|sources)\.json$/,
+    /^data\/(semantic_chunks|metadata|semantic_embeddings|changes)\.json$/,
+    /^backups\/index\.json$/,
+    /^backups\/backup-[0-9A-Za-z-]+\/backup\.json$/
+];
+const MAX_CONTENT_BYTES = 50 * 1024 * 1024; // Unpacked
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Write-Token');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    try {
+        writeAccess.requireWriteAccess(req.headers['x-write-token']);
+
+        const { path: filePath, message, content, gzip } = req.body || {};
+        if (typeof filePath !== 'string' || !WRITABLE_PATHS.some(pattern => pattern.test(filePath))) {
+            return res.status(400).json({ error: `${filePath} cannot be saved through this endpoint` });
+        }
+
+        let text;
+        if (typeof gzip === 'string') {
+            try {
+                text = zlib.gunzipSync(Buffer.from(gzip, 'base64'), { maxOutputLength: MAX_CONTENT_BYTES }).toString('utf8');
+            } catch (error) {
+                return res.status(400).json({ error: `gzip content could not be unpacked: ${error.message}` });
+            }
+        } else if (typeof content === 'string') {
+            text = content;
+        } else {
+            return res.status(400).json({ error: 'content or gzip is required' });
+        }
+
+        // Every writable file is JSON the app reads back - never commit something it cannot parse
+        try {
+            JSON.parse(text);
+        } catch (error) {
+            return res.status(400).json({ error: `${filePath} must be valid JSON: ${error.message}` });
+        }
+
+        const sha = await githubFiles.writeFile(
+            filePath,
+            text,
+            typeof message === 'string' && message.trim() ? message.substring(0, 200) : `Update ${filePath}`
+        );
+        console.log(`💾 Saved ${filePath} (${text.length} characters)`);
+
+        res.status(200).json({ success: true, path: filePath, sha });
+
+    } catch (error) {
+        console.error('Save API error:', error);
+        res.status(error.statusCode || 500).json({
+            error: error.message || 'Failed to save file'
+        });
+    }
+}
@@ -0,0 +1,83 @@
+// "SOP updated" events for the open app (Server-Sent Events)
+// Streams the re-syncs the Drive webhook queues (api/_lib/syncQueue.js). A stream lasts
+// STREAM_SECONDS, then the browser's EventSource reconnects and sends the last event ID it
+// saw (Last-Event-ID), and the events queued in between are replayed - including ones queued
+// on another server instance. vercel.json lets the function run that long.
+//
+// GET [?since=<event id>] -> text/event-stream
+//   since: the last event the app handled, to replay what was queued while no tab was open
+//   data: { type: 'ready', lastId }                          on a new stream, nothing to replay
+//   data: { type: 'sop-updated', id, sources, reason, at }   with "id: <n>" for Last-Event-ID
+
+const syncQueue = require('./_lib/syncQueue');
+
+const STREAM_SECONDS = parseInt(process.env.SYNC_EVENTS_STREAM_SECONDS || '55', 10);
+const HEARTBEAT_MS = 20 * 1000;
+const RECONNECT_MS = 5 * 1000;
+
+export default async function handler(req, res) {
+    // Set CORS headers
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        res.status(405).json({ error: 'Method not allowed' });
+        return;
+    }
+
+    const resumeFrom = parseInt(req.headers['last-event-id'] || req.query?.since, 10);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders?.();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    let lastSent = Number.isNaN(resumeFrom) ? null : resumeFrom;
+    const send = (event) => {
+        if (lastSent !== null && event.id <= lastSent) return;
+        lastSent = event.id;
+        res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Listen before reading the stored events, so nothing queued in between is missed
+    const pending = [];
+    let unsubscribe = syncQueue.subscribe(event => pending.push(event));
+
+    try {
+        const { events, lastId } = await syncQueue.eventsSince(lastSent ?? Infinity);
+        if (lastSent === null) {
+            lastSent = lastId;
+            res.write(`id: ${lastId}\ndata: ${JSON.stringify({ type: 'ready', lastId })}\n\n`);
+        }
+        events.forEach(send);
+    } catch (error) {
+        // Stored events are unreachable - still stream what this instance queues
+        console.warn('⚠️ Sync events: could not load queued events:', error.message);
+        if (lastSent === null) lastSent = 0;
+    }
+
+    unsubscribe();
+    pending.forEach(send);
+    unsubscribe = syncQueue.subscribe(send);
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+    let finished = false;
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearInterval(heartbeat);
+        clearTimeout(timeout);
+        unsubscribe();
+        res.end();
+    };
+    const timeout = setTimeout(finish, STREAM_SECONDS * 1000);
+    req.on('close', finish);
+}
@@ -7,18 +7,29 @@ class GTISOPAssistant {
     constructor() {
         this.isInitialized = false;
         this.documentProcessor = null;
-        this.vectorDatabase = null;
+        this.retriever = null;
         this.chatInterface = null;
         this.settingsManager = null;
         this.githubIntegration = null;
         this.globalConfig = null;
-        
+        this.changeDigest = null;
+        this.snapshotManager = null;
+        this.taxonomy = null;
+        this.documentSources = null;
+        this.syncTimer = null;
+        this.syncInProgress = false;
+        this.changeEvents = null; // EventSource for "SOP updated" events from the Drive webhook
+        this.pendingSyncIds = new Set();
+        this.pendingSyncTimer = null;
+        this.pendingSyncEventId = null; // The latest event pendingSyncIds came from
+
         this.state = {
             documentsLoaded: false,
             vectorDbReady: false,
             apiKeysConfigured: false,
             currentModel: 'gemini-2.0',
             temperature: 0.1,
+            sourceScope: [], // Document source IDs chat searches - empty searches all of them
             globalSettings: null
         };
         
@@ -74,9 +85,11 @@ class GTISOPAssistant {
                 
                 // Merge server config with default settings
                 this.state.globalSettings = {
-                    apiKeys: serverConfig.apiKeys,
+                    providers: serverConfig.providers || {},
+                    models: serverConfig.models || [],
                     model: 'gemini-2.0',
                     temperature: 0.1,
+                    retrieval: { fusion: 'weighted', bm25: { k1: 1.2, b: 0.75 }, synonyms: null, rerank: { method: 'none', topK: 20 } },
                     displayOptions: {
                         showSuggestedQuestions: true,
                         showChunkRelevance: true
@@ -88,9 +101,11 @@ class GTISOPAssistant {
             } else {
                 console.warn('Failed to load server config, using defaults');
                 this.state.globalSettings = {
-                    apiKeys: { openai: '', gemini: '', githubToken: '' },
+                    providers: {},
+                    models: [],
                     model: 'gemini-2.0',
                     temperature: 0.1,
+                    retrieval: { fusion: 'weighted', bm25: { k1: 1.2, b: 0.75 }, synonyms: null, rerank: { method: 'none', topK: 20 } },
                     displayOptions: { showSuggestedQuestions: true, showChunkRelevance: true },
                     github: { repo: 'FadeevMax/SOP3.0_vercel' },
                     googleDocs: { docId: '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA', docName: 'GTI Data Base and SOP' },
@@ -102,6 +117,14 @@ class GTISOPAssistant {
             this.globalConfig = new GlobalConfig();
             console.log('✓ Global config initialized');
             
+            // Load the shared taxonomy (states, order types, topics) used by query analysis and processing
+            this.taxonomy = await this.globalConfig.loadTaxonomy();
+            console.log(`✓ Taxonomy loaded (${this.taxonomy.describe()})`);
+            
+            // Load the documents the knowledge base is built from, each with its own sync schedule
+            this.documentSources = await this.globalConfig.loadSources();
+            console.log(`✓ ${this.documentSources.describe()} loaded`);
+            
             // Initialize settings manager with global settings
             this.settingsManager = new SettingsManager(this);
             console.log('✓ Settings manager initialized');
@@ -110,9 +133,18 @@ class GTISOPAssistant {
             this.documentProcessor = new DocumentProcessor(this);
             console.log('✓ Document processor initialized');
             
-            // Initialize vector database
-            this.vectorDatabase = new VectorDatabase(this);
-            console.log('✓ Vector database initialized');
+            // Initialize retriever (semantic + BM25 + metadata + image scorers)
+            const retrievalSettings = this.settingsManager.settings.retrieval || {};
+            this.retriever = new Retriever({
+                fusion: retrievalSettings.fusion,
+                bm25: retrievalSettings.bm25,
+                synonyms: retrievalSettings.synonyms,
+                reranker: ServerReranker.create(retrievalSettings.rerank?.method),
+                rerankTopK: retrievalSettings.rerank?.topK,
+                tagSource: retrievalSettings.tags?.source,
+                minTagConfidence: retrievalSettings.tags?.minConfidence
+            });
+            console.log('✓ Retriever initialized');
             
             // Initialize chat interface
             this.chatInterface = new ChatInterface(this);
@@ -121,7 +153,15 @@ class GTISOPAssistant {
             // Initialize GitHub integration
             this.githubIntegration = new GitHubIntegration(this);
             console.log('✓ GitHub integration initialized');
-            
+
+            // Initialize the "What changed" digest shown after re-syncs
+            this.changeDigest = new ChangeDigest(this);
+            console.log('✓ Change digest initialized');
+
+            // Initialize knowledge-base snapshots (Settings → Snapshots)
+            this.snapshotManager = new SnapshotManager(this);
+            console.log('✓ Snapshot manager initialized');
+
             // Initialize Google Docs sync with error checking
             try {
                 console.log('🔍 Checking GoogleDocsSync availability...');
@@ -129,11 +169,11 @@ class GTISOPAssistant {
                 console.log('window.GoogleDocsSync:', typeof window.GoogleDocsSync);
                 
                 if (typeof GoogleDocsSync !== 'undefined') {
-                    this.googleDocsSync = new GoogleDocsSync();
+                    this.googleDocsSync = new GoogleDocsSync(this.state.globalSettings.googleDocs);
                     console.log('✓ Google Docs sync initialized with GoogleDocsSync');
                     console.log('GoogleDocsSync methods:', Object.getOwnPropertyNames(GoogleDocsSync.prototype));
                 } else if (typeof window.GoogleDocsSync !== 'undefined') {
-                    this.googleDocsSync = new window.GoogleDocsSync();
+                    this.googleDocsSync = new window.GoogleDocsSync(this.state.globalSettings.googleDocs);
                     console.log('✓ Google Docs sync initialized with window.GoogleDocsSync');
                 } else {
                     console.warn('❌ GoogleDocsSync class not found - using fallback');
@@ -145,32 +185,26 @@ class GTISOPAssistant {
                 this.googleDocsSync = null;
             }
             
-            // Initialize query intelligence and vector database
+            // Initialize query intelligence
             try {
                 if (typeof QueryIntelligence !== 'undefined') {
-                    this.queryIntelligence = new QueryIntelligence();
+                    this.queryIntelligence = new QueryIntelligence(this.taxonomy);
                     console.log('✓ Query intelligence initialized');
                 } else {
                     console.warn('QueryIntelligence class not found');
                     this.queryIntelligence = null;
                 }
-                
-                if (typeof AdvancedVectorDatabase !== 'undefined') {
-                    this.vectorDatabase = new AdvancedVectorDatabase();
-                    console.log('✓ Advanced vector database initialized');
-                } else {
-                    console.warn('AdvancedVectorDatabase class not found');
-                    this.vectorDatabase = null;
-                }
             } catch (error) {
-                console.warn('Failed to initialize advanced search modules:', error);
+                console.warn('Failed to initialize query intelligence:', error);
                 this.queryIntelligence = null;
-                this.vectorDatabase = null;
             }
             
             // Load global data first, then fallback to local data
             await this.loadGlobalData();
             console.log('✓ Global data loading completed');
+            
+            this.startSyncSchedule();
+            this.startChangeListener();
         } catch (error) {
             console.error('Module initialization failed:', error);
             throw error;
@@ -392,13 +426,17 @@ class GTISOPAssistant {
     async loadGlobalData() {
         try {
             console.log('Loading global document data...');
-            
+
+            // Show what the last sync changed, whichever source the chunks come from
+            await this.changeDigest.load();
+
             // Try to load global data from GitHub first
             const globalData = await this.globalConfig.loadGlobalData();
             
             if (globalData && globalData.chunks && globalData.chunks.length > 0) {
                 console.log('Loading global document data from GitHub');
-                await this.vectorDatabase.loadFromStorage(globalData.chunks, null);
+                this.documentSources.setSyncStatus(globalData.metadata?.sources);
+                await this.retriever.index(this.documentSources.adopt(globalData.chunks), globalData.embeddings);
                 this.state.documentsLoaded = true;
                 this.state.vectorDbReady = true;
                 
@@ -416,7 +454,8 @@ class GTISOPAssistant {
             const savedChunks = localStorage.getItem('gti_chunks');
             if (savedChunks) {
                 console.log('Loading existing document data from localStorage');
-                await this.vectorDatabase.loadFromStorage(JSON.parse(savedChunks), null);
+                const embeddings = await this.globalConfig.loadEmbeddingIndex();
+                await this.retriever.index(this.documentSources.adopt(JSON.parse(savedChunks)), embeddings);
                 this.state.documentsLoaded = true;
                 this.state.vectorDbReady = true;
                 return;
@@ -425,7 +464,9 @@ class GTISOPAssistant {
             // If no data exists, try to sync from Google Docs or use fallback
             const syncResult = await this.syncFromGoogleDocs();
             if (syncResult && syncResult.success && syncResult.chunks) {
-                await this.vectorDatabase.loadFromStorage(syncResult.chunks, null);
+                if (!this.retriever.isReady) {
+                    await this.retriever.index(this.documentSources.adopt(syncResult.chunks), await this.globalConfig.loadEmbeddingIndex());
+                }
                 this.state.documentsLoaded = true;
                 this.state.vectorDbReady = true;
                 console.log(`✓ Loaded ${syncResult.chunks.length} chunks from ${syncResult.metadata?.source || 'sync'}`);
@@ -435,7 +476,10 @@ class GTISOPAssistant {
         }
     }
     
-    async handleManualSync() {
+    /**
+     * @param {Array|null} sourceIds - Document sources to sync, all of them when null
+     */
+    async handleManualSync(sourceIds = null) {
         const syncButton = document.getElementById('syncGoogleDoc');
         const originalText = syncButton?.textContent || '☁️ Sync from Google Docs';
         
@@ -449,42 +493,14 @@ class GTISOPAssistant {
             this.showLoading('Syncing from Google Docs...');
             
             // Force a fresh sync
-            const result = await this.syncFromGoogleDocs(true);
+            const result = await this.syncFromGoogleDocs(true, sourceIds);
             
-            if (result && result.success) {
-                if (syncButton) {
-                    syncButton.textContent = result.warning ? '⚠️ Using cached data' : '✅ Processing complete!';
-                }
-                
-                // Show appropriate message based on result type
-                if (result.warning) {
-                    // Show warning for fallback data with instructions
-                    const instructions = result.warning.instructions?.join('<br>') || '';
-                    this.showError(`
-                        <strong>${result.warning.message}</strong><br><br>
-                        <strong>To get fresh data:</strong><br>
-                        ${instructions}<br><br>
-                        <strong>Current status:</strong> Using existing ${result.chunks?.length || 0} chunks as fallback.
-                    `);
-                } else if (result.downloadUrl) {
-                    // Show success with download link for fresh data
-                    this.showSuccess(`
-                        Document synced successfully! 
-                        <br><a href="${result.downloadUrl}" target="_blank" style="color: #3b82f6; text-decoration: underline;">
-                            📥 Download DOCX file
-                        </a>
-                        <br>Generated ${result.chunks?.length || 0} chunks with ${result.metadata?.imageCount || 0} images.
-                    `);
-                } else {
-                    // Generic success message
-                    this.showSuccess(`Document synced successfully! Generated ${result.chunks?.length || 0} chunks.`);
-                }
-                
-                // Update UI
-                this.updateUI();
-                
-            } else {
-                throw new Error('Sync completed but no valid data received');
+            if (!result?.success) {
+                throw new Error(result?.error || 'Sync completed but no valid data received');
+            }
+            
+            if (syncButton) {
+                syncButton.textContent = result.fallbacks.length > 0 ? '⚠️ Using stored copy' : '✅ Processing complete!';
             }
             
         } catch (error) {
@@ -507,111 +523,308 @@ class GTISOPAssistant {
         }
     }
     
-    async syncFromGoogleDocs(forceSync = false) {
+    /**
+     * Switch to edited document sources. Chunks of removed sources stay searchable until
+     * the next sync of any source.
+     */
+    setDocumentSources(documentSources) {
+        documentSources.setSyncStatus(this.documentSources?.syncStatus);
+        this.documentSources = documentSources;
+        this.state.sourceScope = this.getSourceScope();
+        this.saveState();
+        this.chatInterface?.renderSourceScope();
+    }
+    
+    // The chat's source scope, without sources that no longer exist
+    getSourceScope() {
+        return (this.state.sourceScope || []).filter(id => this.documentSources?.get(id));
+    }
+    
+    setSourceScope(sourceIds) {
+        this.state.sourceScope = sourceIds;
+        this.saveState();
+    }
+    
+    /**
+     * Sync sources with a schedule (syncMinutes) once their interval has passed. Checked every
+     * minute while the page is open; sync times are shared through data/metadata.json, so
+     * another open browser that synced first is not repeated.
+     */
+    startSyncSchedule() {
+        clearInterval(this.syncTimer);
+        if (!this.documentSources?.sources.some(source => source.syncMinutes > 0)) {
+            return;
+        }
+        this.syncTimer = setInterval(() => this.runScheduledSyncs(), 60 * 1000);
+    }
+    
+    async runScheduledSyncs() {
+        if (this.syncInProgress || document.hidden || this.documentSources.dueSources().length === 0) {
+            return;
+        }
+        
+        const metadata = await this.globalConfig.loadGlobalMetadata();
+        if (metadata?.sources) {
+            this.documentSources.setSyncStatus({ ...this.documentSources.syncStatus, ...metadata.sources });
+        }
+        
+        const due = this.documentSources.dueSources().map(source => source.id);
+        if (due.length > 0) {
+            console.log(`⏰ Scheduled sync: ${due.join(', ')}`);
+            await this.syncFromGoogleDocs(false, due);
+        }
+    }
+    
+    /**
+     * Listen for "SOP updated" events (/api/sync-events), sent when the Drive webhook sees a
+     * document source change, and re-sync those sources. EventSource reconnects by itself and
+     * resumes after the last event it saw; a new listener starts after the last event this
+     * browser handled (gti_sync_event_id), so events queued while the app was closed are replayed.
+     */
+    startChangeListener() {
+        if (typeof EventSource === 'undefined' || this.changeEvents) {
+            return;
+        }
+        const since = parseInt(localStorage.getItem('gti_sync_event_id') || '0', 10) || 0;
+        this.changeEvents = new EventSource(`/api/sync-events?since=${since}`);
+        this.changeEvents.onmessage = (message) => {
+            try {
+                const event = JSON.parse(message.data);
+                if (event.type === 'sop-updated') {
+                    this.handleSourcesUpdated(event);
+                }
+            } catch (error) {
+                console.warn('Unreadable sync event:', error.message);
+            }
+        };
+    }
+    
+    /**
+     * Queue a re-sync of the sources an event names. The sync waits until edits have had a
+     * minute to settle (the webhook queues a document at most once a minute), plus up to half a
+     * minute more so that open tabs don't all sync at once - the first one shares the new
+     * revision through data/metadata.json and the others find the document unchanged.
+     * Replayed events for sources that have synced since (at that revision, or after the event
+     * was queued) are skipped. The event counts as handled once its sync has run.
+     */
+    handleSourcesUpdated(event) {
+        const sources = (event.sources || [])
+            .filter(source => this.documentSources?.get(source.id))
+            .filter(source => !this.syncedSince(source, event));
+        if (sources.length === 0) {
+            if (!this.pendingSyncTimer) {
+                localStorage.setItem('gti_sync_event_id', String(event.id));
+            }
+            return;
+        }
+        this.pendingSyncEventId = event.id;
+        
+        console.log(`📣 Sync event ${event.id}: ${sources.map(source => source.id).join(', ')} (${event.reason})`);
+        this.showNotification(`SOP updated in Google Docs: ${sources.map(source => this.documentSources.name(source.id)).join(', ')}. Syncing shortly...`, 'info');
+        sources.forEach(source => this.pendingSyncIds.add(source.id));
+        
+        if (!this.pendingSyncTimer) {
+            this.pendingSyncTimer = setTimeout(() => this.runPendingSyncs(), (60 + Math.random() * 30) * 1000);
+        }
+    }
+    
+    // Whether the shared sync status shows the source synced since the event named it - at its
+    // revision, or later than a sync the event started would have run
+    syncedSince(source, event) {
+        if (source.revision?.id && source.revision.id === this.documentSources.knownRevision(source.id)) {
+            return true;
+        }
+        const lastSync = this.documentSources.syncStatus[source.id]?.lastSync;
+        return !!(lastSync && event.at && new Date(lastSync) - new Date(event.at) >= 60 * 1000);
+    }
+    
+    async runPendingSyncs() {
+        this.pendingSyncTimer = null;
+        if (this.syncInProgress || document.hidden) {
+            this.pendingSyncTimer = setTimeout(() => this.runPendingSyncs(), 30 * 1000);
+            return;
+        }
+        
+        const sourceIds = [...this.pendingSyncIds];
+        const eventId = this.pendingSyncEventId;
+        this.pendingSyncIds.clear();
+        const metadata = await this.globalConfig.loadGlobalMetadata();
+        if (metadata?.sources) {
+            this.documentSources.setSyncStatus({ ...this.documentSources.syncStatus, ...metadata.sources });
+        }
+        const result = await this.syncFromGoogleDocs(false, sourceIds);
+        if (result?.success !== false) {
+            localStorage.setItem('gti_sync_event_id', String(eventId));
+        }
+    }
+    
+    /**
+     * Switch to an edited taxonomy - questions use it right away, chunks on the next manual sync
+     */
+    setTaxonomy(taxonomy) {
+        this.taxonomy = taxonomy;
+        this.queryIntelligence?.setTaxonomy(taxonomy);
+    }
+    
+    // Retriever.sync summary -> "3 added, 1 changed, 0 removed (4 chunks embedded)."
+    formatSyncChanges(changes) {
+        return `${changes.added.length} added, ${changes.changed.length} changed, ${changes.removed.length} removed ` +
+            `(${changes.embedded} chunk${changes.embedded === 1 ? '' : 's'} embedded).`;
+    }
+    
+    /**
+     * Sync document sources from Google Docs into the shared chunk set. Unless forced, a source
+     * whose document is still at the revision its chunks came from is not downloaded again.
+     * @param {boolean} forceSync - Manual sync: download and re-chunk every source (scheduled syncs pass false)
+     * @param {Array|null} sourceIds - Sources to sync, all Google Docs sources when null
+     */
+    async syncFromGoogleDocs(forceSync = false, sourceIds = null) {
         try {
             console.log('Attempting Google Docs sync...');
             
-            // Check if googleDocsSync is properly initialized
-            if (!this.googleDocsSync) {
-                console.warn('Google Docs sync not available, using sample data fallback');
-                return this.createSampleDataFallback();
+            if (typeof this.googleDocsSync?.syncFromGoogleDocs !== 'function') {
+                throw new Error('Google Docs sync is not available');
             }
             
-            if (typeof this.googleDocsSync.syncFromGoogleDocs !== 'function') {
-                console.warn('Google Docs sync method not available, using fallback');
-                return this.createSampleDataFallback();
-            }
+            this.syncInProgress = true;
+            const sources = this.documentSources.sources
+                .filter(source => source.type === 'google-docs' && (!sourceIds || sourceIds.includes(source.id)));
             
-            // Use the real Google Docs sync with full processing
-            const result = await this.googleDocsSync.syncFromGoogleDocs();
+            // The chunks this sync replaces, for the "What changed" digest
+            const previousChunks = this.documentSources.adopt(this.retriever.isReady
+                ? this.retriever.chunks
+                : ((await this.globalConfig.loadGlobalData())?.chunks || []));
             
-            if (result && result.success && result.chunks && result.chunks.length > 0) {
-                // Initialize advanced vector database with processed chunks
-                if (this.vectorDatabase && typeof this.vectorDatabase.initialize === 'function') {
-                    await this.vectorDatabase.initialize(result.chunks);
-                    console.log('✓ Advanced vector database initialized with chunks');
-                } else {
-                    // Fallback to simple vector database
-                    await this.vectorDatabase.loadFromStorage(result.chunks, null);
-                    console.log('✓ Simple vector database loaded');
+            // One source at a time; a source that fails keeps its previous chunks
+            let chunks = previousChunks;
+            const counts = this.documentSources.countChunks(previousChunks);
+            const synced = [];
+            const unchanged = [];
+            const failed = [];
+            for (const source of sources) {
+                try {
+                    const knownRevision = !forceSync && counts.get(source.id) > 0
+                        ? this.documentSources.knownRevision(source.id)
+                        : null;
+                    const result = await this.googleDocsSync.syncFromGoogleDocs(source.docId, true, source.name, knownRevision);
+                    if (result?.unchanged) {
+                        this.documentSources.markSynced(source.id, { unchanged: true, revision: result.document.revision });
+                        unchanged.push({ source, result });
+                        continue;
+                    }
+                    if (!result || !result.success || !result.chunks || result.chunks.length === 0) {
+                        throw new Error('No data received from Google Docs sync');
+                    }
+                    const revision = result.document?.revision || null;
+                    chunks = this.documentSources.replaceChunks(chunks, source.id, result.chunks, revision);
+                    this.documentSources.markSynced(source.id, {
+                        chunkCount: result.chunks.length,
+                        servedBy: result.servedBy,
+                        revision,
+                        fallback: result.fallback,
+                        failures: GoogleDocsSync.describeFailures(result.attempts)
+                    });
+                    synced.push({ source, result });
+                } catch (error) {
+                    console.warn(`Sync of "${source.name}" failed:`, error.message);
+                    this.documentSources.markSynced(source.id, {
+                        error: error.message,
+                        failures: GoogleDocsSync.describeFailures(error.attempts)
+                    });
+                    failed.push({ source, error });
                 }
-                
-                this.state.documentsLoaded = true;
-                this.state.vectorDbReady = true;
-                
-                // Save globally if we have GitHub token
-                const githubToken = this.state.globalSettings?.apiKeys?.githubToken;
-                if (githubToken) {
-                    await this.globalConfig.saveGlobalData(result.chunks, result.metadata, githubToken);
+            }
+            
+            if (synced.length === 0 && unchanged.length > 0) {
+                return await this.finishUnchangedSync(previousChunks, unchanged, failed);
+            }
+            if (synced.length === 0) {
+                throw new Error(failed[0]?.error.message || 'No data received from Google Docs sync');
+            }
+            
+            // Re-index incrementally - only added or changed chunks are embedded
+            const changes = await this.retriever.sync(chunks, await this.globalConfig.loadEmbeddingIndex());
+            console.log('✓ Retriever indexed synced chunks');
+            
+            this.state.documentsLoaded = true;
+            this.state.vectorDbReady = true;
+            
+            const syncedIds = new Set(synced.map(({ source }) => source.id));
+            const ofSyncedSources = (chunkSet) => chunkSet.filter(chunk => syncedIds.has(this.documentSources.sourceOf(chunk)));
+            const digest = await this.changeDigest.record(ofSyncedSources(previousChunks), ofSyncedSources(chunks));
+            
+            const lastResult = synced[synced.length - 1].result;
+            const result = {
+                success: true,
+                chunks,
+                document: { name: synced.map(({ source }) => source.name).join(', ') },
+                metadata: {
+                    ...lastResult.metadata,
+                    chunkCount: chunks.length,
+                    imageCount: synced.reduce((sum, { result }) => sum + (result.metadata?.imageCount || 0), 0),
+                    sources: this.documentSources.syncStatus
+                },
+                downloadUrl: synced.length === 1 ? lastResult.downloadUrl : undefined,
+                fallbacks: synced
+                    .filter(({ result }) => result.fallback)
+                    .map(({ source, result }) => ({ id: source.id, name: source.name, ...result.fallback })),
+                changes,
+                digest,
+                failed: failed.map(({ source, error }) => ({ id: source.id, name: source.name, error: error.message }))
+            };
+            
+            // Save globally if this browser has the write token
+            if (this.globalConfig.canWrite()) {
+                await this.globalConfig.saveGlobalData(chunks, result.metadata);
+                if (changes.embedded > 0) {
+                    await this.globalConfig.saveEmbeddingIndex(this.retriever.exportData());
                 }
-                
-                this.updateUI();
-                this.showSuccess(`Document "${result.document.name}" synced from Google Docs and ready for chat!`);
-                
-                return result;
-            } else {
-                throw new Error('No data received from Google Docs sync');
             }
+            
+            this.updateUI();
+            const message = `Synced ${result.document.name} and ready for chat! ` +
+                this.formatSyncChanges(changes) +
+                (digest?.sections.length ? ` ${digest.sections.length} SOP sections changed - see "What changed".` : '') +
+                (unchanged.length ? ` Unchanged: ${unchanged.map(({ source }) => source.name).join(', ')}.` : '') +
+                result.fallbacks.map(({ name, message }) => ` "${name}": ${message}.`).join('') +
+                failed.map(({ source, error }) => ` "${source.name}" failed: ${error.message}.`).join('');
+            this.showNotification(message, result.fallbacks.length > 0 || failed.length > 0 ? 'warning' : 'success');
+            
+            return result;
         } catch (error) {
             console.error('Google Docs sync failed:', error);
-            // Try fallback data as last resort
-            console.log('Using sample data fallback due to sync error');
-            return this.createSampleDataFallback();
+            this.updateUI();
+            return { success: false, error: error.message };
+        } finally {
+            this.syncInProgress = false;
         }
     }
     
-    createSampleDataFallback() {
-        console.log('Using sample data fallback');
-        const chunks = [
-            {
-                chunk_id: 0,
-                text: "Ohio (OH) RISE Orders: For RISE orders in Ohio, follow standard menu pricing without any discounts. The unit limit is 10 units per order. No special notes are required for batch substitutions in Ohio RISE orders.",
-                images: [],
-                metadata: {
-                    states: ["OH"],
-                    sections: ["RISE"],
-                    topics: ["PRICING", "ORDER_LIMIT"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 40
-                }
-            },
-            {
-                chunk_id: 1,
-                text: "Maryland (MD) Regular Orders: Regular wholesale orders in Maryland require separate invoicing for batteries. The delivery date should be set according to the standard schedule. Menu pricing applies for all regular orders.",
-                images: [],
-                metadata: {
-                    states: ["MD"],
-                    sections: ["REGULAR"],
-                    topics: ["BATTERIES", "DELIVERY_DATE", "PRICING"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 37
-                }
-            },
-            {
-                chunk_id: 2,
-                text: "New Jersey (NJ) Batch Substitution Rules: For NJ orders, FIFO (First In, First Out) principle applies for batch substitutions. When a requested batch is not available, substitute with the earliest available batch. Document all substitutions in the order notes.",
-                images: [],
-                metadata: {
-                    states: ["NJ"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: ["BATCH_SUB"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 43
-                }
-            }
-        ];
+    /**
+     * Every synced source was still at the revision its chunks came from: nothing to re-index,
+     * only the check times to share through data/metadata.json
+     */
+    async finishUnchangedSync(chunks, unchanged, failed) {
+        if (this.globalConfig.canWrite()) {
+            const metadata = await this.globalConfig.loadGlobalMetadata();
+            await this.globalConfig.saveGlobalMetadata({ ...metadata, sources: this.documentSources.syncStatus });
+        }
+        
+        this.updateUI();
+        const message = unchanged
+            .map(({ source, result }) => `"${source.name}" is unchanged (revision ${DocumentSources.describeRevision(result.document.revision)}).`)
+            .concat(failed.map(({ source, error }) => `"${source.name}" failed: ${error.message}.`))
+            .join(' ');
+        this.showNotification(message, failed.length > 0 ? 'warning' : 'success');
         
         return {
             success: true,
-            chunks: chunks,
-            metadata: {
-                chunkCount: chunks.length,
-                source: 'fallback_data',
-                lastUpdate: new Date().toISOString()
-            }
+            unchanged: true,
+            chunks,
+            document: { name: unchanged.map(({ source }) => source.name).join(', ') },
+            metadata: { chunkCount: chunks.length, sources: this.documentSources.syncStatus },
+            fallbacks: [],
+            failed: failed.map(({ source, error }) => ({ id: source.id, name: source.name, error: error.message }))
         };
     }
     
@@ -623,8 +836,8 @@ class GTISOPAssistant {
                 Object.assign(this.state, state);
                 
                 // Update UI elements
-                const modelSelect = document.getElementById('modelSelect');
-                if (modelSelect) modelSelect.value = this.state.currentModel;
+                // Re-check the saved model against what the server offers now
+                this.settingsManager?.updateApiKeyStatus();
                 
                 const tempSlider = document.getElementById('temperatureSlider');
                 const tempValue = document.getElementById('temperatureValue');
@@ -649,6 +862,21 @@ class GTISOPAssistant {
     updateUI() {
         this.updateDocumentStatus();
         this.updateChatHistory();
+        this.renderDataNotice();
+        this.chatInterface?.renderSourceScope();
+        this.settingsManager?.showSources();
+    }
+    
+    // Flag answers that may come from a stored copy: sources whose last sync fell back to one
+    renderDataNotice() {
+        const notice = document.getElementById('dataNotice');
+        if (!notice) return;
+        
+        const sources = this.documentSources?.fallbackSources() || [];
+        notice.classList.toggle('hidden', sources.length === 0);
+        notice.textContent = sources.length === 0 ? '' :
+            `⚠️ ${sources.map(source => source.name).join(', ')}: Google Docs could not be reached on the last sync, ` +
+            `so answers use a stored copy that may be out of date. Details in Settings → Document Sources.`;
     }
     
     updateDocumentStatus() {
@@ -656,8 +884,8 @@ class GTISOPAssistant {
         const imageCount = document.getElementById('imageCount');
         const lastUpdated = document.getElementById('lastUpdated');
         
-        if (this.vectorDatabase && this.vectorDatabase.chunks) {
-            const chunks = this.vectorDatabase.chunks;
+        if (this.retriever && this.retriever.chunks) {
+            const chunks = this.retriever.chunks;
             if (chunkCount) chunkCount.textContent = chunks.length;
             
             const totalImages = chunks.reduce((sum, chunk) => sum + (chunk.images?.length || 0), 0);
@@ -698,14 +926,26 @@ class GTISOPAssistant {
         }
     }
     
-    async processDocument(file) {
+    /**
+     * Process an uploaded document on the server and index its chunks
+     * @param {File} file - DOCX, PDF, Markdown or HTML
+     * @param {Object} options - { onProgress(progress) } for each processing stage
+     * @returns {Promise<Object>} The processing result, with its parse warnings
+     */
+    async processDocument(file, options = {}) {
+        let result = { success: false, warnings: [] };
         try {
-            this.showLoading('Processing document...');
+            this.showLoading(`Processing ${file.name}...`);
             
-            const result = await this.documentProcessor.processDocument(file);
+            result = await this.documentProcessor.processDocument(file, {
+                onProgress: (progress) => {
+                    this.showLoading(progress.message);
+                    options.onProgress?.(progress);
+                }
+            });
             if (result.success) {
-                // Build vector database
-                await this.vectorDatabase.buildFromChunks(result.chunks);
+                // Index chunks for retrieval
+                await this.retriever.index(this.documentSources.adopt(result.chunks), await this.globalConfig.loadEmbeddingIndex());
                 
                 this.state.documentsLoaded = true;
                 this.state.vectorDbReady = true;
@@ -718,67 +958,63 @@ class GTISOPAssistant {
                 this.updateUI();
                 this.hideLoading();
                 
-                this.showSuccess('Document processed successfully!');
+                const warningCount = result.warnings.length;
+                this.showNotification(
+                    `Processed ${file.name}: ${result.chunks.length} chunks` +
+                        (warningCount > 0 ? `, ${warningCount} warning${warningCount === 1 ? '' : 's'} (see Settings)` : ''),
+                    warningCount > 0 ? 'warning' : 'success'
+                );
                 
                 // Upload to GitHub if configured
-                await this.githubIntegration.uploadToGitHub(result.chunks, result.vectorDb);
+                await this.githubIntegration.uploadToGitHub(result.chunks, null);
             } else {
                 throw new Error(result.error || 'Document processing failed');
             }
         } catch (error) {
             this.hideLoading();
             this.showError(`Failed to process document: ${error.message}`);
+            result = { ...result, success: false, error: error.message };
         }
+        return result;
     }
     
-    async searchAndAnswer(query) {
+    /**
+     * Retrieve relevant chunks and generate an answer
+     * @param {string} query - User's question
+     * @param {Object} options - { onToken(delta, fullText), signal } to stream the answer,
+     *                           { history, previousAnalysis } for follow-up questions
+     */
+    async searchAndAnswer(query, options = {}) {
         try {
             if (!this.state.vectorDbReady) {
                 throw new Error('Please upload and process a document first');
             }
             
             if (!this.state.apiKeysConfigured) {
-                throw new Error('Please configure API keys in settings');
+                throw new Error('No AI provider is configured on the server (set OPENAI_API_KEY or GEMINI_API_KEY)');
             }
             
-            // Use query intelligence to enhance the search
-            let searchResults;
-            let queryAnalysis = null;
-            
-            if (this.queryIntelligence && this.vectorDatabase && typeof this.vectorDatabase.search === 'function') {
-                // Enhanced search with query intelligence
-                queryAnalysis = this.queryIntelligence.enhanceQuery(query);
-                const filters = this.queryIntelligence.generateSearchFilters(queryAnalysis);
-                
-                console.log('🧠 Query analysis:', queryAnalysis);
-                console.log('🔍 Search filters:', filters);
-                
-                searchResults = await this.vectorDatabase.search(query, filters, { maxResults: 5 });
-                
-                // Add query analysis to results for display
-                if (searchResults.results) {
-                    searchResults.queryAnalysis = queryAnalysis;
-                    searchResults.querySummary = this.queryIntelligence.generateQuerySummary(queryAnalysis);
-                }
-            } else {
-                // Fallback to simple search
-                searchResults = await this.vectorDatabase.search(query, {
-                    topK: 5,
-                    includeMetadata: true
-                });
-                console.log('📋 Using simple search (fallback)');
-            }
+            let searchResults = await this.searchChunks(query, options);
             
             // Generate response using LLM
-            const response = await this.generateResponse(query, searchResults);
-            
-            // Save to history
-            this.chatInterface.saveToHistory(query, response, searchResults);
+            let response;
+            try {
+                response = await this.generateResponse(query, searchResults, options);
+            } catch (error) {
+                // The server's copy of the knowledge base lacks these chunks or has other text for
+                // them - reload the shared data set and answer from that, once
+                if (!error.stale || !await this.reloadSharedChunks()) throw error;
+                searchResults = await this.searchChunks(query, options);
+                response = await this.generateResponse(query, searchResults, options);
+            }
+            const stopped = !!options.signal?.aborted;
             
+            // The chat interface saves the answer to history, marked when it was stopped
             return {
                 success: true,
                 response,
-                searchResults
+                searchResults,
+                stopped
             };
         } catch (error) {
             return {
@@ -788,132 +1024,216 @@ class GTISOPAssistant {
         }
     }
     
-    async generateResponse(query, searchResults) {
-        const model = this.state.currentModel;
-        const temperature = this.state.temperature;
-        
-        // Build context from search results
-        const context = this.buildContext(query, searchResults);
-        
-        if (model.startsWith('gemini')) {
-            return await this.generateGeminiResponse(context, temperature);
-        } else if (model.startsWith('gpt')) {
-            return await this.generateOpenAIResponse(context, model, temperature);
-        } else {
-            throw new Error('Unsupported model');
-        }
-    }
-    
-    buildContext(query, searchResults) {
-        const contextParts = [
-            `USER QUESTION: ${query}`,
-            `\\nRELEVANT DOCUMENTATION:`
-        ];
+    /**
+     * Search the knowledge base for a question - with query analysis (and the previous turn's,
+     * for follow-ups) when available
+     */
+    async searchChunks(query, options = {}) {
+        // Use query intelligence to enhance the search
+        let searchResults;
+        let queryAnalysis = null;
         
-        searchResults.forEach((result, index) => {
-            contextParts.push(`\\n--- Section ${index + 1} (Score: ${result.score.toFixed(2)}) ---`);
+        if (this.queryIntelligence) {
+            // Enhanced search with query intelligence
+            queryAnalysis = this.queryIntelligence.enhanceQuery(query);
             
-            const metadata = result.metadata;
-            if (metadata.states?.length) {
-                contextParts.push(`States: ${metadata.states.join(', ')}`);
-            }
-            if (metadata.sections?.length) {
-                contextParts.push(`Type: ${metadata.sections.join(', ')}`);
-            }
-            if (metadata.topics?.length) {
-                contextParts.push(`Topics: ${metadata.topics.join(', ')}`);
+            // Carry state/order type/topics over from the previous turn for follow-ups
+            if (options.previousAnalysis) {
+                queryAnalysis = this.queryIntelligence.resolveFollowUp(queryAnalysis, options.previousAnalysis);
             }
             
-            contextParts.push(`Content: ${result.text}`);
+            const filters = {
+                ...this.queryIntelligence.generateSearchFilters(queryAnalysis),
+                sources: this.getSourceScope()
+            };
             
-            if (result.images?.length) {
-                contextParts.push(`Images:`);
-                result.images.forEach(img => {
-                    contextParts.push(`- [IMAGE: ${img.filename} - ${img.label}]`);
-                });
-            }
-        });
+            console.log('🧠 Query analysis:', queryAnalysis);
+            console.log('🔍 Search filters:', filters);
+            
+            searchResults = await this.retriever.search(queryAnalysis.searchQuery || query, filters, {
+                maxResults: 5,
+                rerankOptions: { model: this.state.currentModel }
+            });
+            
+            // Add query analysis to results for display
+            searchResults.queryAnalysis = queryAnalysis;
+            searchResults.querySummary = this.queryIntelligence.generateQuerySummary(queryAnalysis);
+        } else {
+            // Search without query understanding - no metadata filters
+            searchResults = await this.retriever.search(query, { sources: this.getSourceScope() }, {
+                maxResults: 5,
+                rerankOptions: { model: this.state.currentModel }
+            });
+            console.log('📋 Searching without query intelligence');
+        }
         
-        return contextParts.join('\\n');
+        return searchResults;
     }
     
-    async generateGeminiResponse(context, temperature) {
-        const apiKey = this.settingsManager.getApiKey('gemini');
-        if (!apiKey) throw new Error('Gemini API key not configured');
+    async generateResponse(query, searchResults, options = {}) {
+        const model = this.state.currentModel;
+        const temperature = this.state.temperature;
+        
+        // Only chunk IDs leave the browser - context is built and the LLM is called server-side
+        const results = Array.isArray(searchResults) ? searchResults : (searchResults?.results || []);
+        const chunkIds = results.map(result => (result.chunk || result).chunk_id);
+        const contentHashes = chunkIds.map(id => this.retriever.contentHashes.get(id) || null);
+        
+        const stream = typeof options.onToken === 'function';
+        let citedChunkIds = chunkIds;
         
-        const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent', {
+        const response = await fetch('/api/chat', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'X-goog-api-key': apiKey
+                'Content-Type': 'application/json'
             },
+            signal: options.signal,
             body: JSON.stringify({
-                contents: [{
-                    parts: [{
-                        text: `You are a GTI SOP Assistant. Answer based ONLY on the provided documentation.\\n\\n${context}`
-                    }]
-                }],
-                generationConfig: {
-                    temperature: temperature,
-                    maxOutputTokens: 1000
-                }
+                query,
+                chunkIds,
+                contentHashes,
+                dataVersion: this.globalConfig?.dataVersion || undefined,
+                model,
+                temperature,
+                instructions: this.settingsManager?.settings?.instructions,
+                history: options.history || [],
+                stream
             })
         });
         
-        if (!response.ok) {
-            throw new Error(`Gemini API error: ${response.status}`);
+        const isEventStream = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+        
+        if (stream && response.ok && isEventStream) {
+            try {
+                return await this.readResponseStream(response, {
+                    ...options,
+                    onDone: (event) => { citedChunkIds = event.chunkIds || citedChunkIds; }
+                });
+            } finally {
+                this.attachCitations(searchResults, results, citedChunkIds);
+            }
         }
         
-        const result = await response.json();
-        if (result.candidates?.[0]?.content?.parts?.[0]?.text) {
-            return result.candidates[0].content.parts[0].text;
+        const result = await response.json().catch(() => ({}));
+        
+        if (!response.ok || !result.success) {
+            const error = new Error(result.error || `Chat API error: ${response.status}`);
+            error.stale = response.status === 409;
+            throw error;
         }
         
-        throw new Error('No response generated');
+        this.attachCitations(searchResults, results, result.chunkIds || chunkIds);
+        return result.response;
     }
     
-    async generateOpenAIResponse(context, model, temperature) {
-        const apiKey = this.settingsManager.getApiKey('openai');
-        if (!apiKey) throw new Error('OpenAI API key not configured');
+    /**
+     * Re-index from the shared data set (data/semantic_chunks.json in GitHub), which the server
+     * answers from. False when there is none to load.
+     */
+    async reloadSharedChunks() {
+        const globalData = await this.globalConfig.loadGlobalData();
+        if (!globalData?.chunks?.length) {
+            return false;
+        }
         
-        const modelMap = {
-            'gpt-4-mini': 'gpt-4o-mini',
-            'gpt-4': 'gpt-4'
-        };
+        console.log('🔄 Chat chunks differ from the server copy, reloading the shared data set');
+        this.documentSources.setSyncStatus(globalData.metadata?.sources);
+        await this.retriever.sync(this.documentSources.adopt(globalData.chunks), globalData.embeddings);
+        localStorage.setItem('gti_chunks', JSON.stringify(globalData.chunks));
+        if (globalData.metadata) {
+            localStorage.setItem('gti_last_update', globalData.metadata.lastUpdate);
+        }
+        this.updateUI();
+        return true;
+    }
+    
+    /**
+     * Map the [n] markers in the answer to chunks. The server numbers context sections
+     * in the order of the chunk IDs it resolved, so citation n is chunkIds[n - 1].
+     */
+    attachCitations(searchResults, results, chunkIds) {
+        if (!searchResults) return;
         
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
-            },
-            body: JSON.stringify({
-                model: modelMap[model] || 'gpt-4o-mini',
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a GTI SOP Assistant. Answer based ONLY on provided documentation.'
-                    },
-                    {
-                        role: 'user',
-                        content: context
-                    }
-                ],
-                max_tokens: 1000,
-                temperature: temperature
+        const chunksById = new Map(results.map(result => {
+            const chunk = result.chunk || result;
+            return [String(chunk.chunk_id), chunk];
+        }));
+        
+        searchResults.citations = chunkIds
+            .map((id, index) => {
+                const chunk = chunksById.get(String(id));
+                return chunk && {
+                    number: index + 1,
+                    chunk_id: chunk.chunk_id,
+                    text: chunk.text,
+                    headingPath: chunk.heading_path || [],
+                    pages: chunk.pages || [],
+                    anchor: chunk.anchor || null,
+                    tables: ChunkTables.of(chunk),
+                    states: chunk.metadata?.states || [],
+                    sections: chunk.metadata?.sections || [],
+                    source: chunk.source_id ? this.documentSources?.name(chunk.source_id) : null,
+                    revision: chunk.source_revision || null
+                };
             })
-        });
+            .filter(Boolean);
+    }
+    
+    /**
+     * Read the Server-Sent Events stream from /api/chat, reporting each token.
+     * Stopping via options.signal keeps whatever was received so far.
+     */
+    async readResponseStream(response, options) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let fullText = '';
+        
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            
+            let event;
+            try {
+                event = JSON.parse(line.slice(5).trim());
+            } catch (error) {
+                console.warn('Skipping malformed stream event:', line);
+                return;
+            }
+            if (event.error) {
+                throw new Error(event.error);
+            }
+            if (event.delta) {
+                fullText += event.delta;
+                options.onToken(event.delta, fullText);
+            }
+            if (event.done && options.onDone) {
+                options.onDone(event);
+            }
+        };
         
-        if (!response.ok) {
-            throw new Error(`OpenAI API error: ${response.status}`);
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split(/\r?\n/);
+                buffer = lines.pop();
+                lines.forEach(handleLine);
+            }
+            handleLine(buffer);
+        } catch (error) {
+            if (error.name === 'AbortError' && fullText) {
+                return fullText;
+            }
+            throw error;
         }
         
-        const result = await response.json();
-        if (result.choices?.[0]?.message?.content) {
-            return result.choices[0].message.content;
+        if (!fullText) {
+            throw new Error('No response generated');
         }
         
-        throw new Error('No response generated');
+        return fullText;
     }
     
     showLoading(message = 'Loading...') {
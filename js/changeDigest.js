@@ -0,0 +1,338 @@
+/**
+ * Change Digest - "What changed" in the SOP after a Google Docs re-sync
+ * Compares the previous chunk set (the semantic_chunks.json already in GitHub) with the
+ * freshly synced one section by section, summarises the changes per state and keeps the
+ * latest digest in data/changes.json, so every rep sees it on the welcome screen.
+ */
+
+class ChangeDigest {
+    constructor(app) {
+        this.app = app;
+        this.digest = null;
+        this.storageKey = 'gti_change_digest';
+        this.editSimilarity = 0.5; // Word overlap above which a removed + added paragraph pair is one edited rule
+    }
+
+    /**
+     * Section-level diff of two chunk sets. Sections are keyed by heading_path; when either
+     * set predates heading paths, both fall back to their "state › section" tags so the first
+     * structured sync isn't reported as a rewrite of the whole SOP.
+     * @returns {Object} { createdAt, previousChunkCount, chunkCount, unchangedSections,
+     *   sections: [{ key, heading, states, status: 'added'|'modified'|'removed', added, removed, changed: [{ before, after }] }],
+     *   summaries: { [state]: text } }
+     */
+    diff(previousChunks, nextChunks) {
+        const byHeading = [...previousChunks, ...nextChunks].every(chunk => chunk.heading_path?.length);
+        const before = this.sections(previousChunks, byHeading);
+        const after = this.sections(nextChunks, byHeading);
+        const sections = [];
+        let unchangedSections = 0;
+
+        for (const [key, section] of after) {
+            const previous = before.get(key);
+            if (!previous) {
+                sections.push({ ...this.describe(section), status: 'added', added: section.paragraphs, removed: [], changed: [] });
+                continue;
+            }
+
+            const added = section.paragraphs.filter(paragraph => !previous.paragraphs.includes(paragraph));
+            const removed = previous.paragraphs.filter(paragraph => !section.paragraphs.includes(paragraph));
+            if (added.length === 0 && removed.length === 0) {
+                unchangedSections++;
+            } else {
+                sections.push({ ...this.describe(section, previous), status: 'modified', ...this.pairEdits(added, removed) });
+            }
+        }
+
+        for (const [key, section] of before) {
+            if (!after.has(key)) {
+                sections.push({ ...this.describe(section), status: 'removed', added: [], removed: section.paragraphs, changed: [] });
+            }
+        }
+
+        return {
+            createdAt: new Date().toISOString(),
+            previousChunkCount: previousChunks.length,
+            chunkCount: nextChunks.length,
+            unchangedSections,
+            sections,
+            summaries: {}
+        };
+    }
+
+    // key -> { heading, states, paragraphs } in document order
+    sections(chunks, byHeading) {
+        const sections = new Map();
+
+        for (const chunk of chunks) {
+            const metadata = chunk.metadata || {};
+            const heading = byHeading
+                ? chunk.heading_path
+                : [(metadata.states || []).join('/') || 'General', (metadata.sections || []).join('/')].filter(Boolean);
+            const key = heading.join(' › ');
+
+            if (!sections.has(key)) {
+                sections.set(key, { key, heading, states: new Set(), paragraphs: [] });
+            }
+            const section = sections.get(key);
+            (metadata.states || []).forEach(state => section.states.add(state));
+
+            for (const paragraph of this.paragraphs(chunk.text || '')) {
+                if (!section.paragraphs.includes(paragraph)) {
+                    section.paragraphs.push(paragraph);
+                }
+            }
+        }
+
+        return sections;
+    }
+
+    // Blank-line separated paragraphs with whitespace normalised, so re-wrapping isn't a change
+    paragraphs(text) {
+        return text.split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+    }
+
+    describe(section, previous = null) {
+        const states = new Set([...section.states, ...(previous ? previous.states : [])]);
+        return { key: section.key, heading: section.heading, states: [...states].sort() };
+    }
+
+    // A removed paragraph that mostly reappears as an added one is an edit ("10 units" -> "12 units")
+    pairEdits(added, removed) {
+        const unmatched = [...removed];
+        const remaining = [];
+        const changed = [];
+
+        for (const after of added) {
+            let best = -1;
+            let bestScore = this.editSimilarity;
+            unmatched.forEach((before, index) => {
+                const score = this.similarity(before, after);
+                if (score >= bestScore) {
+                    best = index;
+                    bestScore = score;
+                }
+            });
+
+            if (best >= 0) {
+                changed.push({ before: unmatched.splice(best, 1)[0], after });
+            } else {
+                remaining.push(after);
+            }
+        }
+
+        return { added: remaining, removed: unmatched, changed };
+    }
+
+    similarity(a, b) {
+        const wordsA = new Set(a.toLowerCase().match(/\w+/g) || []);
+        const wordsB = new Set(b.toLowerCase().match(/\w+/g) || []);
+        const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+        const total = new Set([...wordsA, ...wordsB]).size;
+        return total > 0 ? shared / total : 0;
+    }
+
+    /**
+     * Changed sections per state, states in alphabetical order and untagged sections
+     * last under "General". A section tagged with several states is listed under each.
+     */
+    byState(digest) {
+        const groups = new Map();
+
+        for (const section of digest.sections) {
+            for (const state of section.states.length > 0 ? section.states : ['General']) {
+                if (!groups.has(state)) {
+                    groups.set(state, []);
+                }
+                groups.get(state).push(section);
+            }
+        }
+
+        return new Map([...groups].sort(([a], [b]) =>
+            (a === 'General') - (b === 'General') || a.localeCompare(b)));
+    }
+
+    // Plain summary from the section list, used when no LLM summary is available
+    fallbackSummary(sections) {
+        return sections.map(section => {
+            const heading = section.heading.join(' › ');
+            if (section.status === 'added') return `New section "${heading}".`;
+            if (section.status === 'removed') return `Section "${heading}" was removed.`;
+
+            const counts = [
+                [section.changed.length, 'changed'],
+                [section.added.length, 'added'],
+                [section.removed.length, 'removed']
+            ].filter(([count]) => count > 0)
+                .map(([count, label]) => `${count} ${count === 1 ? 'paragraph' : 'paragraphs'} ${label}`);
+            return `"${heading}": ${counts.join(', ')}.`;
+        }).join(' ');
+    }
+
+    /**
+     * Fill digest.summaries with a plain-language summary per state from /api/change-summary,
+     * keeping the section-list summary for any state the model doesn't answer
+     */
+    async summarize(digest) {
+        const groups = this.byState(digest);
+        const summaries = {};
+        for (const [state, sections] of groups) {
+            summaries[state] = this.fallbackSummary(sections);
+        }
+        digest.summarySource = 'sections';
+
+        try {
+            const response = await fetch('/api/change-summary', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: this.app.state.currentModel,
+                    states: [...groups].map(([state, sections]) => ({
+                        state,
+                        sections: sections.map(({ heading, status, added, removed, changed }) => ({ heading, status, added, removed, changed }))
+                    }))
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Change summary failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            for (const [state, summary] of Object.entries(result.summaries || {})) {
+                if (summaries[state] && summary) {
+                    summaries[state] = summary;
+                    digest.summarySource = 'llm';
+                }
+            }
+        } catch (error) {
+            console.warn('LLM change summary unavailable, using the section list:', error.message);
+        }
+
+        digest.summaries = summaries;
+        return digest;
+    }
+
+    /**
+     * Diff a sync against the chunks it replaces and publish the digest. Returns null when
+     * there is nothing to compare (first sync, or a previous set from another document).
+     * A sync without changes keeps the last digest on screen.
+     */
+    async record(previousChunks, nextChunks) {
+        if (!previousChunks?.length || !nextChunks?.length) {
+            return null;
+        }
+
+        const digest = this.diff(previousChunks, nextChunks);
+        if (digest.unchangedSections === 0 && !digest.sections.some(section => section.status === 'modified')) {
+            console.log('Previous chunks share no sections with this sync, skipping the change digest');
+            return null;
+        }
+        if (digest.sections.length === 0) {
+            return digest;
+        }
+
+        await this.summarize(digest);
+        this.show(digest);
+
+        await this.app.globalConfig.saveChangeDigest(digest); // Skipped without the write token
+
+        console.log(`📝 ${digest.sections.length} SOP sections changed`);
+        return digest;
+    }
+
+    // Latest digest from GitHub or this browser's cache, whichever is newer
+    async load() {
+        let cached = null;
+        try {
+            cached = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            console.warn('Failed to read cached change digest:', error);
+        }
+
+        const global = await this.app.globalConfig.loadChangeDigest();
+        const latest = [global, cached]
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+        if (latest) {
+            this.show(latest);
+        }
+        return latest || null;
+    }
+
+    show(digest) {
+        this.digest = digest;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(digest));
+        } catch (error) {
+            console.warn('Failed to cache change digest:', error);
+        }
+        this.render();
+    }
+
+    /**
+     * "What changed" panel on the welcome screen: the summary per state, with the
+     * changed paragraphs of each section behind a disclosure
+     */
+    render() {
+        const panel = document.getElementById('changesPanel');
+        if (!panel) return;
+
+        if (!this.digest || this.digest.sections.length === 0) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const escape = (text) => this.app.chatInterface?.escapeHtml(text) ?? String(text);
+        const statusLabels = { added: 'new', modified: 'updated', removed: 'removed' };
+
+        const renderSection = (section) => `
+            <div class="changes-section">
+                <div class="changes-heading">
+                    ${escape(section.heading.join(' › '))}
+                    <span class="changes-badge ${section.status}">${statusLabels[section.status]}</span>
+                </div>
+                <ul class="changes-list">
+                    ${section.changed.map(edit => `
+                        <li class="change-edited">
+                            <div class="change-before">Was: ${escape(edit.before)}</div>
+                            <div>Now: ${escape(edit.after)}</div>
+                        </li>`).join('')}
+                    ${section.added.map(paragraph => `<li class="change-added">+ ${escape(paragraph)}</li>`).join('')}
+                    ${section.removed.map(paragraph => `<li class="change-removed">− ${escape(paragraph)}</li>`).join('')}
+                </ul>
+            </div>`;
+
+        const states = [...this.byState(this.digest)].map(([state, sections]) => `
+            <div class="changes-state">
+                <div class="changes-state-name">${escape(state)}</div>
+                <p>${escape(this.digest.summaries?.[state] || this.fallbackSummary(sections))}</p>
+                <details>
+                    <summary>${sections.length} changed section${sections.length === 1 ? '' : 's'}</summary>
+                    ${sections.map(renderSection).join('')}
+                </details>
+            </div>`).join('');
+
+        panel.innerHTML = `
+            <div class="changes-header">
+                <h3>📝 What changed</h3>
+                <span class="changes-date">SOP synced ${escape(new Date(this.digest.createdAt).toLocaleString())}</span>
+            </div>
+            ${states}`;
+        panel.classList.remove('hidden');
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangeDigest;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.ChangeDigest = ChangeDigest;
+}
@@ -7,6 +7,8 @@ class ChatInterface {
         this.app = app;
         this.messages = [];
         this.isProcessing = false;
+        this.abortController = null;
+        this.historyTurns = 3; // Previous question/answer pairs sent along for follow-ups
         
         this.setupEventListeners();
         this.loadHistory();
@@ -15,6 +17,7 @@ class ChatInterface {
     setupEventListeners() {
         const chatInput = document.getElementById('chatInput');
         const sendBtn = document.getElementById('sendBtn');
+        const stopBtn = document.getElementById('stopBtn');
         const chatForm = document.getElementById('chatForm');
         
         // Handle form submission
@@ -29,6 +32,12 @@ class ChatInterface {
             this.sendMessage();
         });
         
+        // Stop a streaming answer
+        stopBtn?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.stopGenerating();
+        });
+        
         // Send message on Enter key
         chatInput?.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -53,6 +62,24 @@ class ChatInterface {
             });
         });
         
+        // Expand the source chunk behind an inline [n] citation
+        document.getElementById('chatMessages')?.addEventListener('click', (e) => {
+            const citation = e.target.closest('button.citation-ref');
+            if (citation) {
+                e.preventDefault();
+                this.showCitation(citation);
+            }
+        });
+        
+        // Scope the chat to some document sources
+        document.getElementById('sourceScope')?.addEventListener('click', (e) => {
+            const chip = e.target.closest('button[data-source]');
+            if (chip) {
+                e.preventDefault();
+                this.toggleSourceScope(chip.dataset.source);
+            }
+        });
+        
         // Auto-resize chat input
         chatInput?.addEventListener('input', (e) => {
             e.target.style.height = 'auto';
@@ -72,6 +99,10 @@ class ChatInterface {
         this.updateSendButton(true);
         
         try {
+            // Capture the conversation so far before this question joins it
+            const history = this.getConversationHistory();
+            const previousAnalysis = this.getPreviousQueryAnalysis();
+            
             // Add user message to chat
             this.addMessage('user', query);
             chatInput.value = '';
@@ -83,19 +114,43 @@ class ChatInterface {
             // Show typing indicator
             const typingId = this.showTypingIndicator();
             
-            // Get response from app
-            const result = await this.app.searchAndAnswer(query);
+            // Stream the answer into a bubble that is created on the first token
+            this.abortController = new AbortController();
+            let streamingMessage = null;
+            
+            const result = await this.app.searchAndAnswer(query, {
+                history,
+                previousAnalysis,
+                signal: this.abortController.signal,
+                onToken: (delta, fullText) => {
+                    if (!streamingMessage) {
+                        this.removeTypingIndicator(typingId);
+                        streamingMessage = this.createStreamingMessage();
+                    }
+                    this.updateStreamingMessage(streamingMessage, fullText);
+                }
+            });
             
             // Remove typing indicator
             this.removeTypingIndicator(typingId);
             
             if (result.success) {
+                const response = result.stopped ? `${result.response}\n\n*⏹️ Stopped*` : result.response;
+                
                 // Add assistant response
-                this.addMessage('assistant', result.response, result.searchResults);
+                if (streamingMessage) {
+                    this.finishStreamingMessage(streamingMessage, response, result.searchResults);
+                } else {
+                    this.addMessage('assistant', response, result.searchResults);
+                }
                 
                 // Save to history
-                this.saveToHistory(query, result.response, result.searchResults);
+                this.saveToHistory(query, response, result.searchResults);
+            } else if (this.abortController.signal.aborted) {
+                streamingMessage?.remove();
+                this.addMessage('assistant', '⏹️ Stopped before an answer was generated.');
             } else {
+                streamingMessage?.remove();
                 // Add error message
                 this.addMessage('assistant', `❌ ${result.error}`);
             }
@@ -104,10 +159,136 @@ class ChatInterface {
             this.addMessage('assistant', '❌ Sorry, I encountered an error processing your request.');
         } finally {
             this.isProcessing = false;
+            this.abortController = null;
             this.updateSendButton(false);
         }
     }
     
+    /**
+     * Source chips above the input - with more than one document source, questions can be
+     * limited to some of them ("All" searches every source)
+     */
+    renderSourceScope() {
+        const container = document.getElementById('sourceScope');
+        const sources = this.app.documentSources?.sources || [];
+        if (!container) return;
+        
+        if (sources.length < 2) {
+            container.classList.add('hidden');
+            return;
+        }
+        
+        const scope = this.app.getSourceScope();
+        container.innerHTML = `
+            <span>Search in:</span>
+            <button type="button" class="source-chip ${scope.length === 0 ? 'active' : ''}" data-source="">All</button>
+            ${sources.map(source => `
+                <button type="button" class="source-chip ${scope.includes(source.id) ? 'active' : ''}"
+                        data-source="${this.escapeHtml(source.id)}">${this.escapeHtml(source.name)}</button>
+            `).join('')}
+        `;
+        container.classList.remove('hidden');
+    }
+    
+    toggleSourceScope(sourceId) {
+        const scope = this.app.getSourceScope();
+        let next = !sourceId
+            ? []
+            : (scope.includes(sourceId) ? scope.filter(id => id !== sourceId) : [...scope, sourceId]);
+        
+        // Every source selected is the same as all of them
+        if (next.length === this.app.documentSources.sources.length) {
+            next = [];
+        }
+        this.app.setSourceScope(next);
+        this.renderSourceScope();
+    }
+    
+    /**
+     * Last N question/answer turns as { role, content } for the LLM prompt - a question whose
+     * answer failed or was stopped before it began is left out along with it, so turns alternate
+     */
+    getConversationHistory(turns = this.historyTurns) {
+        const messages = this.messages.filter(message => message.role === 'user' || message.role === 'assistant');
+        const exchanges = [];
+        
+        messages.forEach((message, index) => {
+            const answer = messages[index + 1];
+            if (message.role === 'user' && answer?.role === 'assistant' && !/^(❌|⏹️)/.test(answer.content)) {
+                exchanges.push(message, answer);
+            }
+        });
+        
+        return exchanges
+            .slice(-turns * 2)
+            .map(message => ({ role: message.role, content: message.content }));
+    }
+    
+    /**
+     * Query analysis of the most recent answered question, used to resolve follow-ups
+     */
+    getPreviousQueryAnalysis() {
+        for (let i = this.messages.length - 1; i >= 0; i--) {
+            const analysis = this.messages[i].searchResults?.queryAnalysis;
+            if (analysis) {
+                return analysis;
+            }
+        }
+        return null;
+    }
+    
+    stopGenerating() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+    
+    createStreamingMessage() {
+        const chatMessages = document.getElementById('chatMessages');
+        if (!chatMessages) return null;
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message-enter flex items-start space-x-3';
+        messageDiv.innerHTML = this.renderAssistantMessage('', null);
+        chatMessages.appendChild(messageDiv);
+        
+        this.scrollToBottom();
+        return messageDiv;
+    }
+    
+    updateStreamingMessage(messageDiv, content) {
+        const contentDiv = messageDiv?.querySelector('.prose');
+        if (!contentDiv) return;
+        
+        // Re-render the partial markdown so formatting appears as it streams in
+        contentDiv.innerHTML = this.processResponse(content);
+        this.scrollToBottom();
+    }
+    
+    finishStreamingMessage(messageDiv, content, searchResults = null) {
+        if (!messageDiv) {
+            this.addMessage('assistant', content, searchResults);
+            return;
+        }
+        
+        messageDiv.innerHTML = this.renderAssistantMessage(content, searchResults);
+        
+        // Initialize Lucide icons for new elements
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        this.scrollToBottom();
+        
+        this.messages.push({
+            id: Date.now().toString(),
+            role: 'assistant',
+            content,
+            timestamp: new Date().toISOString(),
+            searchResults: searchResults || null
+        });
+    }
+    
     addMessage(role, content, searchResults = null) {
         const chatMessages = document.getElementById('chatMessages');
         if (!chatMessages) return;
@@ -125,22 +306,7 @@ class ChatInterface {
                 </div>
             `;
         } else {
-            const processedContent = this.processResponse(content);
-            const searchResultsHtml = searchResults ? this.renderSearchResults(searchResults) : '';
-            
-            messageDiv.innerHTML = `
-                <div class="flex-shrink-0 w-8 h-8 bg-gradient-to-r from-primary to-secondary rounded-full flex items-center justify-center">
-                    <i data-lucide="bot" class="w-4 h-4 text-white"></i>
-                </div>
-                <div class="flex-1">
-                    <div class="message-bubble bot-bubble bg-gray-50 rounded-2xl px-4 py-3 max-w-2xl">
-                        <div class="prose prose-sm max-w-none">
-                            ${processedContent}
-                        </div>
-                    </div>
-                    ${searchResultsHtml}
-                </div>
-            `;
+            messageDiv.innerHTML = this.renderAssistantMessage(content, searchResults);
         }
         
         chatMessages.appendChild(messageDiv);
@@ -163,9 +329,35 @@ class ChatInterface {
         });
     }
     
-    processResponse(content) {
+    renderAssistantMessage(content, searchResults) {
+        const citations = searchResults?.citations || null;
+        const processedContent = this.processResponse(content, citations);
+        const citationsHtml = citations ? this.renderCitations(content, citations) : '';
+        const searchResultsHtml = searchResults ? this.renderSearchResults(searchResults) : '';
+        
+        return `
+            <div class="flex-shrink-0 w-8 h-8 bg-gradient-to-r from-primary to-secondary rounded-full flex items-center justify-center">
+                <i data-lucide="bot" class="w-4 h-4 text-white"></i>
+            </div>
+            <div class="flex-1">
+                <div class="message-bubble bot-bubble bg-gray-50 rounded-2xl px-4 py-3 max-w-2xl">
+                    <div class="prose prose-sm max-w-none">
+                        ${processedContent}
+                    </div>
+                </div>
+                ${citationsHtml}
+                ${searchResultsHtml}
+            </div>
+        `;
+    }
+    
+    /**
+     * @param {string} content - Markdown-ish answer text
+     * @param {Array|null} citations - Sources for [n] markers; null while the answer is still streaming
+     */
+    processResponse(content, citations = null) {
         // Convert markdown-like formatting to HTML
-        let processed = content
+        let processed = this.processMarkdownTables(content)
             // Bold text
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             // Italic text
@@ -184,11 +376,186 @@ class ChatInterface {
         // Process image references
         processed = this.processImageReferences(processed);
         
+        // Process [n] citation markers
+        processed = this.processCitations(processed, citations);
+        
         return processed;
     }
     
+    /**
+     * "| a | b |" blocks with a "|---|" separator row -> <table>. The table is kept on one
+     * line so the line-break and list conversions after it leave it alone.
+     */
+    processMarkdownTables(content) {
+        const tablePattern = /^ *\|.*\| *\n *\|[\s:|-]*-[\s:|-]*\| *\n(?: *\|.*\| *(?:\n|$))*/gm;
+        const cells = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+        
+        return content.replace(tablePattern, (block) => {
+            const [header, , ...rows] = block.trim().split('\n');
+            return this.renderTable({ title: null, columns: cells(header), rows: rows.map(cells) }, false) +
+                (block.endsWith('\n') ? '\n' : '');
+        });
+    }
+    
+    /**
+     * { title, columns, rows } -> <table>. Generic "Column N" headers are left blank.
+     * @param {boolean} escape - false for answer text, which keeps its inline markdown
+     */
+    renderTable(table, escape = true) {
+        const text = (value) => escape ? this.escapeHtml(value || '') : (value || '');
+        const headers = table.columns.map(column => /^Column \d+$/.test(column) ? '' : column);
+        
+        return '<table class="sop-table">' +
+            (table.title ? `<caption>${text(table.title)}</caption>` : '') +
+            (headers.some(Boolean) ? `<thead><tr>${headers.map(h => `<th>${text(h)}</th>`).join('')}</tr></thead>` : '') +
+            `<tbody>${table.rows.map(row => `<tr>${table.columns.map((_, i) => `<td>${text(row[i])}</td>`).join('')}</tr>`).join('')}</tbody>` +
+            '</table>';
+    }
+    
+    /**
+     * Chunk text with its "a | b" lines shown as the chunk's tables, in place when each run
+     * of such lines lines up with one table, otherwise after the text
+     */
+    renderChunkContent(text, tables = []) {
+        const textHtml = (value) => `<div class="whitespace-pre-wrap">${this.escapeHtml(value)}</div>`;
+        if (tables.length === 0) {
+            return textHtml(text);
+        }
+        
+        const segments = [];
+        for (const line of text.split('\n')) {
+            const isTableLine = line.includes(' | ');
+            const last = segments[segments.length - 1];
+            if (last && last.isTable === isTableLine) {
+                last.lines.push(line);
+            } else {
+                segments.push({ isTable: isTableLine, lines: [line] });
+            }
+        }
+        
+        const tableRuns = segments.filter(segment => segment.isTable);
+        if (tableRuns.length !== tables.length) {
+            return textHtml(text) + tables.map(table => this.renderTable(table)).join('');
+        }
+        
+        let tableIndex = 0;
+        return segments.map(segment => {
+            if (segment.isTable) {
+                return this.renderTable(tables[tableIndex++]);
+            }
+            // The table's title line sits right above its rows; the <caption> shows it instead
+            const next = tables[tableIndex];
+            const lines = next?.title && segment.lines[segment.lines.length - 1].trim() === next.title
+                ? segment.lines.slice(0, -1)
+                : segment.lines;
+            const value = lines.join('\n').trim();
+            return value ? textHtml(value) : '';
+        }).join('');
+    }
+    
+    processCitations(content, citations) {
+        // Matches [1], [2, 3] - [IMAGE: ...] references are already replaced by now
+        const citationPattern = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+        
+        return content.replace(citationPattern, (match, numbers) => {
+            const refs = numbers.split(',').map(n => parseInt(n.trim(), 10));
+            
+            // Leave numbers that don't point at a source alone (e.g. "[2023]")
+            if (citations && !refs.every(n => citations.some(c => c.number === n))) {
+                return match;
+            }
+            
+            return refs.map(n => {
+                const citation = citations?.find(c => c.number === n);
+                const title = citation ? `Source ${n}: ${citation.chunk_id}` : `Source ${n}`;
+                return `<button type="button" class="citation-ref" data-citation="${n}" title="${this.escapeHtml(title)}">${n}</button>`;
+            }).join('');
+        });
+    }
+    
+    /**
+     * Sources list under an answer - one expandable entry per cited chunk
+     */
+    renderCitations(content, citations) {
+        const cited = new Set();
+        for (const [, numbers] of content.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+            numbers.split(',').forEach(n => cited.add(parseInt(n.trim(), 10)));
+        }
+        
+        const sources = citations.filter(citation => cited.has(citation.number));
+        if (sources.length === 0) {
+            return '';
+        }
+        
+        const sourcesHtml = sources.map(citation => {
+            const tags = [
+                ...citation.states.map(s => `<span class="metadata-tag">${this.escapeHtml(s)}</span>`),
+                ...citation.sections.map(s => `<span class="metadata-tag">${this.escapeHtml(s)}</span>`)
+            ];
+            
+            return `
+                <details class="citation-source rounded-lg border border-gray-200 bg-white" data-citation-source="${citation.number}">
+                    <summary class="cursor-pointer px-3 py-2 text-sm text-gray-700 flex items-center space-x-2">
+                        <span class="citation-ref">${citation.number}</span>
+                        ${citation.headingPath?.length
+                            ? `<span class="text-xs text-gray-600">${this.escapeHtml(this.formatHeadingPath(citation.headingPath))}</span>`
+                            : `<span class="font-mono text-xs text-gray-500">${this.escapeHtml(String(citation.chunk_id))}</span>`}
+                        ${tags.join('')}
+                    </summary>
+                    <div class="px-3 pb-3 text-xs text-gray-600">
+                        <div class="mb-2">
+                            ${citation.source ? `<strong>Document:</strong> ${this.escapeHtml(citation.source)} ·` : ''}
+                            ${citation.revision?.id ? `<strong>Revision:</strong> ${this.escapeHtml(DocumentSources.describeRevision(citation.revision))} ·` : ''}
+                            ${citation.pages?.length ? `<strong>${citation.pages.length > 1 ? 'Pages' : 'Page'}:</strong> ${this.escapeHtml(this.formatPages(citation.pages))} ·` : ''}
+                            ${citation.anchor ? `<strong>Anchor:</strong> #${this.escapeHtml(citation.anchor)} ·` : ''}
+                            <strong>Chunk:</strong> ${this.escapeHtml(String(citation.chunk_id))} ·
+                            <strong>States:</strong> ${this.escapeHtml(citation.states.join(', ') || '—')} ·
+                            <strong>Sections:</strong> ${this.escapeHtml(citation.sections.join(', ') || '—')}
+                        </div>
+                        <div class="text-sm text-gray-800">${this.renderChunkContent(citation.text, citation.tables)}</div>
+                    </div>
+                </details>
+            `;
+        }).join('');
+        
+        return `
+            <div class="mt-3 space-y-2">
+                <div class="text-xs font-medium text-gray-500">Sources</div>
+                ${sourcesHtml}
+            </div>
+        `;
+    }
+    
+    // ["OHIO", "OH RISE", "Batch Sub"] -> "OHIO › OH RISE › Batch Sub"
+    formatHeadingPath(headingPath) {
+        return headingPath.join(' › ');
+    }
+    
+    // [3, 4, 5, 8] -> "3–5, 8"
+    formatPages(pages) {
+        const ranges = [];
+        for (const page of pages) {
+            const last = ranges[ranges.length - 1];
+            if (last && page === last[1] + 1) last[1] = page;
+            else ranges.push([page, page]);
+        }
+        return ranges.map(([start, end]) => start === end ? `${start}` : `${start}–${end}`).join(', ');
+    }
+    
+    showCitation(citationButton) {
+        const message = citationButton.closest('.message-enter');
+        const source = message?.querySelector(`[data-citation-source="${citationButton.dataset.citation}"]`);
+        if (!source) return;
+        
+        source.open = true;
+        source.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        source.classList.add('citation-highlight');
+        setTimeout(() => source.classList.remove('citation-highlight'), 1500);
+    }
+    
     processImageReferences(content) {
-        // Pattern for image references: [IMAGE: filename - label] - matching Python implementation
+        // Pattern for image references: [IMAGE: filename - label] - matching Python implementation.
+        // Filenames are content-hash image IDs served by /api/images/[id]
         const imagePattern = /\[IMAGE:\s*([^\]]+?)\s*-\s*([^\]]+?)\]/g;
         
         return content.replace(imagePattern, (match, filename, label) => {
@@ -208,7 +575,7 @@ class ChatInterface {
                     <div class="image-wrapper" style="position: relative; margin-bottom: 12px;">
                         <img 
                             id="${imageId}" 
-                            src="/images/${this.escapeHtml(filename)}" 
+                            src="/api/images/${encodeURIComponent(filename)}" 
                             alt="${this.escapeHtml(label)}"
                             style="
                                 max-width: 100%;
@@ -255,7 +622,9 @@ class ChatInterface {
     }
     
     renderSearchResults(searchResults) {
-        if (!searchResults || searchResults.length === 0) {
+        // Retriever.search returns { results, reranked, ... }; older history entries hold a plain array
+        const results = Array.isArray(searchResults) ? searchResults : (searchResults?.results || []);
+        if (results.length === 0) {
             return '';
         }
         
@@ -264,8 +633,9 @@ class ChatInterface {
             return '';
         }
         
-        const resultsHtml = searchResults.slice(0, 3).map((result, index) => {
-            const metadata = result.metadata || {};
+        const resultsHtml = results.slice(0, 3).map((result, index) => {
+            const chunk = result.chunk || result;
+            const metadata = chunk.metadata || {};
             const searchTypes = result.searchTypes || [];
             
             // Create metadata tags
@@ -275,21 +645,42 @@ class ChatInterface {
             if (metadata.topics) tags.push(...metadata.topics.slice(0, 2).map(t => `<span class="metadata-tag">${t}</span>`));
             if (metadata.has_images) tags.push(`<span class="metadata-tag">📸 ${metadata.image_count} images</span>`);
             
+            // Reranked results show the reranker's score and where fusion had ranked them
+            const rerankHtml = result.rerankScore !== undefined ? `
+                        <span class="text-xs text-purple-700 bg-purple-100 px-2 py-1 rounded"
+                              title="Fused score ${result.score.toFixed(2)}">
+                            Rerank: ${result.rerankScore.toFixed(2)}${result.fusedRank !== index + 1 ? ` (was #${result.fusedRank})` : ''}
+                        </span>` : '';
+            
             return `
                 <div class="mt-3 p-3 bg-blue-50 rounded-lg border border-blue-200">
                     <div class="flex items-center justify-between mb-2">
                         <span class="text-sm font-medium text-blue-900">Match ${index + 1}</span>
-                        <span class="text-xs text-blue-600 bg-blue-100 px-2 py-1 rounded">
-                            Score: ${result.score.toFixed(2)}
+                        <span class="flex items-center space-x-1">
+                            ${rerankHtml}
+                            <span class="text-xs text-blue-600 bg-blue-100 px-2 py-1 rounded">
+                                Score: ${result.score.toFixed(2)}
+                            </span>
                         </span>
                     </div>
                     
+                    ${chunk.heading_path?.length ? `
+                        <div class="text-xs text-gray-600 mb-1">${this.escapeHtml(this.formatHeadingPath(chunk.heading_path))}</div>
+                    ` : ''}
                     ${tags.length > 0 ? `<div class="mb-2">${tags.join('')}</div>` : ''}
                     
                     <p class="text-sm text-gray-700 mb-2">
-                        ${this.escapeHtml(result.text.substring(0, 150))}...
+                        ${this.escapeHtml(chunk.text.substring(0, 150))}...
                     </p>
                     
+                    ${result.tableRows?.length ? `
+                        <div class="text-xs text-gray-700 mb-2">
+                            ${result.tableRows.map(match => `
+                                <div>📋 ${match.title ? `<strong>${this.escapeHtml(match.title)}:</strong> ` : ''}${this.escapeHtml(match.fields.map(field => field.value).join(' · '))}</div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                    
                     ${searchTypes.length > 0 ? `
                         <div class="text-xs text-blue-600">
                             Found via: ${searchTypes.join(', ')}
@@ -304,7 +695,7 @@ class ChatInterface {
                 <details class="cursor-pointer">
                     <summary class="text-sm font-medium text-gray-600 hover:text-gray-800 flex items-center space-x-2">
                         <i data-lucide="search" class="w-4 h-4"></i>
-                        <span>Search Details (${searchResults.length} matches)</span>
+                        <span>Search Details (${results.length} matches${searchResults.reranked ? ', reranked' : ''})</span>
                     </summary>
                     <div class="mt-2 space-y-2">
                         ${resultsHtml}
@@ -361,6 +752,11 @@ class ChatInterface {
     }
     
     updateSendButton(disabled) {
+        const stopBtn = document.getElementById('stopBtn');
+        if (stopBtn) {
+            stopBtn.classList.toggle('hidden', !disabled);
+        }
+        
         const sendBtn = document.getElementById('sendBtn');
         if (sendBtn) {
             sendBtn.disabled = disabled;
@@ -1,6 +1,8 @@
 /**
- * Document Processor - Handles DOCX file processing and chunking
- * Ported from the Python docx_chunking.py functionality
+ * Document Processor - Handles uploaded document processing and chunking
+ * Uploads (DOCX, PDF, Markdown, HTML) are parsed and chunked on the server by /api/process-document,
+ * the same chunker Google Docs syncs use (ported from the Python docx_chunking.py). Progress is
+ * streamed back stage by stage, and anything the parser dropped or flattened comes back as warnings.
  */
 
 class DocumentProcessor {
@@ -11,257 +13,147 @@ class DocumentProcessor {
         this.overlapSize = 150;
     }
     
-    async processDocument(file) {
+    // Upload formats and their extensions - mirrors api/_lib/documentParsers.js
+    static get FORMATS() {
+        return {
+            docx: ['.docx'],
+            pdf: ['.pdf'],
+            markdown: ['.md', '.markdown'],
+            html: ['.html', '.htm']
+        };
+    }
+    
+    // Largest upload: the file travels base64-encoded (a third larger) and Vercel rejects
+    // request bodies over 4.5 MB. Mirrors MAX_FILE_BYTES in api/process-document.js.
+    static get MAX_FILE_BYTES() {
+        return 3 * 1024 * 1024;
+    }
+    
+    // 'docx' | 'pdf' | 'markdown' | 'html', or null for a file that can't be processed
+    static formatOf(file) {
+        const name = (file?.name || '').toLowerCase();
+        const formats = DocumentProcessor.FORMATS;
+        return Object.keys(formats).find(format => formats[format].some(extension => name.endsWith(extension))) || null;
+    }
+    
+    /**
+     * Parse and chunk an uploaded file on the server
+     * @param {File} file - The uploaded document
+     * @param {Object} options - { onProgress({ stage, step, steps, message, done?, total? }) }
+     * @returns {Promise<Object>} { success, chunks, images, warnings } or { success: false, error, warnings }
+     */
+    async processDocument(file, options = {}) {
         try {
             console.log('Processing document:', file.name);
             
-            // Read the file as array buffer
-            const arrayBuffer = await file.arrayBuffer();
+            const format = DocumentProcessor.formatOf(file);
+            if (!format) {
+                throw new Error(`Unsupported file type: ${file.name}`);
+            }
+            
+            if (file.size > DocumentProcessor.MAX_FILE_BYTES) {
+                throw new Error(`${file.name} is ${(file.size / 1024 / 1024).toFixed(1)} MB - uploads are limited to ` +
+                    `${DocumentProcessor.MAX_FILE_BYTES / 1024 / 1024} MB. Compress its images or split it, or add it as a Google Docs source instead.`);
+            }
             
-            // For now, we'll simulate the DOCX processing since we can't directly parse DOCX in browser
-            // In a real implementation, you'd use a library like docx-preview or send to backend
-            const result = await this.simulateDocxProcessing(arrayBuffer, file.name);
+            console.log(`📄 Sending ${format.toUpperCase()} file to the server: ${file.name} (${file.size} bytes)`);
+            const writeToken = this.app.globalConfig?.writeToken;
+            const response = await fetch('/api/process-document', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...(writeToken && { 'X-Write-Token': writeToken }) },
+                body: JSON.stringify({
+                    fileData: await this.readAsBase64(file),
+                    fileName: file.name,
+                    format,
+                    documentName: file.name.replace(/\.[^.]+$/, ''),
+                    stream: true
+                })
+            });
+            
+            const contentType = response.headers.get('content-type') || '';
+            const result = response.ok && contentType.includes('text/event-stream')
+                ? await this.readProgressStream(response, options.onProgress)
+                : await response.json().catch(() => ({
+                    error: response.status === 413
+                        ? `${file.name} is too large for the server - uploads are limited to ${DocumentProcessor.MAX_FILE_BYTES / 1024 / 1024} MB`
+                        : `Document processing failed: ${response.status}`
+                }));
+            if (!result.success) {
+                return { success: false, error: result.error || 'Document processing failed', warnings: result.warnings || [] };
+            }
+            
+            const chunks = result.chunks.map(chunk => ({
+                ...chunk,
+                metadata: {
+                    ...chunk.metadata,
+                    source_document: file.name,
+                    upload_method: 'manual_upload',
+                    processed_at: new Date().toISOString()
+                }
+            }));
+            
+            (result.warnings || []).forEach(warning => console.warn(`⚠️ ${file.name}: ${warning.message}`));
+            console.log(`✅ Generated ${chunks.length} chunks from ${file.name}`);
             
             return {
                 success: true,
-                chunks: result.chunks,
-                images: result.images,
-                vectorDb: result.vectorDb
+                chunks,
+                images: result.images || [],
+                warnings: result.warnings || []
             };
         } catch (error) {
             console.error('Document processing error:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                warnings: []
             };
         }
     }
     
-    async simulateDocxProcessing(arrayBuffer, filename) {
-        // For demo purposes, we'll create sample chunks based on the existing structure
-        // In production, this would parse the actual DOCX file using mammoth.js or similar
-        
-        console.log(`📄 Processing uploaded DOCX file: ${filename} (${arrayBuffer.byteLength} bytes)`);
-        
-        const sampleChunks = this.createSampleChunks();
-        const sampleImages = this.createSampleImages();
-        
-        // Add upload metadata to chunks
-        const enrichedChunks = sampleChunks.map(chunk => ({
-            ...chunk,
-            metadata: {
-                ...chunk.metadata,
-                source_document: filename,
-                upload_method: 'manual_upload',
-                processed_at: new Date().toISOString()
+    /**
+     * Read the Server-Sent Events stream from /api/process-document, reporting each progress
+     * event. Resolves with the final result (or { error, warnings } when processing failed).
+     */
+    async readProgressStream(response, onProgress) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+        
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            
+            const event = JSON.parse(line.slice(5).trim());
+            if (event.progress) {
+                onProgress?.(event.progress);
+            } else if (event.done || event.error) {
+                result = event;
             }
-        }));
-        
-        // Save processed data using the same keys the app expects
-        localStorage.setItem('gti_chunks', JSON.stringify(enrichedChunks));
-        localStorage.setItem('gti_processed_images', JSON.stringify(sampleImages));
-        localStorage.setItem('gti_last_update', new Date().toISOString());
+        };
         
-        console.log(`✅ Generated ${enrichedChunks.length} chunks from uploaded file`);
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer);
         
-        return {
-            chunks: enrichedChunks,
-            images: sampleImages,
-            metadata: {
-                source: 'manual_upload',
-                filename: filename,
-                chunkCount: enrichedChunks.length,
-                imageCount: sampleImages.length,
-                processedAt: new Date().toISOString()
-            }
-        };
+        return result || { error: 'The server closed the connection before processing finished' };
     }
     
-    createSampleChunks() {
-        // Sample chunks based on the GTI SOP structure
-        return [
-            {
-                chunk_id: 0,
-                text: "📁 UPLOADED FILE: Ohio (OH) RISE Orders: For RISE orders in Ohio, follow standard menu pricing without any discounts. The unit limit is 10 units per order. No special notes are required for batch substitutions in Ohio RISE orders.",
-                images: [
-                    {
-                        filename: "image_1.png",
-                        label: "Image 1: Ohio RISE order form example",
-                        path: "/images/image_1.png"
-                    }
-                ],
-                metadata: {
-                    states: ["OH"],
-                    sections: ["RISE"],
-                    topics: ["PRICING", "ORDER_LIMIT"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 35
-                }
-            },
-            {
-                chunk_id: 1,
-                text: "Maryland (MD) Regular Orders: Regular wholesale orders in Maryland require separate invoicing for batteries. The delivery date should be set according to the standard schedule. Menu pricing applies for all regular orders.",
-                images: [
-                    {
-                        filename: "image_2.png",
-                        label: "Image 2: Maryland regular order invoice format",
-                        path: "/images/image_2.png"
-                    }
-                ],
-                metadata: {
-                    states: ["MD"],
-                    sections: ["REGULAR"],
-                    topics: ["BATTERIES", "DELIVERY_DATE", "PRICING"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 32
-                }
-            },
-            {
-                chunk_id: 2,
-                text: "New Jersey (NJ) Batch Substitution Rules: For NJ orders, FIFO (First In, First Out) principle applies for batch substitutions. When a requested batch is not available, substitute with the earliest available batch. Document all substitutions in the order notes.",
-                images: [],
-                metadata: {
-                    states: ["NJ"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: ["BATCH_SUB"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 38
-                }
-            },
-            {
-                chunk_id: 3,
-                text: "Illinois (IL) RISE Order Limits: Illinois RISE orders have a maximum unit limit of 15 units per order. Orders exceeding this limit must be split into multiple orders. Each split order should reference the original order number.",
-                images: [
-                    {
-                        filename: "image_3.png",
-                        label: "Image 3: Illinois RISE order splitting example",
-                        path: "/images/image_3.png"
-                    }
-                ],
-                metadata: {
-                    states: ["IL"],
-                    sections: ["RISE"],
-                    topics: ["ORDER_LIMIT"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 33
-                }
-            },
-            {
-                chunk_id: 4,
-                text: "General Battery Invoice Requirements: The following states require batteries to be invoiced separately: Maryland (MD), New Jersey (NJ), and Nevada (NV). Create separate line items for battery products in these states.",
-                images: [
-                    {
-                        filename: "image_4.png",
-                        label: "Image 4: Separate battery invoice example",
-                        path: "/images/image_4.png"
-                    }
-                ],
-                metadata: {
-                    states: ["MD", "NJ", "NV"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: ["BATTERIES"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 30
-                }
-            },
-            {
-                chunk_id: 5,
-                text: "New York (NY) Regular Orders: NY regular orders follow standard wholesale pricing. Delivery dates should be set based on the customer's requested schedule. No special batch substitution rules apply.",
-                images: [],
-                metadata: {
-                    states: ["NY"],
-                    sections: ["REGULAR"],
-                    topics: ["PRICING", "DELIVERY_DATE"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 26
-                }
-            },
-            {
-                chunk_id: 6,
-                text: "Nevada (NV) RISE Pricing: Nevada RISE orders must follow LT pricing structure. Menu prices do not apply for NV RISE orders. Battery products must be invoiced separately as per state requirements.",
-                images: [
-                    {
-                        filename: "image_5.png",
-                        label: "Image 5: Nevada RISE pricing structure",
-                        path: "/images/image_5.png"
-                    }
-                ],
-                metadata: {
-                    states: ["NV"],
-                    sections: ["RISE"],
-                    topics: ["PRICING", "BATTERIES"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 28
-                }
-            },
-            {
-                chunk_id: 7,
-                text: "Massachusetts (MA) Order Processing: MA orders require standard processing procedures. Both RISE and regular orders follow the same basic workflow. No state-specific exceptions apply for Massachusetts.",
-                images: [],
-                metadata: {
-                    states: ["MA"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: [],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 25
-                }
-            }
-        ];
-    }
-    
-    createSampleImages() {
-        return [
-            {
-                filename: "image_1.png",
-                label: "Image 1: Ohio RISE order form example",
-                path: "/images/image_1.png",
-                data: null // In real implementation, would contain image data
-            },
-            {
-                filename: "image_2.png",
-                label: "Image 2: Maryland regular order invoice format",
-                path: "/images/image_2.png",
-                data: null
-            },
-            {
-                filename: "image_3.png",
-                label: "Image 3: Illinois RISE order splitting example",
-                path: "/images/image_3.png",
-                data: null
-            },
-            {
-                filename: "image_4.png",
-                label: "Image 4: Separate battery invoice example",
-                path: "/images/image_4.png",
-                data: null
-            },
-            {
-                filename: "image_5.png",
-                label: "Image 5: Nevada RISE pricing structure",
-                path: "/images/image_5.png",
-                data: null
-            }
-        ];
-    }
-    
-    // Method to process Google Docs content
-    async processGoogleDocsContent(content) {
-        try {
-            // This would integrate with Google Docs API
-            // For now, return the same sample data
-            return this.createSampleChunks();
-        } catch (error) {
-            console.error('Google Docs processing error:', error);
-            throw error;
-        }
+    // File contents as base64, without the data: URL prefix
+    readAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+            reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
     }
     
     // Text cleaning utilities (ported from Python)
@@ -283,63 +175,18 @@ class DocumentProcessor {
         return cleaned;
     }
     
-    // Extract state information from text
+    // State, order type and topic tags come from the shared taxonomy (config/taxonomy.json),
+    // the same one query analysis and server ingestion use
     extractStateInfo(text) {
-        const statePatterns = {
-            'OH': [/\\bohio\\b/i, /\\boh\\b/i],
-            'MD': [/\\bmaryland\\b/i, /\\bmd\\b/i],
-            'NJ': [/\\bnew\\s+jersey\\b/i, /\\bnj\\b/i],
-            'IL': [/\\billinois\\b/i, /\\bil\\b/i],
-            'NY': [/\\bnew\\s+york\\b/i, /\\bny\\b/i],
-            'NV': [/\\bnevada\\b/i, /\\bnv\\b/i],
-            'MA': [/\\bmassachusetts\\b/i, /\\bma\\b/i]
-        };
-        
-        const detectedStates = [];
-        for (const [state, patterns] of Object.entries(statePatterns)) {
-            if (patterns.some(pattern => pattern.test(text))) {
-                detectedStates.push(state);
-            }
-        }
-        
-        return detectedStates;
+        return this.app.taxonomy?.matchStates(text) || [];
     }
     
-    // Extract order type information
     extractOrderType(text) {
-        const textLower = text.toLowerCase();
-        
-        if (textLower.includes('rise') || textLower.includes('internal')) {
-            return ['RISE'];
-        }
-        
-        if (textLower.includes('regular') || textLower.includes('wholesale')) {
-            return ['REGULAR'];
-        }
-        
-        return [];
+        return this.app.taxonomy?.matchOrderTypes(text) || [];
     }
     
-    // Extract topic information
     extractTopics(text) {
-        const textLower = text.toLowerCase();
-        const topics = [];
-        
-        const topicPatterns = {
-            'PRICING': ['price', 'pricing', 'cost', 'discount', 'menu'],
-            'BATTERIES': ['battery', 'batteries', 'separate', 'invoice'],
-            'BATCH_SUB': ['batch', 'sub', 'substitution', 'fifo'],
-            'DELIVERY_DATE': ['delivery', 'date', 'schedule'],
-            'ORDER_LIMIT': ['limit', 'maximum', 'max', 'unit']
-        };
-        
-        for (const [topic, keywords] of Object.entries(topicPatterns)) {
-            if (keywords.some(keyword => textLower.includes(keyword))) {
-                topics.push(topic);
-            }
-        }
-        
-        return topics;
+        return this.app.taxonomy?.matchTopics(text) || [];
     }
 }
 
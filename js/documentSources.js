@@ -0,0 +1,255 @@
+/**
+ * Document Sources - The documents the knowledge base is built from (config/sources.json)
+ * Each source (the SOP, a pricing sheet, state contacts...) syncs on its own schedule, and its
+ * chunks carry its ID: source_id, plus a chunk_id namespaced as "<source id>:<n>", so chunk
+ * numbers of different documents never collide. All sources share one chunk set and index;
+ * chat can be scoped to some of them. Editable in Settings → Document Sources.
+ *
+ * Each source's chunks also carry the Google Docs revision they were made from
+ * (source_revision: { id, modifiedTime }), so answers can say which revision of the SOP they
+ * quote, and a scheduled sync skips the download while the document is still at that revision.
+ *
+ * Shape:
+ *   sources: [{ id: 'sop', name: 'GTI Data Base and SOP', type: 'google-docs', docId: '1BXx...', syncMinutes: 60 }]
+ *            syncMinutes: 0 syncs only on request. Chunks without a source_id (synced before
+ *            sources existed) belong to the first source.
+ */
+
+class DocumentSources {
+    constructor(data = {}) {
+        const errors = DocumentSources.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid document sources: ${errors.join('; ')}`);
+        }
+
+        this.data = data;
+        this.sources = (data.sources || []).map(source => ({
+            id: source.id,
+            name: source.name,
+            type: source.type || 'google-docs',
+            docId: source.docId,
+            syncMinutes: source.syncMinutes || 0
+        }));
+        this.syncStatus = {}; // source id -> { lastSync, lastAttempt, chunkCount, servedBy, revision, unchanged, restored, fallback, failures, error }
+    }
+
+    static get TYPES() {
+        return ['google-docs'];
+    }
+
+    /**
+     * Problems that would stop the sources from loading, as readable messages
+     * (an empty list means they are valid)
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['sources must be a JSON object'];
+        }
+        if (data.sources === undefined) {
+            return [];
+        }
+        if (!Array.isArray(data.sources)) {
+            return ['sources must be an array'];
+        }
+
+        const errors = [];
+        const seen = new Set();
+        data.sources.forEach((source, index) => {
+            const where = `sources[${index}]`;
+            if (!source || typeof source !== 'object') {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (typeof source.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(source.id)) {
+                errors.push(`${where} needs an id of lowercase letters, digits, - or _ (like "pricing")`);
+            } else if (seen.has(source.id)) {
+                errors.push(`sources: ${source.id} is listed twice`);
+            }
+            seen.add(source.id);
+            if (typeof source.name !== 'string' || !source.name.trim()) errors.push(`${where} needs a name`);
+            if (source.type !== undefined && !DocumentSources.TYPES.includes(source.type)) {
+                errors.push(`${where}: type must be one of ${DocumentSources.TYPES.join(', ')}`);
+            }
+            if (typeof source.docId !== 'string' || !source.docId.trim()) errors.push(`${where} needs a docId`);
+            if (source.syncMinutes !== undefined && !(Number.isInteger(source.syncMinutes) && source.syncMinutes >= 0)) {
+                errors.push(`${where}: syncMinutes must be a whole number of minutes (0 = manual)`);
+            }
+        });
+
+        return errors;
+    }
+
+    // The source that chunks without a source_id belong to
+    get defaultId() {
+        return this.sources[0]?.id || null;
+    }
+
+    get(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    name(id) {
+        return this.get(id)?.name || id;
+    }
+
+    sourceOf(chunk) {
+        return chunk.source_id || this.defaultId;
+    }
+
+    /**
+     * Give chunks stored before sources existed the default source ID (chunk IDs are kept,
+     * so saved embeddings and golden sets still match until that source syncs again)
+     */
+    adopt(chunks) {
+        if (!this.defaultId) return chunks;
+        return chunks.map(chunk => chunk.source_id ? chunk : { ...chunk, source_id: this.defaultId });
+    }
+
+    /**
+     * Tag freshly processed chunks with their source: source_id, a "<source id>:<n>" chunk_id and,
+     * when the sync knew it, the revision they came from (stored copies keep whatever they had)
+     */
+    static tagChunks(sourceId, chunks, revision = null) {
+        return chunks.map(chunk => {
+            const localId = String(chunk.chunk_id).replace(/^[^:]*:/, '');
+            return {
+                ...chunk,
+                chunk_id: `${sourceId}:${localId}`,
+                source_id: sourceId,
+                ...(revision && { source_revision: revision })
+            };
+        });
+    }
+
+    /**
+     * "v812 of 10/3/2026, 9:14:00 AM" - a source revision for people to read
+     */
+    static describeRevision(revision) {
+        if (!revision?.id) return '';
+        const modified = revision.modifiedTime ? new Date(revision.modifiedTime) : null;
+        return `${revision.id}${modified && !isNaN(modified) ? ` of ${modified.toLocaleString()}` : ''}`;
+    }
+
+    /**
+     * The chunk set with one source's chunks swapped for a new sync of it, in source order
+     */
+    replaceChunks(chunks, sourceId, newChunks, revision = null) {
+        const order = (chunk) => {
+            const index = this.sources.findIndex(source => source.id === this.sourceOf(chunk));
+            return index === -1 ? this.sources.length : index;
+        };
+        return [
+            ...chunks.filter(chunk => this.sourceOf(chunk) !== sourceId),
+            ...DocumentSources.tagChunks(sourceId, newChunks, revision)
+        ].sort((a, b) => order(a) - order(b));
+    }
+
+    // source id -> number of chunks
+    countChunks(chunks) {
+        const counts = new Map(this.sources.map(source => [source.id, 0]));
+        for (const chunk of chunks) {
+            const id = this.sourceOf(chunk);
+            counts.set(id, (counts.get(id) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * Sync times shared through data/metadata.json, so every browser knows when a source last synced
+     */
+    setSyncStatus(status) {
+        this.syncStatus = { ...(status || {}) };
+    }
+
+    /**
+     * Record a sync attempt. details: { chunkCount, servedBy, revision, fallback, failures },
+     * { unchanged: true, revision } or { error, failures }; revision ({ id, modifiedTime }) is the
+     * Google Docs revision the chunks came from, fallback ({ strategy, message }) marks chunks served
+     * from a stored copy instead of the Google Doc, failures are the download strategies that
+     * failed ("strategy: reason")
+     */
+    markSynced(id, details = {}) {
+        const now = new Date().toISOString();
+        const failures = details.failures?.length ? { failures: details.failures } : {};
+        if (details.error) {
+            this.syncStatus[id] = { ...this.syncStatus[id], lastAttempt: now, error: details.error, ...failures };
+        } else if (details.unchanged) {
+            // The chunks are still current - only the check time moves
+            const { error, failures: lastFailures, ...previous } = this.syncStatus[id] || {};
+            this.syncStatus[id] = { ...previous, lastSync: now, lastAttempt: now, revision: details.revision, unchanged: true };
+        } else {
+            this.syncStatus[id] = {
+                lastSync: now,
+                lastAttempt: now,
+                chunkCount: details.chunkCount,
+                servedBy: details.servedBy,
+                ...(details.revision && { revision: details.revision }),
+                ...(details.fallback && { fallback: details.fallback }),
+                ...failures
+            };
+        }
+    }
+
+    /**
+     * Record chunks put back from a knowledge-base snapshot (js/snapshotManager.js). details:
+     * { snapshot, chunkCount, revision } - revision is the one the restored chunks came from, so a
+     * revision-aware sync replaces them once the document is at another revision. Sync times are
+     * kept, so the schedule carries on as before.
+     */
+    markRestored(id, details = {}) {
+        const { lastSync, lastAttempt } = this.syncStatus[id] || {};
+        this.syncStatus[id] = {
+            ...(lastSync && { lastSync }),
+            ...(lastAttempt && { lastAttempt }),
+            chunkCount: details.chunkCount,
+            ...(details.revision && { revision: details.revision }),
+            restored: { snapshot: details.snapshot, at: new Date().toISOString() }
+        };
+    }
+
+    /**
+     * The revision ID the source's current chunks came from, for the next sync to check against -
+     * null when it isn't known (never synced, or last served from a stored copy)
+     */
+    knownRevision(id) {
+        return this.syncStatus[id]?.revision?.id || null;
+    }
+    
+    // Sources whose current chunks came from a stored copy rather than their Google Doc
+    fallbackSources() {
+        return this.sources.filter(source => this.syncStatus[source.id]?.fallback);
+    }
+
+    /**
+     * Scheduled sources whose interval has passed since they last synced (or last failed to)
+     */
+    dueSources(now = Date.now()) {
+        return this.sources.filter(source => {
+            if (!source.syncMinutes) return false;
+            const last = this.syncStatus[source.id]?.lastAttempt || this.syncStatus[source.id]?.lastSync;
+            return !last || now - new Date(last).getTime() >= source.syncMinutes * 60 * 1000;
+        });
+    }
+
+    static format(data) {
+        return `${JSON.stringify(data, null, 2)}\n`;
+    }
+
+    describe() {
+        return `${this.sources.length} document source${this.sources.length === 1 ? '' : 's'}`;
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentSources;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.DocumentSources = DocumentSources;
+}
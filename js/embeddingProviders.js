@@ -0,0 +1,152 @@
+/**
+ * Embedding Providers - Dense text embeddings for semantic search
+ * The chunk vectors are built offline (scripts/build-embeddings.js) and loaded as
+ * semantic_embeddings.json; queries must be embedded with the same provider and model.
+ */
+
+/**
+ * OpenAI / Gemini embeddings through /api/embed, so provider keys stay on the server
+ */
+class ServerEmbeddingProvider {
+    constructor(id, model) {
+        this.id = id;
+        this.model = model;
+    }
+
+    // Texts /api/embed accepts per request (MAX_TEXTS in api/embed.js)
+    static get BATCH_SIZE() {
+        return 128;
+    }
+
+    /**
+     * Vectors for any number of texts, in order - a first sync embeds every chunk, so the
+     * texts are sent in batches the endpoint accepts
+     */
+    async embed(texts) {
+        const vectors = [];
+        for (let start = 0; start < texts.length; start += ServerEmbeddingProvider.BATCH_SIZE) {
+            vectors.push(...await this.embedBatch(texts.slice(start, start + ServerEmbeddingProvider.BATCH_SIZE)));
+        }
+        return vectors;
+    }
+
+    async embedBatch(texts) {
+        const response = await fetch('/api/embed', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ texts, provider: this.id })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Embed API error: ${response.status}`);
+        }
+
+        if (result.model !== this.model) {
+            console.warn(`⚠️ Server embeds with ${result.model} but the index was built with ${this.model}`);
+        }
+
+        return result.vectors;
+    }
+}
+
+/**
+ * all-MiniLM-L6-v2 running in the browser via transformers.js (ONNX) - no API key needed.
+ * The model (~25 MB) is downloaded on first use and cached by the browser.
+ */
+class MiniLMEmbeddingProvider {
+    constructor(model = 'Xenova/all-MiniLM-L6-v2') {
+        this.id = 'minilm';
+        this.model = model;
+        this.pipeline = null;
+    }
+
+    async loadPipeline() {
+        if (!this.pipeline) {
+            console.log('📥 Loading MiniLM embedding model...');
+            const { pipeline } = await import('https://cdn.jsdelivr.net/npm/@xenova/transformers@2.17.2');
+            this.pipeline = await pipeline('feature-extraction', this.model);
+            console.log('✓ MiniLM embedding model loaded');
+        }
+        return this.pipeline;
+    }
+
+    async embed(texts) {
+        const extractor = await this.loadPipeline();
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist();
+    }
+}
+
+/**
+ * Legacy hashed bag-of-words vectors. Not semantic - only used when no
+ * embedding index has been built, so search keeps working out of the box.
+ */
+class HashedEmbeddingProvider {
+    constructor(dimensions = 384) {
+        this.id = 'hashed';
+        this.model = `hashed-${dimensions}`;
+        this.dimensions = dimensions;
+    }
+
+    async embed(texts) {
+        return texts.map(text => HashedEmbeddingProvider.embedText(text, this.dimensions));
+    }
+
+    static embedText(text, dim = 384) {
+        const words = text.toLowerCase().split(/\s+/);
+        const embedding = new Array(dim).fill(0);
+
+        words.forEach(word => {
+            let hash = 0;
+            for (let j = 0; j < word.length; j++) {
+                hash = ((hash << 5) - hash + word.charCodeAt(j)) & 0xffffffff;
+            }
+            const index = Math.abs(hash) % dim;
+            embedding[index] += 1 / Math.sqrt(words.length);
+        });
+
+        // Normalize
+        const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+        if (norm > 0) {
+            for (let i = 0; i < embedding.length; i++) {
+                embedding[i] /= norm;
+            }
+        }
+
+        return embedding;
+    }
+}
+
+const EmbeddingProviders = {
+    /**
+     * Provider matching an embedding index ({ provider, model }), or the hashed fallback
+     */
+    create(providerId, model) {
+        switch (providerId) {
+            case 'openai':
+            case 'gemini':
+                return new ServerEmbeddingProvider(providerId, model);
+            case 'minilm':
+                return new MiniLMEmbeddingProvider(model);
+            default:
+                return new HashedEmbeddingProvider();
+        }
+    },
+
+    ServerEmbeddingProvider,
+    MiniLMEmbeddingProvider,
+    HashedEmbeddingProvider
+};
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmbeddingProviders;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.EmbeddingProviders = EmbeddingProviders;
+}
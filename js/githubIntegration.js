@@ -8,61 +8,31 @@ class GitHubIntegration {
         this.baseUrl = 'https://api.github.com';
     }
     
+    /**
+     * Save chunks (and their vectors) as the shared data set - committed by /api/save, so
+     * this needs the write token rather than a GitHub token
+     */
     async uploadToGitHub(chunks, vectorDb) {
         try {
-            const config = this.app.settingsManager.getGitHubConfig();
+            const globalConfig = this.app.globalConfig;
             
-            if (!config.repo || !config.token) {
-                console.log('GitHub not configured, skipping upload');
+            if (!globalConfig.canWrite()) {
+                console.log('No write token, skipping upload');
                 return false;
             }
             
             console.log('Uploading data to GitHub...');
             
-            // Prepare data for upload
-            const dataToUpload = {
-                chunks: chunks,
-                vectorDb: vectorDb ? this.app.vectorDatabase.exportData() : null,
-                lastUpdate: new Date().toISOString(),
-                version: '1.0'
-            };
-            
-            // Upload chunks file
-            await this.uploadFile(
-                config.repo,
-                'data/semantic_chunks.json',
-                JSON.stringify(chunks, null, 2),
-                'Update semantic chunks data',
-                config.token
-            );
+            // Chunks and data/metadata.json
+            if (!await globalConfig.saveGlobalData(chunks)) {
+                return false;
+            }
             
-            // Upload vector database if available
+            // Vectors, where every session loads them from
             if (vectorDb) {
-                await this.uploadFile(
-                    config.repo,
-                    'data/vector_db.json',
-                    JSON.stringify(this.app.vectorDatabase.exportData(), null, 2),
-                    'Update vector database',
-                    config.token
-                );
+                await globalConfig.saveEmbeddingIndex(this.app.retriever.exportData());
             }
             
-            // Upload metadata
-            const metadata = {
-                lastUpdate: new Date().toISOString(),
-                chunkCount: chunks.length,
-                totalImages: chunks.reduce((sum, chunk) => sum + (chunk.images?.length || 0), 0),
-                version: '1.0'
-            };
-            
-            await this.uploadFile(
-                config.repo,
-                'data/metadata.json',
-                JSON.stringify(metadata, null, 2),
-                'Update metadata',
-                config.token
-            );
-            
             console.log('Successfully uploaded data to GitHub');
             return true;
         } catch (error) {
@@ -75,7 +45,7 @@ class GitHubIntegration {
         try {
             const config = this.app.settingsManager.getGitHubConfig();
             
-            if (!config.repo || !config.token) {
+            if (!config.repo) {
                 console.log('GitHub not configured, skipping load');
                 return false;
             }
@@ -83,13 +53,13 @@ class GitHubIntegration {
             console.log('Trying to load data from GitHub...');
             
             // Load chunks
-            const chunksData = await this.downloadFile(config.repo, 'data/semantic_chunks.json', config.token);
+            const chunksData = await this.downloadFile(config.repo, 'data/semantic_chunks.json');
             const chunks = JSON.parse(chunksData);
             
             // Load vector database if available
             let vectorDbData = null;
             try {
-                const vectorData = await this.downloadFile(config.repo, 'data/vector_db.json', config.token);
+                const vectorData = await this.downloadFile(config.repo, 'data/vector_db.json');
                 vectorDbData = JSON.parse(vectorData);
             } catch (error) {
                 console.log('Vector database not found on GitHub, will rebuild');
@@ -98,14 +68,14 @@ class GitHubIntegration {
             // Load metadata
             let metadata = null;
             try {
-                const metadataData = await this.downloadFile(config.repo, 'data/metadata.json', config.token);
+                const metadataData = await this.downloadFile(config.repo, 'data/metadata.json');
                 metadata = JSON.parse(metadataData);
             } catch (error) {
                 console.log('Metadata not found on GitHub');
             }
             
             // Update application state
-            await this.app.vectorDatabase.loadFromStorage(chunks, vectorDbData);
+            await this.app.retriever.index(this.app.documentSources.adopt(chunks), vectorDbData);
             this.app.state.documentsLoaded = true;
             this.app.state.vectorDbReady = true;
             
@@ -127,53 +97,9 @@ class GitHubIntegration {
         }
     }
     
-    async uploadFile(repo, path, content, message, token) {
+    async downloadFile(repo, path) {
         try {
-            // First, try to get the current file to get its SHA (required for updates)
-            let sha = null;
-            try {
-                const existingFile = await this.makeRequest(
-                    `${this.baseUrl}/repos/${repo}/contents/${path}`,
-                    'GET',
-                    null,
-                    token
-                );
-                sha = existingFile.sha;
-            } catch (error) {
-                // File doesn't exist, which is fine for new files
-                console.log(`File ${path} doesn't exist, creating new file`);
-            }
-            
-            // Upload the file
-            const uploadData = {
-                message: message,
-                content: btoa(unescape(encodeURIComponent(content))), // Base64 encode
-                ...(sha && { sha }) // Include SHA if updating existing file
-            };
-            
-            const result = await this.makeRequest(
-                `${this.baseUrl}/repos/${repo}/contents/${path}`,
-                'PUT',
-                uploadData,
-                token
-            );
-            
-            console.log(`Successfully uploaded ${path} to GitHub`);
-            return result;
-        } catch (error) {
-            console.error(`Failed to upload ${path} to GitHub:`, error);
-            throw error;
-        }
-    }
-    
-    async downloadFile(repo, path, token) {
-        try {
-            const response = await this.makeRequest(
-                `${this.baseUrl}/repos/${repo}/contents/${path}`,
-                'GET',
-                null,
-                token
-            );
+            const response = await this.makeRequest(`${this.baseUrl}/repos/${repo}/contents/${path}`);
             
             // Decode base64 content
             const content = decodeURIComponent(escape(atob(response.content)));
@@ -184,27 +110,14 @@ class GitHubIntegration {
         }
     }
     
-    async makeRequest(url, method, data, token) {
-        const headers = {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'GTI-SOP-Assistant'
-        };
-        
-        if (token) {
-            headers['Authorization'] = `token ${token}`;
-        }
-        
-        if (data) {
-            headers['Content-Type'] = 'application/json';
-        }
-        
-        const options = {
-            method,
-            headers,
-            ...(data && { body: JSON.stringify(data) })
-        };
-        
-        const response = await fetch(url, options);
+    // Read-only: writes go through /api/save (GlobalConfig.uploadFileToGitHub)
+    async makeRequest(url) {
+        const response = await fetch(url, {
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'User-Agent': 'GTI-SOP-Assistant'
+            }
+        });
         
         if (!response.ok) {
             const errorText = await response.text();
@@ -218,17 +131,12 @@ class GitHubIntegration {
         try {
             const config = this.app.settingsManager.getGitHubConfig();
             
-            if (!config.repo || !config.token) {
-                throw new Error('GitHub repository and token must be configured');
+            if (!config.repo) {
+                throw new Error('GitHub repository must be configured');
             }
             
             // Test by getting repository information
-            const repoInfo = await this.makeRequest(
-                `${this.baseUrl}/repos/${config.repo}`,
-                'GET',
-                null,
-                config.token
-            );
+            const repoInfo = await this.makeRequest(`${this.baseUrl}/repos/${config.repo}`);
             
             return {
                 success: true,
@@ -252,17 +160,12 @@ class GitHubIntegration {
         try {
             const config = this.app.settingsManager.getGitHubConfig();
             
-            if (!config.repo || !config.token) {
+            if (!config.repo) {
                 throw new Error('GitHub not configured');
             }
             
             // List files in the data directory
-            const files = await this.makeRequest(
-                `${this.baseUrl}/repos/${config.repo}/contents/data`,
-                'GET',
-                null,
-                config.token
-            );
+            const files = await this.makeRequest(`${this.baseUrl}/repos/${config.repo}/contents/data`);
             
             return files.map(file => ({
                 name: file.name,
@@ -306,8 +209,8 @@ class GitHubIntegration {
             
             this.app.showLoading('Syncing to GitHub...');
             
-            const chunks = this.app.vectorDatabase.chunks;
-            const vectorDb = this.app.vectorDatabase.exportData();
+            const chunks = this.app.retriever.chunks;
+            const vectorDb = this.app.retriever.exportData();
             
             const success = await this.uploadToGitHub(chunks, vectorDb);
             
@@ -326,42 +229,18 @@ class GitHubIntegration {
         }
     }
     
-    // Create a backup of current data
-    async createBackup() {
+    /**
+     * Create a backup of current data - a knowledge-base snapshot (js/snapshotManager.js),
+     * listed, compared and restored in Settings → Snapshots
+     */
+    async createBackup(reason = 'Backup') {
         try {
-            const config = this.app.settingsManager.getGitHubConfig();
-            
-            if (!config.repo || !config.token) {
-                throw new Error('GitHub not configured');
-            }
-            
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupPath = `backups/backup-${timestamp}`;
-            
-            // Create backup directory structure
-            const chunks = this.app.vectorDatabase.chunks || [];
-            const vectorDb = this.app.vectorDatabase.exportData();
-            
-            const backupData = {
-                timestamp: new Date().toISOString(),
-                chunks: chunks,
-                vectorDb: vectorDb,
-                settings: this.app.settingsManager.settings,
-                version: '1.0'
-            };
-            
-            await this.uploadFile(
-                config.repo,
-                `${backupPath}/backup.json`,
-                JSON.stringify(backupData, null, 2),
-                `Create backup - ${timestamp}`,
-                config.token
-            );
+            const snapshot = await this.app.snapshotManager.create(reason);
             
             return {
                 success: true,
-                path: backupPath,
-                timestamp: timestamp
+                path: snapshot.path.replace(/\/backup\.json$/, ''),
+                timestamp: snapshot.id.replace(/^backup-/, '')
             };
         } catch (error) {
             console.error('Backup creation failed:', error);
@@ -6,10 +6,13 @@ class GlobalConfig {
     constructor() {
         this.githubRepo = 'FadeevMax/SOP3.0_vercel'; // Your repository
         this.configPath = 'config/global-settings.json';
+        this.taxonomyPath = 'config/taxonomy.json';
+        this.sourcesPath = 'config/sources.json';
         this.dataPath = 'data';
         this.retryAttempts = 3;
         this.retryDelay = 1000;
-        this.defaultGitHubToken = null; // Will be loaded from environment or user input
+        this.writeTokenKey = 'gti_write_token'; // localStorage; APP_WRITE_TOKEN, checked by /api/save
+        this.dataVersion = null; // GitHub sha of the semantic_chunks.json last loaded or saved, sent to /api/chat
     }
     
     async loadGlobalSettings() {
@@ -38,65 +41,156 @@ class GlobalConfig {
         }
     }
     
-    async saveGlobalSettings(settings, githubToken) {
+    async saveGlobalSettings(settings) {
         try {
-            if (!githubToken) {
-                console.warn('No GitHub token provided, cannot save global settings');
+            if (!this.canWrite()) {
+                console.warn('No write token, cannot save global settings');
                 return false;
             }
             
             console.log('Saving global settings to GitHub...');
             
-            // Get current file SHA if it exists
-            let sha = null;
+            // The settings file is public - never commit tokens with it
+            const { apiKeys, ...shared } = settings;
+            await this.uploadFileToGitHub(
+                this.configPath,
+                JSON.stringify({ ...shared, github: shared.github ? { ...shared.github, token: undefined } : undefined }, null, 2),
+                `Update global settings - ${new Date().toISOString()}`
+            );
+            
+            console.log('Global settings saved successfully');
+            return true;
+        } catch (error) {
+            console.error('Error saving global settings:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the shared taxonomy (states, order types, topics) - the copy in GitHub that
+     * Settings → Taxonomy edits, then the one deployed with the site, then this browser's
+     * last copy. Returns a Taxonomy; an empty one if nothing loads.
+     */
+    async loadTaxonomy() {
+        const sources = [
+            {
+                url: `https://api.github.com/repos/${this.githubRepo}/contents/${this.taxonomyPath}`,
+                options: { headers: { 'Accept': 'application/vnd.github.v3.raw' } }
+            },
+            { url: `/${this.taxonomyPath}`, options: {} }
+        ];
+        
+        for (const source of sources) {
             try {
-                const existingResponse = await fetch(
-                    `https://api.github.com/repos/${this.githubRepo}/contents/${this.configPath}`,
-                    {
-                        headers: {
-                            'Authorization': `token ${githubToken}`,
-                            'Accept': 'application/vnd.github.v3+json'
-                        }
-                    }
-                );
-                
-                if (existingResponse.ok) {
-                    const existingData = await existingResponse.json();
-                    sha = existingData.sha;
+                const response = await this.fetchWithRetry(source.url, source.options);
+                if (response.ok) {
+                    const data = await response.json();
+                    const taxonomy = new Taxonomy(data);
+                    localStorage.setItem('gti_taxonomy', JSON.stringify(data));
+                    return taxonomy;
                 }
             } catch (error) {
-                // File doesn't exist, which is fine
+                console.warn(`No usable taxonomy at ${source.url}:`, error.message);
+            }
+        }
+        
+        try {
+            const cached = localStorage.getItem('gti_taxonomy');
+            if (cached) {
+                console.log('Using cached taxonomy');
+                return new Taxonomy(JSON.parse(cached));
+            }
+        } catch (error) {
+            console.warn('Cached taxonomy is unusable:', error.message);
+        }
+        
+        console.warn('No taxonomy available - states, order types and topics will not be detected');
+        return new Taxonomy();
+    }
+    
+    async saveTaxonomy(taxonomyData) {
+        try {
+            localStorage.setItem('gti_taxonomy', JSON.stringify(taxonomyData));
+            if (!this.canWrite()) {
+                return false;
             }
             
-            // Upload new settings
-            const uploadData = {
-                message: `Update global settings - ${new Date().toISOString()}`,
-                content: btoa(unescape(encodeURIComponent(JSON.stringify(settings, null, 2)))),
-                ...(sha && { sha })
-            };
-            
-            const response = await fetch(
-                `https://api.github.com/repos/${this.githubRepo}/contents/${this.configPath}`,
-                {
-                    method: 'PUT',
-                    headers: {
-                        'Authorization': `token ${githubToken}`,
-                        'Accept': 'application/vnd.github.v3+json',
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify(uploadData)
-                }
+            await this.uploadFileToGitHub(
+                this.taxonomyPath,
+                Taxonomy.format(taxonomyData),
+                'Update taxonomy'
             );
             
-            if (response.ok) {
-                console.log('Global settings saved successfully');
-                return true;
-            } else {
-                console.error('Failed to save global settings:', await response.text());
+            console.log('Taxonomy saved successfully');
+            return true;
+        } catch (error) {
+            console.error('Failed to save taxonomy:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Load the document sources - GitHub (Settings → Document Sources edits), then the copy
+     * deployed with the site, then this browser's last copy. Returns DocumentSources; with
+     * no sources at all, the single SOP document.
+     */
+    async loadSources() {
+        const sources = [
+            {
+                url: `https://api.github.com/repos/${this.githubRepo}/contents/${this.sourcesPath}`,
+                options: { headers: { 'Accept': 'application/vnd.github.v3.raw' } }
+            },
+            { url: `/${this.sourcesPath}`, options: {} }
+        ];
+        
+        for (const source of sources) {
+            try {
+                const response = await this.fetchWithRetry(source.url, source.options);
+                if (response.ok) {
+                    const data = await response.json();
+                    const documentSources = new DocumentSources(data);
+                    localStorage.setItem('gti_sources', JSON.stringify(data));
+                    return documentSources;
+                }
+            } catch (error) {
+                console.warn(`No usable document sources at ${source.url}:`, error.message);
+            }
+        }
+        
+        try {
+            const cached = localStorage.getItem('gti_sources');
+            if (cached) {
+                console.log('Using cached document sources');
+                return new DocumentSources(JSON.parse(cached));
+            }
+        } catch (error) {
+            console.warn('Cached document sources are unusable:', error.message);
+        }
+        
+        const defaults = this.getDefaultSettings().googleDocs;
+        return new DocumentSources({
+            version: 1,
+            sources: [{ id: 'sop', name: defaults.docName, type: 'google-docs', docId: defaults.docId, syncMinutes: 0 }]
+        });
+    }
+    
+    async saveSources(sourcesData) {
+        try {
+            localStorage.setItem('gti_sources', JSON.stringify(sourcesData));
+            if (!this.canWrite()) {
                 return false;
             }
+            
+            await this.uploadFileToGitHub(
+                this.sourcesPath,
+                DocumentSources.format(sourcesData),
+                'Update document sources'
+            );
+            
+            console.log('Document sources saved successfully');
+            return true;
         } catch (error) {
-            console.error('Error saving global settings:', error);
+            console.error('Failed to save document sources:', error);
             return false;
         }
     }
@@ -117,46 +211,86 @@ class GlobalConfig {
             
             const chunksData = await chunksResponse.json();
             const chunks = JSON.parse(decodeURIComponent(escape(atob(chunksData.content))));
+            this.dataVersion = chunksData.sha || null;
             
-            // Load metadata
-            let metadata = null;
-            try {
-                const metadataResponse = await this.fetchWithRetry(
-                    `https://api.github.com/repos/${this.githubRepo}/contents/${this.dataPath}/metadata.json`
-                );
-                
-                if (metadataResponse.ok) {
-                    const metadataData = await metadataResponse.json();
-                    metadata = JSON.parse(decodeURIComponent(escape(atob(metadataData.content))));
-                }
-            } catch (error) {
-                console.log('No metadata found');
-            }
+            const metadata = await this.loadGlobalMetadata();
+            
+            // Load the dense vectors built for these chunks
+            const embeddings = await this.loadEmbeddingIndex();
             
             console.log(`Loaded ${chunks.length} chunks from global data`);
-            return { chunks, metadata };
+            return { chunks, metadata, embeddings };
         } catch (error) {
             console.error('Failed to load global data:', error);
             return null;
         }
     }
     
-    async saveGlobalData(chunks, metadata, githubToken) {
+    /**
+     * data/metadata.json on its own - last update, counts and per-source sync times
+     */
+    async loadGlobalMetadata() {
+        try {
+            const metadataResponse = await this.fetchWithRetry(
+                `https://api.github.com/repos/${this.githubRepo}/contents/${this.dataPath}/metadata.json`
+            );
+            
+            if (metadataResponse.ok) {
+                const metadataData = await metadataResponse.json();
+                return JSON.parse(decodeURIComponent(escape(atob(metadataData.content))));
+            }
+        } catch (error) {
+            console.log('No metadata found');
+        }
+        return null;
+    }
+    
+    /**
+     * Load semantic_embeddings.json (built by scripts/build-embeddings.js) from the
+     * global data folder, falling back to the copy deployed with the site
+     */
+    async loadEmbeddingIndex() {
+        const sources = [
+            {
+                url: `https://api.github.com/repos/${this.githubRepo}/contents/${this.dataPath}/semantic_embeddings.json`,
+                // Raw media type - the index is usually over the 1 MB limit for base64 contents
+                options: { headers: { 'Accept': 'application/vnd.github.v3.raw' } }
+            },
+            { url: '/semantic_embeddings.json', options: {} }
+        ];
+        
+        for (const source of sources) {
+            try {
+                const response = await this.fetchWithRetry(source.url, source.options);
+                if (response.ok) {
+                    const index = await response.json();
+                    console.log(`Loaded ${index.provider} embedding index (${Object.keys(index.vectors || {}).length} vectors)`);
+                    return index;
+                }
+            } catch (error) {
+                console.log(`No embedding index at ${source.url}`);
+            }
+        }
+        
+        return null;
+    }
+    
+    async saveGlobalData(chunks, metadata) {
         try {
-            if (!githubToken) {
-                console.warn('No GitHub token provided, cannot save global data');
+            if (!this.canWrite()) {
+                console.warn('No write token, cannot save global data');
                 return false;
             }
             
             console.log('Saving global document data to GitHub...');
             
             // Save chunks
-            await this.uploadFileToGitHub(
+            const upload = await this.uploadFileToGitHub(
                 `${this.dataPath}/semantic_chunks.json`,
                 JSON.stringify(chunks, null, 2),
-                'Update global document chunks',
-                githubToken
+                'Update global document chunks'
             );
+            this.dataVersion = upload.sha || null;
             
             // Save metadata
             const metadataToSave = {
@@ -167,12 +301,9 @@ class GlobalConfig {
                 ...metadata
             };
             
-            await this.uploadFileToGitHub(
-                `${this.dataPath}/metadata.json`,
-                JSON.stringify(metadataToSave, null, 2),
-                'Update global metadata',
-                githubToken
-            );
+            if (!await this.saveGlobalMetadata(metadataToSave)) {
+                return false;
+            }
             
             console.log('Global data saved successfully');
             return true;
@@ -182,55 +313,146 @@ class GlobalConfig {
         }
     }
     
-    async uploadFileToGitHub(path, content, message, githubToken) {
-        // Get current file SHA if it exists
-        let sha = null;
+    /**
+     * data/metadata.json on its own - after a sync that found every source unchanged, only the
+     * per-source sync times move
+     */
+    async saveGlobalMetadata(metadata) {
         try {
-            const existingResponse = await fetch(
-                `https://api.github.com/repos/${this.githubRepo}/contents/${path}`,
-                {
-                    headers: {
-                        'Authorization': `token ${githubToken}`,
-                        'Accept': 'application/vnd.github.v3+json'
-                    }
-                }
+            if (!this.canWrite()) {
+                console.warn('No write token, cannot save global metadata');
+                return false;
+            }
+            
+            await this.uploadFileToGitHub(
+                `${this.dataPath}/metadata.json`,
+                JSON.stringify(metadata, null, 2),
+                'Update global metadata'
             );
+            return true;
+        } catch (error) {
+            console.error('Failed to save global metadata:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Store the embedding index after a sync embedded new chunks, so the next session
+     * (and every other user) reuses those vectors instead of embedding them again
+     */
+    async saveEmbeddingIndex(embeddingIndex) {
+        try {
+            if (!this.canWrite() || !embeddingIndex) {
+                return false;
+            }
             
-            if (existingResponse.ok) {
-                const existingData = await existingResponse.json();
-                sha = existingData.sha;
+            await this.uploadFileToGitHub(
+                `${this.dataPath}/semantic_embeddings.json`,
+                JSON.stringify(embeddingIndex),
+                'Update semantic embeddings'
+            );
+            
+            console.log('Embedding index saved successfully');
+            return true;
+        } catch (error) {
+            console.error('Failed to save embedding index:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * The latest "What changed" digest (js/changeDigest.js), written after a sync that
+     * changed SOP sections
+     */
+    async saveChangeDigest(digest) {
+        try {
+            if (!this.canWrite() || !digest) {
+                return false;
             }
+
+            await this.uploadFileToGitHub(
+                `${this.dataPath}/changes.json`,
+                JSON.stringify(digest, null, 2),
+                `Update SOP change digest (${digest.sections.length} sections changed)`
+            );
+
+            console.log('Change digest saved successfully');
+            return true;
         } catch (error) {
-            // File doesn't exist
+            console.error('Failed to save change digest:', error);
+            return false;
+        }
+    }
+
+    async loadChangeDigest() {
+        try {
+            const response = await this.fetchWithRetry(
+                `https://api.github.com/repos/${this.githubRepo}/contents/${this.dataPath}/changes.json`,
+                { headers: { 'Accept': 'application/vnd.github.v3.raw' } }
+            );
+
+            if (response.ok) {
+                return await response.json();
+            }
+            console.log('No change digest found');
+        } catch (error) {
+            console.warn('Failed to load change digest:', error);
+        }
+        return null;
+    }
+
+    get writeToken() {
+        return localStorage.getItem(this.writeTokenKey) || null;
+    }
+    
+    // Whether this browser can save shared data (the write token is entered in Settings → Configuration)
+    canWrite() {
+        return !!this.writeToken;
+    }
+    
+    /**
+     * Commit a file to the repo through /api/save - GITHUB_TOKEN stays on the server, this
+     * browser proves it may write with the write token. Content is sent gzipped where the
+     * browser can compress, so embeddings and snapshots fit the request body limit.
+     * @returns {Promise<Object>} { path, sha }
+     */
+    async uploadFileToGitHub(path, content, message) {
+        if (!this.canWrite()) {
+            throw new Error(`Saving ${path} needs the write token (Settings → Configuration)`);
         }
         
-        // Upload file
-        const uploadData = {
-            message,
-            content: btoa(unescape(encodeURIComponent(content))),
-            ...(sha && { sha })
-        };
+        const body = { path, message };
+        if (typeof CompressionStream !== 'undefined') {
+            body.gzip = await this.gzipBase64(content);
+        } else {
+            body.content = content;
+        }
         
-        const response = await fetch(
-            `https://api.github.com/repos/${this.githubRepo}/contents/${path}`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `token ${githubToken}`,
-                    'Accept': 'application/vnd.github.v3+json',
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(uploadData)
-            }
-        );
+        const response = await fetch('/api/save', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Write-Token': this.writeToken },
+            body: JSON.stringify(body)
+        });
         
         if (!response.ok) {
-            throw new Error(`Failed to upload ${path}: ${await response.text()}`);
+            const data = await response.json().catch(() => ({}));
+            const reason = response.status === 413 ? 'too large to send to the server' : (data.error || `HTTP ${response.status}`);
+            throw new Error(`Failed to upload ${path}: ${reason}`);
         }
         
         return await response.json();
     }
     
+    async gzipBase64(text) {
+        const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+    
     async fetchWithRetry(url, options = {}, attempt = 1) {
         try {
             const response = await fetch(url, options);
@@ -247,163 +469,30 @@ class GlobalConfig {
     
     getDefaultSettings() {
         return {
-            apiKeys: {
-                openai: '',
-                gemini: '', // Will be configured via environment variables
-                githubToken: '' // Will be configured via environment variables
-            },
             model: 'gemini-2.0',
             temperature: 0.1,
+            retrieval: {
+                fusion: 'weighted',
+                bm25: { k1: 1.2, b: 0.75 },
+                synonyms: null,
+                rerank: { method: 'none', topK: 20 }
+            },
             displayOptions: {
                 showSuggestedQuestions: true,
                 showChunkRelevance: true
             },
             github: {
-                repo: 'FadeevMax/SOP3.0_vercel',
-                token: '' // Will be configured via environment variables
+                repo: 'FadeevMax/SOP3.0_vercel'
             },
             googleDocs: {
                 docId: '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA',
                 docName: 'GTI Data Base and SOP',
-                enabled: true,
-                autoSync: true,
-                syncInterval: 300000 // 5 minutes
+                enabled: true
             },
             instructions: 'You are a GTI SOP Assistant. Answer based ONLY on the provided documentation. Be specific about states and order types (RISE/Regular).',
             lastUpdate: new Date().toISOString()
         };
     }
-    
-    async syncFromGoogleDocs() {
-        try {
-            console.log('Syncing from Google Docs...');
-            
-            // This would integrate with Google Docs API
-            // For now, we'll simulate the sync and return the existing chunks
-            
-            // In a real implementation, you would:
-            // 1. Connect to Google Docs API
-            // 2. Download the latest DOCX content
-            // 3. Process it into chunks
-            // 4. Save to GitHub
-            
-            const globalData = await this.loadGlobalData();
-            if (globalData) {
-                return globalData;
-            }
-            
-            // If no global data exists, create sample data
-            return this.createSampleData();
-        } catch (error) {
-            console.error('Google Docs sync failed:', error);
-            throw error;
-        }
-    }
-    
-    createSampleData() {
-        // Sample chunks based on the existing GTI SOP structure
-        const chunks = [
-            {
-                chunk_id: 0,
-                text: "Ohio (OH) RISE Orders: For RISE orders in Ohio, follow standard menu pricing without any discounts. The unit limit is 10 units per order. No special notes are required for batch substitutions in Ohio RISE orders.",
-                images: [
-                    {
-                        filename: "image_1.png",
-                        label: "Image 1: Ohio RISE order form example",
-                        path: "/images/image_1.png"
-                    }
-                ],
-                metadata: {
-                    states: ["OH"],
-                    sections: ["RISE"],
-                    topics: ["PRICING", "ORDER_LIMIT"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 35
-                }
-            },
-            {
-                chunk_id: 1,
-                text: "Maryland (MD) Regular Orders: Regular wholesale orders in Maryland require separate invoicing for batteries. The delivery date should be set according to the standard schedule. Menu pricing applies for all regular orders.",
-                images: [
-                    {
-                        filename: "image_2.png",
-                        label: "Image 2: Maryland regular order invoice format",
-                        path: "/images/image_2.png"
-                    }
-                ],
-                metadata: {
-                    states: ["MD"],
-                    sections: ["REGULAR"],
-                    topics: ["BATTERIES", "DELIVERY_DATE", "PRICING"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 32
-                }
-            },
-            {
-                chunk_id: 2,
-                text: "New Jersey (NJ) Batch Substitution Rules: For NJ orders, FIFO (First In, First Out) principle applies for batch substitutions. When a requested batch is not available, substitute with the earliest available batch. Document all substitutions in the order notes.",
-                images: [],
-                metadata: {
-                    states: ["NJ"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: ["BATCH_SUB"],
-                    has_images: false,
-                    image_count: 0,
-                    word_count: 38
-                }
-            },
-            {
-                chunk_id: 3,
-                text: "Illinois (IL) RISE Order Limits: Illinois RISE orders have a maximum unit limit of 15 units per order. Orders exceeding this limit must be split into multiple orders. Each split order should reference the original order number.",
-                images: [
-                    {
-                        filename: "image_3.png",
-                        label: "Image 3: Illinois RISE order splitting example",
-                        path: "/images/image_3.png"
-                    }
-                ],
-                metadata: {
-                    states: ["IL"],
-                    sections: ["RISE"],
-                    topics: ["ORDER_LIMIT"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 33
-                }
-            },
-            {
-                chunk_id: 4,
-                text: "General Battery Invoice Requirements: The following states require batteries to be invoiced separately: Maryland (MD), New Jersey (NJ), and Nevada (NV). Create separate line items for battery products in these states.",
-                images: [
-                    {
-                        filename: "image_4.png",
-                        label: "Image 4: Separate battery invoice example",
-                        path: "/images/image_4.png"
-                    }
-                ],
-                metadata: {
-                    states: ["MD", "NJ", "NV"],
-                    sections: ["REGULAR", "RISE"],
-                    topics: ["BATTERIES"],
-                    has_images: true,
-                    image_count: 1,
-                    word_count: 30
-                }
-            }
-        ];
-        
-        const metadata = {
-            lastUpdate: new Date().toISOString(),
-            chunkCount: chunks.length,
-            totalImages: chunks.reduce((sum, chunk) => sum + (chunk.images?.length || 0), 0),
-            version: '1.0',
-            source: 'sample_data'
-        };
-        
-        return { chunks, metadata };
-    }
 }
 
 // Export for module use
@@ -4,47 +4,11 @@
  */
 
 class QueryIntelligence {
-    constructor() {
-        // State abbreviations mapping
-        this.stateMappings = {
-            'ohio': 'OH', 'oh': 'OH',
-            'maryland': 'MD', 'md': 'MD', 
-            'new jersey': 'NJ', 'nj': 'NJ', 'jersey': 'NJ',
-            'illinois': 'IL', 'il': 'IL',
-            'new york': 'NY', 'ny': 'NY',
-            'nevada': 'NV', 'nv': 'NV',
-            'massachusetts': 'MA', 'ma': 'MA', 'mass': 'MA',
-            'california': 'CA', 'ca': 'CA',
-            'texas': 'TX', 'tx': 'TX',
-            'florida': 'FL', 'fl': 'FL',
-            'pennsylvania': 'PA', 'pa': 'PA'
-        };
-        
-        // Order type patterns
-        this.orderTypePatterns = {
-            'RISE': [
-                /\brise\b/i, /\binternal\b/i, /\brise\s+order/i,
-                /\binternal\s+order/i, /\bfor\s+rise\b/i
-            ],
-            'REGULAR': [
-                /\bregular\b/i, /\bwholesale\b/i, /\bregular\s+order/i,
-                /\bnormal\s+order/i, /\bnon[\s-]?rise\b/i
-            ]
-        };
-        
-        // Topic extraction patterns
-        this.topicPatterns = {
-            'PRICING': [/price/i, /pricing/i, /cost/i, /discount/i, /menu\s+price/i, /LT\s+price/i],
-            'BATTERIES': [/batter/i, /separate\s+invoice/i],
-            'BATCH_SUB': [/batch/i, /split/i, /batch\s+sub/i, /substitut/i, /fifo/i],
-            'DELIVERY_DATE': [/delivery/i, /date/i, /schedule/i],
-            'INVOICES': [/invoice/i, /draft/i, /billing/i],
-            'CASE_SIZE': [/case/i, /size/i, /units/i, /loose/i],
-            'ORDER_LIMIT': [/limit/i, /maximum/i, /max\s+unit/i, /min/i, /minimum/i],
-            'LESS_AVAILABLE': [/less\s+available/i, /partial/i, /not\s+enough/i],
-            'SAMPLES': [/sample/i, /test/i, /\$0\.01/i],
-            'COMPLIANCE': [/compliance/i, /prop.*65/i, /regulation/i, /warning/i]
-        };
+    /**
+     * @param {Taxonomy} taxonomy - States, order types and topics (config/taxonomy.json)
+     */
+    constructor(taxonomy = null) {
+        this.taxonomy = taxonomy;
         
         // Question type patterns
         this.questionPatterns = {
@@ -56,6 +20,13 @@ class QueryIntelligence {
         };
     }
     
+    /**
+     * Switch to an edited taxonomy (Settings → Taxonomy)
+     */
+    setTaxonomy(taxonomy) {
+        this.taxonomy = taxonomy;
+    }
+    
     /**
      * Extract structured information from user query
      * @param {string} query - User's search query
@@ -64,8 +35,8 @@ class QueryIntelligence {
     enhanceQuery(query) {
         const queryLower = query.toLowerCase();
         
-        // Extract state
-        const detectedState = this.extractState(queryLower);
+        // Extract state (state codes only count in capitals, so "in" and "or" aren't states)
+        const detectedState = this.extractState(query);
         
         // Extract order type
         const detectedOrderType = this.extractOrderType(queryLower);
@@ -99,61 +70,26 @@ class QueryIntelligence {
     }
     
     /**
-     * Extract state from query
+     * Extract state from query - the first taxonomy state it names, as a whole word. Matching
+     * codes inside words ("ca" in "can", "pa" in "pay") found a state in most follow-ups, which
+     * then never carried the previous question's state forward.
      */
-    extractState(queryLower) {
-        // Check direct state mappings
-        for (const [text, abbr] of Object.entries(this.stateMappings)) {
-            if (queryLower.includes(text)) {
-                return abbr;
-            }
-        }
-        
-        // Check for state abbreviations
-        const statePattern = /\b([A-Z]{2})\b/g;
-        const matches = queryLower.toUpperCase().match(statePattern);
-        if (matches) {
-            const validStates = ['OH', 'MD', 'NJ', 'IL', 'NY', 'NV', 'MA', 'CA', 'TX', 'FL', 'PA'];
-            for (const match of matches) {
-                if (validStates.includes(match)) {
-                    return match;
-                }
-            }
-        }
-        
-        return null;
+    extractState(query) {
+        return this.taxonomy?.matchStates(query)[0] || null;
     }
     
     /**
      * Extract order type from query
      */
     extractOrderType(queryLower) {
-        for (const [orderType, patterns] of Object.entries(this.orderTypePatterns)) {
-            for (const pattern of patterns) {
-                if (pattern.test(queryLower)) {
-                    return orderType;
-                }
-            }
-        }
-        return null;
+        return this.taxonomy?.matchOrderTypes(queryLower, true)[0] || null;
     }
     
     /**
      * Extract topics from query
      */
     extractTopics(queryLower) {
-        const detectedTopics = [];
-        
-        for (const [topic, patterns] of Object.entries(this.topicPatterns)) {
-            for (const pattern of patterns) {
-                if (pattern.test(queryLower)) {
-                    detectedTopics.push(topic);
-                    break; // Only add topic once
-                }
-            }
-        }
-        
-        return detectedTopics;
+        return this.taxonomy?.matchTopics(queryLower) || [];
     }
     
     /**
@@ -225,6 +161,86 @@ class QueryIntelligence {
         return Math.min(confidence, 1.0);
     }
     
+    /**
+     * Resolve a follow-up question against the previous turn
+     * Carries forward the state, order type and topics the new query omits,
+     * e.g. "what about for Rise?" after "What is the pricing for Ohio?"
+     * @param {Object} enhancedQuery - Result of enhanceQuery for the new query
+     * @param {Object} previousQuery - Enhanced query from the previous turn
+     * @returns {Object} Enhanced query with carried-forward fields and a rewritten searchQuery
+     */
+    resolveFollowUp(enhancedQuery, previousQuery) {
+        const resolved = {
+            ...enhancedQuery,
+            isFollowUp: false,
+            carriedForward: [],
+            searchQuery: enhancedQuery.originalQuery
+        };
+        
+        if (!previousQuery || !this.isFollowUp(enhancedQuery.originalQuery)) {
+            return resolved;
+        }
+        
+        resolved.isFollowUp = true;
+        
+        if (!resolved.state && previousQuery.state) {
+            resolved.state = previousQuery.state;
+            resolved.carriedForward.push('state');
+        }
+        
+        if (!resolved.orderType && previousQuery.orderType) {
+            resolved.orderType = previousQuery.orderType;
+            resolved.carriedForward.push('orderType');
+        }
+        
+        if (resolved.topics.length === 0 && previousQuery.topics?.length) {
+            resolved.topics = [...previousQuery.topics];
+            resolved.carriedForward.push('topics');
+        }
+        
+        resolved.searchQuery = this.rewriteQuery(resolved);
+        resolved.confidence = this.calculateConfidence(resolved.state, resolved.orderType, resolved.topics);
+        
+        return resolved;
+    }
+    
+    /**
+     * Check if a query reads as a follow-up to the previous question
+     */
+    isFollowUp(query) {
+        const queryLower = query.toLowerCase().trim();
+        
+        const followUpPatterns = [
+            /^(what|how)\s+about\b/, /^and\b/, /^also\b/, /^same\b/, /^(for|in)\b/,
+            /\b(it|that|those|these|they|them|there)\b/, /\binstead\b/, /\bas well\b/
+        ];
+        
+        // Very short queries ("for Rise?", "Maryland?") only make sense with context
+        return followUpPatterns.some(pattern => pattern.test(queryLower)) ||
+            this.extractKeywords(query).length <= 2;
+    }
+    
+    /**
+     * Rewrite a follow-up into a standalone search query by appending carried-forward context
+     */
+    rewriteQuery(resolvedQuery) {
+        const parts = [resolvedQuery.originalQuery];
+        
+        if (resolvedQuery.carriedForward.includes('state')) {
+            parts.push(resolvedQuery.state);
+        }
+        
+        if (resolvedQuery.carriedForward.includes('orderType')) {
+            parts.push(resolvedQuery.orderType.toLowerCase());
+        }
+        
+        if (resolvedQuery.carriedForward.includes('topics')) {
+            parts.push(...resolvedQuery.topics.map(t => t.toLowerCase().replace(/_/g, ' ')));
+        }
+        
+        return parts.join(' ');
+    }
+    
     /**
      * Generate search filters based on enhanced query
      */
@@ -273,6 +289,10 @@ class QueryIntelligence {
             parts.push('including visual examples');
         }
         
+        if (enhancedQuery.carriedForward && enhancedQuery.carriedForward.length > 0) {
+            parts.push(`(carried over from the previous question: ${enhancedQuery.carriedForward.join(', ')})`);
+        }
+        
         if (parts.length === 0) {
             return `Searching for general information about "${enhancedQuery.originalQuery}"`;
         }
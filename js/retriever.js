@@ -0,0 +1,1241 @@
+/**
+ * Retriever - Single retrieval interface over pluggable scorers
+ * Replaces the separate VectorDatabase (RRF) and AdvancedVectorDatabase (weighted) engines.
+ *
+ * Each scorer indexes the chunks once and scores candidate chunks per query:
+ *   name, async index(chunks, context), async score(query, candidates, filters) -> Map(chunk_id -> score)
+ * The per-scorer scores are then combined by a fusion strategy:
+ *   'weighted' - weighted sum of scores (scorers flagged `normalize` are scaled to 0..1 first)
+ *   'rrf'      - Reciprocal Rank Fusion over each scorer's ranking
+ * An optional reranker then rescores the top-K fused results:
+ *   async rerank(query, chunks, options) -> Map(chunk_id -> score)
+ */
+
+/**
+ * Tokenizer shared by the lexical scorers. Terms are lightly stemmed, and SOP
+ * abbreviations / synonyms are expanded the same way for chunks and queries, so
+ * "LT" matches "Leaf Trade" and "subs" matches "substitutions".
+ */
+class TextAnalyzer {
+    /**
+     * @param {Object} options - { synonyms: [['LT', 'Leaf Trade'], ...] } (defaults to DEFAULT_SYNONYMS)
+     */
+    constructor(options = {}) {
+        this.stopWords = new Set([
+            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+            'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have',
+            'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should'
+        ]);
+        this.setSynonyms(options.synonyms);
+    }
+
+    /**
+     * Equivalent terms and phrases - a match on any one adds the others
+     */
+    static get DEFAULT_SYNONYMS() {
+        return [
+            ['LT', 'Leaf Trade'],
+            ['FIFO', 'first in first out'],
+            ['Rise', 'internal'],
+            ['sub', 'substitution', 'substitute'],
+            ['OOS', 'out of stock'],
+            ['med', 'medical'],
+            ['rec', 'recreational']
+        ];
+    }
+
+    /**
+     * Parse the settings text format - one group per line, entries separated by "="
+     */
+    static parseSynonyms(text) {
+        return text.split('\n')
+            .map(line => line.split('=').map(entry => entry.trim()).filter(Boolean))
+            .filter(group => group.length > 1);
+    }
+
+    static formatSynonyms(groups) {
+        return groups.map(group => group.join(' = ')).join('\n');
+    }
+
+    /**
+     * Replace the synonym dictionary (null restores the defaults)
+     */
+    setSynonyms(groups = null) {
+        this.synonyms = groups || TextAnalyzer.DEFAULT_SYNONYMS;
+
+        // Each entry is matched as a sequence of stemmed tokens
+        this.synonymGroups = this.synonyms
+            .map(group => group
+                .map(entry => this.tokenize(entry).map(token => this.stem(token)).join(' '))
+                .filter(Boolean))
+            .filter(group => group.length > 1);
+    }
+
+    tokenize(text) {
+        return text.toLowerCase()
+            .replace(/[^\w\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * Extract index terms from text
+     */
+    terms(text) {
+        const tokens = this.tokenize(text);
+        const terms = tokens
+            .filter(token => token.length > 2 && !this.stopWords.has(token))
+            .map(token => this.stem(token));
+
+        return terms.concat(this.expandSynonyms(tokens.map(token => this.stem(token)), new Set(terms)));
+    }
+
+    /**
+     * Terms of every synonym group mentioned in the token sequence, minus those already present
+     */
+    expandSynonyms(stems, present) {
+        const sequence = ` ${stems.join(' ')} `;
+        const expansions = new Set();
+
+        for (const group of this.synonymGroups) {
+            if (!group.some(entry => sequence.includes(` ${entry} `))) continue;
+
+            for (const entry of group) {
+                entry.split(' ')
+                    .filter(term => !this.stopWords.has(term) && !present.has(term))
+                    .forEach(term => expansions.add(term));
+            }
+        }
+
+        return [...expansions];
+    }
+
+    /**
+     * Light English stemmer - plurals, -ing/-ed and -ation/-ution endings, trailing e.
+     * Not linguistically exact; it only has to map word variants to the same term.
+     */
+    stem(word) {
+        if (word.length <= 3 || /\d/.test(word)) {
+            return word;
+        }
+
+        let stem = word;
+
+        // Plurals: batteries -> battery, boxes -> box, orders -> order
+        if (stem.endsWith('ies') && stem.length > 4) {
+            stem = stem.slice(0, -3) + 'y';
+        } else if (/(x|ch|sh|ss|z)es$/.test(stem)) {
+            stem = stem.slice(0, -2);
+        } else if (/[^su]s$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        // shipping / shipped -> ship, limited -> limit
+        const verbEnding = stem.match(/^(.{3,}?)(ing|ed)$/);
+        if (verbEnding && /[aeiouy]/.test(verbEnding[1])) {
+            stem = verbEnding[1];
+            if (/([^aeioulsz])\1$/.test(stem)) {
+                stem = stem.slice(0, -1);
+            }
+        }
+
+        // substitution -> substitute, allocation -> allocate
+        if (stem.length > 6 && /(ation|ution)$/.test(stem)) {
+            stem = stem.slice(0, -3) + 'e';
+        }
+
+        // price / pricing -> pric
+        if (stem.length > 4 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+}
+
+/**
+ * Dense-vector similarity. Chunk vectors come from the persisted embedding index
+ * (semantic_embeddings.json); without one, hashed pseudo-embeddings are used.
+ * Vectors are keyed by chunk content hash, so re-indexing after a sync only embeds
+ * chunks whose content is new.
+ */
+class SemanticScorer {
+    constructor() {
+        this.name = 'semantic';
+        this.vectors = new Map();       // chunk_id -> vector
+        this.vectorsByHash = new Map(); // content_hash -> vector, for the current chunks
+        this.provider = null;
+        this.embeddingIndex = null;
+        this.queryCache = new Map();
+        this.lastEmbedded = 0;          // Chunks the last index() had to embed
+    }
+
+    async index(chunks, context = {}) {
+        const providers = typeof EmbeddingProviders !== 'undefined' ? EmbeddingProviders : require('./embeddingProviders');
+        const embeddingIndex = context.embeddingIndex;
+        const texts = chunks.map(chunk => SemanticScorer.embeddingText(chunk));
+        const hashes = context.contentHashes
+            ? chunks.map(chunk => context.contentHashes.get(chunk.chunk_id))
+            : await Promise.all(chunks.map(chunk => SemanticScorer.contentHash(chunk)));
+        let vectors = null;
+
+        this.vectors.clear();
+        this.queryCache.clear();
+        this.lastEmbedded = 0;
+
+        // Real embeddings come from the persisted index; chunks added since it was built
+        // are embedded on the fly with the same provider
+        if (embeddingIndex && embeddingIndex.vectors) {
+            const provider = providers.create(embeddingIndex.provider, embeddingIndex.model);
+
+            // Vectors embedded earlier in this session with the same model count as indexed
+            const known = new Map(this.provider?.id === provider.id && this.provider?.model === provider.model
+                ? this.vectorsByHash
+                : []);
+            const byHash = embeddingIndex.keyedBy === 'content_hash';
+            vectors = chunks.map((chunk, i) => known.get(hashes[i]) ||
+                // Indexes built before content hashes are keyed by chunk_id
+                (byHash ? embeddingIndex.vectors[hashes[i]] : embeddingIndex.vectors[chunk.chunk_id]) ||
+                null);
+            const missing = vectors.map((vector, i) => vector ? null : i).filter(i => i !== null);
+
+            try {
+                if (missing.length > 0) {
+                    console.log(`Embedding ${missing.length} chunks missing from the index...`);
+                    const missingVectors = await provider.embed(missing.map(i => texts[i]));
+                    missing.forEach((chunkIndex, i) => { vectors[chunkIndex] = missingVectors[i]; });
+                    this.lastEmbedded = missing.length;
+                }
+
+                this.provider = provider;
+                console.log(`✓ Using ${embeddingIndex.provider} embeddings (${embeddingIndex.model}, ${embeddingIndex.dimensions} dims)`);
+            } catch (error) {
+                console.warn(`⚠️ ${embeddingIndex.provider} embeddings unavailable, falling back to hashed vectors:`, error.message);
+                vectors = null;
+            }
+        } else {
+            console.warn('⚠️ No embedding index found (run scripts/build-embeddings.js) - semantic search uses hashed vectors');
+        }
+
+        if (!vectors) {
+            this.provider = new providers.HashedEmbeddingProvider();
+            vectors = await this.provider.embed(texts);
+        }
+
+        chunks.forEach((chunk, i) => this.vectors.set(chunk.chunk_id, vectors[i]));
+        // Only current chunks are kept, so deleted chunks drop out of the exported index
+        this.vectorsByHash = new Map(chunks.map((chunk, i) => [hashes[i], vectors[i]]));
+        this.embeddingIndex = this.provider.id === 'hashed' ? null : {
+            provider: this.provider.id,
+            model: this.provider.model,
+            dimensions: vectors[0]?.length || 0
+        };
+    }
+
+    async score(query, candidates) {
+        const scores = new Map();
+
+        let queryVector;
+        try {
+            queryVector = await this.embedQuery(query);
+        } catch (error) {
+            // The other scorers still run without the semantic leg
+            console.warn('⚠️ Could not embed query, skipping semantic scoring:', error.message);
+            return scores;
+        }
+
+        for (const chunk of candidates) {
+            scores.set(chunk.chunk_id, SemanticScorer.cosineSimilarity(queryVector, this.vectors.get(chunk.chunk_id)));
+        }
+        return scores;
+    }
+
+    async embedQuery(query) {
+        if (!this.queryCache.has(query)) {
+            const [vector] = await this.provider.embed([query]);
+            this.queryCache.set(query, vector);
+        }
+        return this.queryCache.get(query);
+    }
+
+    /**
+     * The text a chunk is embedded as - metadata context first.
+     * Must match chunkEmbeddingText in api/_lib/embeddingProviders.js, which builds the index.
+     */
+    static embeddingText(chunk) {
+        const metadata = chunk.metadata || {};
+        let text = chunk.text;
+
+        if (metadata.states && metadata.states.length > 0) {
+            text = `State: ${metadata.states.join(', ')}. ${text}`;
+        }
+        if (metadata.sections && metadata.sections.length > 0) {
+            text = `Section: ${metadata.sections.join(', ')}. ${text}`;
+        }
+        if (metadata.topics && metadata.topics.length > 0) {
+            text = `Topics: ${metadata.topics.join(', ')}. ${text}`;
+        }
+        if (chunk.heading_path && chunk.heading_path.length > 0) {
+            text = `${chunk.heading_path.join(' › ')}. ${text}`;
+        }
+
+        return text;
+    }
+
+    /**
+     * SHA-256 of the embedding text (first 16 hex characters) - the chunk's content_hash.
+     * Must match chunkContentHash in api/_lib/embeddingProviders.js.
+     */
+    static async contentHash(chunk) {
+        const subtle = (typeof crypto !== 'undefined' && crypto.subtle) || require('crypto').webcrypto.subtle;
+        const digest = await subtle.digest('SHA-256', new TextEncoder().encode(SemanticScorer.embeddingText(chunk)));
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('')
+            .substring(0, 16);
+    }
+
+    static cosineSimilarity(vecA, vecB) {
+        if (!vecA || !vecB || vecA.length !== vecB.length) {
+            return 0;
+        }
+
+        let dotProduct = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < vecA.length; i++) {
+            dotProduct += vecA[i] * vecB[i];
+            normA += vecA[i] * vecA[i];
+            normB += vecB[i] * vecB[i];
+        }
+
+        if (normA === 0 || normB === 0) {
+            return 0;
+        }
+
+        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+    }
+}
+
+/**
+ * Okapi BM25 keyword relevance
+ */
+class BM25Scorer {
+    /**
+     * @param {TextAnalyzer} analyzer
+     * @param {Object} params - { k1: term frequency saturation, b: document length normalization (0..1) }
+     */
+    constructor(analyzer, params = {}) {
+        this.name = 'bm25';
+        this.normalize = true; // Raw BM25 is unbounded
+        this.analyzer = analyzer;
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.setParameters(params);
+        this.termFreqs = new Map();   // chunk_id -> Map(term -> count)
+        this.docLengths = new Map();  // chunk_id -> term count
+        this.docFreq = new Map();     // term -> number of chunks containing it
+        this.avgDocLength = 0;
+        this.totalDocs = 0;
+    }
+
+    async index(chunks) {
+        this.termFreqs.clear();
+        this.docLengths.clear();
+        this.docFreq.clear();
+
+        let totalLength = 0;
+        for (const chunk of chunks) {
+            // Section headings count as chunk text, so "OH RISE" matches its sub-sections
+            const terms = this.analyzer.terms([...(chunk.heading_path || []), chunk.text].join('\n'));
+            const freqs = new Map();
+            terms.forEach(term => freqs.set(term, (freqs.get(term) || 0) + 1));
+
+            for (const term of freqs.keys()) {
+                this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1);
+            }
+
+            this.termFreqs.set(chunk.chunk_id, freqs);
+            this.docLengths.set(chunk.chunk_id, terms.length);
+            totalLength += terms.length;
+        }
+
+        this.totalDocs = chunks.length;
+        this.avgDocLength = chunks.length > 0 ? totalLength / chunks.length : 0;
+    }
+
+    async score(query, candidates) {
+        const queryTerms = [...new Set(this.analyzer.terms(query))];
+        const scores = new Map();
+
+        for (const chunk of candidates) {
+            const freqs = this.termFreqs.get(chunk.chunk_id);
+            if (!freqs || queryTerms.length === 0) {
+                scores.set(chunk.chunk_id, 0);
+                continue;
+            }
+
+            const lengthNorm = 1 - this.b + this.b * (this.docLengths.get(chunk.chunk_id) / (this.avgDocLength || 1));
+            let score = 0;
+
+            for (const term of queryTerms) {
+                const tf = freqs.get(term) || 0;
+                if (tf === 0) continue;
+                score += this.idf(term) * (tf * (this.k1 + 1)) / (tf + this.k1 * lengthNorm);
+            }
+
+            scores.set(chunk.chunk_id, score);
+        }
+
+        return scores;
+    }
+
+    /**
+     * k1 and b only apply at query time, so changing them needs no re-index
+     */
+    setParameters({ k1, b } = {}) {
+        if (k1 !== undefined) {
+            if (Number.isFinite(k1) && k1 >= 0) this.k1 = k1;
+            else console.warn(`Invalid BM25 k1 "${k1}", keeping ${this.k1}`);
+        }
+        if (b !== undefined) {
+            if (Number.isFinite(b) && b >= 0 && b <= 1) this.b = b;
+            else console.warn(`Invalid BM25 b "${b}", keeping ${this.b}`);
+        }
+    }
+
+    idf(term) {
+        const df = this.docFreq.get(term) || 0;
+        return Math.log(1 + (this.totalDocs - df + 0.5) / (df + 0.5));
+    }
+
+    getVocabularySize() {
+        return this.docFreq.size;
+    }
+}
+
+/**
+ * How well a chunk's states / sections / topics match the query filters
+ */
+class MetadataScorer {
+    constructor() {
+        this.name = 'metadata';
+        this.tags = null; // chunk_id -> { states, sections, topics } from the retriever's tag source
+    }
+
+    async index(chunks, context = {}) {
+        this.tags = context.tags || null;
+    }
+
+    async score(query, candidates, filters = {}) {
+        const scores = new Map();
+
+        for (const chunk of candidates) {
+            const meta = this.tags?.get(chunk.chunk_id) || chunk.metadata || {};
+            let score = 0;
+            let maxScore = 0;
+
+            // State match
+            if (filters.states && filters.states.length > 0) {
+                maxScore += 1;
+                if (meta.states && meta.states.some(s => filters.states.includes(s))) {
+                    score += 1;
+                }
+            }
+
+            // Section match
+            if (filters.sections && filters.sections.length > 0) {
+                maxScore += 1;
+                if (meta.sections && meta.sections.some(s => filters.sections.includes(s))) {
+                    score += 1;
+                }
+            }
+
+            // Topic match
+            if (filters.topics && filters.topics.length > 0) {
+                maxScore += 1;
+                if (meta.topics && meta.topics.some(t => filters.topics.includes(t))) {
+                    score += 1;
+                }
+            }
+
+            scores.set(chunk.chunk_id, maxScore > 0 ? score / maxScore : 0.5);
+        }
+
+        return scores;
+    }
+}
+
+/**
+ * Query terms that match image labels / filenames attached to a chunk
+ */
+class ImageScorer {
+    constructor(analyzer) {
+        this.name = 'image';
+        this.analyzer = analyzer;
+        this.imageKeywords = new Map(); // chunk_id -> keywords
+    }
+
+    async index(chunks) {
+        this.imageKeywords.clear();
+
+        for (const chunk of chunks) {
+            if (!chunk.images || chunk.images.length === 0) continue;
+
+            const keywords = [];
+            for (const image of chunk.images) {
+                if (image.label) {
+                    keywords.push(...this.analyzer.terms(image.label));
+                }
+                if (image.filename) {
+                    keywords.push(...this.analyzer.terms(image.filename.replace(/\.[^/.]+$/, "")));
+                }
+            }
+            this.imageKeywords.set(chunk.chunk_id, [...new Set(keywords)]);
+        }
+    }
+
+    async score(query, candidates) {
+        const queryLower = query.toLowerCase();
+        const scores = new Map();
+
+        for (const chunk of candidates) {
+            const keywords = this.imageKeywords.get(chunk.chunk_id) || [];
+            const matches = keywords.filter(keyword => queryLower.includes(keyword)).length;
+            scores.set(chunk.chunk_id, matches > 0 ? matches / keywords.length : 0);
+        }
+
+        return scores;
+    }
+}
+
+/**
+ * Structured tables of a chunk: { title, columns, rows } from DOCX processing. Chunks
+ * processed before tables were extracted only have "a | b" lines in their text, which are
+ * read with the same rules - mirrors api/_lib/tables.js.
+ */
+class ChunkTables {
+    static of(chunk) {
+        return Array.isArray(chunk.tables) ? chunk.tables : ChunkTables.parsePipeText(chunk.text || '');
+    }
+
+    /**
+     * Tables in "a | b" text: runs of two or more consecutive lines containing " | "
+     */
+    static parsePipeText(text) {
+        const tables = [];
+        let run = [];
+
+        const flush = () => {
+            if (run.length >= 2) {
+                tables.push(ChunkTables.fromGrid(run.map(line => line.split('|').map(cell => cell.trim()))));
+            }
+            run = [];
+        };
+
+        for (const line of text.split('\n')) {
+            if (line.includes(' | ')) {
+                run.push(line);
+            } else {
+                flush();
+            }
+        }
+        flush();
+
+        return tables;
+    }
+
+    /**
+     * A first row with one distinct value is the title, a first row that reads like headers
+     * names the columns; other columns are "Column N", or "Email" when every value is an address
+     */
+    static fromGrid(grid) {
+        grid = grid.filter(cells => cells.some(Boolean));
+
+        const width = Math.max(0, ...grid.map(cells => cells.length));
+        let title = null;
+        if (width > 1 && grid.length > 1 && new Set(grid[0].filter(Boolean)).size === 1) {
+            title = grid.shift().find(Boolean);
+        }
+
+        let columns = null;
+        if (grid.length > 1 && grid[0].every(cell => cell && cell.length <= 40 && !/[\d@]/.test(cell))) {
+            columns = grid.shift();
+        }
+
+        const rows = grid.map(cells => Array.from({ length: width }, (_, i) => cells[i] || ''));
+        const isEmailColumn = (i) => rows.some(row => row[i]) &&
+            rows.every(row => !row[i] || /^\S+@\S+\.\S+$/.test(row[i]));
+
+        return {
+            title,
+            columns: Array.from({ length: width }, (_, i) =>
+                (columns && columns[i]) || (isEmailColumn(i) ? 'Email' : `Column ${i + 1}`)),
+            rows
+        };
+    }
+
+    /**
+     * A row's non-empty cells labelled by column: [{ column, value }]
+     */
+    static fields(table, row) {
+        return table.columns
+            .map((column, i) => ({ column, value: row[i] }))
+            .filter(field => field.value);
+    }
+}
+
+/**
+ * Table rows as fields. A row matches when query terms hit its cells; the table title and
+ * chunk headings count as row context. "OH sales director" finds the "Sales director" row
+ * of the OH roster even though the chunk is mostly about ordering rules.
+ */
+class TableScorer {
+    constructor(analyzer) {
+        this.name = 'table';
+        this.analyzer = analyzer;
+        this.rows = new Map(); // chunk_id -> [{ table, row, cellTerms: [Set], contextTerms: Set }]
+    }
+
+    async index(chunks) {
+        this.rows.clear();
+
+        for (const chunk of chunks) {
+            const entries = [];
+            for (const table of ChunkTables.of(chunk)) {
+                const contextTerms = new Set(this.fieldTerms([...(chunk.heading_path || []), table.title || ''].join('\n')));
+                for (const row of table.rows) {
+                    entries.push({
+                        table,
+                        row,
+                        cellTerms: row.map(cell => new Set(this.fieldTerms(cell))),
+                        contextTerms
+                    });
+                }
+            }
+            if (entries.length > 0) {
+                this.rows.set(chunk.chunk_id, entries);
+            }
+        }
+    }
+
+    async score(query, candidates) {
+        const queryTerms = [...new Set(this.fieldTerms(query))];
+        const scores = new Map();
+
+        for (const chunk of candidates) {
+            const entries = this.rows.get(chunk.chunk_id) || [];
+            scores.set(chunk.chunk_id, Math.max(0, ...entries.map(entry => this.rowScore(entry, queryTerms))));
+        }
+
+        return scores;
+    }
+
+    /**
+     * Index terms plus two-letter tokens, which the analyzer drops - state codes
+     * like "OH" in a roster title are what tell the state teams apart
+     */
+    fieldTerms(text) {
+        const shortTokens = this.analyzer.tokenize(text)
+            .filter(token => token.length === 2 && !this.analyzer.stopWords.has(token));
+        return this.analyzer.terms(text).concat(shortTokens);
+    }
+
+    /**
+     * Share of query terms found in the row; context terms count half, and a row
+     * with no cell match scores 0 so a title alone doesn't match every row
+     */
+    rowScore(entry, queryTerms) {
+        let cellHits = 0;
+        let contextHits = 0;
+
+        for (const term of queryTerms) {
+            if (entry.cellTerms.some(terms => terms.has(term))) {
+                cellHits++;
+            } else if (entry.contextTerms.has(term)) {
+                contextHits++;
+            }
+        }
+
+        return cellHits > 0 ? (cellHits + contextHits * 0.5) / queryTerms.length : 0;
+    }
+
+    /**
+     * Best-matching rows of a chunk: [{ title, fields, score }]
+     */
+    matchingRows(query, chunk, limit = 3) {
+        const queryTerms = [...new Set(this.fieldTerms(query))];
+
+        return (this.rows.get(chunk.chunk_id) || [])
+            .map(entry => ({
+                title: entry.table.title,
+                fields: ChunkTables.fields(entry.table, entry.row),
+                score: this.rowScore(entry, queryTerms)
+            }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+}
+
+/**
+ * Reranks through /api/rerank - 'cross-encoder' (local ms-marco model on the server)
+ * or 'llm' (the chat model grades each passage)
+ */
+class ServerReranker {
+    constructor(method) {
+        this.method = method;
+    }
+
+    static get METHODS() {
+        return ['cross-encoder', 'llm'];
+    }
+
+    /**
+     * Reranker for a settings value, or null when reranking is off
+     */
+    static create(method) {
+        return ServerReranker.METHODS.includes(method) ? new ServerReranker(method) : null;
+    }
+
+    async rerank(query, chunks, options = {}) {
+        const response = await fetch('/api/rerank', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                query,
+                chunkIds: chunks.map(chunk => chunk.chunk_id),
+                contentHashes: options.contentHashes,
+                method: this.method,
+                model: options.model
+            })
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Rerank API error: ${response.status}`);
+        }
+
+        return new Map(result.scores.map(item => [item.chunk_id, item.score]));
+    }
+}
+
+class Retriever {
+    /**
+     * @param {Object} options - { scorers, fusion: 'weighted' | 'rrf', weights, rrfK, maxResults, bm25: { k1, b }, synonyms,
+     *                             reranker, rerankTopK, tagSource: 'regex' | 'llm' | 'both', minTagConfidence }
+     */
+    constructor(options = {}) {
+        this.analyzer = options.analyzer || new TextAnalyzer({ synonyms: options.synonyms });
+        this.scorers = options.scorers || [
+            new SemanticScorer(),
+            new BM25Scorer(this.analyzer, options.bm25),
+            new MetadataScorer(),
+            new ImageScorer(this.analyzer),
+            new TableScorer(this.analyzer)
+        ];
+
+        this.fusion = Retriever.FUSION_STRATEGIES.includes(options.fusion) ? options.fusion : 'weighted';
+        this.weights = {
+            semantic: 0.4,
+            bm25: 0.3,
+            metadata: 0.3,
+            image: 0.1,
+            table: 0.2,
+            ...options.weights
+        };
+        this.rrfK = options.rrfK || 60;
+        this.maxResults = options.maxResults || 10;
+        this.reranker = options.reranker || null;
+        this.rerankTopK = options.rerankTopK || 20;
+        this.tagSource = Retriever.TAG_SOURCES.includes(options.tagSource) ? options.tagSource : 'regex';
+        this.minTagConfidence = options.minTagConfidence ?? 0.6;
+
+        this.chunks = [];
+        this.chunkMap = new Map();
+        this.contentHashes = new Map(); // chunk_id -> content_hash - the manifest of the current index
+        this.metadataIndex = null;
+        this.tags = new Map(); // chunk_id -> the tags search filters and scores by
+        this.isReady = false;
+    }
+
+    static get FUSION_STRATEGIES() {
+        return ['weighted', 'rrf'];
+    }
+
+    /**
+     * Which chunk tags search uses: the regex tags of ingestion, the LLM tagging pass
+     * (metadata.llm_tags at or above minTagConfidence), or the union of both
+     */
+    static get TAG_SOURCES() {
+        return ['regex', 'llm', 'both'];
+    }
+
+    /**
+     * Index chunks with every scorer
+     * @param {Array} chunks - Semantic chunks
+     * @param {Object} embeddingIndex - Persisted semantic_embeddings.json, if any
+     */
+    async index(chunks, embeddingIndex = null) {
+        console.log(`🔄 Indexing ${chunks.length} chunks for retrieval...`);
+
+        this.chunks = chunks;
+        this.chunkMap = new Map(chunks.map(chunk => [chunk.chunk_id, chunk]));
+        this.contentHashes = new Map(await Promise.all(chunks.map(async chunk =>
+            [chunk.chunk_id, chunk.content_hash || await SemanticScorer.contentHash(chunk)])));
+        this.buildMetadataIndex(chunks);
+
+        for (const scorer of this.scorers) {
+            await scorer.index(chunks, { embeddingIndex, contentHashes: this.contentHashes, tags: this.tags });
+        }
+
+        this.isReady = true;
+        console.log(`✅ Retriever ready (${this.scorers.map(s => s.name).join(', ')}; ${this.fusion} fusion)`);
+
+        return this.getStats();
+    }
+
+    /**
+     * Re-index after a document sync. Chunks are compared with the current index by content
+     * hash (or with the embedding index manifest, before anything is indexed), and only added
+     * or changed chunks are embedded - the lexical scorers are cheap and simply rebuild.
+     * @returns {Object} { added, changed, removed: [chunk_id], unchanged, embedded: count }
+     */
+    async sync(chunks, embeddingIndex = null) {
+        const previous = this.isReady
+            ? Object.fromEntries(this.contentHashes)
+            : (embeddingIndex?.manifest || {});
+
+        await this.index(chunks, embeddingIndex);
+
+        const summary = {
+            ...Retriever.diffManifests(previous, Object.fromEntries(this.contentHashes)),
+            embedded: this.getScorer('semantic')?.lastEmbedded || 0
+        };
+        console.log(`🔁 Sync: ${summary.added.length} added, ${summary.changed.length} changed, ` +
+            `${summary.removed.length} removed, ${summary.unchanged} unchanged (${summary.embedded} embedded)`);
+
+        return summary;
+    }
+
+    /**
+     * Compare two { chunk_id: content_hash } manifests. Content found anywhere in the old one
+     * is unchanged, even if re-chunking moved it to another ID; new content at an old ID whose
+     * content is gone is a change, anything else is added or removed.
+     */
+    static diffManifests(previous, next) {
+        const previousHashes = new Set(Object.values(previous));
+        const nextHashes = new Set(Object.values(next));
+        const summary = { added: [], changed: [], removed: [], unchanged: 0 };
+
+        for (const [id, hash] of Object.entries(next)) {
+            if (previousHashes.has(hash)) {
+                summary.unchanged++;
+            } else if (id in previous && !nextHashes.has(previous[id])) {
+                summary.changed.push(id);
+            } else {
+                summary.added.push(id);
+            }
+        }
+
+        for (const [id, hash] of Object.entries(previous)) {
+            if (!nextHashes.has(hash) && !summary.changed.includes(id)) {
+                summary.removed.push(id);
+            }
+        }
+
+        return summary;
+    }
+
+    setFusion(strategy) {
+        if (!Retriever.FUSION_STRATEGIES.includes(strategy)) {
+            console.warn(`Unknown fusion strategy "${strategy}", keeping ${this.fusion}`);
+            return;
+        }
+        this.fusion = strategy;
+    }
+
+    /**
+     * @param {Object|null} reranker - null turns reranking off
+     * @param {number} topK - How many fused results the reranker rescores
+     */
+    setReranker(reranker, topK) {
+        this.reranker = reranker || null;
+        if (topK > 0) this.rerankTopK = topK;
+    }
+
+    /**
+     * Switch the tags search filters and scores by, e.g. to compare LLM tags with the regex ones
+     * @param {string} source - 'regex' | 'llm' | 'both'
+     * @param {number} minConfidence - LLM tags below this are ignored
+     */
+    async setTagSource(source, minConfidence) {
+        if (!Retriever.TAG_SOURCES.includes(source)) {
+            console.warn(`Unknown tag source "${source}", keeping ${this.tagSource}`);
+            return;
+        }
+        this.tagSource = source;
+        if (minConfidence >= 0 && minConfidence <= 1) this.minTagConfidence = minConfidence;
+
+        if (this.isReady) {
+            this.buildMetadataIndex(this.chunks);
+            await this.getScorer('metadata')?.index(this.chunks, { tags: this.tags });
+        }
+    }
+
+    /**
+     * A chunk's { states, sections, topics } under the current tag source. Chunks the LLM
+     * pass never tagged keep their regex tags.
+     */
+    chunkTags(chunk) {
+        const meta = chunk.metadata || {};
+        const regex = { states: meta.states || [], sections: meta.sections || [], topics: meta.topics || [] };
+        if (this.tagSource === 'regex' || !meta.llm_tags) {
+            return regex;
+        }
+
+        const tags = {};
+        for (const key of ['states', 'sections', 'topics']) {
+            const confident = Object.entries(meta.llm_tags[key] || {})
+                .filter(([, confidence]) => confidence >= this.minTagConfidence)
+                .map(([id]) => id);
+            tags[key] = this.tagSource === 'both' ? [...new Set([...regex[key], ...confident])] : confident;
+        }
+        return tags;
+    }
+
+    setBM25Parameters(params) {
+        this.getScorer('bm25')?.setParameters(params);
+    }
+
+    /**
+     * Replace the synonym dictionary (null restores the defaults)
+     */
+    async setSynonyms(groups) {
+        this.analyzer.setSynonyms(groups);
+
+        // Chunks are expanded at index time, so the lexical scorers re-index
+        if (this.isReady) {
+            for (const scorer of this.scorers) {
+                if (scorer.analyzer === this.analyzer) {
+                    await scorer.index(this.chunks);
+                }
+            }
+        }
+    }
+
+    /**
+     * Search for the chunks most relevant to a query
+     * @param {string} query - Search query
+     * @param {Object} filters - { states, sections, topics, hasImages } from QueryIntelligence.generateSearchFilters,
+     *                           plus { sources } - document source IDs to search (all when empty)
+     * @param {Object} options - { maxResults, fusion, rerankOptions: { model } }
+     */
+    async search(query, filters = {}, options = {}) {
+        if (!this.isReady) {
+            throw new Error('Retriever not initialized');
+        }
+
+        const fusion = options.fusion || this.fusion;
+        console.log(`🔍 Searching for: "${query}" (${fusion}) with filters:`, filters);
+
+        // Narrow the search space with metadata filters, falling back to everything in the
+        // selected sources - a source scope is never widened
+        let candidateIds = this.applyCandidateFilters(filters);
+        if (candidateIds.length === 0) {
+            candidateIds = filters.sources?.length > 0
+                ? filters.sources.flatMap(sourceId => this.metadataIndex.sources.get(sourceId) || [])
+                : this.chunks.map(chunk => chunk.chunk_id);
+        }
+        const candidates = candidateIds.map(id => this.chunkMap.get(id)).filter(Boolean);
+
+        // Score candidates with every scorer
+        const scoreMaps = {};
+        for (const scorer of this.scorers) {
+            scoreMaps[scorer.name] = await scorer.score(query, candidates, filters);
+        }
+
+        const fused = fusion === 'rrf'
+            ? this.fuseRRF(candidates, scoreMaps)
+            : this.fuseWeighted(candidates, scoreMaps);
+
+        const maxResults = options.maxResults || this.maxResults;
+        let ranked = fused.sort((a, b) => b.score - a.score);
+        if (this.reranker) {
+            ranked = await this.rerank(query, ranked, options.rerankOptions);
+        }
+
+        const tableScorer = this.getScorer('table');
+        const results = ranked
+            .slice(0, maxResults)
+            .map(result => ({
+                ...result,
+                searchTypes: Object.keys(result.scores).filter(name => result.scores[name] > 0),
+                explanation: this.generateScoreExplanation(result.scores),
+                tableRows: result.scores.table > 0 ? tableScorer.matchingRows(query, result.chunk) : []
+            }));
+
+        console.log(`✅ Found ${results.length} results`);
+
+        return {
+            results: results,
+            query: query,
+            filters: filters,
+            fusion: fusion,
+            reranked: results.some(result => result.rerankScore !== undefined),
+            totalCandidates: candidates.length,
+            searchTime: Date.now()
+        };
+    }
+
+    /**
+     * Reorder the top-K fused results by reranker score. Results keep their fused
+     * score and rank; on failure the fused order is kept.
+     */
+    async rerank(query, ranked, rerankOptions = {}) {
+        const pool = ranked.slice(0, this.rerankTopK);
+
+        let scores;
+        try {
+            scores = await this.reranker.rerank(query, pool.map(result => result.chunk), {
+                ...rerankOptions,
+                contentHashes: pool.map(result => this.contentHashes.get(result.chunk.chunk_id) || null)
+            });
+        } catch (error) {
+            console.warn('⚠️ Reranking failed, keeping fused order:', error.message);
+            return ranked;
+        }
+
+        const reranked = pool
+            .map((result, index) => ({
+                ...result,
+                fusedRank: index + 1,
+                rerankScore: scores.get(result.chunk.chunk_id) ?? 0
+            }))
+            .sort((a, b) => b.rerankScore - a.rerankScore || a.fusedRank - b.fusedRank);
+
+        console.log(`🎯 Reranked top ${pool.length}: ${reranked.slice(0, 5).map(r => `#${r.fusedRank}`).join(' ')}`);
+
+        return reranked.concat(ranked.slice(pool.length));
+    }
+
+    /**
+     * Weighted sum of scorer scores
+     */
+    fuseWeighted(candidates, scoreMaps) {
+        const maxima = {};
+        for (const scorer of this.scorers) {
+            if (scorer.normalize) {
+                maxima[scorer.name] = Math.max(0, ...scoreMaps[scorer.name].values());
+            }
+        }
+
+        return candidates.map(chunk => {
+            const scores = {};
+            let total = 0;
+
+            for (const scorer of this.scorers) {
+                let score = scoreMaps[scorer.name].get(chunk.chunk_id) || 0;
+                if (scorer.normalize) {
+                    score = maxima[scorer.name] > 0 ? score / maxima[scorer.name] : 0;
+                }
+                scores[scorer.name] = score;
+                total += score * (this.weights[scorer.name] || 0);
+            }
+
+            return { chunk, score: total, scores };
+        });
+    }
+
+    /**
+     * Reciprocal Rank Fusion - each scorer contributes 1 / (k + rank) for chunks it scores above 0
+     */
+    fuseRRF(candidates, scoreMaps) {
+        const ranks = new Map(candidates.map(chunk => [chunk.chunk_id, {}]));
+
+        for (const scorer of this.scorers) {
+            const scored = candidates
+                .map(chunk => ({ id: chunk.chunk_id, score: scoreMaps[scorer.name].get(chunk.chunk_id) || 0 }))
+                .filter(item => item.score > 0);
+
+            // A scorer that gives every candidate the same score carries no ranking signal
+            if (scored.length === 0 || scored.every(item => item.score === scored[0].score)) {
+                continue;
+            }
+
+            scored
+                .sort((a, b) => b.score - a.score)
+                .forEach((item, index) => { ranks.get(item.id)[scorer.name] = index + 1; });
+        }
+
+        return candidates.map(chunk => {
+            const chunkRanks = ranks.get(chunk.chunk_id);
+            const scores = {};
+            for (const scorer of this.scorers) {
+                scores[scorer.name] = scoreMaps[scorer.name].get(chunk.chunk_id) || 0;
+            }
+
+            const score = Object.values(chunkRanks)
+                .reduce((sum, rank) => sum + 1 / (this.rrfK + rank), 0);
+
+            return { chunk, score, scores, ranks: chunkRanks };
+        });
+    }
+
+    /**
+     * Build metadata index for candidate filtering
+     */
+    buildMetadataIndex(chunks) {
+        const index = {
+            states: new Map(),
+            sections: new Map(),
+            topics: new Map(),
+            sources: new Map(),
+            hasImages: new Map()
+        };
+
+        const add = (map, key, chunkId) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(chunkId);
+        };
+
+        this.tags = new Map();
+        for (const chunk of chunks) {
+            const meta = chunk.metadata || {};
+            const tags = this.chunkTags(chunk);
+            this.tags.set(chunk.chunk_id, tags);
+            tags.states.forEach(state => add(index.states, state, chunk.chunk_id));
+            tags.sections.forEach(section => add(index.sections, section, chunk.chunk_id));
+            tags.topics.forEach(topic => add(index.topics, topic, chunk.chunk_id));
+            if (chunk.source_id) add(index.sources, chunk.source_id, chunk.chunk_id);
+            add(index.hasImages, !!(meta.has_images || (chunk.images && chunk.images.length > 0)), chunk.chunk_id);
+        }
+
+        this.metadataIndex = index;
+    }
+
+    /**
+     * Apply candidate filters to reduce search space
+     */
+    applyCandidateFilters(filters = {}) {
+        let candidates = null;
+
+        const intersect = (ids) => {
+            const idSet = new Set(ids);
+            candidates = candidates ? new Set([...candidates].filter(id => idSet.has(id))) : idSet;
+        };
+
+        for (const key of ['sources', 'states', 'sections', 'topics']) {
+            if (filters[key] && filters[key].length > 0) {
+                intersect(filters[key].flatMap(value => this.metadataIndex[key].get(value) || []));
+            }
+        }
+
+        if (filters.hasImages) {
+            intersect(this.metadataIndex.hasImages.get(true) || []);
+        }
+
+        return candidates ? [...candidates] : [];
+    }
+
+    /**
+     * Generate explanation for search scores
+     */
+    generateScoreExplanation(scores) {
+        const explanations = [];
+
+        if (scores.semantic > 0.3) {
+            explanations.push(`High semantic similarity (${(scores.semantic * 100).toFixed(1)}%)`);
+        }
+
+        if (scores.bm25 > 0.3) {
+            explanations.push(`Strong keyword match`);
+        }
+
+        if (scores.metadata > 0.7) {
+            explanations.push(`Perfect metadata match`);
+        }
+
+        if (scores.image > 0) {
+            explanations.push(`Contains relevant images`);
+        }
+
+        if (scores.table > 0.5) {
+            explanations.push(`Matching table row`);
+        }
+
+        return explanations.join(', ') || 'General relevance';
+    }
+
+    getScorer(name) {
+        return this.scorers.find(scorer => scorer.name === name) || null;
+    }
+
+    /**
+     * Get statistics about the index
+     */
+    getStats() {
+        const semantic = this.getScorer('semantic');
+        const bm25 = this.getScorer('bm25');
+
+        return {
+            totalChunks: this.chunks.length,
+            vocabularySize: bm25 ? bm25.getVocabularySize() : 0,
+            bm25: bm25 ? { k1: bm25.k1, b: bm25.b } : null,
+            synonymGroups: this.analyzer.synonymGroups.length,
+            imageChunks: this.metadataIndex?.hasImages.get(true)?.length || 0,
+            tableChunks: this.getScorer('table')?.rows.size || 0,
+            llmTaggedChunks: this.chunks.filter(chunk => chunk.metadata?.llm_tags).length,
+            tagSource: this.tagSource,
+            scorers: this.scorers.map(scorer => scorer.name),
+            fusion: this.fusion,
+            reranker: this.reranker?.method || null,
+            embeddingProvider: semantic?.provider?.id || null,
+            embeddingModel: semantic?.provider?.model || null,
+            isReady: this.isReady
+        };
+    }
+
+    /**
+     * Chunk vectors in the semantic_embeddings.json format, so they can be stored and
+     * passed back to index(). Null when only hashed pseudo-embeddings are available.
+     */
+    exportData() {
+        const semantic = this.getScorer('semantic');
+        if (!semantic || !semantic.embeddingIndex) {
+            return null;
+        }
+
+        return {
+            ...semantic.embeddingIndex,
+            chunkCount: this.chunks.length,
+            createdAt: new Date().toISOString(),
+            keyedBy: 'content_hash',
+            manifest: Object.fromEntries(this.contentHashes),
+            vectors: Object.fromEntries(semantic.vectorsByHash)
+        };
+    }
+
+    reset() {
+        this.chunks = [];
+        this.chunkMap = new Map();
+        this.contentHashes = new Map();
+        this.isReady = false;
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Retriever, TextAnalyzer, SemanticScorer, BM25Scorer, MetadataScorer, ImageScorer, ChunkTables, TableScorer, ServerReranker };
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.Retriever = Retriever;
+    window.TextAnalyzer = TextAnalyzer;
+    window.ChunkTables = ChunkTables;
+    window.ServerReranker = ServerReranker;
+}
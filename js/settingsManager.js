@@ -8,52 +8,106 @@ class SettingsManager {
         
         // Use global settings if available, otherwise use defaults
         this.settings = app.state.globalSettings || {
-            apiKeys: {
-                openai: '',
-                gemini: '', // Will be configured via environment variables
-                githubToken: '' // Will be configured via environment variables
-            },
+            providers: {}, // LLM keys live in server env vars, see /api/chat
+            models: [],    // Model registry from /api/config, populates #modelSelect
             model: 'gemini-2.0',
             temperature: 0.1,
+            retrieval: {
+                fusion: 'weighted', // 'weighted' score blend or 'rrf' (Reciprocal Rank Fusion)
+                bm25: { k1: 1.2, b: 0.75 },
+                synonyms: null, // [['LT', 'Leaf Trade'], ...] - null uses TextAnalyzer.DEFAULT_SYNONYMS
+                rerank: {
+                    method: 'none', // 'none', 'cross-encoder' or 'llm' (scores with the selected chat model)
+                    topK: 20        // Fused results the reranker rescores
+                },
+                tags: {
+                    source: 'regex',   // 'regex', 'llm' (metadata.llm_tags from the tagging pass) or 'both'
+                    minConfidence: 0.6 // LLM tags below this are ignored
+                }
+            },
             displayOptions: {
                 showSuggestedQuestions: true,
                 showChunkRelevance: true
             },
             github: {
-                repo: 'FadeevMax/SOP3.0_vercel',
-                token: '' // Will be configured via environment variables
+                repo: 'FadeevMax/SOP3.0_vercel'
             },
             googleDocs: {
-                serviceAccount: null,
                 docId: '1BXxlyLsOL6hsVWLXB84p35yRg9yr7AL9fzz4yjVQJgA',
                 docName: 'GTI Data Base and SOP',
-                enabled: true,
-                autoSync: true
+                enabled: true
             },
             instructions: 'You are a GTI SOP Assistant. Answer based ONLY on the provided documentation. Be specific about states and order types (RISE/Regular).'
         };
         
         this.loadSettings();
         this.setupEventListeners();
+        this.updateApiKeyStatus();
+        this.showTaxonomy();
+        this.showSources();
     }
     
     setupEventListeners() {
-        // API Keys
-        document.getElementById('openaiKey')?.addEventListener('input', (e) => {
-            this.settings.apiKeys.openai = e.target.value;
+        // Model selection
+        document.getElementById('modelSelect')?.addEventListener('change', (e) => {
+            this.settings.model = e.target.value;
             this.saveSettings();
-            this.updateApiKeyStatus();
         });
         
-        document.getElementById('geminiKey')?.addEventListener('input', (e) => {
-            this.settings.apiKeys.gemini = e.target.value;
+        // Retrieval fusion strategy
+        document.getElementById('fusionSelect')?.addEventListener('change', (e) => {
+            this.settings.retrieval = { ...this.settings.retrieval, fusion: e.target.value };
+            this.app.retriever?.setFusion(e.target.value);
             this.saveSettings();
-            this.updateApiKeyStatus();
         });
         
-        // Model selection
-        document.getElementById('modelSelect')?.addEventListener('change', (e) => {
-            this.settings.model = e.target.value;
+        // BM25 keyword scoring parameters
+        ['bm25K1', 'bm25B'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                const bm25 = {
+                    k1: parseFloat(document.getElementById('bm25K1').value),
+                    b: parseFloat(document.getElementById('bm25B').value)
+                };
+                this.app.retriever?.setBM25Parameters(bm25);
+                this.settings.retrieval = { ...this.settings.retrieval, bm25: this.app.retriever?.getStats().bm25 || bm25 };
+                this.saveSettings();
+            });
+        });
+        
+        // Second-stage reranking
+        ['rerankSelect', 'rerankTopK'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                const rerank = {
+                    method: document.getElementById('rerankSelect').value,
+                    topK: parseInt(document.getElementById('rerankTopK').value, 10) || 20
+                };
+                this.settings.retrieval = { ...this.settings.retrieval, rerank };
+                this.app.retriever?.setReranker(ServerReranker.create(rerank.method), rerank.topK);
+                this.saveSettings();
+            });
+        });
+        
+        // Which chunk tags metadata filters use - regex, LLM tagging pass or both
+        ['tagSourceSelect', 'tagConfidence'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', async () => {
+                const tags = {
+                    source: document.getElementById('tagSourceSelect').value,
+                    minConfidence: parseFloat(document.getElementById('tagConfidence').value)
+                };
+                await this.app.retriever?.setTagSource(tags.source, tags.minConfidence);
+                this.settings.retrieval = {
+                    ...this.settings.retrieval,
+                    tags: { source: tags.source, minConfidence: this.app.retriever?.minTagConfidence ?? tags.minConfidence }
+                };
+                this.saveSettings();
+            });
+        });
+        
+        // Synonym / abbreviation dictionary - applied on blur, since it re-indexes keyword search
+        document.getElementById('synonymsInput')?.addEventListener('change', async (e) => {
+            const synonyms = TextAnalyzer.parseSynonyms(e.target.value);
+            this.settings.retrieval = { ...this.settings.retrieval, synonyms };
+            await this.app.retriever?.setSynonyms(synonyms);
             this.saveSettings();
         });
         
@@ -83,11 +137,13 @@ class SettingsManager {
         
         document.getElementById('docxUpload')?.addEventListener('change', (e) => {
             const file = e.target.files[0];
-            if (file && file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+            if (file && DocumentProcessor.formatOf(file)) {
                 this.handleDocumentUpload(file);
-            } else {
-                this.app.showError('Please select a valid DOCX file');
+            } else if (file) {
+                this.app.showError('Please select a DOCX, PDF, Markdown or HTML file');
             }
+            // Let the same file be picked again after fixing it
+            e.target.value = '';
         });
         
         // Google Docs sync
@@ -106,12 +162,42 @@ class SettingsManager {
             this.handleLoadGlobalData();
         });
         
-        // Google Docs configuration
-        document.getElementById('googleDocsId')?.addEventListener('input', (e) => {
-            const docId = this.app.googleDocsSync.getDocumentIdFromUrl(e.target.value) || e.target.value;
-            this.app.googleDocsSync.setDocumentId(docId);
-            this.settings.googleDocs.docId = docId;
-            this.saveSettings();
+        // Document sources - sync one, or edit the list
+        document.getElementById('sourcesList')?.addEventListener('click', (e) => {
+            const syncButton = e.target.closest('button[data-sync-source]');
+            if (syncButton) {
+                e.preventDefault();
+                this.app.handleManualSync([syncButton.dataset.syncSource]);
+            }
+        });
+        
+        document.getElementById('saveSourcesBtn')?.addEventListener('click', () => {
+            this.saveSources();
+        });
+        
+        document.getElementById('revertSourcesBtn')?.addEventListener('click', () => {
+            this.showSources(true);
+        });
+        
+        // Knowledge-base snapshots - list, compare, promote
+        document.getElementById('createSnapshotBtn')?.addEventListener('click', () => {
+            this.createSnapshot();
+        });
+        
+        document.getElementById('loadSnapshotsBtn')?.addEventListener('click', () => {
+            this.loadSnapshots();
+        });
+        
+        document.getElementById('compareSnapshotsBtn')?.addEventListener('click', () => {
+            this.compareSnapshots();
+        });
+        
+        document.getElementById('snapshotsList')?.addEventListener('click', (e) => {
+            const promoteButton = e.target.closest('button[data-promote-snapshot]');
+            if (promoteButton) {
+                e.preventDefault();
+                this.promoteSnapshot(promoteButton.dataset.promoteSnapshot);
+            }
         });
         
         // GitHub integration
@@ -120,9 +206,13 @@ class SettingsManager {
             this.saveSettings();
         });
         
-        document.getElementById('githubToken')?.addEventListener('input', (e) => {
-            this.settings.github.token = e.target.value;
-            this.saveSettings();
+        // Kept out of this.settings, which is shared through GitHub
+        document.getElementById('writeToken')?.addEventListener('input', (e) => {
+            if (e.target.value) {
+                localStorage.setItem(this.app.globalConfig.writeTokenKey, e.target.value);
+            } else {
+                localStorage.removeItem(this.app.globalConfig.writeTokenKey);
+            }
         });
 
         // System instructions
@@ -131,6 +221,15 @@ class SettingsManager {
             this.saveSettings();
         });
 
+        // Taxonomy editor
+        document.getElementById('saveTaxonomyBtn')?.addEventListener('click', () => {
+            this.saveTaxonomy();
+        });
+
+        document.getElementById('revertTaxonomyBtn')?.addEventListener('click', () => {
+            this.showTaxonomy();
+        });
+
         // Data management buttons
         document.getElementById('viewJsonBtn')?.addEventListener('click', () => {
             this.viewJsonData();
@@ -150,15 +249,60 @@ class SettingsManager {
     }
     
     async handleDocumentUpload(file) {
-        try {
-            this.app.showLoading('Processing document...');
-            await this.app.processDocument(file);
-            this.app.hideLoading();
-            this.app.showSuccess('Document processed successfully!');
-        } catch (error) {
-            this.app.hideLoading();
-            this.app.showError(`Failed to process document: ${error.message}`);
+        this.showUploadStatus(file, { stage: 'read', step: 0, steps: 1, message: `Uploading ${file.name}...` });
+        const result = await this.app.processDocument(file, {
+            onProgress: (progress) => this.showUploadStatus(file, progress)
+        });
+        this.showUploadStatus(file, null, result);
+    }
+    
+    /**
+     * Upload progress, then the outcome with the parser's warnings grouped by kind, under
+     * Document Management. Stays until the next upload.
+     * @param {Object|null} progress - { stage, step, steps, message, done?, total? } while processing
+     * @param {Object} result - The processing result once finished
+     */
+    showUploadStatus(file, progress, result = null) {
+        const container = document.getElementById('uploadStatus');
+        if (!container) return;
+        const escape = (text) => this.app.chatInterface?.escapeHtml(text) ?? String(text);
+        container.classList.remove('hidden');
+        
+        if (progress) {
+            // Each stage is an equal share of the bar; tagging also fills its share batch by batch
+            const partial = progress.total ? progress.done / progress.total : 0;
+            const percent = Math.round(Math.max(0, progress.step - 1 + partial) / progress.steps * 100);
+            container.innerHTML = `
+                <div class="upload-detail">${escape(file.name)} · step ${Math.max(progress.step, 1)} of ${progress.steps}</div>
+                <div>${escape(progress.message)}</div>
+                <div class="upload-progress"><div style="width: ${percent}%"></div></div>
+            `;
+            return;
         }
+        
+        const labels = {
+            unsupported: 'Unsupported elements',
+            'empty-section': 'Empty sections',
+            image: 'Images',
+            structure: 'Document structure'
+        };
+        const warnings = result?.warnings || [];
+        const groups = Object.keys(labels)
+            .concat(warnings.map(warning => warning.type).filter(type => !labels[type]))
+            .map(type => ({ type, items: warnings.filter(warning => warning.type === type) }))
+            .filter(group => group.items.length > 0);
+        
+        const summary = result?.success
+            ? `<div>✅ ${escape(file.name)}: ${result.chunks.length} chunks${warnings.length ? `, ${warnings.length} warning${warnings.length === 1 ? '' : 's'}` : ''}</div>`
+            : `<div class="upload-error">❌ ${escape(file.name)}: ${escape(result?.error || 'processing failed')}</div>`;
+        container.innerHTML = summary + groups.map(group => `
+            <details class="upload-warnings">
+                <summary>${escape(labels[group.type] || group.type)} (${group.items.length})</summary>
+                <ul>
+                    ${group.items.map(warning => `<li>${escape(warning.message)}${warning.count > 1 ? ` <span class="upload-detail">×${warning.count}</span>` : ''}</li>`).join('')}
+                </ul>
+            </details>
+        `).join('');
     }
     
     async handleGoogleDocsSync() {
@@ -167,15 +311,13 @@ class SettingsManager {
             this.app.showLoading('Syncing from Google Docs...');
             this.app.showNotification('Starting Google Docs sync...', 'info');
             
-            const result = await this.app.syncFromGoogleDocs();
+            const result = await this.app.syncFromGoogleDocs(true);
             console.log('Google Docs sync result:', result);
             
             this.app.hideLoading();
             
-            if (result && result.success) {
-                this.app.showSuccess('Google Docs sync completed successfully!');
-            } else {
-                this.app.showError('Google Docs sync completed but no new data was found');
+            if (!result?.success) {
+                this.app.showError(`Google Docs sync failed: ${result?.error || 'no data received'}`);
             }
         } catch (error) {
             console.error('Google Docs sync error:', error);
@@ -195,26 +337,21 @@ class SettingsManager {
         }
     }
     
-    async simulateGoogleDocsSync() {
-        // Simulate Google Docs sync by using sample data
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                // Create sample chunks as if downloaded from Google Docs
-                const chunks = this.app.documentProcessor.createSampleChunks();
-                this.app.vectorDatabase.buildFromChunks(chunks);
-                this.app.state.documentsLoaded = true;
-                this.app.state.vectorDbReady = true;
-                this.app.updateUI();
-                resolve();
-            }, 2000);
-        });
-    }
-    
     loadSettings() {
         try {
             const saved = localStorage.getItem('gti_settings');
             if (saved) {
                 const parsed = JSON.parse(saved);
+                
+                // LLM keys and the GitHub token are server-side only now - drop any left over from
+                // older versions, and never let a cached provider status override the server's
+                delete parsed.apiKeys;
+                if (parsed.github) {
+                    delete parsed.github.token;
+                }
+                delete parsed.providers;
+                delete parsed.models;
+                
                 this.settings = { ...this.settings, ...parsed };
                 this.applySettings();
             }
@@ -228,10 +365,9 @@ class SettingsManager {
             // Save locally first
             localStorage.setItem('gti_settings', JSON.stringify(this.settings));
             
-            // Save globally if GitHub token is available
-            const githubToken = this.settings.apiKeys?.githubToken || this.settings.github?.token;
-            if (githubToken && this.app.globalConfig) {
-                await this.app.globalConfig.saveGlobalSettings(this.settings, githubToken);
+            // Save globally if this browser has the write token
+            if (this.app.globalConfig?.canWrite()) {
+                await this.app.globalConfig.saveGlobalSettings(this.settings);
                 console.log('Settings saved globally');
             }
         } catch (error) {
@@ -240,17 +376,45 @@ class SettingsManager {
     }
     
     applySettings() {
-        // Apply API keys
-        const openaiInput = document.getElementById('openaiKey');
-        const geminiInput = document.getElementById('geminiKey');
-        
-        if (openaiInput) openaiInput.value = this.settings.apiKeys.openai;
-        if (geminiInput) geminiInput.value = this.settings.apiKeys.gemini;
-        
         // Apply model selection
         const modelSelect = document.getElementById('modelSelect');
         if (modelSelect) modelSelect.value = this.settings.model;
         
+        // Apply retrieval fusion strategy
+        const fusionSelect = document.getElementById('fusionSelect');
+        const fusion = this.settings.retrieval?.fusion || 'weighted';
+        if (fusionSelect) fusionSelect.value = fusion;
+        this.app.retriever?.setFusion(fusion);
+        
+        // Apply keyword search tuning
+        const bm25 = this.settings.retrieval?.bm25 || { k1: 1.2, b: 0.75 };
+        const bm25K1 = document.getElementById('bm25K1');
+        const bm25B = document.getElementById('bm25B');
+        if (bm25K1) bm25K1.value = bm25.k1;
+        if (bm25B) bm25B.value = bm25.b;
+        this.app.retriever?.setBM25Parameters(bm25);
+        
+        // Apply reranking
+        const rerank = this.settings.retrieval?.rerank || { method: 'none', topK: 20 };
+        const rerankSelect = document.getElementById('rerankSelect');
+        const rerankTopK = document.getElementById('rerankTopK');
+        if (rerankSelect) rerankSelect.value = rerank.method;
+        if (rerankTopK) rerankTopK.value = rerank.topK;
+        this.app.retriever?.setReranker(ServerReranker.create(rerank.method), rerank.topK);
+        
+        // Apply chunk tag source
+        const tags = this.settings.retrieval?.tags || { source: 'regex', minConfidence: 0.6 };
+        const tagSourceSelect = document.getElementById('tagSourceSelect');
+        const tagConfidence = document.getElementById('tagConfidence');
+        if (tagSourceSelect) tagSourceSelect.value = tags.source;
+        if (tagConfidence) tagConfidence.value = tags.minConfidence;
+        this.app.retriever?.setTagSource(tags.source, tags.minConfidence);
+        
+        const synonyms = this.settings.retrieval?.synonyms || null;
+        const synonymsInput = document.getElementById('synonymsInput');
+        if (synonymsInput) synonymsInput.value = TextAnalyzer.formatSynonyms(synonyms || TextAnalyzer.DEFAULT_SYNONYMS);
+        this.app.retriever?.setSynonyms(synonyms);
+        
         // Apply temperature
         const tempSlider = document.getElementById('temperatureSlider');
         const tempValue = document.getElementById('temperatureValue');
@@ -266,10 +430,11 @@ class SettingsManager {
         
         // Apply GitHub settings
         const githubRepo = document.getElementById('githubRepo');
-        const githubToken = document.getElementById('githubToken');
-        
         if (githubRepo) githubRepo.value = this.settings.github.repo;
-        if (githubToken) githubToken.value = this.settings.github.token;
+        
+        const writeToken = document.getElementById('writeToken');
+        if (writeToken && this.app.globalConfig) writeToken.value = this.app.globalConfig.writeToken || '';
+
 
         // Apply system instructions
         const systemInstructions = document.getElementById('systemInstructions');
@@ -282,6 +447,284 @@ class SettingsManager {
         this.updateApiKeyStatus();
     }
     
+    /**
+     * Show the taxonomy in use in the editor
+     */
+    showTaxonomy() {
+        const taxonomy = this.app.taxonomy;
+        const taxonomyInput = document.getElementById('taxonomyInput');
+        const taxonomyStatus = document.getElementById('taxonomyStatus');
+        if (!taxonomy) return;
+        
+        if (taxonomyInput) taxonomyInput.value = Taxonomy.format(taxonomy.toJSON());
+        if (taxonomyStatus) taxonomyStatus.textContent = `In use: ${taxonomy.describe()}`;
+    }
+    
+    /**
+     * Validate the edited taxonomy, apply it to query analysis and share it through GitHub,
+     * where the next manual sync tags chunks with it
+     */
+    async saveTaxonomy() {
+        const taxonomyInput = document.getElementById('taxonomyInput');
+        if (!taxonomyInput) return;
+        
+        let data;
+        try {
+            data = JSON.parse(taxonomyInput.value);
+        } catch (error) {
+            this.app.showError(`Taxonomy is not valid JSON: ${error.message}`);
+            return;
+        }
+        
+        const errors = Taxonomy.validate(data);
+        if (errors.length > 0) {
+            this.app.showError(`Taxonomy not saved: ${errors.join('; ')}`);
+            return;
+        }
+        
+        this.app.setTaxonomy(new Taxonomy(data));
+        this.showTaxonomy();
+        
+        if (await this.app.globalConfig.saveTaxonomy(data)) {
+            this.app.showSuccess('Taxonomy saved. Questions use it now; chunks are re-tagged on the next manual sync.');
+        } else {
+            this.app.showError('Taxonomy applied in this browser only - saving it for everyone needs the write token (Settings → Configuration).');
+        }
+    }
+    
+    /**
+     * Per-source status (chunks, last sync, schedule) with a sync button each, and the editor
+     * @param {boolean} resetEditor - Also discard unsaved edits in the editor
+     */
+    showSources(resetEditor = false) {
+        const documentSources = this.app.documentSources;
+        const sourcesList = document.getElementById('sourcesList');
+        const sourcesInput = document.getElementById('sourcesInput');
+        if (!documentSources) return;
+        
+        if (sourcesInput && (resetEditor || !sourcesInput.value)) {
+            sourcesInput.value = DocumentSources.format(documentSources.toJSON());
+        }
+        if (!sourcesList) return;
+        
+        const counts = documentSources.countChunks(this.app.retriever?.chunks || []);
+        const escape = (text) => this.app.chatInterface?.escapeHtml(text) ?? String(text);
+        sourcesList.innerHTML = documentSources.sources.map(source => {
+            const status = documentSources.syncStatus[source.id] || {};
+            const schedule = source.syncMinutes ? `every ${source.syncMinutes} min` : 'manual sync';
+            const lastSync = status.lastSync ? new Date(status.lastSync).toLocaleString() : 'never synced';
+            return `
+                <div class="source-row">
+                    <div>
+                        <div>${escape(source.name)}</div>
+                        <div class="source-detail">${counts.get(source.id) || 0} chunks · ${escape(lastSync)} · ${schedule}${status.servedBy ? ` · via ${escape(status.servedBy)}` : ''}</div>
+                        ${status.revision ? `<div class="source-detail">Revision ${escape(DocumentSources.describeRevision(status.revision))}${status.unchanged ? ' · unchanged at the last check' : ''}</div>` : ''}
+                        ${status.restored ? `<div class="source-detail">⏪ Restored from ${escape(status.restored.snapshot)} on ${escape(new Date(status.restored.at).toLocaleString())}</div>` : ''}
+                        ${status.fallback ? `<div class="source-warning">⚠️ Stored copy: ${escape(status.fallback.message)}</div>` : ''}
+                        ${status.error ? `<div class="source-error">Last attempt failed: ${escape(status.error)}</div>` : ''}
+                        ${status.failures ? `
+                            <details class="source-failures">
+                                <summary>Download attempts that failed (${status.failures.length})</summary>
+                                <ul>${status.failures.map(failure => `<li>${escape(failure)}</li>`).join('')}</ul>
+                            </details>
+                        ` : ''}
+                    </div>
+                    <button class="btn" data-sync-source="${escape(source.id)}">☁️ Sync</button>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Validate the edited sources and share them through GitHub. New sources get their
+     * chunks on their first sync.
+     */
+    async saveSources() {
+        const sourcesInput = document.getElementById('sourcesInput');
+        if (!sourcesInput) return;
+        
+        let data;
+        try {
+            data = JSON.parse(sourcesInput.value);
+        } catch (error) {
+            this.app.showError(`Document sources are not valid JSON: ${error.message}`);
+            return;
+        }
+        
+        const errors = DocumentSources.validate(data);
+        if (errors.length > 0) {
+            this.app.showError(`Document sources not saved: ${errors.join('; ')}`);
+            return;
+        }
+        
+        this.app.setDocumentSources(new DocumentSources(data));
+        this.app.startSyncSchedule();
+        this.showSources(true);
+        
+        if (await this.app.globalConfig.saveSources(data)) {
+            this.app.showSuccess('Document sources saved. Sync a new source to add its chunks.');
+        } else {
+            this.app.showError('Document sources applied in this browser only - saving them for everyone needs the write token (Settings → Configuration).');
+        }
+    }
+    
+    async loadSnapshots() {
+        const status = document.getElementById('snapshotStatus');
+        try {
+            if (status) status.textContent = 'Loading snapshots...';
+            await this.app.snapshotManager.list();
+            this.showSnapshots();
+        } catch (error) {
+            console.error('Failed to load snapshots:', error);
+            if (status) status.textContent = `Snapshots could not be loaded: ${error.message}`;
+        }
+    }
+    
+    /**
+     * One row per snapshot - chunk counts and source revisions, a checkbox to compare it and a
+     * promote button - plus a row for the live data set to compare against
+     */
+    showSnapshots() {
+        const snapshots = this.app.snapshotManager?.snapshots;
+        const snapshotsList = document.getElementById('snapshotsList');
+        const status = document.getElementById('snapshotStatus');
+        if (!snapshots || !snapshotsList) return;
+        
+        const escape = (text) => this.app.chatInterface?.escapeHtml(text) ?? String(text);
+        const describeSources = (sources) => Object.values(sources)
+            .map(source => `${source.name}: ${source.chunkCount} chunks${source.revision ? ` · revision ${DocumentSources.describeRevision(source.revision)}` : ''}`);
+        const row = (id, title, details, promote) => `
+            <div class="snapshot-row">
+                <input type="checkbox" data-compare-snapshot="${escape(id)}">
+                <div class="snapshot-info">
+                    <div>${escape(title)}</div>
+                    ${details.map(detail => `<div class="snapshot-detail">${escape(detail)}</div>`).join('')}
+                </div>
+                ${promote ? `<button class="btn" data-promote-snapshot="${escape(id)}">⏪ Promote</button>` : ''}
+            </div>
+        `;
+        
+        const live = this.app.retriever?.chunks || [];
+        const liveSources = this.app.snapshotManager.summarize(SnapshotManager.LIVE, { chunks: live, metadata: { sources: this.app.documentSources.syncStatus } }).sources;
+        snapshotsList.innerHTML = row(SnapshotManager.LIVE, 'Live data set', [`${live.length} chunks`, ...describeSources(liveSources)], false) +
+            snapshots.map(snapshot => row(
+                snapshot.id,
+                new Date(snapshot.createdAt).toLocaleString(),
+                [`${snapshot.chunkCount} chunks${snapshot.reason ? ` · ${snapshot.reason}` : ''}`, ...describeSources(snapshot.sources)],
+                true
+            )).join('');
+        
+        if (status) {
+            status.textContent = snapshots.length === 0
+                ? 'No snapshots yet.'
+                : `${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} in GitHub (backups/). Tick two to compare them.`;
+        }
+    }
+    
+    async createSnapshot() {
+        try {
+            this.app.showLoading('Creating snapshot...');
+            const snapshot = await this.app.snapshotManager.create();
+            if (this.app.snapshotManager.snapshots) {
+                this.showSnapshots();
+            } else {
+                await this.loadSnapshots();
+            }
+            this.app.showSuccess(`Snapshot ${snapshot.id} created (${snapshot.chunkCount} chunks)`);
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+            this.app.showError(`Snapshot failed: ${error.message}`);
+        } finally {
+            this.app.hideLoading();
+        }
+    }
+    
+    async compareSnapshots() {
+        const selected = [...document.querySelectorAll('#snapshotsList input[data-compare-snapshot]:checked')]
+            .map(input => input.dataset.compareSnapshot);
+        if (selected.length !== 2) {
+            this.app.showError('Tick two snapshots (or one and the live data set) to compare');
+            return;
+        }
+        
+        // Older first, so the diff reads as what happened since
+        const createdAt = (id) => id === SnapshotManager.LIVE
+            ? Infinity
+            : new Date(this.app.snapshotManager.snapshots.find(snapshot => snapshot.id === id)?.createdAt).getTime();
+        const [fromId, toId] = selected.sort((a, b) => createdAt(a) - createdAt(b));
+        
+        try {
+            this.app.showLoading('Comparing snapshots...');
+            this.showSnapshotDiff(await this.app.snapshotManager.diff(fromId, toId));
+        } catch (error) {
+            console.error('Snapshot comparison failed:', error);
+            this.app.showError(`Comparison failed: ${error.message}`);
+        } finally {
+            this.app.hideLoading();
+        }
+    }
+    
+    /**
+     * Per-source chunk counts and revisions, chunk totals and the changed SOP sections
+     */
+    showSnapshotDiff(diff) {
+        const panel = document.getElementById('snapshotDiff');
+        if (!panel) return;
+        
+        const escape = (text) => this.app.chatInterface?.escapeHtml(text) ?? String(text);
+        const label = (summary) => summary.id === SnapshotManager.LIVE ? 'live data set' : summary.id;
+        const describe = (source) => source
+            ? `${source.chunkCount} chunks${source.revision ? ` (${DocumentSources.describeRevision(source.revision)})` : ''}`
+            : 'none';
+        const statusLabels = { added: 'new', modified: 'updated', removed: 'removed' };
+        const sourceLabels = { added: 'new source', removed: 'source removed', revision: 'other revision', count: 'same revision, re-chunked', same: 'same' };
+        
+        panel.innerHTML = `
+            <div><strong>${escape(label(diff.from))}</strong> → <strong>${escape(label(diff.to))}</strong></div>
+            <ul>
+                ${diff.sources.map(source => `
+                    <li>${escape(source.name)}: ${escape(describe(source.before))} → ${escape(describe(source.after))} · ${sourceLabels[source.status]}</li>
+                `).join('')}
+            </ul>
+            <div>Chunks: ${diff.chunks.added.length} added, ${diff.chunks.changed.length} changed, ${diff.chunks.removed.length} removed, ${diff.chunks.unchanged} unchanged</div>
+            <div>Sections: ${diff.sections.length} changed, ${diff.unchangedSections} unchanged</div>
+            <ul>
+                ${diff.sections.map(section => `
+                    <li>
+                        ${escape(section.heading.join(' › '))}
+                        <span class="changes-badge ${section.status}">${statusLabels[section.status]}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        panel.classList.remove('hidden');
+    }
+    
+    async promoteSnapshot(id) {
+        const snapshot = this.app.snapshotManager.snapshots?.find(candidate => candidate.id === id);
+        if (!snapshot) return;
+        
+        const when = new Date(snapshot.createdAt).toLocaleString();
+        if (!confirm(`Make the snapshot of ${when} (${snapshot.chunkCount} chunks) the live data set for everyone? ` +
+            'The current data set is snapshotted first. A sync of a document that has changed since the snapshot replaces its restored chunks.')) {
+            return;
+        }
+        
+        try {
+            this.app.showLoading(`Restoring ${id}...`);
+            const result = await this.app.snapshotManager.promote(id);
+            this.showSnapshots();
+            this.app.showSuccess(`Restored the snapshot of ${when}. ` +
+                this.app.formatSyncChanges(result.changes) +
+                (result.backup ? ` The replaced data set is ${result.backup.id}.` : ''));
+        } catch (error) {
+            console.error('Snapshot restore failed:', error);
+            this.app.showError(`Restore failed: ${error.message}`);
+        } finally {
+            this.app.hideLoading();
+        }
+    }
+    
     updateDisplayOptions() {
         const suggestedQuestions = document.getElementById('suggestedQuestions');
         if (suggestedQuestions) {
@@ -290,38 +733,63 @@ class SettingsManager {
     }
     
     updateApiKeyStatus() {
-        const hasOpenAI = this.settings.apiKeys.openai.length > 0;
-        const hasGemini = this.settings.apiKeys.gemini.length > 0;
+        const providers = this.settings.providers || {};
+        const models = this.settings.models || [];
         
-        this.app.state.apiKeysConfigured = hasOpenAI || hasGemini;
+        this.app.state.apiKeysConfigured = Object.values(providers).some(Boolean);
         
-        // Update model dropdown based on available keys
-        const modelSelect = document.getElementById('modelSelect');
-        if (modelSelect) {
-            const options = modelSelect.querySelectorAll('option');
-            options.forEach(option => {
-                const value = option.value;
-                if (value.startsWith('gpt') && !hasOpenAI) {
-                    option.disabled = true;
-                    option.textContent += ' (API key required)';
-                } else if (value.startsWith('gemini') && !hasGemini) {
-                    option.disabled = true;
-                    option.textContent += ' (API key required)';
-                } else {
-                    option.disabled = false;
-                    option.textContent = option.textContent.replace(' (API key required)', '');
-                }
-            });
+        const providerStatus = document.getElementById('providerStatus');
+        if (providerStatus) {
+            const labels = new Map(models.map(model => [model.provider, model.providerLabel]));
+            const status = Object.entries(providers)
+                .map(([id, configured]) => `${labels.get(id) || id}: ${configured ? 'configured' : 'not configured'}`);
+            providerStatus.textContent = status.length ? status.join(' · ') : 'No AI providers reported by the server';
         }
+        
+        this.populateModelSelect();
     }
     
-    getApiKey(provider) {
-        if (provider === 'openai') {
-            return this.settings.apiKeys.openai;
-        } else if (provider === 'gemini') {
-            return this.settings.apiKeys.gemini;
+    /**
+     * Fill #modelSelect from the server's model registry, grouped by provider.
+     * Models whose provider has no credentials are listed but disabled.
+     */
+    populateModelSelect() {
+        const modelSelect = document.getElementById('modelSelect');
+        const models = this.settings.models || [];
+        if (!modelSelect || models.length === 0) return;
+        
+        modelSelect.innerHTML = '';
+        const groups = new Map();
+        models.forEach(model => {
+            if (!groups.has(model.provider)) {
+                const group = document.createElement('optgroup');
+                group.label = model.providerLabel;
+                groups.set(model.provider, group);
+                modelSelect.appendChild(group);
+            }
+            
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.disabled = !model.configured;
+            option.textContent = model.configured ? model.label : `${model.label} (not configured on server)`;
+            groups.get(model.provider).appendChild(option);
+        });
+        
+        // Keep the current model if it is usable, otherwise fall back to the first one that is
+        const current = this.app.state.currentModel || this.settings.model;
+        const selected = models.find(model => model.id === current && model.configured) ||
+            models.find(model => model.configured);
+        
+        if (selected) {
+            modelSelect.value = selected.id;
+            this.settings.model = selected.id;
+            this.app.state.currentModel = selected.id;
         }
-        return null;
+    }
+
+    
+    isProviderAvailable(provider) {
+        return !!this.settings.providers?.[provider];
     }
     
     getCurrentModel() {
@@ -334,8 +802,7 @@ class SettingsManager {
     
     getGitHubConfig() {
         return {
-            repo: this.settings.github.repo,
-            token: this.settings.github.token
+            repo: this.settings.github.repo
         };
     }
     
@@ -343,14 +810,9 @@ class SettingsManager {
     exportSettings() {
         const exportData = {
             ...this.settings,
-            // Don't export sensitive data
-            apiKeys: {
-                openai: this.settings.apiKeys.openai ? '[CONFIGURED]' : '',
-                gemini: this.settings.apiKeys.gemini ? '[CONFIGURED]' : ''
-            },
+            // Tokens never live in settings - the write token stays in this browser's storage
             github: {
-                repo: this.settings.github.repo,
-                token: this.settings.github.token ? '[CONFIGURED]' : ''
+                repo: this.settings.github.repo
             }
         };
         
@@ -408,15 +870,23 @@ class SettingsManager {
             localStorage.removeItem('gti_settings');
             
             this.settings = {
-                apiKeys: { openai: '', gemini: '' },
+                providers: this.settings.providers,
+                models: this.settings.models,
                 model: 'gemini-2.0',
                 temperature: 0.1,
+                retrieval: {
+                    fusion: 'weighted',
+                    bm25: { k1: 1.2, b: 0.75 },
+                    synonyms: null,
+                    rerank: { method: 'none', topK: 20 },
+                    tags: { source: 'regex', minConfidence: 0.6 }
+                },
                 displayOptions: {
                     showSuggestedQuestions: true,
                     showChunkRelevance: true
                 },
-                github: { repo: '', token: '' },
-                googleDocs: { serviceAccount: null, docId: '' }
+                github: { repo: '' },
+                googleDocs: { docId: '' }
             };
             
             this.applySettings();
@@ -458,15 +928,25 @@ class SettingsManager {
         }
     }
 
+    // LLM tags with their confidence; dashed when the regex tags don't have them
+    formatLLMTags(metadata) {
+        return ['states', 'sections', 'topics'].flatMap(key =>
+            Object.entries(metadata.llm_tags[key] || {}).map(([id, confidence]) => {
+                const isNew = !(metadata[key] || []).includes(id);
+                return `<span class="tag llm${isNew ? ' new' : ''}">${id} ${confidence}</span>`;
+            })
+        ).join('') || 'no tags';
+    }
+    
     viewVectorDatabase() {
         try {
-            if (!this.app.vectorDatabase || !this.app.vectorDatabase.chunks) {
+            if (!this.app.retriever || !this.app.retriever.chunks) {
                 this.app.showError('Vector database not initialized');
                 return;
             }
 
-            const stats = this.app.vectorDatabase.getStats();
-            const chunks = this.app.vectorDatabase.chunks;
+            const stats = this.app.retriever.getStats();
+            const chunks = this.app.retriever.chunks;
             
             const dbWindow = window.open('', '_blank');
             dbWindow.document.write(`
@@ -479,6 +959,8 @@ class SettingsManager {
                             .chunk { background: #374151; padding: 15px; margin-bottom: 15px; border-radius: 8px; }
                             .metadata { background: #4b5563; padding: 10px; border-radius: 6px; margin-top: 10px; }
                             .tag { background: #60a5fa; color: white; padding: 2px 8px; border-radius: 4px; margin: 2px; display: inline-block; font-size: 12px; }
+                            .tag.llm { background: #059669; }
+                            .tag.llm.new { outline: 1px dashed #fbbf24; }
                         </style>
                     </head>
                     <body>
@@ -487,6 +969,7 @@ class SettingsManager {
                             <p>Total Chunks: ${stats.totalChunks}</p>
                             <p>Vocabulary Size: ${stats.vocabularySize}</p>
                             <p>Image Chunks: ${stats.imageChunks}</p>
+                            <p>LLM-tagged Chunks: ${stats.llmTaggedChunks} (search uses ${stats.tagSource} tags)</p>
                             <p>Status: ${stats.isReady ? '✅ Ready' : '❌ Not Ready'}</p>
                         </div>
                         <h2>📚 Chunks</h2>
@@ -499,6 +982,7 @@ class SettingsManager {
                                     ${chunk.metadata.states ? chunk.metadata.states.map(s => `<span class="tag">${s}</span>`).join('') : ''}
                                     ${chunk.metadata.sections ? chunk.metadata.sections.map(s => `<span class="tag">${s}</span>`).join('') : ''}
                                     ${chunk.metadata.topics ? chunk.metadata.topics.map(t => `<span class="tag">${t}</span>`).join('') : ''}
+                                    ${chunk.metadata.llm_tags ? `<br>LLM (${chunk.metadata.llm_tags.model}): ${this.formatLLMTags(chunk.metadata)}` : ''}
                                     <br>Images: ${chunk.images?.length || 0} | Words: ${chunk.metadata.word_count || 0}
                                 </div>
                             </div>
@@ -555,9 +1039,8 @@ class SettingsManager {
                 this.app.state.vectorDbReady = false;
                 
                 // Clear vector database
-                if (this.app.vectorDatabase) {
-                    this.app.vectorDatabase.chunks = [];
-                    this.app.vectorDatabase.isReady = false;
+                if (this.app.retriever) {
+                    this.app.retriever.reset();
                 }
                 
                 // Clear chat interface
@@ -0,0 +1,348 @@
+/**
+ * Snapshot Manager - Versioned copies of the knowledge base, with rollback
+ * A snapshot is the live chunk set (data/semantic_chunks.json) with its vectors and per-source
+ * sync status, stored in GitHub as backups/backup-<timestamp>/backup.json - the layout
+ * GitHubIntegration.createBackup always wrote. backups/index.json keeps a summary of each one
+ * (chunk counts and source revisions), so Settings → Snapshots lists them without downloading
+ * every backup; backups made before the index are summarised once and added to it.
+ *
+ * Any snapshot can be compared with another (or with the live data set) and promoted back to
+ * semantic_chunks.json. Promoting snapshots the live set first, so a rollback can be undone.
+ *
+ * Summary shape:
+ *   { id: 'backup-2026-10-19T08-30-00-000Z', path, createdAt, reason, chunkCount,
+ *     sources: { [source id]: { name, chunkCount, revision: { id, modifiedTime } | null } } }
+ */
+
+class SnapshotManager {
+    constructor(app) {
+        this.app = app;
+        this.directory = 'backups';
+        this.indexPath = `${this.directory}/index.json`;
+        this.snapshots = null; // Summaries from the last list(), newest first
+        this.cache = new Map(); // id -> backup.json; snapshots never change once written
+        this.cacheSize = 2;
+    }
+
+    static get LIVE() {
+        return 'live';
+    }
+
+    /**
+     * Every snapshot in GitHub, newest first
+     * @returns {Promise<Array>} Summaries
+     */
+    async list() {
+        const [ids, index] = await Promise.all([this.listDirectory(), this.loadIndex()]);
+        const summaries = new Map(index.map(summary => [summary.id, summary]));
+
+        // Backups written before the index existed
+        const missing = ids.filter(id => !summaries.has(id));
+        for (const id of missing) {
+            try {
+                summaries.set(id, this.summarize(id, await this.load(id)));
+            } catch (error) {
+                console.warn(`Could not read snapshot ${id}:`, error.message);
+            }
+        }
+
+        this.snapshots = ids
+            .map(id => summaries.get(id))
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        if (missing.length > 0 && this.app.globalConfig.canWrite()) {
+            await this.saveIndex(this.snapshots).catch(error => {
+                console.warn('Failed to update the snapshot index:', error.message);
+            });
+        }
+        return this.snapshots;
+    }
+
+    /**
+     * Snapshot the live data set
+     * @param {string} reason - Shown in the list ("Manual snapshot", "Before restoring backup-...")
+     * @returns {Promise<Object>} The new snapshot's summary
+     */
+    async create(reason = 'Manual snapshot') {
+        this.requireWriteAccess();
+        const chunks = await this.liveChunks();
+        if (chunks.length === 0) {
+            throw new Error('There is no data set to snapshot yet');
+        }
+
+        const createdAt = new Date().toISOString();
+        const id = `backup-${createdAt.replace(/[:.]/g, '-')}`;
+        const backup = {
+            timestamp: createdAt,
+            reason,
+            chunks,
+            vectorDb: this.app.retriever?.isReady ? this.app.retriever.exportData() : null,
+            metadata: { sources: this.app.documentSources.syncStatus },
+            settings: this.shareableSettings(),
+            version: '1.0'
+        };
+        const summary = this.summarize(id, backup);
+
+        // Compact JSON - the vectors make a pretty-printed snapshot several times larger
+        await this.app.globalConfig.uploadFileToGitHub(
+            summary.path,
+            JSON.stringify(backup),
+            `Create knowledge base snapshot ${id} (${reason})`
+        );
+        this.remember(id, backup);
+
+        const snapshots = [summary, ...(this.snapshots || await this.loadIndex()).filter(snapshot => snapshot.id !== id)];
+        await this.saveIndex(snapshots);
+        if (this.snapshots) {
+            this.snapshots = snapshots;
+        }
+
+        console.log(`📸 Snapshot ${id}: ${summary.chunkCount} chunks (${reason})`);
+        return summary;
+    }
+
+    /**
+     * What changed from one snapshot to another; either may be SnapshotManager.LIVE
+     * @returns {Promise<Object>} { from, to, sources: [{ id, name, status, before, after }],
+     *   chunks: { added, changed, removed: [chunk_id], unchanged }, sections, unchangedSections }
+     *   status is 'added', 'removed', 'revision' (another document revision), 'count' (same
+     *   revision, different chunks) or 'same'
+     */
+    async diff(fromId, toId) {
+        const [from, to] = await Promise.all([this.dataSet(fromId), this.dataSet(toId)]);
+        const ids = [...new Set([...Object.keys(from.summary.sources), ...Object.keys(to.summary.sources)])];
+
+        const sources = ids.map(id => {
+            const before = from.summary.sources[id] || null;
+            const after = to.summary.sources[id] || null;
+            let status = 'same';
+            if (!before) status = 'added';
+            else if (!after) status = 'removed';
+            else if ((before.revision?.id || null) !== (after.revision?.id || null)) status = 'revision';
+            else if (before.chunkCount !== after.chunkCount) status = 'count';
+            return { id, name: (after || before).name, status, before, after };
+        });
+
+        const [previous, next] = await Promise.all([SnapshotManager.manifest(from.chunks), SnapshotManager.manifest(to.chunks)]);
+        const digest = this.app.changeDigest.diff(from.chunks, to.chunks);
+
+        return {
+            from: from.summary,
+            to: to.summary,
+            sources,
+            chunks: Retriever.diffManifests(previous, next),
+            sections: digest.sections,
+            unchangedSections: digest.unchangedSections
+        };
+    }
+
+    /**
+     * Make a snapshot the live data set: semantic_chunks.json, its vectors and each source's
+     * sync status (with the revision its restored chunks came from, so the next revision-aware
+     * sync downloads again if the document has moved on since)
+     * @returns {Promise<Object>} { snapshot, backup (snapshot of the replaced set, if any), changes, digest }
+     */
+    async promote(id) {
+        this.requireWriteAccess();
+        const snapshot = await this.load(id);
+        const summary = this.summarize(id, snapshot);
+        const documentSources = this.app.documentSources;
+
+        const previousChunks = await this.liveChunks();
+        const backup = previousChunks.length > 0 ? await this.create(`Before restoring ${id}`) : null;
+
+        // Sources with chunks on either side - a source missing from the snapshot loses its chunks
+        const chunks = documentSources.adopt(snapshot.chunks);
+        const previousCounts = documentSources.countChunks(previousChunks);
+        const sourceIds = new Set([...[...previousCounts].filter(([, count]) => count > 0).map(([sourceId]) => sourceId), ...Object.keys(summary.sources)]);
+        const previousStatus = { ...documentSources.syncStatus };
+        for (const sourceId of sourceIds) {
+            const source = summary.sources[sourceId];
+            documentSources.markRestored(sourceId, {
+                snapshot: id,
+                chunkCount: source?.chunkCount || 0,
+                revision: source?.revision || null
+            });
+        }
+
+        // GitHub first: if it fails, this browser keeps the data set everyone else has
+        const metadata = {
+            sources: documentSources.syncStatus,
+            restoredFrom: { snapshot: id, createdAt: summary.createdAt, at: new Date().toISOString() }
+        };
+        if (!await this.app.globalConfig.saveGlobalData(chunks, metadata)) {
+            documentSources.setSyncStatus(previousStatus);
+            throw new Error(`Restoring ${id} failed - it could not be saved to GitHub`);
+        }
+
+        const changes = await this.app.retriever.sync(chunks, snapshot.vectorDb || await this.app.globalConfig.loadEmbeddingIndex());
+        this.app.state.documentsLoaded = true;
+        this.app.state.vectorDbReady = true;
+        localStorage.setItem('gti_chunks', JSON.stringify(chunks));
+        localStorage.setItem('gti_last_update', metadata.restoredFrom.at);
+        await this.app.globalConfig.saveEmbeddingIndex(this.app.retriever.exportData());
+
+        const digest = await this.app.changeDigest.record(previousChunks, chunks);
+        this.app.updateUI();
+
+        console.log(`⏪ Restored ${id}: ${chunks.length} chunks`);
+        return { snapshot: summary, backup, changes, digest };
+    }
+
+    /**
+     * Counts and source revisions of a backup.json, for the index
+     */
+    summarize(id, backup) {
+        const documentSources = this.app.documentSources;
+        const chunks = backup.chunks || [];
+        const sources = {};
+
+        for (const chunk of chunks) {
+            const sourceId = documentSources.sourceOf(chunk);
+            if (!sources[sourceId]) {
+                sources[sourceId] = { name: documentSources.name(sourceId), chunkCount: 0, revision: null };
+            }
+            sources[sourceId].chunkCount++;
+            sources[sourceId].revision = sources[sourceId].revision || chunk.source_revision || null;
+        }
+        // Chunks synced before revisions were stamped on them
+        for (const [sourceId, source] of Object.entries(sources)) {
+            source.revision = source.revision || backup.metadata?.sources?.[sourceId]?.revision || null;
+        }
+
+        return {
+            id,
+            path: `${this.directory}/${id}/backup.json`,
+            createdAt: backup.timestamp,
+            reason: backup.reason || null,
+            chunkCount: chunks.length,
+            sources
+        };
+    }
+
+    // The backup.json of a snapshot, or the live data set for SnapshotManager.LIVE
+    async dataSet(id) {
+        if (id === SnapshotManager.LIVE) {
+            const backup = {
+                timestamp: new Date().toISOString(),
+                reason: 'Live data set',
+                chunks: await this.liveChunks(),
+                metadata: { sources: this.app.documentSources.syncStatus }
+            };
+            return { chunks: backup.chunks, summary: this.summarize(id, backup) };
+        }
+
+        const backup = await this.load(id);
+        return { chunks: this.app.documentSources.adopt(backup.chunks || []), summary: this.summarize(id, backup) };
+    }
+
+    async liveChunks() {
+        if (this.app.retriever?.isReady) {
+            return this.app.retriever.chunks;
+        }
+        return this.app.documentSources.adopt((await this.app.globalConfig.loadGlobalData())?.chunks || []);
+    }
+
+    async load(id) {
+        if (this.cache.has(id)) {
+            return this.cache.get(id);
+        }
+
+        const response = await this.request(`${this.directory}/${id}/backup.json`);
+        if (!response.ok) {
+            throw new Error(`Snapshot ${id} could not be downloaded (${response.status})`);
+        }
+        const backup = await response.json();
+        if (!Array.isArray(backup.chunks)) {
+            throw new Error(`Snapshot ${id} has no chunks`);
+        }
+        this.remember(id, backup);
+        return backup;
+    }
+
+    remember(id, backup) {
+        this.cache.delete(id);
+        this.cache.set(id, backup);
+        while (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+
+    // Snapshot IDs - the backup-<timestamp> folders under backups/
+    async listDirectory() {
+        const response = await this.request(this.directory, 'application/vnd.github.v3+json');
+        if (response.status === 404) {
+            return [];
+        }
+        if (!response.ok) {
+            throw new Error(`Snapshots could not be listed (${response.status})`);
+        }
+        const entries = await response.json();
+        return entries
+            .filter(entry => entry.type === 'dir' && entry.name.startsWith('backup-'))
+            .map(entry => entry.name);
+    }
+
+    async loadIndex() {
+        try {
+            const response = await this.request(this.indexPath);
+            if (response.ok) {
+                return (await response.json()).snapshots || [];
+            }
+        } catch (error) {
+            console.warn('Failed to load the snapshot index:', error.message);
+        }
+        return [];
+    }
+
+    async saveIndex(snapshots) {
+        await this.app.globalConfig.uploadFileToGitHub(
+            this.indexPath,
+            JSON.stringify({ updatedAt: new Date().toISOString(), snapshots }, null, 2),
+            `Update knowledge base snapshot index (${snapshots.length} snapshots)`
+        );
+    }
+
+    /**
+     * GET a file from the repo's contents API - raw by default, since snapshots are usually
+     * over the 1 MB limit for base64 contents
+     */
+    request(path, accept = 'application/vnd.github.v3.raw') {
+        return this.app.globalConfig.fetchWithRetry(
+            `https://api.github.com/repos/${this.app.globalConfig.githubRepo}/contents/${path}`,
+            { headers: { 'Accept': accept }, cache: 'no-store' }
+        );
+    }
+
+    requireWriteAccess() {
+        if (!this.app.globalConfig.canWrite()) {
+            throw new Error('Snapshots are stored in GitHub - creating or restoring one needs the write token (Settings → Configuration)');
+        }
+    }
+
+    // Settings as they were, minus the tokens - snapshots are committed to the repo
+    shareableSettings() {
+        const { apiKeys, ...settings } = this.app.settingsManager?.settings || {};
+        return {
+            ...settings,
+            github: settings.github ? { ...settings.github, token: undefined } : undefined
+        };
+    }
+
+    // chunk_id -> content_hash, for Retriever.diffManifests
+    static async manifest(chunks) {
+        return Object.fromEntries(await Promise.all(chunks.map(async chunk =>
+            [chunk.chunk_id, chunk.content_hash || await SemanticScorer.contentHash(chunk)])));
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotManager;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.SnapshotManager = SnapshotManager;
+}
@@ -0,0 +1,181 @@
+/**
+ * Taxonomy - States, order types and topics from config/taxonomy.json
+ * The one definition shared by query analysis (QueryIntelligence), the browser document
+ * processor and server ingestion (api/_lib/taxonomy.js), so a chunk is tagged with the same
+ * values a question about it is analysed into. Editable in Settings → Taxonomy.
+ *
+ * Shape:
+ *   states:     [{ code: 'OH', name: 'Ohio', aliases: ['oh'], matchCode: true }]
+ *               name and aliases match case-insensitively as whole words; the code only
+ *               in capitals, and not at all with matchCode: false (IN, OR, ME are words)
+ *   orderTypes: [{ id: 'RISE', patterns: ['\\brise\\b'], inQueries: true }]
+ *               stored as a chunk's metadata.sections; inQueries: false tags chunks only
+ *   topics:     [{ id: 'PRICING', patterns: ['price', 'discount'] }]
+ * Patterns are case-insensitive regular expressions.
+ */
+
+class Taxonomy {
+    constructor(data = {}) {
+        const errors = Taxonomy.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid taxonomy: ${errors.join('; ')}`);
+        }
+
+        this.data = data;
+        this.states = (data.states || []).map(state => ({
+            code: state.code,
+            name: state.name,
+            namePattern: Taxonomy.wordPattern([state.name, ...(state.aliases || [])]),
+            codePattern: state.matchCode === false ? null : new RegExp(`\\b${state.code}\\b`)
+        }));
+        this.orderTypes = (data.orderTypes || []).map(orderType => ({
+            id: orderType.id,
+            inQueries: orderType.inQueries !== false,
+            patterns: orderType.patterns.map(pattern => new RegExp(pattern, 'i'))
+        }));
+        this.topics = (data.topics || []).map(topic => ({
+            id: topic.id,
+            patterns: topic.patterns.map(pattern => new RegExp(pattern, 'i'))
+        }));
+    }
+
+    /**
+     * Problems that would stop the taxonomy from loading, as readable messages
+     * (an empty list means it is valid)
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return ['taxonomy must be a JSON object'];
+        }
+
+        const errors = [];
+        const checkList = (key, check) => {
+            if (data[key] === undefined) return;
+            if (!Array.isArray(data[key])) {
+                errors.push(`${key} must be an array`);
+                return;
+            }
+            const seen = new Set();
+            data[key].forEach((entry, index) => {
+                const id = key === 'states' ? entry?.code : entry?.id;
+                if (seen.has(id)) errors.push(`${key}: ${id} is listed twice`);
+                seen.add(id);
+                check(entry || {}, `${key}[${index}]`);
+            });
+        };
+        const checkPatterns = (entry, where) => {
+            if (!Array.isArray(entry.patterns) || entry.patterns.length === 0) {
+                errors.push(`${where} needs a non-empty patterns array`);
+                return;
+            }
+            for (const pattern of entry.patterns) {
+                try {
+                    new RegExp(pattern, 'i');
+                } catch (error) {
+                    errors.push(`${where}: bad pattern ${JSON.stringify(pattern)} (${error.message})`);
+                }
+            }
+        };
+
+        checkList('states', (state, where) => {
+            if (typeof state.code !== 'string' || !/^[A-Z]{2}$/.test(state.code)) errors.push(`${where} needs a two-letter code like "OH"`);
+            if (typeof state.name !== 'string' || !state.name.trim()) errors.push(`${where} needs a name`);
+            if (state.aliases !== undefined && !(Array.isArray(state.aliases) && state.aliases.every(alias => typeof alias === 'string' && alias.trim()))) {
+                errors.push(`${where}: aliases must be a list of words`);
+            }
+        });
+        checkList('orderTypes', (orderType, where) => {
+            if (typeof orderType.id !== 'string' || !orderType.id) errors.push(`${where} needs an id`);
+            checkPatterns(orderType, where);
+        });
+        checkList('topics', (topic, where) => {
+            if (typeof topic.id !== 'string' || !topic.id) errors.push(`${where} needs an id`);
+            checkPatterns(topic, where);
+        });
+
+        return errors;
+    }
+
+    // Whole-word, case-insensitive match of any phrase ("new jersey" also matches "New  Jersey")
+    static wordPattern(phrases) {
+        const alternatives = phrases
+            .map(phrase => phrase.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+            .join('|');
+        return new RegExp(`\\b(?:${alternatives})\\b`, 'i');
+    }
+
+    /**
+     * All states mentioned in the text, in taxonomy order
+     */
+    matchStates(text) {
+        return this.states
+            .filter(state => state.namePattern.test(text) || state.codePattern?.test(text))
+            .map(state => state.code);
+    }
+
+    /**
+     * Order types (chunk sections) mentioned in the text
+     * @param {boolean} queriesOnly - skip the ones marked inQueries: false
+     */
+    matchOrderTypes(text, queriesOnly = false) {
+        return this.orderTypes
+            .filter(orderType => !queriesOnly || orderType.inQueries)
+            .filter(orderType => orderType.patterns.some(pattern => pattern.test(text)))
+            .map(orderType => orderType.id);
+    }
+
+    matchTopics(text) {
+        return this.topics
+            .filter(topic => topic.patterns.some(pattern => pattern.test(text)))
+            .map(topic => topic.id);
+    }
+
+    /**
+     * Ingestion tags for a chunk: { states, sections, topics }
+     */
+    extractMetadata(text) {
+        return {
+            states: this.matchStates(text),
+            sections: this.matchOrderTypes(text),
+            topics: this.matchTopics(text)
+        };
+    }
+
+    /**
+     * JSON text with one state / order type / topic per line - the layout of
+     * config/taxonomy.json, kept when the settings editor saves it
+     */
+    static format(data) {
+        const inline = (value) => {
+            if (Array.isArray(value)) return `[${value.map(inline).join(', ')}]`;
+            if (value && typeof value === 'object') {
+                return `{${Object.entries(value).map(([key, entry]) => `${JSON.stringify(key)}: ${inline(entry)}`).join(', ')}}`;
+            }
+            return JSON.stringify(value);
+        };
+
+        const fields = Object.entries(data).map(([key, value]) => Array.isArray(value) && value.length > 0
+            ? `  ${JSON.stringify(key)}: [\n${value.map(entry => `    ${inline(entry)}`).join(',\n')}\n  ]`
+            : `  ${JSON.stringify(key)}: ${inline(value)}`);
+
+        return `{\n${fields.join(',\n')}\n}\n`;
+    }
+
+    describe() {
+        return `${this.states.length} states, ${this.orderTypes.length} order types, ${this.topics.length} topics`;
+    }
+
+    toJSON() {
+        return this.data;
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Taxonomy;
+}
+
+// Make available globally for browser use
+if (typeof window !== 'undefined') {
+    window.Taxonomy = Taxonomy;
+}
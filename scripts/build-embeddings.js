@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+/**
+ * Build Embeddings - Creates the dense vector index used by semantic search
+ * Embeds every chunk in semantic_chunks.json and writes semantic_embeddings.json
+ * next to it. The browser loads that file with the chunks and embeds queries with
+ * the same provider/model, so both sides share one vector space.
+ *
+ * Vectors are keyed by chunk content hash, with a { chunk_id: content_hash } manifest.
+ * An existing output file built with the same model is reused: only added or changed
+ * chunks are embedded, and vectors of deleted chunks are dropped.
+ *
+ * Usage:
+ *   node scripts/build-embeddings.js [openai|gemini|minilm|auto] [--input file] [--output file] [--full] [--github]
+ *                                    [--if-configured]
+ *
+ *   openai   OPENAI_API_KEY, text-embedding-3-small (1536 dims)
+ *   gemini   GEMINI_API_KEY, text-embedding-004 (768 dims)
+ *   minilm   runs all-MiniLM-L6-v2 locally, needs @xenova/transformers (an optional dependency, 384 dims)
+ *   auto     the first of those that is configured
+ *
+ *   --full          re-embeds every chunk instead of reusing the existing output file
+ *   --github        uploads the result to data/semantic_embeddings.json in GITHUB_REPO
+ *                   (GITHUB_TOKEN required), next to the app's global data/semantic_chunks.json
+ *   --if-configured skips the build instead of failing when the provider isn't configured -
+ *                   `npm run build` (the Vercel build step) runs `auto --if-configured`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const embeddingProviders = require('../api/_lib/embeddingProviders');
+const { Retriever } = require('../js/retriever');
+
+const VECTOR_PRECISION = 6; // Decimal places kept in the JSON file
+
+function parseArgs(argv) {
+    const args = { provider: 'openai', input: 'semantic_chunks.json', output: null, full: false, github: false, ifConfigured: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--input') args.input = argv[++i];
+        else if (arg === '--output') args.output = argv[++i];
+        else if (arg === '--full') args.full = true;
+        else if (arg === '--github') args.github = true;
+        else if (arg === '--if-configured') args.ifConfigured = true;
+        else if (!arg.startsWith('--')) args.provider = arg;
+    }
+
+    args.output = args.output || path.join(path.dirname(args.input), 'semantic_embeddings.json');
+    return args;
+}
+
+// The existing index, if it can be reused for this provider / model
+function loadPreviousIndex(file, provider) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (index.provider !== provider.id || index.model !== provider.model) {
+        console.log(`ℹ️ ${file} was built with ${index.provider} (${index.model}) - embedding everything`);
+        return null;
+    }
+    if (index.keyedBy !== 'content_hash') {
+        console.log(`ℹ️ ${file} predates content hashes - embedding everything`);
+        return null;
+    }
+    return index;
+}
+
+async function uploadToGitHub(content) {
+    const token = process.env.GITHUB_TOKEN;
+    const repo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+    if (!token) {
+        throw new Error('GITHUB_TOKEN is required for --github');
+    }
+
+    const url = `https://api.github.com/repos/${repo}/contents/data/semantic_embeddings.json`;
+    const headers = {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'GTI-SOP-Assistant/1.0'
+    };
+
+    // Get current file SHA if it exists
+    const existing = await fetch(url, { headers });
+    const sha = existing.ok ? (await existing.json()).sha : null;
+
+    const response = await fetch(url, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            message: 'Update semantic embeddings',
+            content: Buffer.from(content).toString('base64'),
+            ...(sha && { sha })
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`GitHub upload failed: ${response.status} ${await response.text()}`);
+    }
+}
+
+// The requested provider, or for "auto" the first one configured (null if none is)
+function selectProvider(providerId) {
+    if (providerId !== 'auto') {
+        return embeddingProviders.getProvider(providerId);
+    }
+    return ['openai', 'gemini', 'minilm']
+        .map(embeddingProviders.getProvider)
+        .find(provider => provider.configured()) || null;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const provider = selectProvider(args.provider);
+
+    if (!provider?.configured()) {
+        if (args.ifConfigured) {
+            console.log('ℹ️ No embedding provider configured - skipping semantic_embeddings.json ' +
+                '(search falls back to hashed pseudo-embeddings)');
+            return;
+        }
+        if (!provider) {
+            throw new Error('No embedding provider is configured (see usage at the top of this script)');
+        }
+        throw new Error(`${provider.label} embeddings are not configured (see usage at the top of this script)`);
+    }
+
+    const chunks = JSON.parse(fs.readFileSync(args.input, 'utf8'));
+    const hashes = chunks.map(embeddingProviders.chunkContentHash);
+    const previous = args.full ? null : loadPreviousIndex(args.output, provider);
+    const reusable = previous ? previous.vectors : {};
+
+    const missing = chunks.map((chunk, i) => i).filter(i => !reusable[hashes[i]]);
+    console.log(`🧮 Embedding ${missing.length} of ${chunks.length} chunks with ${provider.label} (${provider.model})...`);
+
+    const newVectors = await embeddingProviders.embedTexts(
+        provider.id,
+        missing.map(i => embeddingProviders.chunkEmbeddingText(chunks[i])),
+        (done, total) => console.log(`  ${done}/${total}`)
+    );
+
+    const vectors = Object.fromEntries(chunks.map((chunk, i) => [hashes[i], reusable[hashes[i]]]));
+    missing.forEach((chunkIndex, i) => {
+        vectors[hashes[chunkIndex]] = newVectors[i].map(value => Number(value.toFixed(VECTOR_PRECISION)));
+    });
+
+    const manifest = Object.fromEntries(chunks.map((chunk, i) => [chunk.chunk_id, hashes[i]]));
+    const index = {
+        provider: provider.id,
+        model: provider.model,
+        dimensions: Object.values(vectors)[0]?.length || provider.dimensions,
+        chunkCount: chunks.length,
+        createdAt: new Date().toISOString(),
+        keyedBy: 'content_hash',
+        manifest,
+        vectors
+    };
+
+    if (previous) {
+        const changes = Retriever.diffManifests(previous.manifest || {}, manifest);
+        console.log(`🔁 ${changes.added.length} added, ${changes.changed.length} changed, ` +
+            `${changes.removed.length} removed, ${changes.unchanged} unchanged`);
+    }
+
+    const content = JSON.stringify(index);
+    fs.writeFileSync(args.output, content);
+    console.log(`✅ Wrote ${args.output} (${index.dimensions} dims, ${(content.length / 1024).toFixed(0)} KB)`);
+
+    if (args.github) {
+        await uploadToGitHub(content);
+        console.log('✅ Uploaded data/semantic_embeddings.json to GitHub');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Failed to build embeddings:', error.message);
+    process.exit(1);
+});
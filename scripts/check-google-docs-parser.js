@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Google Docs Parser Check - Runs the Docs API parser over saved documents.get responses
+ * Each fixture in eval/google-docs/ (<name>.json) is parsed (api/_lib/googleDocsParser.js) and
+ * chunked (api/_lib/semanticChunker.js) offline, and the chunks and warnings are compared with
+ * the expected result next to it (<name>.expected.json). Run it after changing the parser or
+ * the chunker; when a difference is intended, review it with --verbose and save it with --update.
+ *
+ * To add a fixture, save a real response (documents.get, optionally with includeTabsContent)
+ * as eval/google-docs/<name>.json and run with --update.
+ *
+ * Usage:
+ *   node scripts/check-google-docs-parser.js [--fixtures dir] [--taxonomy file] [--update] [--verbose] [name ...]
+ *
+ *   --fixtures  directory of fixtures (default eval/google-docs)
+ *   --taxonomy  states / order types / topics the chunks are tagged with (default config/taxonomy.json)
+ *   --update    write the current result as the expected one
+ *   --verbose   print every difference, not only the first per fixture
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Taxonomy = require('../js/taxonomy');
+const { parseGoogleDoc } = require('../api/_lib/googleDocsParser');
+const { createSemanticChunks } = require('../api/_lib/semanticChunker');
+
+function parseArgs(argv) {
+    const args = {
+        fixtures: 'eval/google-docs',
+        taxonomy: 'config/taxonomy.json',
+        update: false,
+        verbose: false,
+        names: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fixtures') args.fixtures = argv[++i];
+        else if (arg === '--taxonomy') args.taxonomy = argv[++i];
+        else if (arg === '--update') args.update = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown argument: ${arg}`);
+        else args.names.push(arg.replace(/\.json$/, ''));
+    }
+    return args;
+}
+
+// "chunks[3].heading_path[1]: expected "OH RISE", got "OH Rise"" for each difference
+function differences(expected, actual, where = '') {
+    if (JSON.stringify(expected) === JSON.stringify(actual)) return [];
+
+    if (expected && actual && typeof expected === 'object' && typeof actual === 'object' &&
+        Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+        return keys.flatMap(key => differences(expected[key], actual[key],
+            Array.isArray(expected) ? `${where}[${key}]` : `${where}${where ? '.' : ''}${key}`));
+    }
+    return [`${where || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(args.taxonomy, 'utf8')));
+    const names = args.names.length > 0 ? args.names : fs.readdirSync(args.fixtures)
+        .filter(file => file.endsWith('.json') && !file.endsWith('.expected.json'))
+        .map(file => file.replace(/\.json$/, ''))
+        .sort();
+
+    if (names.length === 0) {
+        throw new Error(`No fixtures in ${args.fixtures}`);
+    }
+
+    let failed = 0;
+    for (const name of names) {
+        const document = JSON.parse(fs.readFileSync(path.join(args.fixtures, `${name}.json`), 'utf8'));
+        const parsed = parseGoogleDoc(document);
+        const chunks = await createSemanticChunks(parsed.blocks, parsed.images, taxonomy);
+        const result = { warnings: parsed.warnings, chunks };
+        const expectedFile = path.join(args.fixtures, `${name}.expected.json`);
+
+        if (args.update) {
+            fs.writeFileSync(expectedFile, `${JSON.stringify(result, null, 2)}\n`);
+            console.log(`📝 ${name}: saved ${chunks.length} chunks, ${parsed.warnings.length} warnings`);
+            continue;
+        }
+
+        if (!fs.existsSync(expectedFile)) {
+            console.log(`❌ ${name}: no ${expectedFile} (run with --update to create it)`);
+            failed++;
+            continue;
+        }
+
+        const found = differences(JSON.parse(fs.readFileSync(expectedFile, 'utf8')), result);
+        if (found.length === 0) {
+            console.log(`✅ ${name}: ${chunks.length} chunks, ${parsed.warnings.length} warnings`);
+        } else {
+            failed++;
+            console.log(`❌ ${name}: ${found.length} difference${found.length === 1 ? '' : 's'}`);
+            for (const difference of args.verbose ? found : found.slice(0, 1)) {
+                console.log(`    ${difference}`);
+            }
+        }
+    }
+
+    if (failed > 0) {
+        console.log(`\n${failed} of ${names.length} fixtures differ`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Check failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * Retrieval Evaluation - Measures search quality against a golden question set
+ * Runs every golden question through QueryIntelligence.enhanceQuery and the app's search
+ * filters, then through each retriever configuration, and reports recall@k, MRR and nDCG.
+ * Run it before deploying changes to query patterns, scorers or fusion.
+ *
+ * Usage:
+ *   node scripts/eval-retrieval.js [--golden file] [--chunks file] [--embeddings file] [--taxonomy file]
+ *                                  [--k 1,3,5,10] [--rerank cross-encoder|llm] [--model id]
+ *                                  [--tags regex|llm|both] [--min-confidence 0.6]
+ *                                  [--no-filters] [--verbose] [--json]
+ *                                  [--fail-under R@5=0.8,MRR=0.6] [--gate hybrid-weighted]
+ *
+ *   --golden      JSON or YAML question set (default eval/golden-questions.json), either
+ *                 { questions: [...] } or a bare list of { id, question, expected: [chunk_id, ...] }.
+ *                 YAML needs `npm install js-yaml`
+ *   --embeddings  semantic_embeddings.json to score with (default: next to the chunks, if present);
+ *                 without one the semantic scorer uses hashed vectors, like the app
+ *   --taxonomy    states / order types / topics the questions are analysed with (default config/taxonomy.json)
+ *   --tags        chunk tags the metadata filters use (default regex); llm and both need chunks
+ *                 tagged by scripts/tag-metadata.js, with LLM tags below --min-confidence ignored
+ *   --rerank      also evaluate the hybrid retrievers with a reranker (api/_lib/rerankers.js);
+ *                 llm scores with --model (default gemini-2.0) and needs its API key
+ *   --no-filters  search without QueryIntelligence metadata filters
+ *   --verbose     print the rank of each expected chunk per question
+ *   --json        print the report as JSON (for diffing runs)
+ *   --fail-under  minimum scores, as in the report's columns (R@k, MRR, nDCG@k); exits with 1 when
+ *                 the --gate retriever (default hybrid-weighted, the app's default) scores below one.
+ *                 npm test runs it with the thresholds in package.json's "eval:gate" script
+ */
+
+const fs = require('fs');
+const path = require('path');
+const embeddingProviders = require('../api/_lib/embeddingProviders');
+const browserEmbeddingProviders = require('../js/embeddingProviders');
+
+// The browser embeds queries through /api/embed; here the server-side providers are called directly
+global.EmbeddingProviders = {
+    ...browserEmbeddingProviders,
+    create(providerId, model) {
+        if (!embeddingProviders.providers[providerId]) {
+            return browserEmbeddingProviders.create(providerId, model);
+        }
+        return {
+            id: providerId,
+            model,
+            embed: (texts) => embeddingProviders.embedTexts(providerId, texts)
+        };
+    }
+};
+
+const QueryIntelligence = require('../js/queryIntelligence');
+const Taxonomy = require('../js/taxonomy');
+const { Retriever, TextAnalyzer, SemanticScorer, BM25Scorer } = require('../js/retriever');
+
+const MAX_RESULTS = 20; // Ranks beyond this count as a miss
+
+function parseArgs(argv) {
+    const args = {
+        golden: 'eval/golden-questions.json',
+        chunks: 'semantic_chunks.json',
+        embeddings: null,
+        taxonomy: 'config/taxonomy.json',
+        k: [1, 3, 5, 10],
+        rerank: null,
+        model: 'gemini-2.0',
+        tags: 'regex',
+        minConfidence: 0.6,
+        filters: true,
+        verbose: false,
+        json: false,
+        failUnder: null,
+        gate: 'hybrid-weighted'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--golden') args.golden = argv[++i];
+        else if (arg === '--chunks') args.chunks = argv[++i];
+        else if (arg === '--embeddings') args.embeddings = argv[++i];
+        else if (arg === '--taxonomy') args.taxonomy = argv[++i];
+        else if (arg === '--k') args.k = argv[++i].split(',').map(Number).filter(k => k > 0).sort((a, b) => a - b);
+        else if (arg === '--rerank') args.rerank = argv[++i];
+        else if (arg === '--model') args.model = argv[++i];
+        else if (arg === '--tags') args.tags = argv[++i];
+        else if (arg === '--min-confidence') args.minConfidence = parseFloat(argv[++i]);
+        else if (arg === '--no-filters') args.filters = false;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--fail-under') args.failUnder = parseThresholds(argv[++i]);
+        else if (arg === '--gate') args.gate = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    if (!Retriever.TAG_SOURCES.includes(args.tags)) {
+        throw new Error(`--tags must be one of ${Retriever.TAG_SOURCES.join(', ')}`);
+    }
+
+    if (!args.embeddings) {
+        const defaultEmbeddings = path.join(path.dirname(args.chunks), 'semantic_embeddings.json');
+        args.embeddings = fs.existsSync(defaultEmbeddings) ? defaultEmbeddings : null;
+    }
+    return args;
+}
+
+// "R@5=0.8,MRR=0.6" -> [{ metric: 'R@5', min: 0.8 }, { metric: 'MRR', min: 0.6 }]
+function parseThresholds(value) {
+    return (value || '').split(',').filter(Boolean).map(entry => {
+        const [metric, min] = entry.split('=').map(part => part.trim());
+        if (!/^(R@\d+|MRR|nDCG@\d+)$/.test(metric) || !(parseFloat(min) >= 0)) {
+            throw new Error(`--fail-under: "${entry}" is not like R@5=0.8, MRR=0.6 or nDCG@10=0.6`);
+        }
+        return { metric, min: parseFloat(min) };
+    });
+}
+
+// A report column's value for one retriever; nDCG is only computed at the largest k
+function metricValue(result, metric, args) {
+    const maxK = args.k[args.k.length - 1];
+    if (metric === 'MRR') return result.mrr;
+    if (metric === `nDCG@${maxK}`) return result.ndcg;
+    const k = Number(metric.replace(/^R@/, ''));
+    if (metric.startsWith('R@') && k in result.recall) return result.recall[k];
+    throw new Error(`--fail-under: ${metric} is not in the report (--k ${args.k.join(',')})`);
+}
+
+/**
+ * Thresholds the gate retriever falls below, as messages (empty when it passes)
+ */
+function checkThresholds(report, args) {
+    const result = report.retrievers[args.gate];
+    if (!result) {
+        throw new Error(`--gate: no retriever "${args.gate}" (one of ${Object.keys(report.retrievers).join(', ')})`);
+    }
+    return args.failUnder
+        .map(({ metric, min }) => ({ metric, min, value: metricValue(result, metric, args) }))
+        .filter(({ value, min }) => value < min)
+        .map(({ metric, min, value }) => `${args.gate} ${metric} ${value.toFixed(3)} is below ${min}`);
+}
+
+function loadGoldenSet(file) {
+    const content = fs.readFileSync(file, 'utf8');
+    let data;
+
+    if (/\.ya?ml$/i.test(file)) {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error('YAML golden sets need the js-yaml package (npm install js-yaml)');
+        }
+        data = yaml.load(content);
+    } else {
+        data = JSON.parse(content);
+    }
+
+    const questions = Array.isArray(data) ? data : data.questions;
+    if (!Array.isArray(questions) || questions.length === 0) {
+        throw new Error(`${file} has no questions`);
+    }
+
+    return questions.map((item, index) => {
+        if (!item.question || !Array.isArray(item.expected) || item.expected.length === 0) {
+            throw new Error(`Golden question ${item.id || index + 1} needs "question" and a non-empty "expected" list`);
+        }
+        return { id: item.id || `q${index + 1}`, question: item.question, expected: item.expected.map(String) };
+    });
+}
+
+/**
+ * Reranker that calls api/_lib/rerankers.js in-process, standing in for ServerReranker
+ */
+function createReranker(method, model) {
+    const rerankers = require('../api/_lib/rerankers');
+    const reranker = rerankers.getReranker(method);
+    if (!reranker.configured({ model })) {
+        throw new Error(`${reranker.label} is not available (see usage at the top of this script)`);
+    }
+
+    return {
+        method,
+        async rerank(query, chunks) {
+            const scores = await reranker.score(query, chunks.map(chunk => chunk.text), { model });
+            return new Map(chunks.map((chunk, index) => [chunk.chunk_id, scores[index]]));
+        }
+    };
+}
+
+function buildRetrievers(args) {
+    const tags = { tagSource: args.tags, minTagConfidence: args.minConfidence };
+    const retrievers = {
+        'semantic': new Retriever({ scorers: [new SemanticScorer()], ...tags }),
+        'bm25': new Retriever({ scorers: [new BM25Scorer(new TextAnalyzer())], ...tags }),
+        'hybrid-weighted': new Retriever({ fusion: 'weighted', ...tags }),
+        'hybrid-rrf': new Retriever({ fusion: 'rrf', ...tags })
+    };
+
+    if (args.rerank) {
+        const reranker = createReranker(args.rerank, args.model);
+        retrievers[`hybrid-weighted+${args.rerank}`] = new Retriever({ fusion: 'weighted', reranker, ...tags });
+        retrievers[`hybrid-rrf+${args.rerank}`] = new Retriever({ fusion: 'rrf', reranker, ...tags });
+    }
+
+    return retrievers;
+}
+
+// Rank (1-based) of each expected chunk in the results, null when missing
+function expectedRanks(resultIds, expected) {
+    return expected.map(id => {
+        const index = resultIds.indexOf(id);
+        return index === -1 ? null : index + 1;
+    });
+}
+
+function recallAtK(ranks, k) {
+    return ranks.filter(rank => rank !== null && rank <= k).length / ranks.length;
+}
+
+function reciprocalRank(ranks) {
+    const found = ranks.filter(rank => rank !== null);
+    return found.length > 0 ? 1 / Math.min(...found) : 0;
+}
+
+// Binary relevance: DCG = sum of 1 / log2(rank + 1) over expected chunks within k
+function ndcgAtK(ranks, k) {
+    const dcg = ranks
+        .filter(rank => rank !== null && rank <= k)
+        .reduce((sum, rank) => sum + 1 / Math.log2(rank + 1), 0);
+
+    let idealDcg = 0;
+    for (let rank = 1; rank <= Math.min(ranks.length, k); rank++) {
+        idealDcg += 1 / Math.log2(rank + 1);
+    }
+
+    return idealDcg > 0 ? dcg / idealDcg : 0;
+}
+
+// Retriever and embedding code logs every search - keep the report readable
+async function quietly(fn) {
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+        console.warn = warn;
+    }
+}
+
+async function evaluate(retriever, questions, queryIntelligence, args) {
+    const maxK = args.k[args.k.length - 1];
+    const perQuestion = [];
+
+    for (const item of questions) {
+        const analysis = queryIntelligence.enhanceQuery(item.question);
+        const filters = args.filters ? queryIntelligence.generateSearchFilters(analysis) : {};
+
+        const searchResults = await quietly(() => retriever.search(analysis.searchQuery || item.question, filters, {
+            maxResults: Math.max(MAX_RESULTS, maxK)
+        }));
+        const resultIds = searchResults.results.map(result => String(result.chunk.chunk_id));
+        const ranks = expectedRanks(resultIds, item.expected);
+
+        perQuestion.push({
+            id: item.id,
+            ranks,
+            recall: Object.fromEntries(args.k.map(k => [k, recallAtK(ranks, k)])),
+            reciprocalRank: reciprocalRank(ranks),
+            ndcg: ndcgAtK(ranks, maxK),
+            top: resultIds.slice(0, 3)
+        });
+    }
+
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return {
+        recall: Object.fromEntries(args.k.map(k => [k, mean(perQuestion.map(q => q.recall[k]))])),
+        mrr: mean(perQuestion.map(q => q.reciprocalRank)),
+        ndcg: mean(perQuestion.map(q => q.ndcg)),
+        perQuestion
+    };
+}
+
+function printReport(report, args) {
+    const maxK = args.k[args.k.length - 1];
+    const nameWidth = Math.max(...Object.keys(report.retrievers).map(name => name.length), 9) + 2;
+    const columns = [...args.k.map(k => `R@${k}`), 'MRR', `nDCG@${maxK}`];
+
+    console.log(`\n📊 ${report.questions} golden questions, ${report.chunks} chunks, embeddings: ${report.embeddings}` +
+        `${args.filters ? `, ${report.tags} tags` : ', no metadata filters'}\n`);
+    console.log('Retriever'.padEnd(nameWidth) + columns.map(column => column.padStart(8)).join(''));
+
+    for (const [name, result] of Object.entries(report.retrievers)) {
+        const values = [...args.k.map(k => result.recall[k]), result.mrr, result.ndcg];
+        console.log(name.padEnd(nameWidth) + values.map(value => value.toFixed(3).padStart(8)).join(''));
+    }
+
+    if (args.verbose) {
+        for (const [name, result] of Object.entries(report.retrievers)) {
+            console.log(`\n${name}`);
+            for (const question of result.perQuestion) {
+                const ranks = question.ranks.map(rank => rank === null ? 'miss' : `#${rank}`).join(', ');
+                const marker = question.ranks.every(rank => rank !== null && rank <= maxK) ? '✓' : '✗';
+                console.log(`  ${marker} ${question.id.padEnd(24)} expected at ${ranks.padEnd(14)} top: ${question.top.join(', ')}`);
+            }
+        }
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const chunks = JSON.parse(fs.readFileSync(args.chunks, 'utf8'));
+    const questions = loadGoldenSet(args.golden);
+    const embeddingIndex = args.embeddings ? JSON.parse(fs.readFileSync(args.embeddings, 'utf8')) : null;
+    const queryIntelligence = new QueryIntelligence(new Taxonomy(JSON.parse(fs.readFileSync(args.taxonomy, 'utf8'))));
+
+    // Catch golden sets that point at chunks which no longer exist
+    const chunkIds = new Set(chunks.map(chunk => String(chunk.chunk_id)));
+    for (const item of questions) {
+        const unknown = item.expected.filter(id => !chunkIds.has(id));
+        if (unknown.length > 0) {
+            console.warn(`⚠️ ${item.id}: expected chunk(s) ${unknown.join(', ')} not in ${args.chunks}`);
+        }
+    }
+
+    if (args.tags !== 'regex' && !chunks.some(chunk => chunk.metadata?.llm_tags)) {
+        console.warn(`⚠️ No chunk in ${args.chunks} has LLM tags (run scripts/tag-metadata.js) - using regex tags`);
+    }
+
+    const report = {
+        questions: questions.length,
+        chunks: chunks.length,
+        embeddings: embeddingIndex ? `${embeddingIndex.provider} (${embeddingIndex.model})` : 'hashed',
+        tags: args.tags,
+        retrievers: {}
+    };
+
+    for (const [name, retriever] of Object.entries(buildRetrievers(args))) {
+        await quietly(() => retriever.index(chunks, embeddingIndex));
+        report.retrievers[name] = await evaluate(retriever, questions, queryIntelligence, args);
+    }
+
+    if (args.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, args);
+    }
+
+    if (args.failUnder) {
+        const failures = checkThresholds(report, args);
+        if (failures.length > 0) {
+            failures.forEach(failure => console.error(`❌ ${failure}`));
+            process.exit(1);
+        }
+        console.log(`\n✅ ${args.gate} meets ${args.failUnder.map(({ metric, min }) => `${metric} ≥ ${min}`).join(', ')}`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Fake Drive Notifier - Local stand-in for Drive's push notifications to /api/drive-webhook
+ * Sends the requests a changes.watch channel sends - a "sync" message when the channel is
+ * created, then "change" messages, with the X-Goog-* headers and an empty body - so the webhook,
+ * the re-sync queue and the "SOP updated" broadcast can be exercised without Google.
+ * Without the service account configured the webhook queues every Google Docs source.
+ *
+ * With --listen it first opens /api/sync-events on the same server, like an open app tab, and
+ * exits with 1 unless the "sop-updated" event arrives within --timeout. It also exits with 1
+ * when the webhook rejects a notification.
+ *
+ * Usage:
+ *   DRIVE_WEBHOOK_TOKEN=dev vercel dev
+ *   DRIVE_WEBHOOK_TOKEN=dev node scripts/fake-drive-notifier.js [--url url] [--token token]
+ *                                                                [--changes 1] [--no-sync] [--listen] [--timeout 10]
+ *
+ *   --url      the webhook (default http://localhost:3000/api/drive-webhook)
+ *   --token    the channel token to send (default DRIVE_WEBHOOK_TOKEN); try a wrong one to see the 403
+ *   --changes  how many "change" messages to send (default 1) - repeats within a minute are coalesced
+ *   --no-sync  skip the opening "sync" message
+ *   --listen   wait for the broadcast on /api/sync-events
+ *   --timeout  seconds to wait for it (default 10)
+ */
+
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+    const args = {
+        url: 'http://localhost:3000/api/drive-webhook',
+        token: process.env.DRIVE_WEBHOOK_TOKEN || '',
+        changes: 1,
+        sync: true,
+        listen: false,
+        timeout: 10
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--url') args.url = argv[++i];
+        else if (arg === '--token') args.token = argv[++i];
+        else if (arg === '--changes') args.changes = parseInt(argv[++i], 10);
+        else if (arg === '--no-sync') args.sync = false;
+        else if (arg === '--listen') args.listen = true;
+        else if (arg === '--timeout') args.timeout = parseFloat(argv[++i]);
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    return args;
+}
+
+/**
+ * Post one notification the way Drive does
+ */
+async function notify(args, channel, state, messageNumber) {
+    const response = await fetch(args.url, {
+        method: 'POST',
+        headers: {
+            'X-Goog-Channel-ID': channel.id,
+            'X-Goog-Channel-Token': args.token,
+            'X-Goog-Channel-Expiration': new Date(Date.now() + 60 * 60 * 1000).toUTCString(),
+            'X-Goog-Resource-ID': channel.resourceId,
+            'X-Goog-Resource-URI': 'https://www.googleapis.com/drive/v3/changes?alt=json&pageToken=1',
+            'X-Goog-Resource-State': state,
+            'X-Goog-Message-Number': String(messageNumber)
+        }
+    });
+    const body = await response.json().catch(() => ({}));
+    console.log(`${response.ok ? '✅' : '❌'} ${state} #${messageNumber}: ${response.status} ${JSON.stringify(body)}`);
+    return response.ok;
+}
+
+/**
+ * Read /api/sync-events until a "sop-updated" event arrives
+ * @returns {Object} { ready: Promise (stream open), event: Promise<Object|null>, close() }
+ */
+function listen(url, timeoutSeconds) {
+    const controller = new AbortController();
+    let markReady;
+    const ready = new Promise(resolve => { markReady = resolve; });
+
+    const event = (async () => {
+        const timer = setTimeout(() => controller.abort(), timeoutSeconds * 1000);
+        try {
+            const response = await fetch(url, { signal: controller.signal, headers: { 'Accept': 'text/event-stream' } });
+            if (!response.ok) throw new Error(`${url}: ${response.status}`);
+
+            const decoder = new TextDecoder();
+            let buffer = '';
+            for await (const part of response.body) {
+                buffer += decoder.decode(part, { stream: true });
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const message = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const data = message.split('\n').find(line => line.startsWith('data:'));
+                    if (!data) continue;
+                    const payload = JSON.parse(data.slice(5).trim());
+                    if (payload.type === 'ready') markReady();
+                    if (payload.type === 'sop-updated') return payload;
+                }
+            }
+            return null;
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error(`❌ Listening failed: ${error.message}`);
+            return null;
+        } finally {
+            clearTimeout(timer);
+            markReady();
+        }
+    })();
+
+    return { ready, event, close: () => controller.abort() };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const channel = { id: `fake-${crypto.randomUUID()}`, resourceId: 'fake-changes-resource' };
+    const listener = args.listen ? listen(new URL('/api/sync-events', args.url).href, args.timeout) : null;
+    await listener?.ready;
+
+    let messageNumber = 1;
+    let rejected = 0;
+    if (args.sync && !await notify(args, channel, 'sync', messageNumber++)) rejected++;
+    for (let i = 0; i < args.changes; i++) {
+        if (!await notify(args, channel, 'change', messageNumber++)) rejected++;
+    }
+    if (rejected > 0) {
+        listener?.close();
+        console.log(`❌ The webhook rejected ${rejected} notification${rejected === 1 ? '' : 's'}`);
+        process.exit(1);
+    }
+
+    if (listener) {
+        const event = await listener.event;
+        listener.close();
+        if (!event) {
+            console.log(`❌ No "sop-updated" event within ${args.timeout}s`);
+            process.exit(1);
+        }
+        console.log(`📣 Broadcast event ${event.id}: ${event.sources.map(source => source.name).join(', ')} (${event.reason})`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Notify failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+/**
+ * Mock LLM Server - Local stand-in for the OpenAI, Gemini and Anthropic APIs
+ * Streams a canned answer token by token so streaming and the stop button
+ * can be exercised without real API keys. Also answers embedding requests, and
+ * passage-scoring prompts from the LLM reranker (api/_lib/rerankers.js),
+ * change-summary prompts (api/change-summary.js) and metadata tagging prompts
+ * (api/_lib/metadataTagger.js).
+ *
+ * Usage:
+ *   node scripts/mock-llm-server.js [port]
+ *   OPENAI_BASE_URL=http://localhost:8787/v1 \
+ *   GEMINI_BASE_URL=http://localhost:8787/v1beta \
+ *   ANTHROPIC_BASE_URL=http://localhost:8787/v1 \
+ *   OPENAI_API_KEY=mock GEMINI_API_KEY=mock ANTHROPIC_API_KEY=mock vercel dev
+ *
+ * Azure OpenAI and local (Ollama-style) providers hit the same /chat/completions mock:
+ *   AZURE_OPENAI_ENDPOINT=http://localhost:8787 AZURE_OPENAI_API_KEY=mock AZURE_OPENAI_DEPLOYMENTS=gpt-4o-mini
+ *   LOCAL_LLM_BASE_URL=http://localhost:8787/v1
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.MOCK_LLM_PORT || '8787', 10);
+const TOKEN_DELAY_MS = parseInt(process.env.MOCK_LLM_DELAY || '40', 10);
+
+const CANNED_ANSWER = [
+    '**Ohio RISE orders** follow the *menu pricing* [1].',
+    '\n\n- Orders come in on Thursday AM [1]',
+    '\n- Toledo delivers Tue / Thu [2]',
+    '\n- Other stores deliver Mon / Wed / Fri [2]',
+    '\n\nIf menu and LT prices differ, follow the menu price and make a note [1][3].'
+].join('');
+
+function tokenize(text) {
+    // Split into word-sized pieces, keeping whitespace attached like real tokenizers do
+    return text.match(/\s*\S+/g) || [];
+}
+
+// Deterministic stand-in for a real embedding: hashed words, normalised
+function mockEmbedding(text, dimensions = 64) {
+    const vector = new Array(dimensions).fill(0);
+    for (const word of text.toLowerCase().match(/\w+/g) || []) {
+        let hash = 0;
+        for (const char of word) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        vector[hash % dimensions] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+}
+
+// Reranker prompts ("--- Passage n ---" sections) get JSON scores from word overlap with the question
+function answerFor(body) {
+    const promptText = JSON.stringify(body);
+    const changedStates = [...promptText.matchAll(/--- Changes for (.*?) ---(.*?)(?=--- Changes for|$)/g)];
+    if (changedStates.length > 0) {
+        return changeSummaries(changedStates);
+    }
+    const question = (promptText.match(/QUESTION: (.*?)\\n/) || [])[1];
+    const passages = promptText.split(/--- Passage \d+ ---/).slice(1);
+    if (promptText.includes('ORDER TYPES:') && passages.length > 0) {
+        return metadataTags(promptText, passages);
+    }
+    if (!question || passages.length === 0) {
+        return CANNED_ANSWER;
+    }
+
+    const questionWords = new Set(question.toLowerCase().match(/\w{3,}/g) || []);
+    const scores = {};
+    passages.forEach((passage, index) => {
+        const overlap = new Set((passage.toLowerCase().match(/\w{3,}/g) || []).filter(word => questionWords.has(word)));
+        scores[index + 1] = Math.min(10, overlap.size * 2);
+    });
+    return JSON.stringify(scores);
+}
+
+// Change-summary prompts ("--- Changes for OH ---" sections) get one sentence per state naming its sections
+function changeSummaries(changedStates) {
+    const summaries = {};
+    for (const [, state, changes] of changedStates) {
+        const headings = [...changes.matchAll(/Section \\"(.*?)\\" \((\w+)\)/g)]
+            .map(([, heading, status]) => `${heading} (${status})`);
+        summaries[state] = `Updated procedures: ${headings.join(', ')}.`;
+    }
+    return JSON.stringify(summaries);
+}
+
+// Tagging prompts get the listed ids a passage mentions (states as codes, the rest as words)
+function metadataTags(promptText, passages) {
+    const listed = (label) => (promptText.match(new RegExp(`${label}: (.*?)\\.(?: [A-Z]|\\\\n|$)`)) || [])[1] || '';
+    const states = [...listed('STATES').matchAll(/\b([A-Z]{2}) \(/g)].map(match => match[1]);
+    const ids = (label) => [...listed(label).matchAll(/\b([A-Z_]{3,}) \(/g)].map(match => match[1]);
+    const mentions = (passage, id) => passage.toLowerCase().includes(id.toLowerCase().replace(/_/g, ' '));
+
+    const tags = {};
+    passages.forEach((passage, index) => {
+        const pick = (found, confidence) => Object.fromEntries(found.map(id => [id, confidence]));
+        tags[index + 1] = {
+            states: pick(states.filter(code => new RegExp(`\\b${code}\\b`).test(passage)), 0.9),
+            sections: pick(ids('ORDER TYPES').filter(id => mentions(passage, id)), 0.8),
+            topics: pick(ids('TOPICS').filter(id => mentions(passage, id)), 0.7)
+        };
+    });
+    return JSON.stringify(tags);
+}
+
+function readBody(req) {
+    return new Promise((resolve) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                resolve({});
+            }
+        });
+    });
+}
+
+async function streamTokens(req, res, toEvent, finalEvent) {
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    res.on('close', () => { closed = true; });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    for (const token of tokenize(CANNED_ANSWER)) {
+        if (closed) {
+            console.log('⏹️ Client disconnected mid-stream');
+            return;
+        }
+        res.write(`data: ${JSON.stringify(toEvent(token))}\n\n`);
+        await new Promise(resolve => setTimeout(resolve, TOKEN_DELAY_MS));
+    }
+
+    if (finalEvent) {
+        res.write(`data: ${finalEvent}\n\n`);
+    }
+    res.end();
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const body = req.method === 'POST' ? await readBody(req) : {};
+
+    console.log(`${req.method} ${url.pathname}${url.search}`);
+
+    // OpenAI-compatible chat completions
+    if (req.method === 'POST' && url.pathname.endsWith('/chat/completions')) {
+        if (body.stream) {
+            return streamTokens(req, res, token => ({
+                choices: [{ index: 0, delta: { content: token } }]
+            }), '[DONE]');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+            choices: [{ index: 0, message: { role: 'assistant', content: answerFor(body) } }]
+        }));
+    }
+
+    // OpenAI embeddings
+    if (req.method === 'POST' && url.pathname.endsWith('/embeddings')) {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input || ''];
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+            data: inputs.map((input, index) => ({ index, embedding: mockEmbedding(input) }))
+        }));
+    }
+
+    // Gemini batch embeddings
+    if (req.method === 'POST' && url.pathname.endsWith(':batchEmbedContents')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+            embeddings: (body.requests || []).map(request => ({
+                values: mockEmbedding(request.content?.parts?.[0]?.text || '')
+            }))
+        }));
+    }
+
+    // Anthropic Messages
+    if (req.method === 'POST' && url.pathname.endsWith('/messages')) {
+        if (body.stream) {
+            return streamTokens(req, res, token => ({
+                type: 'content_block_delta',
+                index: 0,
+                delta: { type: 'text_delta', text: token }
+            }), JSON.stringify({ type: 'message_stop' }));
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+            type: 'message',
+            role: 'assistant',
+            content: [{ type: 'text', text: answerFor(body) }]
+        }));
+    }
+
+    // Gemini generateContent / streamGenerateContent
+    if (req.method === 'POST' && url.pathname.endsWith(':streamGenerateContent')) {
+        return streamTokens(req, res, token => ({
+            candidates: [{ content: { role: 'model', parts: [{ text: token }] } }]
+        }));
+    }
+
+    if (req.method === 'POST' && url.pathname.endsWith(':generateContent')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({
+            candidates: [{ content: { role: 'model', parts: [{ text: answerFor(body) }] } }]
+        }));
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: `No mock for ${req.method} ${url.pathname}` }));
+});
+
+server.listen(PORT, () => {
+    console.log(`🤖 Mock LLM server listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * Tag Metadata - LLM tagging pass over semantic_chunks.json
+ * Asks a chat model to assign taxonomy states, order types and topics to every chunk, with a
+ * confidence per tag (api/_lib/metadataTagger.js), and stores them as metadata.llm_tags next
+ * to the regex tags. Then prints where the two disagree, so the taxonomy patterns can be fixed
+ * or the LLM tags switched on (Settings → Chunk Tags, or eval-retrieval.js --tags llm).
+ *
+ * Chunks already tagged by the same model with unchanged content are skipped.
+ *
+ * Usage:
+ *   node scripts/tag-metadata.js [--model id] [--chunks file] [--output file] [--taxonomy file]
+ *                                [--min-confidence 0.6] [--all] [--compare] [--verbose] [--github]
+ *
+ *   --model           any model from api/_lib/llmProviders.js (default gemini-2.0), e.g. local/llama3.1
+ *                     with LOCAL_LLM_BASE_URL; needs the provider's API key
+ *   --output          where to write the tagged chunks (default: overwrite --chunks)
+ *   --min-confidence  LLM tags below this don't count in the comparison (default 0.6)
+ *   --all             re-tag every chunk
+ *   --compare         only print the comparison of the existing tags, without calling the model
+ *   --verbose         list the chunk IDs behind each disagreement
+ *   --github          uploads the result to data/semantic_chunks.json in GITHUB_REPO (GITHUB_TOKEN required)
+ */
+
+const fs = require('fs');
+const Taxonomy = require('../js/taxonomy');
+const metadataTagger = require('../api/_lib/metadataTagger');
+const llmProviders = require('../api/_lib/llmProviders');
+const embeddingProviders = require('../api/_lib/embeddingProviders');
+
+const FIELD_LABELS = { states: 'State', sections: 'Order type', topics: 'Topic' };
+
+function parseArgs(argv) {
+    const args = {
+        model: 'gemini-2.0',
+        chunks: 'semantic_chunks.json',
+        output: null,
+        taxonomy: 'config/taxonomy.json',
+        minConfidence: 0.6,
+        all: false,
+        compare: false,
+        verbose: false,
+        github: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--model') args.model = argv[++i];
+        else if (arg === '--chunks') args.chunks = argv[++i];
+        else if (arg === '--output') args.output = argv[++i];
+        else if (arg === '--taxonomy') args.taxonomy = argv[++i];
+        else if (arg === '--min-confidence') args.minConfidence = parseFloat(argv[++i]);
+        else if (arg === '--all') args.all = true;
+        else if (arg === '--compare') args.compare = true;
+        else if (arg === '--verbose') args.verbose = true;
+        else if (arg === '--github') args.github = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    args.output = args.output || args.chunks;
+    return args;
+}
+
+// Per tag: chunks only the regex tagged, only the LLM tagged, and both
+function compareTags(chunks, minConfidence) {
+    const tagged = chunks.filter(chunk => chunk.metadata?.llm_tags);
+    const tags = new Map();
+    const entry = (field, id) => {
+        const key = `${field}:${id}`;
+        if (!tags.has(key)) tags.set(key, { field, id, both: 0, regexOnly: [], llmOnly: [] });
+        return tags.get(key);
+    };
+
+    for (const chunk of tagged) {
+        const llm = metadataTagger.confidentTags(chunk.metadata.llm_tags, minConfidence);
+        for (const field of metadataTagger.TAG_FIELDS) {
+            const regex = chunk.metadata[field] || [];
+            for (const id of new Set([...regex, ...llm[field]])) {
+                const inRegex = regex.includes(id);
+                const inLLM = llm[field].includes(id);
+                if (inRegex && inLLM) entry(field, id).both++;
+                else if (inRegex) entry(field, id).regexOnly.push(chunk.chunk_id);
+                else entry(field, id).llmOnly.push(chunk.chunk_id);
+            }
+        }
+    }
+
+    return { tagged: tagged.length, tags: [...tags.values()] };
+}
+
+function printComparison(comparison, args) {
+    console.log(`\n🏷️ Regex vs LLM tags on ${comparison.tagged} chunks (LLM confidence ≥ ${args.minConfidence})\n`);
+    console.log('Tag'.padEnd(28) + 'both'.padStart(8) + 'regex only'.padStart(12) + 'LLM only'.padStart(10));
+
+    const rows = comparison.tags
+        .sort((a, b) => (b.regexOnly.length + b.llmOnly.length) - (a.regexOnly.length + a.llmOnly.length));
+    for (const row of rows) {
+        const label = `${FIELD_LABELS[row.field]} ${row.id}`;
+        console.log(label.padEnd(28) + String(row.both).padStart(8) +
+            String(row.regexOnly.length).padStart(12) + String(row.llmOnly.length).padStart(10));
+        if (args.verbose) {
+            if (row.regexOnly.length > 0) console.log(`    regex only: ${row.regexOnly.join(', ')}`);
+            if (row.llmOnly.length > 0) console.log(`    LLM only:   ${row.llmOnly.join(', ')}`);
+        }
+    }
+
+    const agreed = rows.reduce((sum, row) => sum + row.both, 0);
+    const total = rows.reduce((sum, row) => sum + row.both + row.regexOnly.length + row.llmOnly.length, 0);
+    console.log(`\n${agreed}/${total} tags agree (${total ? (agreed / total * 100).toFixed(1) : '0.0'}%)`);
+}
+
+async function uploadToGitHub(content) {
+    const token = process.env.GITHUB_TOKEN;
+    const repo = process.env.GITHUB_REPO || 'FadeevMax/SOP3.0_vercel';
+    if (!token) {
+        throw new Error('GITHUB_TOKEN is required for --github');
+    }
+
+    const url = `https://api.github.com/repos/${repo}/contents/data/semantic_chunks.json`;
+    const headers = {
+        'Authorization': `token ${token}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'User-Agent': 'GTI-SOP-Assistant/1.0'
+    };
+
+    // Get current file SHA if it exists
+    const existing = await fetch(url, { headers });
+    const sha = existing.ok ? (await existing.json()).sha : null;
+
+    const response = await fetch(url, {
+        method: 'PUT',
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            message: 'Update chunk metadata tags',
+            content: Buffer.from(content).toString('base64'),
+            ...(sha && { sha })
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`GitHub upload failed: ${response.status} ${await response.text()}`);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const chunks = JSON.parse(fs.readFileSync(args.chunks, 'utf8'));
+
+    if (!args.compare) {
+        const resolved = llmProviders.resolveModel(args.model);
+        if (!resolved || !resolved.provider.configured()) {
+            throw new Error(`${args.model} is not available (unknown model or missing API key)`);
+        }
+
+        const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(args.taxonomy, 'utf8')));
+        const hashes = chunks.map(chunk => chunk.content_hash || embeddingProviders.chunkContentHash(chunk));
+        const pending = chunks.map((chunk, i) => i).filter(i => {
+            const previous = chunks[i].metadata?.llm_tags;
+            return args.all || !previous || previous.model !== args.model || previous.content_hash !== hashes[i];
+        });
+
+        console.log(`🏷️ Tagging ${pending.length} of ${chunks.length} chunks with ${args.model} (${taxonomy.describe()})...`);
+        const result = await metadataTagger.tagChunks(
+            pending.map(i => ({ ...chunks[i], content_hash: hashes[i] })),
+            taxonomy,
+            { model: args.model, onProgress: (done, total) => console.log(`  ${done}/${total}`) }
+        );
+
+        result.tags.forEach((tags, index) => {
+            if (tags) chunks[pending[index]].metadata = { ...chunks[pending[index]].metadata, llm_tags: tags };
+        });
+        if (result.failed > 0) {
+            console.warn(`⚠️ ${result.failed} chunks could not be tagged: ${result.errors.join('; ')}`);
+        }
+
+        const content = JSON.stringify(chunks, null, 2);
+        fs.writeFileSync(args.output, content);
+        console.log(`✅ Wrote ${args.output}`);
+
+        if (args.github) {
+            await uploadToGitHub(content);
+            console.log('✅ Uploaded data/semantic_chunks.json to GitHub');
+        }
+    }
+
+    printComparison(compareTags(chunks, args.minConfidence), args);
+}
+
+main().catch(error => {
+    console.error('❌ Failed to tag metadata:', error.message);
+    process.exit(1);
+});
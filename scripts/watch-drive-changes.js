@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Watch Drive Changes - Registers the Drive push notification channel behind /api/drive-webhook
+ * Calls changes.watch as the service account, so Drive posts to the webhook whenever a file the
+ * service account can see changes - the document sources are shared with it for syncing. Drive
+ * ends channels after at most a week: run this again before the expiration it prints (e.g. from
+ * a weekly cron job). The old channel keeps posting until it expires, which is harmless - the
+ * webhook only queues sources whose revision changed.
+ *
+ * Needs GOOGLE_CLIENT_EMAIL, GOOGLE_PRIVATE_KEY and DRIVE_WEBHOOK_TOKEN (the same token the
+ * deployment checks notifications against). The address must be HTTPS on a domain Google
+ * accepts for webhooks.
+ *
+ * Usage:
+ *   node scripts/watch-drive-changes.js --address https://your-app.vercel.app/api/drive-webhook [--days 7] [--id channel-id]
+ *
+ *   --address  the deployed /api/drive-webhook URL
+ *   --days     how long the channel should live (default 7, Drive's maximum)
+ *   --id       channel ID (default: a random UUID)
+ */
+
+const driveChanges = require('../api/_lib/driveChanges');
+
+function parseArgs(argv) {
+    const args = { address: null, days: 7, id: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--address') args.address = argv[++i];
+        else if (arg === '--days') args.days = parseFloat(argv[++i]);
+        else if (arg === '--id') args.id = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!args.address || !/^https:\/\//.test(args.address)) {
+        throw new Error('--address must be the HTTPS URL of /api/drive-webhook');
+    }
+    if (!(args.days > 0)) {
+        throw new Error('--days must be a positive number');
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!process.env.DRIVE_WEBHOOK_TOKEN) {
+        throw new Error('DRIVE_WEBHOOK_TOKEN is not set');
+    }
+
+    const channel = await driveChanges.watchChanges({
+        address: args.address,
+        token: process.env.DRIVE_WEBHOOK_TOKEN,
+        channelId: args.id,
+        expiration: Date.now() + args.days * 24 * 60 * 60 * 1000
+    });
+
+    console.log(`✅ Watching Drive changes on channel ${channel.id} (resource ${channel.resourceId})`);
+    console.log(`   Notifications go to ${args.address}`);
+    console.log(`   Expires ${channel.expiration ? new Date(Number(channel.expiration)).toISOString() : 'when Drive decides'} - run this again before then`);
+}
+
+main().catch(error => {
+    console.error('❌ Watch failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,125 @@
+// Server-side chunk resolution for /api/chat and /api/rerank (api/_lib/chunkStore.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkContentHash } = require('../api/_lib/embeddingProviders');
+const DocumentSources = require('../js/documentSources');
+
+const STORE = require.resolve('../api/_lib/chunkStore');
+
+// A chunkStore with an empty cache, reading "GitHub" from the given data sets in turn
+function freshStore(t, ...dataSets) {
+    delete require.cache[STORE];
+    process.env.GITHUB_TOKEN = 'test-token';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+
+    const downloads = [];
+    t.mock.method(global, 'fetch', async (url) => {
+        if (url.endsWith('config/sources.json')) {
+            return { ok: false, status: 404 }; // The deployed config/sources.json applies
+        }
+        downloads.push(url);
+        const chunks = dataSets[Math.min(downloads.length, dataSets.length) - 1];
+        return { ok: true, status: 200, text: async () => JSON.stringify(chunks) };
+    });
+    t.mock.method(console, 'log', () => {});
+    return { store: require(STORE), downloads };
+}
+
+const chunk = (id, text) => ({ chunk_id: id, source_id: 'sop', text, heading_path: ['Ohio'], metadata: { states: ['OH'] } });
+
+test('resolves IDs in the order given', async (t) => {
+    const { store } = freshStore(t, [chunk('sop:1', 'One'), chunk('sop:2', 'Two')]);
+
+    const chunks = await store.resolveChunks(['sop:2', 'sop:1']);
+    assert.deepEqual(chunks.map(c => c.text), ['Two', 'One']);
+});
+
+test('an unknown ID reloads the copy and resolves from the new data set', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { store, downloads } = freshStore(t, [chunk('sop:1', 'One')], [chunk('sop:1', 'One'), chunk('sop:2', 'Two')]);
+
+    await store.resolveChunks(['sop:1']);
+    now += 60 * 1000; // A sync saved sop:2 a minute later, well within the cache TTL
+    const chunks = await store.resolveChunks(['sop:1', 'sop:2']);
+
+    assert.equal(downloads.length, 2);
+    assert.deepEqual(chunks.map(c => c.text), ['One', 'Two']);
+});
+
+test('content that differs from the client copy counts as missing', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const restored = chunk('sop:1', 'Restored rule');
+    const { store } = freshStore(t, [chunk('sop:1', 'Current rule')], [restored]);
+
+    await store.resolveChunks(['sop:1']);
+    now += 60 * 1000;
+    const [resolved] = await store.resolveChunks(['sop:1'], [chunkContentHash(restored)]);
+
+    assert.equal(resolved.text, 'Restored rule');
+});
+
+test('chunks still missing after the reload are a 409 naming them', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { store } = freshStore(t, [chunk('sop:1', 'One')]);
+
+    await store.resolveChunks(['sop:1']);
+    now += 60 * 1000;
+    await assert.rejects(store.resolveChunks(['sop:1', 'sop:9'], [null, 'abc']), (error) => {
+        assert.equal(error.statusCode, 409);
+        assert.deepEqual(error.missing, ['sop:9']);
+        return true;
+    });
+});
+
+test('unknown IDs reload at most every few seconds', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { store, downloads } = freshStore(t, [chunk('sop:1', 'One')]);
+
+    await store.resolveChunks(['sop:1']);
+    await assert.rejects(store.resolveChunks(['sop:9']));
+    await assert.rejects(store.resolveChunks(['sop:9']));
+
+    assert.equal(downloads.length, 1);
+});
+
+test('a synced "sop:N" ID resolves against the bundled set of bare IDs', async (t) => {
+    delete require.cache[STORE];
+    delete process.env.GITHUB_TOKEN;
+    t.mock.method(console, 'log', () => {});
+    const store = require(STORE);
+
+    // The browser's copy after syncing the SOP: the same chunks, namespaced
+    const bundled = require('../semantic_chunks.json');
+    const synced = DocumentSources.tagChunks('sop', bundled.slice(5, 7));
+
+    const chunks = await store.resolveChunks(synced.map(c => c.chunk_id), synced.map(chunkContentHash));
+    assert.deepEqual(chunks.map(c => c.chunk_id), [5, 6]);
+});
+
+test('a bare ID resolves against a namespaced set', async (t) => {
+    const { store } = freshStore(t, [chunk('sop:1', 'One'), chunk('pricing:1', 'Price list')]);
+
+    const [resolved] = await store.resolveChunks(['1']);
+    assert.equal(resolved.text, 'One');
+});
+
+test('a client on another data version reloads the copy, even when every ID resolves', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const promoted = [chunk('sop:1', 'Restored rule')];
+    const { store, downloads } = freshStore(t, [chunk('sop:1', 'Current rule')], promoted);
+
+    await store.resolveChunks(['sop:1']);
+    now += 60 * 1000;
+    const text = JSON.stringify(promoted);
+    const sha = require('crypto').createHash('sha1').update(`blob ${Buffer.byteLength(text)}\0${text}`).digest('hex');
+    const [resolved] = await store.resolveChunks(['sop:1'], null, sha);
+
+    assert.equal(downloads.length, 2);
+    assert.equal(resolved.text, 'Restored rule');
+});
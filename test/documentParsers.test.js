@@ -0,0 +1,67 @@
+// The PDF, Markdown and HTML upload parsers (api/_lib/documentParsers.js) against the small
+// documents in eval/documents/: headings become heading paths, and chunks keep the page or
+// anchor they can be cited by
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Taxonomy = require('../js/taxonomy');
+const documentParsers = require('../api/_lib/documentParsers');
+const { createSemanticChunks } = require('../api/_lib/semanticChunker');
+
+const FIXTURES = path.join(__dirname, '..', 'eval', 'documents');
+const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'taxonomy.json'), 'utf8')));
+
+async function chunksOf(file) {
+    const format = documentParsers.formatOf(file);
+    const parsed = await documentParsers.parseDocument(fs.readFileSync(path.join(FIXTURES, file)), format);
+    const chunks = await createSemanticChunks(parsed.blocks, parsed.images, taxonomy);
+    return { parsed, chunks };
+}
+
+test('PDF: larger lines are headings and chunks list the pages their text is on', { skip: !documentParsers.available('pdf') && 'pdf-parse is not installed' }, async () => {
+    const { parsed, chunks } = await chunksOf('sop.pdf');
+
+    assert.deepEqual(parsed.warnings, []);
+    assert.deepEqual(chunks.map(chunk => ({ headingPath: chunk.heading_path, pages: chunk.pages })), [
+        { headingPath: ['OHIO', 'OH RISE'], pages: [1, 2] }, // The section runs onto page 2
+        { headingPath: ['OHIO', 'OH Regular'], pages: [2] }
+    ]);
+    // Page numbers are dropped, lines of one paragraph joined
+    assert.ok(!/^\d+$/m.test(chunks.map(chunk => chunk.text).join('\n')));
+    assert.match(chunks[0].text, /through Leaf Trade\. Batch substitution/);
+});
+
+test('Markdown: ATX and setext headings, slug and explicit anchors', async () => {
+    const { parsed, chunks } = await chunksOf('sop.md');
+
+    assert.deepEqual(parsed.warnings, []);
+    assert.deepEqual(chunks.map(chunk => ({ headingPath: chunk.heading_path, anchor: chunk.anchor })), [
+        { headingPath: ['OHIO', 'OH RISE'], anchor: 'rise-orders' }, // {#rise-orders}
+        { headingPath: ['OHIO', 'OH Regular'], anchor: 'oh-regular' },
+        { headingPath: ['MICHIGAN', 'MI Regular'], anchor: 'mi-regular' } // Under a === heading
+    ]);
+    assert.match(chunks[0].text, /placed through Leaf Trade\./); // **bold** reduced to text
+    assert.match(chunks[0].text, /^- Batch substitution/m);
+    assert.equal(chunks[0].pages, undefined);
+});
+
+test('HTML: heading ids are anchors; scripts and comments are dropped', async () => {
+    const { parsed, chunks } = await chunksOf('sop.html');
+
+    assert.deepEqual(parsed.warnings, []);
+    assert.deepEqual(chunks.map(chunk => ({ headingPath: chunk.heading_path, anchor: chunk.anchor })), [
+        { headingPath: ['OHIO', 'OH RISE'], anchor: 'h.oh-rise' },
+        { headingPath: ['OHIO', 'OH RISE', 'Batch Sub'], anchor: 'h.oh-rise' }, // Nearest heading with an id
+        { headingPath: ['OHIO', 'OH Regular'], anchor: 'h.oh-regular' }
+    ]);
+    const text = chunks.map(chunk => chunk.text).join('\n');
+    assert.ok(!/Draft|Injected/.test(text));
+});
+
+test('HTML without headings is flagged', () => {
+    const parsed = documentParsers.parseHtml('<p>Just a paragraph.</p>');
+
+    assert.deepEqual(parsed.warnings.map(warning => warning.type), ['structure']);
+});
@@ -0,0 +1,31 @@
+// The Drive webhook's channel token check (api/_lib/driveChanges.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const driveChanges = require('../api/_lib/driveChanges');
+
+const status = (token) => {
+    try {
+        driveChanges.verifyChannelToken(token);
+        return 200;
+    } catch (error) {
+        return error.statusCode;
+    }
+};
+
+test('notifications are refused with 503 while DRIVE_WEBHOOK_TOKEN is not set', () => {
+    delete process.env.DRIVE_WEBHOOK_TOKEN;
+
+    assert.equal(status('anything'), 503);
+    assert.equal(status(undefined), 503);
+});
+
+test('only the token the channel was registered with is accepted', (t) => {
+    process.env.DRIVE_WEBHOOK_TOKEN = 'channel-secret';
+    t.after(() => { delete process.env.DRIVE_WEBHOOK_TOKEN; });
+
+    assert.equal(status('channel-secret'), 200);
+    assert.equal(status('channel-secreT'), 403);
+    assert.equal(status('channel'), 403); // Different length
+    assert.equal(status(undefined), 403);
+});
@@ -0,0 +1,37 @@
+// Browser-side embedding through /api/embed (js/embeddingProviders.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ServerEmbeddingProvider } = require('../js/embeddingProviders');
+
+test('more texts than /api/embed accepts are sent in batches and returned in order', async (t) => {
+    const batches = [];
+    t.mock.method(global, 'fetch', async (url, options) => {
+        const { texts } = JSON.parse(options.body);
+        batches.push(texts.length);
+        return {
+            ok: texts.length <= 128, // api/embed.js rejects larger requests
+            status: texts.length <= 128 ? 200 : 400,
+            json: async () => ({ success: true, model: 'text-embedding-3-small', vectors: texts.map(text => [Number(text)]) })
+        };
+    });
+    const provider = new ServerEmbeddingProvider('openai', 'text-embedding-3-small');
+    const texts = Array.from({ length: 300 }, (_, i) => String(i));
+
+    const vectors = await provider.embed(texts);
+
+    assert.deepEqual(batches, [128, 128, 44]);
+    assert.deepEqual(vectors, texts.map(text => [Number(text)]));
+});
+
+test('a failed batch fails the whole embed', async (t) => {
+    let calls = 0;
+    t.mock.method(global, 'fetch', async () => ({
+        ok: ++calls === 1,
+        status: calls === 1 ? 200 : 500,
+        json: async () => (calls === 1 ? { success: true, model: 'm', vectors: Array(128).fill([0]) } : { error: 'Provider down' })
+    }));
+    const provider = new ServerEmbeddingProvider('openai', 'm');
+
+    await assert.rejects(provider.embed(Array(200).fill('text')), /Provider down/);
+});
@@ -0,0 +1,60 @@
+// Server-side GitHub writes (api/_lib/githubFiles.js) and the write token (api/_lib/writeAccess.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const githubFiles = require('../api/_lib/githubFiles');
+const writeAccess = require('../api/_lib/writeAccess');
+
+const response = (status, body = {}) => ({ ok: status < 300, status, json: async () => body });
+
+test('writes need APP_WRITE_TOKEN and GITHUB_TOKEN on the server and the token from the browser', (t) => {
+    t.after(() => {
+        delete process.env.APP_WRITE_TOKEN;
+        delete process.env.GITHUB_TOKEN;
+    });
+    const status = (token) => {
+        try {
+            writeAccess.requireWriteAccess(token);
+            return 200;
+        } catch (error) {
+            return error.statusCode;
+        }
+    };
+
+    assert.equal(status('secret'), 503);
+    process.env.APP_WRITE_TOKEN = 'secret';
+    assert.equal(status('secret'), 503); // Nothing to write with
+    process.env.GITHUB_TOKEN = 'test-token';
+    assert.equal(status(undefined), 401);
+    assert.equal(status('guess'), 403);
+    assert.equal(status('secret'), 200);
+});
+
+test('a file is written over its current sha and the new sha returned', async (t) => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+    const fetch = t.mock.method(global, 'fetch', async (url, options = {}) =>
+        options.method === 'PUT' ? response(200, { content: { sha: 'new-sha' } }) : response(200, { sha: 'old-sha' }));
+
+    const sha = await githubFiles.writeFile('config/taxonomy.json', '{"states":[]}', 'Update taxonomy');
+
+    assert.equal(sha, 'new-sha');
+    const body = JSON.parse(fetch.mock.calls[1].arguments[1].body);
+    assert.equal(body.sha, 'old-sha');
+    assert.equal(body.message, 'Update taxonomy');
+    assert.equal(Buffer.from(body.content, 'base64').toString(), '{"states":[]}');
+    assert.match(fetch.mock.calls[1].arguments[1].headers.Authorization, /^Bearer test-token$/);
+});
+
+test('a write that loses a race with another commit is retried once', async (t) => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+    let puts = 0;
+    t.mock.method(global, 'fetch', async (url, options = {}) => {
+        if (options.method !== 'PUT') return response(404);
+        return ++puts === 1 ? response(409) : response(201, { content: { sha: 'created' } });
+    });
+
+    assert.equal(await githubFiles.writeFile('data/changes.json', '{}', 'Update digest'), 'created');
+    assert.equal(puts, 2);
+});
@@ -0,0 +1,33 @@
+// The Docs API parser and chunker against the saved documents.get responses in eval/google-docs/
+// (the same comparison as npm run check:gdocs; update the expected files with that script)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const Taxonomy = require('../js/taxonomy');
+const { parseGoogleDoc } = require('../api/_lib/googleDocsParser');
+const { createSemanticChunks } = require('../api/_lib/semanticChunker');
+
+const FIXTURES = path.join(__dirname, '..', 'eval', 'google-docs');
+const taxonomy = new Taxonomy(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'config', 'taxonomy.json'), 'utf8')));
+
+const names = fs.readdirSync(FIXTURES)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.expected.json'))
+    .map(file => file.replace(/\.json$/, ''));
+
+test('there are fixtures to check', () => {
+    assert.ok(names.length > 0);
+});
+
+for (const name of names) {
+    test(`${name} parses and chunks as expected`, async () => {
+        const document = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+        const expected = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.expected.json`), 'utf8'));
+
+        const parsed = parseGoogleDoc(document);
+        const chunks = await createSemanticChunks(parsed.blocks, parsed.images, taxonomy);
+
+        assert.deepEqual(JSON.parse(JSON.stringify({ warnings: parsed.warnings, chunks })), expected);
+    });
+}
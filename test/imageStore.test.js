@@ -0,0 +1,40 @@
+// Image storage limits and the write token (api/_lib/imageStore.js, api/_lib/writeAccess.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const imageStore = require('../api/_lib/imageStore');
+const writeAccess = require('../api/_lib/writeAccess');
+
+const image = (bytes) => {
+    const data = Buffer.alloc(bytes, 1);
+    return { id: imageStore.imageId(data, 'image/png'), data };
+};
+
+test('only a matching X-Write-Token allows image writes to GitHub', (t) => {
+    t.after(() => { delete process.env.APP_WRITE_TOKEN; });
+
+    assert.equal(writeAccess.writeAllowed('secret'), false); // None configured
+    process.env.APP_WRITE_TOKEN = 'secret';
+    assert.equal(writeAccess.writeAllowed(undefined), false);
+    assert.equal(writeAccess.writeAllowed('secret'), true);
+    assert.throws(() => writeAccess.writeAllowed('guess'), (error) => error.statusCode === 403);
+});
+
+test('images are not written to GitHub without the write token', async (t) => {
+    process.env.GITHUB_TOKEN = 'test-token';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+    const fetch = t.mock.method(global, 'fetch', async () => ({ ok: true, status: 200, json: async () => [] }));
+
+    const result = await imageStore.saveImages([image(10)]);
+
+    assert.equal(fetch.mock.callCount(), 0);
+    assert.equal(result.stored, 1);
+    assert.equal(result.unauthorized, true);
+});
+
+test('images over the size limit are skipped', async () => {
+    const result = await imageStore.saveImages([image(10), image(imageStore.MAX_IMAGE_BYTES + 1)]);
+
+    assert.equal(result.stored, 1);
+    assert.equal(result.skipped, 1);
+});
@@ -0,0 +1,63 @@
+// Retriever.diffManifests and the TextAnalyzer stemmer / synonym expansion (js/retriever.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Retriever, TextAnalyzer } = require('../js/retriever');
+
+test('diffManifests: unchanged content, edits, additions and removals', () => {
+    const previous = { 'sop:1': 'aaa', 'sop:2': 'bbb', 'sop:3': 'ccc' };
+    const next = { 'sop:1': 'aaa', 'sop:2': 'bbx', 'sop:4': 'ddd' };
+
+    assert.deepEqual(Retriever.diffManifests(previous, next), {
+        added: ['sop:4'],
+        changed: ['sop:2'],
+        removed: ['sop:3'],
+        unchanged: 1
+    });
+});
+
+test('diffManifests: content that moved to another chunk ID is unchanged', () => {
+    const previous = { 'sop:1': 'aaa', 'sop:2': 'bbb' };
+    const next = { 'sop:2': 'aaa', 'sop:3': 'bbb' };
+
+    assert.deepEqual(Retriever.diffManifests(previous, next), { added: [], changed: [], removed: [], unchanged: 2 });
+});
+
+test('diffManifests: an empty previous manifest adds everything', () => {
+    assert.deepEqual(Retriever.diffManifests({}, { a: '1', b: '2' }), { added: ['a', 'b'], changed: [], removed: [], unchanged: 0 });
+});
+
+test('stem maps word variants to one term', () => {
+    const analyzer = new TextAnalyzer();
+    const stems = (words) => words.map(word => analyzer.stem(word));
+
+    assert.deepEqual(stems(['batteries', 'battery']), ['battery', 'battery']);
+    assert.deepEqual(stems(['boxes', 'box']), ['box', 'box']);
+    assert.deepEqual(stems(['orders', 'order']), ['order', 'order']);
+    assert.deepEqual(stems(['shipping', 'shipped', 'ship']), ['ship', 'ship', 'ship']);
+    assert.deepEqual(stems(['substitution', 'substitute']), ['substitut', 'substitut']);
+    assert.deepEqual(stems(['pricing', 'price']), ['pric', 'pric']);
+});
+
+test('stem leaves short words, numbers and -us/-ss endings alone', () => {
+    const analyzer = new TextAnalyzer();
+
+    assert.equal(analyzer.stem('bus'), 'bus');
+    assert.equal(analyzer.stem('status'), 'status');
+    assert.equal(analyzer.stem('class'), 'class');
+    assert.equal(analyzer.stem('oh2'), 'oh2');
+});
+
+test('terms drop stop words and expand synonyms both ways', () => {
+    const analyzer = new TextAnalyzer();
+
+    assert.deepEqual(analyzer.terms('Leaf Trade orders are shipped'), ['leaf', 'trad', 'order', 'ship', 'lt']);
+    assert.deepEqual(analyzer.terms('LT order'), ['order', 'lt', 'leaf', 'trad']);
+});
+
+test('parseSynonyms reads one group per line', () => {
+    assert.deepEqual(TextAnalyzer.parseSynonyms('LT = Leaf Trade\nlonely\n OOS=out of stock '), [
+        ['LT', 'Leaf Trade'],
+        ['OOS', 'out of stock']
+    ]);
+});
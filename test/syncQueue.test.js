@@ -0,0 +1,123 @@
+// Events for /api/sync-events (api/_lib/syncQueue.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QUEUE = require.resolve('../api/_lib/syncQueue');
+
+const stateFile = (events, etag) => ({
+    ok: true,
+    status: 200,
+    headers: { get: (name) => (name === 'etag' ? etag : null) },
+    json: async () => ({
+        sha: 'abc',
+        content: Buffer.from(JSON.stringify({ nextId: events.length + 1, events })).toString('base64')
+    })
+});
+
+const event = (id) => ({ id, type: 'sop-updated', sources: [{ id: 'sop' }], reason: 'test', at: '2026-10-19T10:00:00Z' });
+
+// A syncQueue with an empty cache, answering GitHub with respond(request headers)
+function freshQueue(t, respond) {
+    delete require.cache[QUEUE];
+    process.env.GITHUB_TOKEN = 'test-token';
+    t.after(() => { delete process.env.GITHUB_TOKEN; });
+
+    const requests = [];
+    t.mock.method(global, 'fetch', async (url, options) => {
+        requests.push(options.headers);
+        return respond(options.headers);
+    });
+    return { queue: require(QUEUE), requests };
+}
+
+test('streams opened within the cache time share one download', async (t) => {
+    const { queue, requests } = freshQueue(t, () => stateFile([event(1), event(2)], '"v1"'));
+
+    const first = await queue.eventsSince(0);
+    const second = await queue.eventsSince(1);
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(first.events.map(e => e.id), [1, 2]);
+    assert.deepEqual(second.events.map(e => e.id), [2]);
+    assert.equal(second.lastId, 2);
+});
+
+test('an expired cache is revalidated with the ETag', async (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { queue, requests } = freshQueue(t, (headers) => (headers['If-None-Match'] === '"v1"'
+        ? { ok: false, status: 304 }
+        : stateFile([event(1)], '"v1"')));
+
+    await queue.eventsSince(0);
+    now += 60 * 1000;
+    const { events } = await queue.eventsSince(0);
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1]['If-None-Match'], '"v1"');
+    assert.deepEqual(events.map(e => e.id), [1]);
+});
+
+// A syncQueue over an in-memory data/drive-sync.json that saves (PUT) and reloads (GET) like GitHub
+function queueWithStore(t, events = []) {
+    let stored = { nextId: events.length + 1, events };
+    const { queue } = freshQueue(t, () => stateFile(stored.events, null));
+    global.fetch.mock.mockImplementation(async (url, options) => {
+        if (options.method === 'PUT') {
+            const { sha, etag, ...state } = JSON.parse(Buffer.from(JSON.parse(options.body).content, 'base64').toString('utf8'));
+            stored = state;
+            return { ok: true, status: 200, json: async () => ({}) };
+        }
+        return stateFile(stored.events, null);
+    });
+    return { queue, stored: () => stored };
+}
+
+const source = (id, revision) => ({ id, name: id, docId: `doc-${id}`, revision: revision ? { id: revision } : null });
+
+test('a Drive notification queues the changed sources and tells subscribers', async (t) => {
+    const { queue, stored } = queueWithStore(t);
+    const heard = [];
+    const unsubscribe = queue.subscribe(event => heard.push(event.id));
+    t.after(unsubscribe);
+
+    const queued = await queue.enqueue([source('sop', 'r1'), source('faq', 'r7')], 'Drive change notification 1');
+
+    assert.deepEqual(queued.sources.map(s => s.id), ['sop', 'faq']);
+    assert.equal(queued.reason, 'Drive change notification 1');
+    assert.deepEqual(heard, [queued.id]);
+    assert.deepEqual(stored().events.map(e => e.id), [queued.id]);
+});
+
+test('notifications within COALESCE_MS of a queued source are coalesced', async (t) => {
+    let now = Date.parse('2026-10-19T10:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const { queue, stored } = queueWithStore(t);
+
+    await queue.enqueue([source('sop', 'r1')], 'Drive change notification 1');
+    now += 5 * 1000;
+    assert.equal(await queue.enqueue([source('sop', 'r2')], 'Drive change notification 2'), null); // Still typing
+
+    // Another source in the same burst is still queued, on its own
+    const other = await queue.enqueue([source('sop', 'r2'), source('faq', 'r7')], 'Drive change notification 3');
+    assert.deepEqual(other.sources.map(s => s.id), ['faq']);
+
+    now += queue.COALESCE_MS;
+    const later = await queue.enqueue([source('sop', 'r3')], 'Drive change notification 4');
+    assert.deepEqual(later.sources.map(s => s.revision.id), ['r3']);
+    assert.equal(stored().events.length, 3);
+});
+
+test('a source already queued at the same revision is not queued again', async (t) => {
+    let now = Date.parse('2026-10-19T10:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+    const { queue } = queueWithStore(t);
+
+    await queue.enqueue([source('sop', 'r1')], 'Drive change notification 1');
+    now += 10 * queue.COALESCE_MS;
+
+    assert.equal(await queue.enqueue([source('sop', 'r1')], 'Drive change notification 2'), null);
+    // Without a revision (no service account) only the time window applies
+    assert.notEqual(await queue.enqueue([source('sop')], 'Drive change notification 3'), null);
+});